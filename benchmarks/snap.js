@@ -0,0 +1,83 @@
+/*
+ * Cost of snapping on a large plan: building the snap index of a scene,
+ * updating it after a wall is moved and looking up the snap under the cursor,
+ * as every mouse move does while drawing or dragging.
+ *
+ *   npm run benchmark-snap -- [rooms per side]
+ *
+ * The default 50 x 50 rooms grid has 5100 walls.
+ */
+import { Scene } from '../src/models';
+import { buildSceneSnapIndex } from '../src/utils/snap-scene';
+import { nearestSnap, SNAP_MASK } from '../src/utils/snap';
+
+const ROOM_SIZE = 300;
+const MOUSE_MOVES = 10000;
+
+function gridScene(roomsPerSide) {
+  let vertices = {}, lines = {};
+  let vertexID = (column, row) => `v-${column}-${row}`;
+
+  //vertices are a little off the grid, like in a drawn plan, so that no two share a horizontal or vertical line
+  for (let column = 0; column <= roomsPerSide; column++) {
+    for (let row = 0; row <= roomsPerSide; row++) {
+      let id = vertexID(column, row);
+      let x = column * ROOM_SIZE + (column * 7 + row * 3) % 11 + column / 1000;
+      let y = row * ROOM_SIZE + (column * 5 + row * 13) % 11 + row / 1000;
+      vertices[id] = { id, type: '', prototype: 'vertices', x, y, lines: [] };
+    }
+  }
+
+  let addWall = (vertex0, vertex1) => {
+    let id = `l-${Object.keys(lines).length}`;
+    lines[id] = { id, type: 'wall', prototype: 'lines', vertices: [vertex0, vertex1], holes: [], properties: {} };
+    vertices[vertex0].lines.push(id);
+    vertices[vertex1].lines.push(id);
+  };
+
+  for (let i = 0; i <= roomsPerSide; i++) {
+    for (let j = 0; j < roomsPerSide; j++) {
+      addWall(vertexID(i, j), vertexID(i, j + 1));
+      addWall(vertexID(j, i), vertexID(j + 1, i));
+    }
+  }
+
+  let side = (roomsPerSide + 1) * ROOM_SIZE;
+  return new Scene({ width: side, height: side, layers: { 'layer-1': { id: 'layer-1', vertices, lines } } });
+}
+
+function measure(label, run) {
+  let start = process.hrtime();
+  let result = run();
+  let [seconds, nanoseconds] = process.hrtime(start);
+  console.log(`${label}: ${(seconds * 1e3 + nanoseconds / 1e6).toFixed(2)} ms`);
+  return result;
+}
+
+let roomsPerSide = parseInt(process.argv[2]) || 50;
+let scene = gridScene(roomsPerSide);
+let side = scene.width;
+
+console.log(`${scene.layers.get('layer-1').lines.size} walls, ${scene.layers.get('layer-1').vertices.size} vertices`);
+
+let sceneSnapIndex = measure('build the snap index', () => buildSceneSnapIndex(scene, SNAP_MASK));
+let { snapIndex } = sceneSnapIndex;
+
+let moved = scene.updateIn(['layers', 'layer-1', 'vertices', 'v-1-1'], vertex => vertex.merge({ x: vertex.x + 50, y: vertex.y + 50 }));
+measure('update the snap index after a vertex moved', () => buildSceneSnapIndex(moved, SNAP_MASK, sceneSnapIndex));
+
+//a pseudo random but repeatable walk of the cursor over the plan
+let cursor = index => ({ x: (index * 7919) % side, y: (index * 104729) % side });
+let snapped = 0;
+
+let [seconds, nanoseconds] = (() => {
+  let start = process.hrtime();
+  for (let index = 0; index < MOUSE_MOVES; index++) {
+    let { x, y } = cursor(index);
+    if (nearestSnap(snapIndex, x, y, SNAP_MASK)) snapped++;
+  }
+  return process.hrtime(start);
+})();
+
+let total = seconds * 1e3 + nanoseconds / 1e6;
+console.log(`mouse move: ${(total / MOUSE_MOVES * 1e3).toFixed(1)} µs per lookup over ${MOUSE_MOVES} lookups, ${snapped} snapped`);
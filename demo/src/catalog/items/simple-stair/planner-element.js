@@ -53,11 +53,11 @@ export default {
 
     let newWidth = convert(element.properties.get('width').get('length'))
       .from(element.properties.get('width').get('unit'))
-      .to(scene.unit);
+      .to('cm');
 
     let newDepth = convert(element.properties.get('depth').get('length'))
       .from(element.properties.get('depth').get('unit'))
-      .to(scene.unit);
+      .to('cm');
 
     let angle = element.rotation + 90;
     let textRotation = 0;
@@ -91,19 +91,19 @@ export default {
 
     let newWidth = convert(element.properties.get('width').get('length'))
       .from(element.properties.get('width').get('unit'))
-      .to(scene.unit);
+      .to('cm');
 
     let newDepth = convert(element.properties.get('depth').get('length'))
       .from(element.properties.get('depth').get('unit'))
-      .to(scene.unit);
+      .to('cm');
 
     let newHeight = convert(element.properties.get('height').get('length'))
       .from(element.properties.get('height').get('unit'))
-      .to(scene.unit);
+      .to('cm');
 
     let newAltitude = convert(element.properties.get('altitude').get('length'))
       .from(element.properties.get('altitude').get('unit'))
-      .to(scene.unit);
+      .to('cm');
 
     let stair = new Three.Object3D();
 
@@ -69,9 +69,9 @@ export default {
   render3D: function (element, layer, scene) {
 
     let onLoadItem = (object) => {
-      let newWidth = convert(width.length).from(width.unit).to(scene.unit);
-      let newHeight = convert(height.length).from(height.unit).to(scene.unit);
-      let newDepth = convert(depth.length).from(depth.unit).to(scene.unit);
+      let newWidth = convert(width.length).from(width.unit).to('cm');
+      let newHeight = convert(height.length).from(height.unit).to('cm');
+      let newDepth = convert(depth.length).from(depth.unit).to('cm');
 
       object.scale.set(newWidth / width.length, newHeight / height.length, newDepth / depth.length);
 
@@ -31,8 +31,8 @@ export default {
     let width = {length: 1.60, unit: 'ft'};
     let depth = {length: 0.59, unit: 'ft'};
 
-    let newWidth = convert(width.length).from(width.unit).to(scene.unit);
-    let newDepth = convert(depth.length).from(depth.unit).to(scene.unit);
+    let newWidth = convert(width.length).from(width.unit).to('cm');
+    let newDepth = convert(depth.length).from(depth.unit).to('cm');
 
     let angle = element.rotation + 90;
 
@@ -65,9 +65,9 @@ export default {
 
     let onLoadItem = (object) => {
 
-      let newWidth = convert(width.length).from(width.unit).to(scene.unit);
-      let newHeight = convert(height.length).from(height.unit).to(scene.unit);
-      let newDepth = convert(depth.length).from(depth.unit).to(scene.unit);
+      let newWidth = convert(width.length).from(width.unit).to('cm');
+      let newHeight = convert(height.length).from(height.unit).to('cm');
+      let newDepth = convert(depth.length).from(depth.unit).to('cm');
 
       let newAltitude = element.properties.get('altitude').get('length');
 
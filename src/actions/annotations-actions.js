@@ -0,0 +1,62 @@
+import {
+  SELECT_ANNOTATION,
+  SELECT_TOOL_DRAWING_ANNOTATION,
+  UPDATE_DRAWING_ANNOTATION,
+  ADD_DRAWING_ANNOTATION_POINT,
+  BEGIN_DRAGGING_ANNOTATION,
+  UPDATE_DRAGGING_ANNOTATION,
+  END_DRAGGING_ANNOTATION
+} from '../constants';
+
+export function selectAnnotation(layerID, annotationID) {
+  return {
+    type: SELECT_ANNOTATION,
+    layerID,
+    annotationID
+  }
+}
+
+export function selectToolDrawingAnnotation(annotationType) {
+  return {
+    type: SELECT_TOOL_DRAWING_ANNOTATION,
+    annotationType
+  }
+}
+
+export function updateDrawingAnnotation(x, y) {
+  return {
+    type: UPDATE_DRAWING_ANNOTATION,
+    x, y
+  }
+}
+
+export function addDrawingAnnotationPoint(layerID, x, y) {
+  return {
+    type: ADD_DRAWING_ANNOTATION_POINT,
+    layerID,
+    x, y
+  }
+}
+
+export function beginDraggingAnnotation(layerID, annotationID, x, y) {
+  return {
+    type: BEGIN_DRAGGING_ANNOTATION,
+    layerID,
+    annotationID,
+    x, y
+  }
+}
+
+export function updateDraggingAnnotation(x, y) {
+  return {
+    type: UPDATE_DRAGGING_ANNOTATION,
+    x, y
+  }
+}
+
+export function endDraggingAnnotation(x, y) {
+  return {
+    type: END_DRAGGING_ANNOTATION,
+    x, y
+  }
+}
@@ -0,0 +1,36 @@
+import {
+  SELECT_DIMENSION,
+  SELECT_TOOL_DRAWING_DIMENSION,
+  UPDATE_DRAWING_DIMENSION,
+  ADD_DRAWING_DIMENSION_POINT
+} from '../constants';
+
+export function selectDimension(layerID, dimensionID) {
+  return {
+    type: SELECT_DIMENSION,
+    layerID,
+    dimensionID
+  }
+}
+
+export function selectToolDrawingDimension(dimensionType) {
+  return {
+    type: SELECT_TOOL_DRAWING_DIMENSION,
+    dimensionType
+  }
+}
+
+export function updateDrawingDimension(x, y) {
+  return {
+    type: UPDATE_DRAWING_DIMENSION,
+    x, y
+  }
+}
+
+export function addDrawingDimensionPoint(layerID, x, y) {
+  return {
+    type: ADD_DRAWING_DIMENSION_POINT,
+    layerID,
+    x, y
+  }
+}
@@ -8,6 +8,8 @@ import * as verticesActions from './vertices-actions';
 import * as itemsActions from './items-actions';
 import * as areaActions from './area-actions';
 import * as groupsActions from './groups-actions';
+import * as dimensionsActions from './dimensions-actions';
+import * as annotationsActions from './annotations-actions';
 
 export {
   projectActions,
@@ -19,7 +21,9 @@ export {
   verticesActions,
   itemsActions,
   areaActions,
-  groupsActions
+  groupsActions,
+  dimensionsActions,
+  annotationsActions
 };
 
 export default {
@@ -32,5 +36,7 @@ export default {
   verticesActions,
   itemsActions,
   areaActions,
-  groupsActions
+  groupsActions,
+  dimensionsActions,
+  annotationsActions
 };
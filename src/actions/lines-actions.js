@@ -4,6 +4,17 @@ import {
   BEGIN_DRAWING_LINE,
   UPDATE_DRAWING_LINE,
   END_DRAWING_LINE,
+  ENTER_DRAWING_LINE_POINT,
+  SELECT_TOOL_DRAWING_ROOM,
+  SET_DRAWING_ROOM_OPTIONS,
+  BEGIN_DRAWING_ROOM,
+  UPDATE_DRAWING_ROOM,
+  ADD_DRAWING_ROOM_POINT,
+  END_DRAWING_ROOM,
+  SELECT_TOOL_DRAWING_ARC,
+  BEGIN_DRAWING_ARC,
+  UPDATE_DRAWING_ARC,
+  ADD_DRAWING_ARC_POINT,
   BEGIN_DRAGGING_LINE,
   UPDATE_DRAGGING_LINE,
   END_DRAGGING_LINE
@@ -45,6 +56,82 @@ export function endDrawingLine(x, y, snapMask) {
   }
 }
 
+export function enterDrawingLinePoint(x, y) {
+  return {
+    type: ENTER_DRAWING_LINE_POINT,
+    x, y
+  }
+}
+
+export function selectToolDrawingRoom(sceneComponentType) {
+  return {
+    type: SELECT_TOOL_DRAWING_ROOM,
+    sceneComponentType
+  }
+}
+
+export function setDrawingRoomOptions(options) {
+  return {
+    type: SET_DRAWING_ROOM_OPTIONS,
+    options
+  }
+}
+
+export function beginDrawingRoom(layerID, x, y, snapMask) {
+  return {
+    type: BEGIN_DRAWING_ROOM,
+    layerID, x, y, snapMask
+  }
+}
+
+export function updateDrawingRoom(x, y, snapMask) {
+  return {
+    type: UPDATE_DRAWING_ROOM,
+    x, y, snapMask
+  }
+}
+
+export function addDrawingRoomPoint(x, y, snapMask) {
+  return {
+    type: ADD_DRAWING_ROOM_POINT,
+    x, y, snapMask
+  }
+}
+
+export function endDrawingRoom() {
+  return {
+    type: END_DRAWING_ROOM
+  }
+}
+
+export function selectToolDrawingArc(sceneComponentType) {
+  return {
+    type: SELECT_TOOL_DRAWING_ARC,
+    sceneComponentType
+  }
+}
+
+export function beginDrawingArc(layerID, x, y, snapMask) {
+  return {
+    type: BEGIN_DRAWING_ARC,
+    layerID, x, y, snapMask
+  }
+}
+
+export function updateDrawingArc(x, y, snapMask) {
+  return {
+    type: UPDATE_DRAWING_ARC,
+    x, y, snapMask
+  }
+}
+
+export function addDrawingArcPoint(x, y, snapMask) {
+  return {
+    type: ADD_DRAWING_ARC_POINT,
+    x, y, snapMask
+  }
+}
+
 export function beginDraggingLine(layerID, lineID, x, y, snapMask) {
   return {
     type: BEGIN_DRAGGING_LINE,
@@ -9,10 +9,18 @@ import {
   SET_ITEMS_ATTRIBUTES,
   SET_LINES_ATTRIBUTES,
   SET_HOLES_ATTRIBUTES,
+  SET_AREAS_ATTRIBUTES,
+  SET_ANNOTATIONS_ATTRIBUTES,
   REMOVE,
   UNDO,
+  REDO,
+  ADD_HISTORY_CHECKPOINT,
+  REMOVE_HISTORY_CHECKPOINT,
+  JUMP_TO_HISTORY_ENTRY,
   ROLLBACK,
   OPEN_PROJECT_CONFIGURATOR,
+  OPEN_ROOM_SCHEDULE,
+  OPEN_BILL_OF_MATERIALS,
   SET_PROJECT_PROPERTIES,
   INIT_CATALOG,
   UPDATE_MOUSE_COORDS,
@@ -24,6 +32,13 @@ import {
   THROW_WARNING,
   COPY_PROPERTIES,
   PASTE_PROPERTIES,
+  COPY_ELEMENTS,
+  CUT_ELEMENTS,
+  PASTE_ELEMENTS,
+  DUPLICATE_ELEMENTS,
+  BEGIN_ARRAY,
+  UPDATE_ARRAY,
+  END_ARRAY,
   PUSH_LAST_SELECTED_CATALOG_ELEMENT_TO_HISTORY,
   ALTERATE_STATE,
   SET_MODE,
@@ -35,10 +50,11 @@ import {
   REMOVE_CIRCULAR_GUIDE
 } from '../constants';
 
-export function loadProject(sceneJSON) {
+export function loadProject(sceneJSON, options) {
   return {
     type: LOAD_PROJECT,
-    sceneJSON
+    sceneJSON,
+    options
   };
 }
 
@@ -130,6 +146,20 @@ export function setHolesAttributes(holesAttributes) {
   };
 }
 
+export function setAreasAttributes(areasAttributes) {
+  return {
+    type: SET_AREAS_ATTRIBUTES,
+    areasAttributes
+  };
+}
+
+export function setAnnotationsAttributes(annotationsAttributes) {
+  return {
+    type: SET_ANNOTATIONS_ATTRIBUTES,
+    annotationsAttributes
+  };
+}
+
 export function remove() {
   return {
     type: REMOVE
@@ -142,6 +172,33 @@ export function undo() {
   };
 }
 
+export function redo() {
+  return {
+    type: REDO
+  };
+}
+
+export function addHistoryCheckpoint(name) {
+  return {
+    type: ADD_HISTORY_CHECKPOINT,
+    name
+  };
+}
+
+export function removeHistoryCheckpoint(index) {
+  return {
+    type: REMOVE_HISTORY_CHECKPOINT,
+    index
+  };
+}
+
+export function jumpToHistoryEntry(index) {
+  return {
+    type: JUMP_TO_HISTORY_ENTRY,
+    index
+  };
+}
+
 export function rollback() {
   return {
     type: ROLLBACK
@@ -154,6 +211,18 @@ export function openProjectConfigurator() {
   };
 }
 
+export function openRoomSchedule() {
+  return {
+    type: OPEN_ROOM_SCHEDULE
+  };
+}
+
+export function openBillOfMaterials() {
+  return {
+    type: OPEN_BILL_OF_MATERIALS
+  };
+}
+
 export function setProjectProperties(properties) {
   return {
     type: SET_PROJECT_PROPERTIES,
@@ -216,6 +285,52 @@ export function pasteProperties() {
   };
 }
 
+export function copyElements() {
+  return {
+    type: COPY_ELEMENTS
+  };
+}
+
+export function cutElements() {
+  return {
+    type: CUT_ELEMENTS
+  };
+}
+
+export function pasteElements(x, y) {
+  return {
+    type: PASTE_ELEMENTS,
+    x,
+    y
+  };
+}
+
+export function duplicateElements() {
+  return {
+    type: DUPLICATE_ELEMENTS
+  };
+}
+
+export function beginArray(config) {
+  return {
+    type: BEGIN_ARRAY,
+    config
+  };
+}
+
+export function updateArray(config) {
+  return {
+    type: UPDATE_ARRAY,
+    config
+  };
+}
+
+export function endArray() {
+  return {
+    type: END_ARRAY
+  };
+}
+
 export function pushLastSelectedCatalogElementToHistory( element ) {
   return {
     type: PUSH_LAST_SELECTED_CATALOG_ELEMENT_TO_HISTORY,
@@ -1,4 +1,4 @@
-import {SELECT_LAYER, ADD_LAYER, SET_LAYER_PROPERTIES, REMOVE_LAYER} from '../constants';
+import {SELECT_LAYER, ADD_LAYER, SET_LAYER_PROPERTIES, REMOVE_LAYER, SET_ELEMENT_LOCKED} from '../constants';
 
 export function selectLayer(layerID) {
   return {
@@ -28,3 +28,13 @@ export function removeLayer(layerID) {
     layerID,
   }
 }
+
+export function setElementLocked(layerID, elementPrototype, elementID, locked) {
+  return {
+    type: SET_ELEMENT_LOCKED,
+    layerID,
+    elementPrototype,
+    elementID,
+    locked
+  }
+}
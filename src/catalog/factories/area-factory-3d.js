@@ -14,6 +14,7 @@ import {
   DoubleSide
 } from 'three';
 import * as SharedStyle from '../../shared-style';
+import {facesPolygon, reverseCycle} from '../../utils/walls';
 
 /**
  * Apply a texture to a wall face
@@ -72,11 +73,7 @@ const assignUVs = (geometry) => {
 };
 
 export function createArea(element, layer, scene, textures) {
-  let vertices = [];
-
-  element.vertices.forEach(vertexID => {
-    vertices.push(layer.vertices.get(vertexID));
-  });
+  let vertices = facesPolygon(layer, element.vertices, element.lines);
 
   let textureName = element.properties.get('texture');
   let color = element.properties.get('patternColor');
@@ -97,12 +94,9 @@ export function createArea(element, layer, scene, textures) {
 
   /* Create holes for the area */
   element.holes.forEach(holeID => {
-    let holeCoords = [];
-    layer.getIn(['areas', holeID, 'vertices']).forEach(vertexID => {
-      let {x, y} = layer.getIn(['vertices', vertexID]);
-      holeCoords.push([x, y]);
-    });
-    holeCoords = holeCoords.reverse();
+    let hole = layer.getIn(['areas', holeID]);
+    let { vertices: holeVertices, lines: holeLines } = reverseCycle(hole.vertices, hole.lines);
+    let holeCoords = facesPolygon(layer, holeVertices, holeLines).map(({x, y}) => [x, y]);
     let holeShape = createShape(holeCoords);
     shape.holes.push(holeShape);
   });
@@ -2,9 +2,23 @@ import React from 'react';
 import { createArea, updatedArea } from './area-factory-3d';
 import * as SharedStyle from '../../shared-style';
 import Translator from '../../translator/translator';
+import { areaFloor } from '../../utils/walls';
+import { formatArea, formatLength } from '../../utils/units';
 
 let translator = new Translator();
 
+const STYLE_LABEL = {
+  textAnchor: 'middle',
+  fontSize: '12px',
+  fontFamily: '"Courier New", Courier, monospace',
+  pointerEvents: 'none',
+  userSelect: 'none'
+};
+
+const STYLE_LABEL_NAME = {fontWeight: 'bold'};
+
+const USAGES = ['unassigned', 'living', 'bedroom', 'kitchen', 'dining', 'bathroom', 'office', 'corridor', 'storage', 'technical', 'outdoor'];
+
 export default function AreaFactory(name, info, textures) {
 
   let areaElement = {
@@ -29,31 +43,37 @@ export default function AreaFactory(name, info, textures) {
         defaultValue: {
           length: 0,
         }
+      },
+      usage: {
+        label: translator.t('usage'),
+        type: 'enum',
+        defaultValue: 'unassigned',
+        values: USAGES.reduce((values, usage) => ({...values, [usage]: translator.t(usage)}), {})
       }
     },
     render2D: function (element, layer, scene) {
-      let path = '';
+      //name, floor area and perimeter are measured again on every render so that they follow the walls
+      let {outline, holes, area, perimeter, center} = areaFloor(layer, element);
+      let {unit, inchFraction} = scene;
 
-      ///print area path
-      element.vertices.forEach((vertexID, ind) => {
-        let vertex = layer.vertices.get(vertexID);
+      ///print area path, then its holes
+      let path = '';
+      [outline, ...holes].forEach(polygon => polygon.forEach((vertex, ind) => {
         path += (ind ? 'L' : 'M') + vertex.x + ' ' + vertex.y + ' ';
-      });
-
-      //add holes
-      element.holes.forEach(areaID => {
-        let area = layer.areas.get(areaID);
-
-        area.vertices.reverse().forEach((vertexID, ind) => {
-          let vertex = layer.vertices.get(vertexID);
-          path += (ind ? 'L' : 'M') + vertex.x + ' ' + vertex.y + ' ';
-        });
-
-      });
+      }));
 
       let fill = element.selected ? SharedStyle.AREA_MESH_COLOR.selected : element.properties.get('patternColor');
 
-      return (<path d={path} fill={fill} />);
+      return (
+        <g>
+          <path d={path} fill={fill} />
+          <text transform={`translate(${center.x} ${center.y}) scale(1, -1)`} style={STYLE_LABEL}>
+            <tspan x="0" dy="-0.8em" style={STYLE_LABEL_NAME}>{element.name}</tspan>
+            <tspan x="0" dy="1.2em">{formatArea(area, unit)}</tspan>
+            <tspan x="0" dy="1.2em">{formatLength(perimeter, unit, 2, inchFraction)}</tspan>
+          </text>
+        </g>
+      );
     },
 
     render3D: function (element, layer, scene) {
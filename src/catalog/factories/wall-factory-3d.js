@@ -4,12 +4,15 @@ import {
   RepeatWrapping,
   Vector2,
   BoxGeometry,
+  ExtrudeGeometry,
+  Shape,
   MeshBasicMaterial,
   Group
 } from 'three';
 
 import ThreeBSP from '../../utils/threeCSG.es6';
 import {verticesDistance} from '../../utils/geometry';
+import {wallCenterOffset, wallOutline, wallFramePoint, wallArc} from '../../utils/walls';
 import * as SharedStyle from '../../shared-style';
 
 const halfPI = Math.PI / 2;
@@ -64,39 +67,51 @@ export function buildWall(element, layer, scene, textures)
   let faceDistance = 1;
 
   let distance = verticesDistance( vertex0, vertex1 );
-  let halfDistance = distance / 2;
+
+  // The soul is the outline of the wall, joined to the walls it meets, raised to the wall height
+  let outline = new Shape();
+  wallOutline(layer, element).points.forEach(({x, y}, index) => index ? outline.lineTo(x, y) : outline.moveTo(x, y));
+
+  let soulGeometry = new ExtrudeGeometry(outline, {depth: height, bevelEnabled: false});
+  soulGeometry.rotateX(-halfPI);
 
   let soulMaterial = new MeshBasicMaterial( {color: ( element.selected ? SharedStyle.MESH_SELECTED : 0xD3D3D3 )} );
-  let soul = new Mesh( new BoxGeometry(distance, height, thickness), soulMaterial );
+  let soul = new Mesh( soulGeometry, soulMaterial );
 
   let alpha = Math.asin((vertex1.y - vertex0.y) / (distance));
 
   let sinAlpha = Math.sin(alpha);
   let cosAlpha = Math.cos(alpha);
 
-  soul.position.y += height / 2;
-  soul.position.x += halfDistance * cosAlpha;
-  soul.position.z -= halfDistance * sinAlpha;
-
   soul.rotation.y = alpha;
 
+  // A justified wall stands beside its line, on its left when the wall is not inverted
+  let centerOffset = wallCenterOffset(element) * (inverted ? -1 : 1);
+  let arc = wallArc(vertex0, vertex1, element.bulge);
+
   element.holes.forEach( holeID => {
     let holeData = layer.holes.get(holeID);
 
     let holeWidth = holeData.properties.getIn(['width', 'length']);
     let holeHeight = holeData.properties.getIn(['height', 'length']);
     let holeAltitude = holeData.properties.getIn(['altitude', 'length']);
-    let offset = inverted ? 1 - holeData.offset : holeData.offset;
-    let holeDistance = offset * distance;
 
-    let holeGeometry = new BoxGeometry( holeWidth, holeHeight, thickness );
+    // The hole is cut across the middle of the wall, turned along it when the wall is curved
+    let {x: along, y: across, angle} = wallFramePoint(layer, element, holeData.offset);
+    along -= centerOffset * Math.sin(angle);
+    across += centerOffset * (Math.cos(angle) - 1);
+
+    // Along an arc the wall bends away from the ends of the hole, the cut goes that much deeper
+    let bend = arc ? arc.radius - Math.sqrt(Math.max(0, arc.radius * arc.radius - holeWidth * holeWidth / 4)) : 0;
+
+    let holeGeometry = new BoxGeometry( holeWidth, holeHeight, thickness + 2 * bend );
     let holeMesh = new Mesh( holeGeometry );
 
     holeMesh.position.y += holeHeight / 2 + holeAltitude;
-    holeMesh.position.x += holeDistance * cosAlpha;
-    holeMesh.position.z -= holeDistance * sinAlpha;
+    holeMesh.position.x += along * cosAlpha - across * sinAlpha;
+    holeMesh.position.z -= along * sinAlpha + across * cosAlpha;
 
-    holeMesh.rotation.y = alpha;
+    holeMesh.rotation.y = alpha + angle;
 
     let wallBSP = new ThreeBSP( soul );
     let holeBSP = new ThreeBSP( holeMesh );
@@ -110,8 +125,9 @@ export function buildWall(element, layer, scene, textures)
   let frontMaterial = new MeshBasicMaterial();
   let backMaterial = new MeshBasicMaterial();
 
-  applyTexture(frontMaterial, textures[element.properties.get('textureB')], distance, height);
-  applyTexture(backMaterial, textures[element.properties.get('textureA')], distance, height);
+  // The extruded faces are mapped in scene units rather than stretched over the wall
+  applyTexture(frontMaterial, textures[element.properties.get('textureB')], 1, 1);
+  applyTexture(backMaterial, textures[element.properties.get('textureA')], 1, 1);
 
   let scaleFactor = faceThickness / thickness;
   let texturedFaceDistance = halfThickness + faceDistance;
@@ -133,6 +149,10 @@ export function buildWall(element, layer, scene, textures)
   let merged = new Group();
   merged.add( soul, frontFace, backFace );
 
+  // Move a justified wall beside its line
+  merged.position.x -= centerOffset * sinAlpha;
+  merged.position.z -= centerOffset * cosAlpha;
+
   return Promise.resolve( merged );
 }
 
@@ -140,35 +160,11 @@ export function updatedWall( element, layer, scene, textures, mesh, oldElement,
   let noPerf = () => { selfDestroy(); return selfBuild(); };
 
   let soul = mesh.getObjectByName('soul');
-  let frontFace = mesh.getObjectByName('frontFace');
-  let backFace = mesh.getObjectByName('backFace');
 
   if( differences[0] == 'selected' ) {
     soul.material = new MeshBasicMaterial( {color: ( element.selected ? SharedStyle.MESH_SELECTED : 0xD3D3D3 )} );
   }
-  else if( differences[0] == 'properties' ){
-
-    if( differences[1] == 'thickness' ){
-      let newThickness = element.getIn(['properties', 'thickness', 'length']);
-      let oldThickness = oldElement.getIn(['properties', 'thickness', 'length']);
-      let halfNewThickness = newThickness / 2;
-      let texturedFaceDistance = halfNewThickness + 1;
-      let originalThickness = oldThickness / soul.scale.z;
-      let alpha = soul.rotation.y;
-
-      let xTemp = texturedFaceDistance * Math.cos(alpha - ( halfPI ) );
-      let zTemp = texturedFaceDistance * Math.sin(alpha - ( halfPI ) );
-
-      soul.scale.set( 1, 1, ( newThickness / originalThickness ) );
-
-      frontFace.position.x = soul.position.x + ( xTemp );
-      frontFace.position.z = soul.position.z + ( zTemp );
-
-      backFace.position.x = soul.position.x - ( xTemp );
-      backFace.position.z = soul.position.z - ( zTemp );
-    }
-    else return noPerf();
-  }
+  // Any other change may move the joins with the neighbouring walls, the wall is built again
   else return noPerf();
 
   return Promise.resolve(mesh);
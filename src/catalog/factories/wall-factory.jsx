@@ -2,13 +2,15 @@ import React from 'react';
 import { buildWall, updatedWall } from './wall-factory-3d';
 import * as SharedStyle from '../../shared-style';
 import * as Geometry from '../../utils/geometry';
+import { wallOutline } from '../../utils/walls';
 import Translator from '../../translator/translator';
 
 const epsilon = 20;
 const STYLE_TEXT = { textAnchor: 'middle' };
 const STYLE_LINE = { stroke: SharedStyle.LINE_MESH_COLOR.selected };
-const STYLE_RECT = { strokeWidth: 1, stroke: SharedStyle.LINE_MESH_COLOR.unselected, fill: 'url(#diagonalFill)' };
-const STYLE_RECT_SELECTED = { ...STYLE_RECT, stroke: SharedStyle.LINE_MESH_COLOR.selected };
+const STYLE_FILL = { stroke: 'none', fill: 'url(#diagonalFill)' };
+const STYLE_BORDER = { strokeWidth: 1, stroke: SharedStyle.LINE_MESH_COLOR.unselected, fill: 'none' };
+const STYLE_BORDER_SELECTED = { ...STYLE_BORDER, stroke: SharedStyle.LINE_MESH_COLOR.selected };
 
 let translator = new Translator();
 
@@ -49,14 +51,26 @@ export default function WallFactory(name, info, textures) {
       let extra_epsilon = 5;
       let textDistance = half_thickness + epsilon + extra_epsilon;
 
+      //joined ends are not outlined, so walls meeting at a vertex look like a single piece
+      let { points, borders } = wallOutline(layer, element);
+      let outline = (
+        <g>
+          <polygon points={points.map(({ x, y }) => `${x},${y}`).join(' ')} style={STYLE_FILL} />
+          <path
+            d={borders.map(border => border.map(({ x, y }, index) => `${index ? 'L' : 'M'}${x} ${y}`).join('')).join('')}
+            style={element.selected ? STYLE_BORDER_SELECTED : STYLE_BORDER}
+          />
+        </g>
+      );
+
       return (element.selected) ?
         <g>
-          <rect x="0" y={-half_thickness} width={length} height={thickness} style={STYLE_RECT_SELECTED} />
+          {outline}
           <line x1={length_5} y1={-half_thickness_eps} x2={length_5} y2={half_thickness_eps} style={STYLE_LINE} />
           <text x={length_5} y={textDistance + char_height} style={STYLE_TEXT}>A</text>
           <text x={length_5} y={-textDistance} style={STYLE_TEXT}>B</text>
         </g> :
-        <rect x="0" y={-half_thickness} width={length} height={thickness} style={STYLE_RECT} />
+        outline
     },
 
     render3D: function (element, layer, scene) {
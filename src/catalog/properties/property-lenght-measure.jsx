@@ -1,8 +1,8 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import {UNITS_LENGTH, UNIT_CENTIMETER} from './../../constants';
-import convert from 'convert-units';
-import { FormLabel, FormNumberInput, FormSelect } from '../../components/style/export';
+import {UNITS_LENGTH, UNIT_CENTIMETER, UNIT_FEET_INCHES} from './../../constants';
+import {fromStorageUnit, toStorageUnit} from '../../utils/units';
+import { FormLabel, FormNumberInput, FormFeetInchesInput, FormSelect } from '../../components/style/export';
 import {Map} from 'immutable';
 import {toFixedFloat} from '../../utils/math';
 import PropertyStyle from './shared-property-style';
@@ -14,15 +14,15 @@ const unitContainerStyle = {width: '5em'};
 export default function PropertyLengthMeasure({value, onUpdate, onValid, configs, sourceElement, internalState, state}, {catalog}) {
 
   let length = value.get('length') || 0;
-  let _length = value.get('_length') || length;
-  let _unit = value.get('_unit') || UNIT_CENTIMETER;
+  let _unit = value.get('_unit') || state.getIn(['scene', 'unit']);
+  let _length = value.has('_unit') && value.has('_length') ? value.get('_length') : toFixedFloat(fromStorageUnit(length, _unit, catalog.unit), 2);
   let { hook, label, ...configRest} = configs;
 
   let update = (lengthInput, unitInput) => {
 
     let newLength = toFixedFloat(lengthInput);
     let merged = value.merge({
-      length: unitInput !== UNIT_CENTIMETER ? convert(newLength).from(unitInput).to(UNIT_CENTIMETER) : newLength,
+      length: toStorageUnit(newLength, unitInput, catalog.unit),
       _length: lengthInput,
       _unit: unitInput
     });
@@ -46,12 +46,22 @@ export default function PropertyLengthMeasure({value, onUpdate, onValid, configs
             <tbody>
             <tr>
               <td>
-                <FormNumberInput
-                  value={_length}
-                  onChange={event => update(event.target.value, _unit)}
-                  onValid={onValid}
-                  {...configRest}
-                />
+                {
+                  _unit === UNIT_FEET_INCHES ?
+                    <FormFeetInchesInput
+                      value={fromStorageUnit(length, UNIT_CENTIMETER, catalog.unit)}
+                      onChange={event => update(fromStorageUnit(event.target.value, UNIT_FEET_INCHES), _unit)}
+                      onValid={onValid}
+                      inchFraction={state.getIn(['scene', 'inchFraction'])}
+                      placeholder={`12' 6 1/2"`}
+                    /> :
+                    <FormNumberInput
+                      value={_length}
+                      onChange={event => update(event.target.value, _unit)}
+                      onValid={onValid}
+                      {...configRest}
+                    />
+                }
               </td>
               <td style={unitContainerStyle}>
                 <FormSelect value={_unit} onChange={event => update(_length, event.target.value) }>
@@ -0,0 +1,196 @@
+import { Map, fromJS } from 'immutable';
+import { Layer } from './export';
+import { Annotation as AnnotationModel } from '../models';
+import {
+  IDBroker,
+  NameGenerator,
+  GeometryUtils,
+  LockUtils
+} from '../utils/export';
+import {
+  MODE_IDLE,
+  MODE_WAITING_DRAWING_ANNOTATION,
+  MODE_DRAWING_ANNOTATION,
+  MODE_DRAGGING_ANNOTATION,
+  ANNOTATION_TEXT,
+  ANNOTATION_CLOUD,
+  ANNOTATION_CLOSING_DISTANCE
+} from '../constants';
+
+//a cloud surrounds a region, the other annotations need at least a segment
+const minPoints = type => type === ANNOTATION_CLOUD ? 3 : 2;
+
+class Annotation {
+
+  static create( state, layerID, type, points, attributes ) {
+    let annotationID = IDBroker.acquireID();
+
+    let annotation = new AnnotationModel({
+      ...attributes,
+      id: annotationID,
+      name: NameGenerator.generateName('annotations', type),
+      type,
+      points
+    });
+
+    state = state.setIn(['scene', 'layers', layerID, 'annotations', annotationID], annotation);
+
+    return { updatedState: state, annotation };
+  }
+
+  static select( state, layerID, annotationID ) {
+    state = Layer.select( state, layerID ).updatedState;
+    state = Layer.selectElement( state, layerID, 'annotations', annotationID ).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static unselect( state, layerID, annotationID ) {
+    state = Layer.unselect( state, layerID, 'annotations', annotationID ).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static remove( state, layerID, annotationID ) {
+    state = this.unselect( state, layerID, annotationID ).updatedState;
+    state = Layer.removeElement( state, layerID, 'annotations', annotationID ).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static selectToolDrawingAnnotation( state, annotationType ) {
+    //an annotation being drawn is dropped when the tool changes
+    if( state.mode === MODE_DRAWING_ANNOTATION ) state = state.set('scene', state.sceneHistory.last);
+
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_ANNOTATION,
+      drawingSupport: new Map({
+        type: annotationType
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  //a text is placed by a click. Other annotations get a point per click while their last point follows the cursor:
+  //a click on the first point closes a cloud, a click on the last placed point ends an arrow or a polyline
+  static addDrawingAnnotationPoint( state, layerID, x, y ) {
+    let { drawingSupport } = state;
+    let type = drawingSupport.get('type');
+
+    if( state.mode === MODE_WAITING_DRAWING_ANNOTATION ) {
+      let points = fromJS(type === ANNOTATION_TEXT ? [{x, y}] : [{x, y}, {x, y}]);
+      let text = type === ANNOTATION_TEXT ? 'Text' : '';
+
+      let { updatedState, annotation } = this.create( state, layerID, type, points, { text } );
+      state = Layer.unselectAll( updatedState, layerID ).updatedState;
+      state = this.select( state, layerID, annotation.id ).updatedState;
+
+      if( type === ANNOTATION_TEXT ) return { updatedState: state.set('mode', MODE_IDLE) };
+
+      state = state.merge({
+        mode: MODE_DRAWING_ANNOTATION,
+        drawingSupport: drawingSupport.merge({ layerID, annotationID: annotation.id })
+      });
+
+      return { updatedState: state };
+    }
+
+    layerID = drawingSupport.get('layerID');
+    let annotationID = drawingSupport.get('annotationID');
+    let points = state.getIn(['scene', 'layers', layerID, 'annotations', annotationID, 'points']).pop();
+    let closingDistance = ANNOTATION_CLOSING_DISTANCE / (state.zoom || 1);
+    let near = point => GeometryUtils.pointsDistance(point.get('x'), point.get('y'), x, y) <= closingDistance;
+
+    let closing = type === ANNOTATION_CLOUD ? near(points.first()) : near(points.last());
+    if( closing && points.size >= minPoints(type) ) return this.endDrawingAnnotation( state );
+    if( closing || near(points.last()) ) return { updatedState: state };
+
+    let point = new Map({x, y});
+    state = state.updateIn(['scene', 'layers', layerID, 'annotations', annotationID, 'points'], points => points.set(points.size - 1, point).push(point));
+
+    return { updatedState: state };
+  }
+
+  static updateDrawingAnnotation( state, x, y ) {
+    let layerID = state.getIn(['drawingSupport', 'layerID']);
+    let annotationID = state.getIn(['drawingSupport', 'annotationID']);
+    if( !annotationID ) return { updatedState: state };
+
+    state = state.updateIn(['scene', 'layers', layerID, 'annotations', annotationID, 'points'], points => points.set(points.size - 1, new Map({x, y})));
+
+    return { updatedState: state };
+  }
+
+  static endDrawingAnnotation( state ) {
+    let layerID = state.getIn(['drawingSupport', 'layerID']);
+    let annotationID = state.getIn(['drawingSupport', 'annotationID']);
+
+    //the point following the cursor is not part of the annotation
+    state = state.updateIn(['scene', 'layers', layerID, 'annotations', annotationID, 'points'], points => points.pop());
+
+    state = state.merge({
+      mode: MODE_IDLE,
+      drawingSupport: new Map()
+    });
+
+    return { updatedState: state };
+  }
+
+  static beginDraggingAnnotation( state, layerID, annotationID, x, y ) {
+
+    if (LockUtils.isLocked(state.scene, layerID, 'annotations', annotationID)) return { updatedState: state };
+
+    let annotation = state.getIn(['scene', 'layers', layerID, 'annotations', annotationID]);
+
+    state = state.merge({
+      mode: MODE_DRAGGING_ANNOTATION,
+      draggingSupport: Map({
+        layerID,
+        annotationID,
+        startPointX: x,
+        startPointY: y,
+        originalPoints: annotation.points
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static updateDraggingAnnotation( state, x, y ) {
+    let { draggingSupport, scene } = state;
+
+    let layerID = draggingSupport.get('layerID');
+    let annotationID = draggingSupport.get('annotationID');
+    let diffX = x - draggingSupport.get('startPointX');
+    let diffY = y - draggingSupport.get('startPointY');
+
+    let points = draggingSupport.get('originalPoints').map(point => new Map({
+      x: point.get('x') + diffX,
+      y: point.get('y') + diffY
+    }));
+
+    state = state.merge({
+      scene: scene.setIn(['layers', layerID, 'annotations', annotationID, 'points'], points)
+    });
+
+    return { updatedState: state };
+  }
+
+  static endDraggingAnnotation( state, x, y ) {
+    state = this.updateDraggingAnnotation( state, x, y ).updatedState;
+    state = state.merge({ mode: MODE_IDLE });
+
+    return { updatedState: state };
+  }
+
+  static setAttributes( state, layerID, annotationID, annotationAttributes ) {
+    annotationAttributes = LockUtils.editableAttributes( state.scene, layerID, 'annotations', annotationID, annotationAttributes );
+    state = state.mergeIn(['scene', 'layers', layerID, 'annotations', annotationID], annotationAttributes);
+
+    return { updatedState: state };
+  }
+
+}
+
+export { Annotation as default };
@@ -85,7 +85,11 @@ class Area{
     return this.updateProperties( state, layerID, areaID, fromJS(properties) );
   }
 
-  static setAttributes( state ) {
+  //floor area and perimeter are measured from the walls, only the name is kept
+  static setAttributes( state, layerID, areaID, areaAttributes ) {
+    if( areaAttributes.has('name') )
+      state = state.setIn(['scene', 'layers', layerID, 'areas', areaID, 'name'], areaAttributes.get('name'));
+
     return { updatedState: state };
   }
 
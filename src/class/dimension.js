@@ -0,0 +1,142 @@
+import { Map, List } from 'immutable';
+import { Layer, Vertex } from './export';
+import { Dimension as DimensionModel } from '../models';
+import {
+  IDBroker,
+  NameGenerator,
+  DimensionUtils
+} from '../utils/export';
+import {
+  MODE_WAITING_DRAWING_DIMENSION,
+  MODE_DRAWING_DIMENSION,
+  DIMENSION_ANGULAR,
+  DIMENSION_PICK_DISTANCE
+} from '../constants';
+
+//an angle is measured between three vertices, a distance between two
+const pointsCount = type => type === DIMENSION_ANGULAR ? 3 : 2;
+
+class Dimension {
+
+  static create( state, layerID, type, vertexIDs, offset ) {
+    let dimensionID = IDBroker.acquireID();
+
+    let dimension = new DimensionModel({
+      id: dimensionID,
+      name: NameGenerator.generateName('dimensions', type),
+      type,
+      vertices: new List(vertexIDs),
+      offset
+    });
+
+    state = state.setIn(['scene', 'layers', layerID, 'dimensions', dimensionID], dimension);
+    vertexIDs.forEach(vertexID => { state = Vertex.addElement( state, layerID, vertexID, 'dimensions', dimensionID ).updatedState; });
+
+    return { updatedState: state, dimension };
+  }
+
+  static select( state, layerID, dimensionID ) {
+    state = Layer.select( state, layerID ).updatedState;
+    state = Layer.selectElement( state, layerID, 'dimensions', dimensionID ).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static unselect( state, layerID, dimensionID ) {
+    state = Layer.unselect( state, layerID, 'dimensions', dimensionID ).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static remove( state, layerID, dimensionID ) {
+    let dimension = state.getIn(['scene', 'layers', layerID, 'dimensions', dimensionID]);
+
+    if( dimension ) {
+      state = this.unselect( state, layerID, dimensionID ).updatedState;
+      state = Layer.removeElement( state, layerID, 'dimensions', dimensionID ).updatedState;
+
+      dimension.vertices.forEach(vertexID => { state = Vertex.remove( state, layerID, vertexID, 'dimensions', dimensionID ).updatedState; });
+    }
+
+    return { updatedState: state };
+  }
+
+  static selectToolDrawingDimension( state, dimensionType ) {
+    //a dimension being placed is dropped when the tool changes
+    if( state.mode === MODE_DRAWING_DIMENSION ) state = state.set('scene', state.sceneHistory.last);
+
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_DIMENSION,
+      drawingSupport: new Map({
+        type: dimensionType,
+        vertices: new List()
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  //the vertices measured are picked one by one, then the dimension follows the cursor until a last click places it
+  static addDrawingDimensionPoint( state, layerID, x, y ) {
+    let { drawingSupport } = state;
+
+    if( drawingSupport.get('dimensionID') ) return this.endDrawingDimension( state, x, y );
+
+    layerID = drawingSupport.get('layerID') || layerID;
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    let vertex = DimensionUtils.pickVertex( layer, x, y, DIMENSION_PICK_DISTANCE / (state.zoom || 1) );
+    let vertices = drawingSupport.get('vertices');
+
+    if( !vertex || vertices.last() === vertex.id ) return { updatedState: state };
+
+    vertices = vertices.push(vertex.id);
+    drawingSupport = drawingSupport.merge({ layerID, vertices });
+
+    state = state.merge({ mode: MODE_DRAWING_DIMENSION, drawingSupport });
+
+    if( vertices.size === pointsCount(drawingSupport.get('type')) ) {
+      let { updatedState, dimension } = this.create( state, layerID, drawingSupport.get('type'), vertices.toArray(), 0 );
+      state = Layer.unselectAll( updatedState, layerID ).updatedState;
+      state = this.select( state, layerID, dimension.id ).updatedState;
+      state = state.setIn(['drawingSupport', 'dimensionID'], dimension.id);
+
+      return this.updateDrawingDimension( state, x, y );
+    }
+
+    return { updatedState: state };
+  }
+
+  static updateDrawingDimension( state, x, y ) {
+    let layerID = state.getIn(['drawingSupport', 'layerID']);
+    let dimensionID = state.getIn(['drawingSupport', 'dimensionID']);
+    if( !dimensionID ) return { updatedState: state };
+
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    let dimension = layer.dimensions.get(dimensionID);
+    let points = dimension.vertices.map(vertexID => layer.vertices.get(vertexID)).toArray();
+
+    state = state.setIn(['scene', 'layers', layerID, 'dimensions', dimensionID, 'offset'], DimensionUtils.dimensionOffsetAt( dimension.type, points, x, y ));
+
+    return { updatedState: state };
+  }
+
+  static endDrawingDimension( state, x, y ) {
+    let layerID = state.getIn(['drawingSupport', 'layerID']);
+
+    state = this.updateDrawingDimension( state, x, y ).updatedState;
+    state = Layer.unselectAll( state, layerID ).updatedState;
+
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_DIMENSION,
+      drawingSupport: new Map({
+        type: state.getIn(['drawingSupport', 'type']),
+        vertices: new List()
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+}
+
+export { Dimension as default };
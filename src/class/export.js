@@ -6,6 +6,8 @@ import Hole from './hole';
 import Vertex from './vertex';
 import Area from './area';
 import Item from './item';
+import Dimension from './dimension';
+import Annotation from './annotation';
 import { HorizontalGuide, VerticalGuide } from './guide';
 
 export {
@@ -17,6 +19,8 @@ export {
   Vertex,
   Area,
   Item,
+  Dimension,
+  Annotation,
   HorizontalGuide,
   VerticalGuide
 };
@@ -30,6 +34,8 @@ export default {
   Vertex,
   Area,
   Item,
+  Dimension,
+  Annotation,
   HorizontalGuide,
   VerticalGuide
 };
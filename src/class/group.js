@@ -9,7 +9,7 @@ import {
 } from './export';
 import { Map, List } from 'immutable';
 import { Group as GroupModel } from '../models';
-import { IDBroker, MathUtils, GeometryUtils } from '../utils/export';
+import { IDBroker, MathUtils, GeometryUtils, LockUtils } from '../utils/export';
 
 class Group{
 
@@ -200,12 +200,16 @@ class Group{
   }
 
   static remove( state, groupID ) {
+    if( state.getIn(['scene', 'groups', groupID, 'locked']) ) return { updatedState: state };
+
     state = state.removeIn(['scene', 'groups', groupID]);
 
     return { updatedState : state };
   }
 
   static removeAndDeleteElements( state, groupID ) {
+    if( LockUtils.isGroupLocked( state.scene, groupID ) ) return { updatedState: state };
+
     let layerList = state.getIn([ 'scene', 'groups', groupID, 'elements' ]);
 
     layerList.entrySeq().forEach( ([groupLayerID, groupLayerElements]) => {
@@ -235,6 +239,8 @@ class Group{
   }
 
   static translate( state, groupID, x, y ) {
+    if( LockUtils.isGroupLocked( state.scene, groupID ) ) return { updatedState: state };
+
     let deltaX = x - state.getIn(['scene', 'groups', groupID, 'x']);
     let deltaY = y - state.getIn(['scene', 'groups', groupID, 'y']);
 
@@ -289,7 +295,7 @@ class Group{
   }
 
   static rotate( state, groupID, newAlpha ) {
-
+    if( LockUtils.isGroupLocked( state.scene, groupID ) ) return { updatedState: state };
 
     let { x: barX, y: barY, rotation } = state.getIn(['scene', 'groups', groupID]);
 
@@ -7,6 +7,7 @@ import {
 } from '../utils/export';
 
 import {
+  SnapIndex,
   nearestSnap,
   addLineSegmentSnap,
 } from '../utils/snap';
@@ -18,9 +19,18 @@ import {
 } from '../constants';
 
 import {
-  GeometryUtils
+  GeometryUtils,
+  LockUtils,
+  WallUtils,
+  SnapItemsUtils
 } from '../utils/export';
 
+//along a curved wall a hole slides on the arc, kept whole within it
+const arcOffset = (layer, line, x, y, width) => {
+  let margin = Math.min(0.5, width / 2 / WallUtils.wallLength(layer, line));
+  return Math.min(1 - margin, Math.max(margin, WallUtils.wallOffsetAt(layer, line, x, y)));
+};
+
 class Hole {
 
   static create(state, layerID, type, lineID, offset, properties) {
@@ -72,16 +82,16 @@ class Hole {
 
   static selectToolDrawingHole(state, sceneComponentType) {
 
-    let snapElements = (new List()).withMutations(snapElements => {
-      let {lines, vertices} = state.getIn(['scene', 'layers', state.scene.selectedLayer]);
+    let layer = state.getIn(['scene', 'layers', state.scene.selectedLayer]);
 
-      lines.forEach(line => {
-        let {x: x1, y: y1} = vertices.get(line.vertices.get(0));
-        let {x: x2, y: y2} = vertices.get(line.vertices.get(1));
+    let snapElements = layer.lines.reduce((snapElements, line) => {
+      let path = WallUtils.wallPath(layer, line);
 
-        addLineSegmentSnap(snapElements, x1, y1, x2, y2, 20, 1, line.id);
-      });
-    });
+      return path.slice(1).reduce(
+        (snapElements, {x, y}, index) => addLineSegmentSnap(snapElements, path[index].x, path[index].y, x, y, 20, 1, line.id),
+        snapElements
+      );
+    }, new SnapIndex());
 
     state = state.merge({
       mode: MODE_DRAWING_HOLE,
@@ -163,6 +173,11 @@ class Hole {
         }
       }
 
+      let layer = state.getIn(['scene', 'layers', layerID]);
+      let line = layer.getIn(['lines', lineID]);
+      if (line.bulge) offset = arcOffset(layer, line, x, y, width);
+      offset = SnapItemsUtils.snapHoleOffset(layer, line, offset, width, state.scene.unit, state.snapMask);
+
       //if hole does exist, update
       if (selectedHole && snap) {
         state = state.mergeIn(['scene', 'layers', layerID, 'holes', selectedHole], {offset, line: lineID});
@@ -205,13 +220,17 @@ class Hole {
   }
 
   static beginDraggingHole(state, layerID, holeID, x, y) {
+    if (LockUtils.isLocked(state.scene, layerID, 'holes', holeID)) return { updatedState: state };
+
     let layer = state.getIn(['scene', 'layers', layerID]);
     let hole = layer.getIn(['holes', holeID]);
     let line = layer.getIn(['lines', hole.line]);
-    let v0 = layer.getIn(['vertices', line.vertices.get(0)]);
-    let v1 = layer.getIn(['vertices', line.vertices.get(1)]);
 
-    let snapElements = addLineSegmentSnap(List(), v0.x, v0.y, v1.x, v1.y, 9999999, 1, null);
+    let path = WallUtils.wallPath(layer, line);
+    let snapElements = path.slice(1).reduce(
+      (snapElements, {x, y}, index) => addLineSegmentSnap(snapElements, path[index].x, path[index].y, x, y, 9999999, 1, null),
+      new SnapIndex()
+    );
 
     state = state.merge({
       mode: MODE_DRAGGING_HOLE,
@@ -327,6 +346,9 @@ class Hole {
       }
     }
 
+    if (line.bulge) offset = arcOffset(layer, line, x, y, width);
+    offset = SnapItemsUtils.snapHoleOffset(layer, line, offset, width, scene.unit, state.snapMask);
+
     hole = hole.set('offset', offset);
 
     state = state.merge({
@@ -368,18 +390,20 @@ class Hole {
 
   static setAttributes(state, layerID, holeID, holesAttributes) {
 
-    let hAttr = holesAttributes.toJS();
+    //a locked hole stays where it is along its line
+    let hAttr = LockUtils.editableAttributes(state.scene, layerID, 'holes', holeID, holesAttributes).toJS();
     let {offsetA, offsetB, offset} = hAttr;
 
     delete hAttr['offsetA'];
     delete hAttr['offsetB'];
     delete hAttr['offset'];
 
-    let misc = new Map({_unitA: offsetA._unit, _unitB: offsetB._unit});
+    state = state.mergeIn(['scene', 'layers', layerID, 'holes', holeID], fromJS(hAttr));
 
-    state = state
-      .mergeIn(['scene', 'layers', layerID, 'holes', holeID], fromJS(hAttr))
-      .mergeDeepIn(['scene', 'layers', layerID, 'holes', holeID], new Map({offset, misc}));
+    if (offset !== undefined) {
+      let misc = new Map({_unitA: offsetA._unit, _unitB: offsetB._unit});
+      state = state.mergeDeepIn(['scene', 'layers', layerID, 'holes', holeID], new Map({offset, misc}));
+    }
 
     return {updatedState: state};
   }
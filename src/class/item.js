@@ -1,7 +1,9 @@
 import { Layer, Group } from './export';
 import {
   IDBroker,
-  NameGenerator
+  NameGenerator,
+  LockUtils,
+  SnapItemsUtils
 } from '../utils/export';
 import { Map, fromJS } from 'immutable';
 
@@ -67,15 +69,16 @@ class Item{
   }
 
   static updateDrawingItem(state, layerID, x, y) {
-    if (state.hasIn(['drawingSupport','currentID'])) {
-      state = state.updateIn(['scene', 'layers', layerID, 'items', state.getIn(['drawingSupport','currentID'])], item => item.merge({x, y}));
-    }
-    else {
+    if (!state.hasIn(['drawingSupport','currentID'])) {
       let { updatedState: stateI, item } = this.create( state, layerID, state.getIn(['drawingSupport','type']), x, y, 200, 100, 0);
       state = Item.select( stateI, layerID, item.id ).updatedState;
       state = state.setIn(['drawingSupport','currentID'], item.id);
     }
 
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    state = state.updateIn(['scene', 'layers', layerID, 'items', state.getIn(['drawingSupport','currentID'])],
+      item => item.merge(SnapItemsUtils.snapItem(layer, item, x, y, 0, state.snapMask)));
+
     return { updatedState: state };
   }
 
@@ -94,6 +97,8 @@ class Item{
 
   static beginDraggingItem(state, layerID, itemID, x, y) {
 
+    if (LockUtils.isLocked(state.scene, layerID, 'items', itemID)) return { updatedState: state };
+
     let item = state.getIn(['scene', 'layers', layerID, 'items', itemID]);
 
     state = state.merge({
@@ -104,7 +109,8 @@ class Item{
         startPointX: x,
         startPointY: y,
         originalX: item.x,
-        originalY: item.y
+        originalY: item.y,
+        originalRotation: item.rotation
       })
     });
 
@@ -120,15 +126,13 @@ class Item{
     let startPointY = draggingSupport.get('startPointY');
     let originalX = draggingSupport.get('originalX');
     let originalY = draggingSupport.get('originalY');
+    let originalRotation = draggingSupport.get('originalRotation');
 
     let diffX = startPointX - x;
     let diffY = startPointY - y;
 
     let item = scene.getIn(['layers', layerID, 'items', itemID]);
-    item = item.merge({
-      x: originalX - diffX,
-      y: originalY - diffY
-    });
+    item = item.merge(SnapItemsUtils.snapItem(scene.getIn(['layers', layerID]), item, originalX - diffX, originalY - diffY, originalRotation, state.snapMask));
 
     state = state.merge({
       scene: scene.mergeIn(['layers', layerID, 'items', itemID], item)
@@ -145,6 +149,9 @@ class Item{
   }
 
   static beginRotatingItem(state, layerID, itemID, x, y) {
+
+    if (LockUtils.isLocked(state.scene, layerID, 'items', itemID)) return { updatedState: state };
+
     state = state.merge({
       mode: MODE_ROTATING_ITEM,
       rotatingSupport: Map({
@@ -215,6 +222,7 @@ class Item{
   }
 
   static setAttributes( state, layerID, itemID, itemAttributes) {
+    itemAttributes = LockUtils.editableAttributes( state.scene, layerID, 'items', itemID, itemAttributes );
     state = state.mergeIn(['scene', 'layers', layerID, 'items', itemID], itemAttributes);
     return { updatedState: state };
   }
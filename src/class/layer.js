@@ -1,11 +1,13 @@
 import { List } from 'immutable';
-import { Project, Area, Line, Hole, Item, Vertex } from './export';
+import { Project, Area, Line, Hole, Item, Vertex, Dimension, Annotation } from './export';
 import {
   GraphInnerCycles,
   GeometryUtils,
-  IDBroker
+  IDBroker,
+  WallUtils
 } from '../utils/export';
 import { Layer as LayerModel } from '../models';
+import { EPSILON } from '../constants';
 
 const sameSet = (set1, set2) => set1.size === set2.size && set1.isSuperset(set2) && set1.isSubset(set2);
 
@@ -45,12 +47,14 @@ class Layer{
   }
 
   static unselectAll( state, layerID ) {
-    let { lines, holes, items, areas } = state.getIn(['scene', 'layers', layerID]);
+    let { lines, holes, items, areas, dimensions, annotations } = state.getIn(['scene', 'layers', layerID]);
 
     if( lines ) lines.forEach( line => { state = Line.unselect( state, layerID, line.id ).updatedState; });
     if( holes ) holes.forEach( hole => { state = Hole.unselect( state, layerID, hole.id ).updatedState; });
     if( items ) items.forEach( item => { state = Item.unselect( state, layerID, item.id ).updatedState; });
     if( areas ) areas.forEach( area => { state = Area.unselect( state, layerID, area.id ).updatedState; });
+    if( dimensions ) dimensions.forEach( dimension => { state = Dimension.unselect( state, layerID, dimension.id ).updatedState; });
+    if( annotations ) annotations.forEach( annotation => { state = Annotation.unselect( state, layerID, annotation.id ).updatedState; });
 
     return { updatedState: state };
   }
@@ -82,63 +86,108 @@ class Layer{
   static detectAndUpdateAreas( state, layerID ) {
 
     let verticesArray = [];           //array with vertices coords
-    let linesArray;                   //array with edges
+    let linesArray = [];              //array with edges
 
     let vertexID_to_verticesArrayIndex = {};
     let verticesArrayIndex_to_vertexID = {};
 
-    state.getIn(['scene', 'layers', layerID, 'vertices']).forEach(vertex => {
+    let layer = state.getIn(['scene', 'layers', layerID]);
+
+    layer.vertices.forEach(vertex => {
       let verticesCount = verticesArray.push([vertex.x, vertex.y]);
       let latestVertexIndex = verticesCount - 1;
       vertexID_to_verticesArrayIndex[vertex.id] = latestVertexIndex;
       verticesArrayIndex_to_vertexID[latestVertexIndex] = vertex.id;
     });
 
-    linesArray = state.getIn(['scene', 'layers', layerID, 'lines'])
-      .map(line => line.vertices.map(vertexID => vertexID_to_verticesArrayIndex[vertexID]).toArray());
+    //a curved wall goes through a virtual vertex in the middle of its arc, so that it bounds areas
+    //even beside a straight wall between the same vertices, and the areas are oriented along its arc
+    let verticesArrayIndex_to_curvedLineID = {};
+    let straightLineIDs = {};
+
+    layer.lines.forEach(line => {
+      let [ index0, index1 ] = line.vertices.map(vertexID => vertexID_to_verticesArrayIndex[vertexID]).toArray();
+      let [ vertex0, vertex1 ] = line.vertices.map(vertexID => layer.vertices.get(vertexID)).toArray();
+
+      if (WallUtils.wallArc(vertex0, vertex1, line.bulge)) {
+        let { x, y } = WallUtils.wallPoint(layer, line, 0.5);
+        let middleIndex = verticesArray.push([x, y]) - 1;
+        verticesArrayIndex_to_curvedLineID[middleIndex] = line.id;
+        linesArray.push([index0, middleIndex], [middleIndex, index1]);
+      } else {
+        straightLineIDs[[index0, index1].sort().join()] = line.id;
+        linesArray.push([index0, index1]);
+      }
+    });
 
     let innerCyclesByVerticesArrayIndex = GraphInnerCycles.calculateInnerCycles(verticesArray, linesArray);
 
-    let innerCyclesByVerticesID = new List(innerCyclesByVerticesArrayIndex)
-      .map(cycle => new List(cycle.map(vertexIndex => verticesArrayIndex_to_vertexID[vertexIndex])));
+    // All area vertices should be ordered in counterclockwise order, the lines following them
+    let innerCycles = new List(innerCyclesByVerticesArrayIndex).map(cycle => {
+      let toCoords = cycle => new List(cycle.map(index => ({ x: verticesArray[index][0], y: verticesArray[index][1] })));
+      if (GraphInnerCycles.isClockWiseOrder(toCoords(cycle))) cycle = cycle.slice().reverse();
+
+      //starting from a real vertex, each one is followed by the line to the next one
+      let first = cycle.findIndex(index => verticesArrayIndex_to_vertexID.hasOwnProperty(index));
+      cycle = cycle.slice(first).concat(cycle.slice(0, first));
+      let coords = toCoords(cycle);
+
+      let vertices = [], lines = [];
+      cycle.forEach((index, position) => {
+        if (!verticesArrayIndex_to_vertexID.hasOwnProperty(index)) return;
+
+        let next = cycle[(position + 1) % cycle.length];
+        vertices.push(verticesArrayIndex_to_vertexID[index]);
+        lines.push(verticesArrayIndex_to_curvedLineID.hasOwnProperty(next) ?
+          verticesArrayIndex_to_curvedLineID[next] :
+          straightLineIDs[[index, next].sort().join()]);
+      });
 
-    // All area vertices should be ordered in counterclockwise order
-    innerCyclesByVerticesID = innerCyclesByVerticesID.map( ( area ) =>
-      GraphInnerCycles.isClockWiseOrder( area.map(vertexID => state.getIn(['scene', 'layers', layerID, 'vertices', vertexID]) ) ) ? area.reverse() : area
-    );
+      return { vertices: new List(vertices), lines: new List(lines), coords };
+    });
+
+    //areas recorded before their lines were, as in older projects, are matched by their vertices only
+    let sameCycle = (cycle, area) => sameSet(cycle.vertices, area.vertices) && (area.lines.isEmpty() || sameSet(cycle.lines, area.lines));
 
     let areaIDs = [];
+    let removedAreas = [];
 
     //remove areas
     state.getIn(['scene', 'layers', layerID, 'areas']).forEach(area => {
-      let areaInUse = innerCyclesByVerticesID.some(vertices => sameSet(vertices, area.vertices));
+      let areaInUse = innerCycles.some(cycle => sameCycle(cycle, area));
       if (!areaInUse) {
+        removedAreas.push(area);
         state = Area.remove( state, layerID, area.id ).updatedState;
       }
     });
 
     //add new areas
-    innerCyclesByVerticesID.forEach((cycle, ind) => {
-      let areaInUse = state.getIn(['scene', 'layers', layerID, 'areas']).find(area => sameSet(area.vertices, cycle));
+    innerCycles.forEach((cycle, ind) => {
+      let areaInUse = state.getIn(['scene', 'layers', layerID, 'areas']).find(area => sameCycle(cycle, area));
 
       if (areaInUse) {
         areaIDs[ind] = areaInUse.id;
-        state = state.setIn(['scene', 'layers', layerID, 'areas', areaIDs[ind], 'holes'], new List());
+        state = state.mergeIn(['scene', 'layers', layerID, 'areas', areaIDs[ind]], { lines: cycle.lines, holes: new List() });
       } else {
-        let areaVerticesCoords = cycle.map(vertexID => state.getIn(['scene', 'layers', layerID, 'vertices', vertexID]));
+        let areaVerticesCoords = cycle.vertices.map(vertexID => state.getIn(['scene', 'layers', layerID, 'vertices', vertexID]));
         let resultAdd = Area.add(state, layerID, 'area', areaVerticesCoords, state.catalog);
 
         areaIDs[ind] = resultAdd.area.id;
-        state = resultAdd.updatedState;
+        state = resultAdd.updatedState.setIn(['scene', 'layers', layerID, 'areas', areaIDs[ind], 'lines'], cycle.lines);
+
+        //a room whose walls were only split or joined keeps its name and properties
+        let cycleSet = cycle.vertices.toSet();
+        let previous = removedAreas.find(area => cycleSet.isSuperset(area.vertices) || cycleSet.isSubset(area.vertices));
+        if (previous) {
+          removedAreas.splice(removedAreas.indexOf(previous), 1);
+          state = state.mergeIn(['scene', 'layers', layerID, 'areas', areaIDs[ind]], { name: previous.name, properties: previous.properties });
+        }
       }
     });
 
-    // Build a relationship between areas and their coordinates
-    let verticesCoordsForArea = areaIDs.map(id => {
-      let vertices = state.getIn(['scene', 'layers', layerID, 'areas', id]).vertices.map(vertexID => {
-        let { x, y } = state.getIn(['scene', 'layers', layerID, 'vertices', vertexID]);
-        return new List([x,y]);
-      });
+    // Build a relationship between areas and their coordinates, along the arcs of their curved walls
+    let verticesCoordsForArea = areaIDs.map((id, ind) => {
+      let vertices = innerCycles.get(ind).coords.map(({ x, y }) => new List([x, y]));
       return { id, vertices };
     });
 
@@ -247,7 +296,21 @@ class Layer{
         reduced
       );
 
-      state = Vertex.remove( biReduced, layerID, doubleVertex.id, null, null, true ).updatedState;
+      //dimensions keep measuring the same point
+      let triReduced = doubleVertex.dimensions.reduce(
+        ( reducedState, dimensionID ) => {
+
+          reducedState = reducedState.updateIn(['scene', 'layers', layerID, 'dimensions', dimensionID, 'vertices'], vertices => {
+            if( vertices ) return vertices.map(v => v === doubleVertex.id ? vertexID : v);
+          });
+          reducedState = Vertex.addElement( reducedState, layerID, vertexID, 'dimensions', dimensionID ).updatedState;
+
+          return reducedState;
+        },
+        biReduced
+      );
+
+      state = Vertex.remove( triReduced, layerID, doubleVertex.id, null, null, true ).updatedState;
     });
 
     return { updatedState: state };
@@ -275,13 +338,125 @@ class Layer{
     return { updatedState: state };
   }
 
+  static pasteElements( state, layerID, clipboard, x, y, rotation = 0 ) {
+    let transform = ( px, py ) => GeometryUtils.rotatePointAroundPoint( px - clipboard.get('x') + x, py - clipboard.get('y') + y, x, y, rotation );
+    let pastedWalls = {}, holeIDs = [], itemIDs = [], areaIDs = [];
+    let existingLineIDs = state.getIn(['scene', 'layers', layerID, 'lines']).keySeq().toSet();
+    let pastedGeometries = [];
+
+    clipboard.get('lines').forEach(line => {
+      let vertex0 = clipboard.getIn(['vertices', line.vertices.get(0)]);
+      let vertex1 = clipboard.getIn(['vertices', line.vertices.get(1)]);
+      let from = transform( vertex0.x, vertex0.y );
+      let to = transform( vertex1.x, vertex1.y );
+
+      //like a drawn wall, a pasted one splits the walls it crosses so the rooms it closes are found
+      let { updatedState, lines } = Line.createAvoidingIntersections( state, layerID, line.type, from.x, from.y, to.x, to.y, line.properties, undefined, line.bulge );
+      let newLineIDs = lines.map(newLine => newLine.id);
+
+      state = updatedState;
+      newLineIDs.forEach(newLineID => { state = state.setIn(['scene', 'layers', layerID, 'lines', newLineID, 'misc'], line.misc); });
+      state = Line.justifyAlong( state, layerID, newLineIDs, line.justification, from, to ).updatedState;
+
+      pastedGeometries.push({ start: from, end: to, bulge: line.bulge });
+      pastedWalls[line.id] = true;
+    });
+
+    //the pasted walls, including the pieces of those split by walls pasted after them
+    let pastedLayer = state.getIn(['scene', 'layers', layerID]);
+    let pastedLineIDs = pastedLayer.lines
+      .filter(line => {
+        if( existingLineIDs.has(line.id) ) return false;
+
+        let middle = WallUtils.wallPoint( pastedLayer, line, 0.5 );
+        return pastedGeometries.some(({ start, end, bulge }) => WallUtils.distanceFromWall( start, end, bulge, middle ) <= EPSILON);
+      })
+      .keySeq()
+      .toArray();
+
+    //a hole copied without its wall goes back on the same wall, in both cases as close as possible to its new position
+    clipboard.get('holes').forEach(hole => {
+      let layer = state.getIn(['scene', 'layers', layerID]);
+      let position = clipboard.getIn(['holesPosition', hole.id]);
+      let { x: holeX, y: holeY } = transform( position.get('x'), position.get('y') );
+
+      //a pasted wall may have been split, its hole goes on the closest piece
+      let line = pastedWalls[hole.line] ?
+        pastedLineIDs.map(lineID => layer.lines.get(lineID)).reduce(( closest, candidate ) =>
+          !closest || WallUtils.wallDistance( layer, candidate, holeX, holeY ) < WallUtils.wallDistance( layer, closest, holeX, holeY ) ? candidate : closest, null) :
+        layer.lines.get(hole.line);
+      if( !line ) return;
+
+      let offset = WallUtils.wallOffsetAt( layer, line, holeX, holeY );
+
+      let { updatedState, hole: newHole } = Hole.create( state, layerID, hole.type, line.id, offset, hole.properties );
+      state = updatedState.setIn(['scene', 'layers', layerID, 'holes', newHole.id, 'misc'], hole.misc);
+      holeIDs.push(newHole.id);
+    });
+
+    clipboard.get('items').forEach(item => {
+      let { x: itemX, y: itemY } = transform( item.x, item.y );
+
+      let { updatedState, item: newItem } = Item.create( state, layerID, item.type, itemX, itemY, item.width, item.height, item.rotation + rotation );
+      state = updatedState.mergeIn(['scene', 'layers', layerID, 'items', newItem.id], { properties: item.properties, misc: item.misc });
+      itemIDs.push(newItem.id);
+    });
+
+    state = this.detectAndUpdateAreas( state, layerID ).updatedState;
+
+    //areas are rebuilt by detectAndUpdateAreas, find them back by their vertices to restore floors and ceilings
+    clipboard.get('areas').forEach(area => {
+      let layer = state.getIn(['scene', 'layers', layerID]);
+      let points = area.vertices.map(vertexID => {
+        let vertex = clipboard.getIn(['vertices', vertexID]);
+        return transform( vertex.x, vertex.y );
+      });
+
+      let newArea = layer.areas.find(candidate =>
+        candidate.vertices.size === points.size &&
+        points.every(point => candidate.vertices.some(vertexID => GeometryUtils.samePoints(layer.vertices.get(vertexID), point)))
+      );
+      if( !newArea ) return;
+
+      state = state.setIn(['scene', 'layers', layerID, 'areas', newArea.id, 'properties'], area.properties);
+      areaIDs.push(newArea.id);
+    });
+
+    return { updatedState: state, lineIDs: pastedLineIDs, holeIDs, itemIDs, areaIDs };
+  }
+
+  static selectElements( state, layerID, { lineIDs = [], holeIDs = [], itemIDs = [], areaIDs = [] } ) {
+    let vertexIDs = new Set();
+
+    lineIDs.forEach(lineID => {
+      state = this.selectElement( state, layerID, 'lines', lineID ).updatedState;
+      state.getIn(['scene', 'layers', layerID, 'lines', lineID, 'vertices']).forEach(vertexID => vertexIDs.add(vertexID));
+    });
+    vertexIDs.forEach(vertexID => { state = this.selectElement( state, layerID, 'vertices', vertexID ).updatedState; });
+    //a hole goes with its selected line, selecting it too would remove it twice
+    holeIDs
+      .filter(holeID => !lineIDs.includes(state.getIn(['scene', 'layers', layerID, 'holes', holeID, 'line'])))
+      .forEach(holeID => { state = this.selectElement( state, layerID, 'holes', holeID ).updatedState; });
+    itemIDs.forEach(itemID => { state = this.selectElement( state, layerID, 'items', itemID ).updatedState; });
+    areaIDs.forEach(areaID => { state = this.selectElement( state, layerID, 'areas', areaID ).updatedState; });
+
+    return { updatedState: state };
+  }
+
+  static setElementLocked( state, layerID, elementPrototype, elementID, locked ) {
+    state = state.setIn(['scene', 'layers', layerID, elementPrototype, elementID, 'locked'], locked);
+
+    return { updatedState: state };
+  }
+
   static setAttributesOnSelected( state, layerID, attributes ) {
     let selected = state.getIn(['scene', 'layers', layerID, 'selected']);
 
     selected.lines.forEach(lineID => state = Line.setAttributes( state, layerID, lineID, attributes ).updatedState);
     selected.holes.forEach(holeID => state = Hole.setAttributes( state, layerID, holeID, attributes ).updatedState);
     selected.items.forEach(itemID => state = Item.setAttributes( state, layerID, itemID, attributes ).updatedState);
-    //selected.areas.forEach(areaID => state = Area.setAttributes( state, layerID, areaID, attributes ).updatedState);
+    selected.areas.forEach(areaID => state = Area.setAttributes( state, layerID, areaID, attributes ).updatedState);
+    selected.annotations.forEach(annotationID => state = Annotation.setAttributes( state, layerID, annotationID, attributes ).updatedState);
 
     return { updatedState: state };
   }
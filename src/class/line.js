@@ -11,14 +11,70 @@ import {
   GeometryUtils,
   SnapUtils,
   SnapSceneUtils,
+  LockUtils,
+  WallUtils,
 } from '../utils/export';
 import {
   MODE_IDLE,
   MODE_WAITING_DRAWING_LINE,
   MODE_DRAWING_LINE,
-  MODE_DRAGGING_LINE
+  MODE_DRAGGING_LINE,
+  MODE_WAITING_DRAWING_ROOM,
+  MODE_DRAWING_ROOM,
+  MODE_WAITING_DRAWING_ARC,
+  MODE_DRAWING_ARC,
+  ROOM_RECTANGLE,
+  ROOM_CLOSING_DISTANCE,
+  ROOM_INNER_FACE,
+  ROOM_OUTER_FACE,
+  JUSTIFY_CENTER,
+  JUSTIFY_LEFT,
+  JUSTIFY_RIGHT
 } from '../constants';
 
+const snapPoint = (state, x, y) => {
+  let snap = null;
+  if (state.snapMask && !state.snapMask.isEmpty()) {
+    snap = SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
+    if (snap) ({x, y} = snap.point);
+  }
+
+  return {x, y, snap};
+};
+
+//end of the wall being drawn, on a constrained direction from its start when angle snap or ortho is on
+const constrainDrawingLine = (state, layerID, lineID, x, y) => {
+  let layer = state.getIn(['scene', 'layers', layerID]);
+  let start = layer.vertices.get(layer.getIn(['lines', lineID, 'vertices', 0]));
+
+  return SnapUtils.constrainAngle(start.x, start.y, x, y, SnapUtils.angleSnapStep(state.snapMask));
+};
+
+const rectangleCorners = ({x: x0, y: y0}, {x: x1, y: y1}) => [
+  {x: x0, y: y0}, {x: x1, y: y0}, {x: x1, y: y1}, {x: x0, y: y1}
+];
+
+const roomProperties = (state, drawingSupport) => {
+  let thickness = drawingSupport.get('thickness');
+  let defaultThickness = state.catalog.getIn(['elements', drawingSupport.get('type'), 'properties', 'thickness', 'defaultValue']);
+
+  return defaultThickness && thickness ? new Map({thickness: defaultThickness.set('length', thickness)}) : undefined;
+};
+
+//justification of the walls going around a room from corner to corner, for the face the room is drawn by
+const roomJustification = (drawingSupport, corners) => {
+  let face = drawingSupport.get('face');
+  if (face !== ROOM_INNER_FACE && face !== ROOM_OUTER_FACE) return JUSTIFY_CENTER;
+
+  let doubleArea = corners.reduce((sum, {x, y}, index) => {
+    let next = corners[(index + 1) % corners.length];
+    return sum + x * next.y - next.x * y;
+  }, 0);
+  let roomOnLeft = doubleArea > 0;
+
+  return (face === ROOM_INNER_FACE) === roomOnLeft ? JUSTIFY_RIGHT : JUSTIFY_LEFT;
+};
+
 class Line{
 
   static create( state, layerID, type, x0, y0, x1, y1, properties ) {
@@ -82,6 +138,7 @@ class Line{
   }
 
   static split( state, layerID, lineID, x, y ) {
+    let layer = state.getIn(['scene', 'layers', layerID]);
     let line = state.getIn(['scene', 'layers', layerID, 'lines', lineID]);
     let v0 = state.getIn(['scene', 'layers', layerID, 'vertices', line.vertices.get(0)]);
     let v1 = state.getIn(['scene', 'layers', layerID, 'vertices', line.vertices.get(1)]);
@@ -91,33 +148,53 @@ class Line{
     let { updatedState: stateL1, line: line0 } = Line.create( state  , layerID, line.type, x0, y0, x, y, line.get('properties'));
     let { updatedState: stateL2, line: line1 } = Line.create( stateL1, layerID, line.type, x1, y1, x, y, line.get('properties'));
     state = stateL2;
+    state = Line.justifyAlong( state, layerID, [line0.id, line1.id], line.justification, v0, v1 ).updatedState;
+
+    //the pieces of a curved line follow its arc, its holes stay where they are along it
+    if (line.bulge) {
+      let [ first, second ] = WallUtils.cutWall(v0, v1, line.bulge, [{x, y}]);
+      state = state
+        .setIn(['scene', 'layers', layerID, 'lines', line0.id, 'bulge'], first.bulge)
+        .setIn(['scene', 'layers', layerID, 'lines', line1.id, 'bulge'], -second.bulge);
+      line0 = state.getIn(['scene', 'layers', layerID, 'lines', line0.id]);
+      line1 = state.getIn(['scene', 'layers', layerID, 'lines', line1.id]);
+
+      let splitLayer = state.getIn(['scene', 'layers', layerID]);
+      line.holes.forEach(holeID => {
+        let hole = layer.holes.get(holeID);
+        let { x: holeX, y: holeY } = WallUtils.wallPoint(layer, line, hole.offset);
+        let piece = WallUtils.wallDistance(splitLayer, line0, holeX, holeY) <= WallUtils.wallDistance(splitLayer, line1, holeX, holeY) ? line0 : line1;
+
+        state = Hole.create( state, layerID, hole.type, piece.id, WallUtils.wallOffsetAt(splitLayer, piece, holeX, holeY), hole.properties ).updatedState;
+      });
+    } else {
+      let splitPointOffset = GeometryUtils.pointPositionOnLineSegment(x0, y0, x1, y1, x, y);
+      let minVertex = GeometryUtils.minVertex(v0, v1);
 
-    let splitPointOffset = GeometryUtils.pointPositionOnLineSegment(x0, y0, x1, y1, x, y);
-    let minVertex = GeometryUtils.minVertex(v0, v1);
-
-    line.holes.forEach(holeID => {
-      let hole = state.getIn(['scene', 'layers', layerID, 'holes', holeID]);
-
-      let holeOffset = hole.offset;
-      if (minVertex.x === x1 && minVertex.y === y1) {
-        splitPointOffset = 1 - splitPointOffset;
-        holeOffset = 1 - hole.offset;
-      }
+      line.holes.forEach(holeID => {
+        let hole = state.getIn(['scene', 'layers', layerID, 'holes', holeID]);
 
-      if (holeOffset < splitPointOffset) {
-        let offset = holeOffset / splitPointOffset;
+        let holeOffset = hole.offset;
         if (minVertex.x === x1 && minVertex.y === y1) {
-          offset = 1 - offset;
+          splitPointOffset = 1 - splitPointOffset;
+          holeOffset = 1 - hole.offset;
         }
-        state = Hole.create( state, layerID, hole.type, line0.id, offset, hole.properties ).updatedState;
-      } else {
-        let offset = (holeOffset - splitPointOffset) / (1 - splitPointOffset);
-        if (minVertex.x === x1 && minVertex.y === y1) {
-          offset = 1 - offset;
+
+        if (holeOffset < splitPointOffset) {
+          let offset = holeOffset / splitPointOffset;
+          if (minVertex.x === x1 && minVertex.y === y1) {
+            offset = 1 - offset;
+          }
+          state = Hole.create( state, layerID, hole.type, line0.id, offset, hole.properties ).updatedState;
+        } else {
+          let offset = (holeOffset - splitPointOffset) / (1 - splitPointOffset);
+          if (minVertex.x === x1 && minVertex.y === y1) {
+            offset = 1 - offset;
+          }
+          state = Hole.create( state, layerID, hole.type, line1.id, offset, hole.properties ).updatedState;
         }
-        state = Hole.create( state, layerID, hole.type, line1.id, offset, hole.properties ).updatedState;
-      }
-    });
+      });
+    }
 
     //add splitted lines to the original line's group
     let lineGroups = state
@@ -137,6 +214,41 @@ class Line{
     return { updatedState: state, lines: new List([line0, line1]) };
   }
 
+  static splitAt( state, layerID, lineID, points ) {
+    let lineIDs = [ lineID ];
+
+    points.forEach(({ x, y }) => {
+      let layer = state.getIn(['scene', 'layers', layerID]);
+
+      //after the first cuts, each point is on one of the pieces; the line is not cut at its own vertices
+      let piece = lineIDs
+        .map(pieceID => layer.lines.get(pieceID))
+        .reduce((closest, candidate) =>
+          WallUtils.wallDistance(layer, candidate, x, y) < WallUtils.wallDistance(layer, closest, x, y) ? candidate : closest);
+      if (piece.vertices.some(vertexID => GeometryUtils.samePoints(layer.vertices.get(vertexID), { x, y }))) return;
+
+      let { updatedState, lines } = this.split( state, layerID, piece.id, x, y );
+      state = updatedState;
+      lineIDs = lineIDs.filter(pieceID => pieceID !== piece.id).concat(lines.map(line => line.id).toArray());
+    });
+
+    return { updatedState: state, lines: new List(lineIDs.map(pieceID => state.getIn(['scene', 'layers', layerID, 'lines', pieceID]))) };
+  }
+
+  static justifyAlong( state, layerID, lineIDs, justification, from, to ) {
+    lineIDs.forEach(lineID => {
+      let layer = state.getIn(['scene', 'layers', layerID]);
+      let line = layer.lines.get(lineID);
+      let start = layer.vertices.get(line.vertices.get(0));
+      let end = layer.vertices.get(line.vertices.get(1));
+
+      state = state.setIn(['scene', 'layers', layerID, 'lines', lineID, 'justification'],
+        WallUtils.alignJustification(justification, from, to, start, end));
+    });
+
+    return { updatedState: state };
+  }
+
   static addFromPoints( state, layerID, type, points, properties, holes ) {
     points = new List(points)
       .sort(({x: x1, y: y1}, {x: x2, y: y2}) => x1 === x2 ? y1 - y2 : x1 - x2 );
@@ -171,12 +283,23 @@ class Line{
     return { updatedState: state, lines: new List(lines) };
   }
 
-  static createAvoidingIntersections( state, layerID, type, x0, y0, x1, y1, oldProperties, oldHoles ) {
+  static createAvoidingIntersections( state, layerID, type, x0, y0, x1, y1, oldProperties, oldHoles, bulge = 0 ) {
     let points = [{x: x0, y: y0}, {x: x1, y: y1}];
 
+    if (WallUtils.wallArc(points[0], points[1], bulge)) {
+      return this.createCurvedAvoidingIntersections( state, layerID, type, points[0], points[1], bulge, oldProperties, oldHoles );
+    }
+
     state = state.getIn(['scene', 'layers', layerID, 'lines']).reduce( ( reducedState, line ) => {
       let [v0, v1] = line.vertices.map(vertexID => reducedState.getIn(['scene', 'layers', layerID, 'vertices']).get(vertexID)).toArray();
 
+      //a curved wall is split where the new wall crosses it or ends on it
+      if (line.bulge) {
+        let crossings = WallUtils.wallsCrossings({ start: points[0], end: points[1], bulge: 0 }, { start: v0, end: v1, bulge: line.bulge });
+        points.push(...crossings);
+        return this.splitAt( reducedState, layerID, line.id, crossings ).updatedState;
+      }
+
       let hasCommonEndpoint = (
         GeometryUtils.samePoints(v0, points[0]) ||
         GeometryUtils.samePoints(v0, points[1]) ||
@@ -219,6 +342,39 @@ class Line{
     return { updatedState, lines };
   }
 
+  static createCurvedAvoidingIntersections( state, layerID, type, start, end, bulge, oldProperties, oldHoles ) {
+    let cuts = [];
+
+    //the walls the new one crosses or ends on are split there, and so is the new one
+    state = state.getIn(['scene', 'layers', layerID, 'lines']).reduce( ( reducedState, line ) => {
+      let [v0, v1] = line.vertices.map(vertexID => reducedState.getIn(['scene', 'layers', layerID, 'vertices']).get(vertexID)).toArray();
+      let crossings = WallUtils.wallsCrossings({ start, end, bulge }, { start: v0, end: v1, bulge: line.bulge });
+
+      cuts.push(...crossings);
+      return this.splitAt( reducedState, layerID, line.id, crossings ).updatedState;
+    }, state );
+
+    let lines = WallUtils.cutWall(start, end, bulge, cuts).map(piece => {
+      let { updatedState, line } = this.create( state, layerID, type, piece.start.x, piece.start.y, piece.end.x, piece.end.y, oldProperties );
+      state = updatedState.setIn(['scene', 'layers', layerID, 'lines', line.id, 'bulge'], piece.bulge);
+
+      return state.getIn(['scene', 'layers', layerID, 'lines', line.id]);
+    });
+
+    //each hole goes on the piece closest to its position
+    if( oldHoles ) {
+      oldHoles.forEach(({ hole, offsetPosition: { x, y } }) => {
+        let layer = state.getIn(['scene', 'layers', layerID]);
+        let piece = lines.reduce((closest, candidate) =>
+          WallUtils.wallDistance(layer, candidate, x, y) < WallUtils.wallDistance(layer, closest, x, y) ? candidate : closest);
+
+        state = Hole.create( state, layerID, hole.type, piece.id, WallUtils.wallOffsetAt(layer, piece, x, y), hole.properties ).updatedState;
+      });
+    }
+
+    return { updatedState: state, lines: new List(lines) };
+  }
+
   static replaceVertex ( state, layerID, lineID, vertexIndex, x, y ) {
     let vertexID = state.getIn(['scene', 'layers', layerID, 'lines', lineID, 'vertices', vertexIndex]);
 
@@ -243,21 +399,21 @@ class Line{
     return { updatedState: state };
   }
 
-  static beginDrawingLine(state, layerID, x, y) {
-    let snapElements = SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask);
+  static beginDrawingLine(state, layerID, x, y, snapping = true) {
+    let sceneSnapIndex = SnapSceneUtils.buildSceneSnapIndex(state.scene, state.snapMask, state.sceneSnapIndex);
+    let snapElements = sceneSnapIndex.snapIndex;
+    state = state.set('sceneSnapIndex', sceneSnapIndex);
     let snap = null;
 
     if (state.snapMask && !state.snapMask.isEmpty()) {
-      snap = SnapUtils.nearestSnap(snapElements, x, y, state.snapMask);
+      if (snapping) snap = SnapUtils.nearestSnap(snapElements, x, y, state.snapMask);
       if (snap) ({x, y} = snap.point);
 
-      snapElements = snapElements.withMutations(snapElements => {
-        let a, b, c;
-        ({a, b, c} = GeometryUtils.horizontalLine(y));
-        SnapUtils.addLineSnap(snapElements, a, b, c, 10, 3, null);
-        ({a, b, c} = GeometryUtils.verticalLine(x));
-        SnapUtils.addLineSnap(snapElements, a, b, c, 10, 3, null);
-      });
+      let a, b, c;
+      ({a, b, c} = GeometryUtils.horizontalLine(y));
+      snapElements = SnapUtils.addLineSnap(snapElements, a, b, c, 10, 3, null);
+      ({a, b, c} = GeometryUtils.verticalLine(x));
+      snapElements = SnapUtils.addLineSnap(snapElements, a, b, c, 10, 3, null);
     }
 
     let drawingSupport = state.get('drawingSupport').set('layerID', layerID);
@@ -278,15 +434,17 @@ class Line{
   }
 
   static updateDrawingLine(state, x, y) {
+    let layerID = state.getIn(['drawingSupport', 'layerID']);
+    let lineID = state.getIn(['scene', 'layers', layerID, 'selected', 'lines']).first();
+
+    ({x, y} = constrainDrawingLine(state, layerID, lineID, x, y));
+
     let snap = null;
-    if (state.snapMask && !state.snapMask.isEmpty()) {
+    if (state.snapMask && !state.snapMask.isEmpty() && !state.snapMask.get(SnapUtils.SNAP_ORTHO)) {
       snap = SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
       if (snap) ({x, y} = snap.point);
     }
 
-    let layerID = state.getIn(['drawingSupport', 'layerID']);
-    let lineID = state.getIn(['scene', 'layers', layerID, 'selected', 'lines']).first();
-
     let { updatedState: stateLV, vertex } = Line.replaceVertex( state, layerID, lineID, 1, x, y );
     state = stateLV;
 
@@ -296,17 +454,18 @@ class Line{
     return { updatedState: state };
   }
 
-  static endDrawingLine(state, x, y) {
-
-    if (state.snapMask && !state.snapMask.isEmpty()) {
-      let snap = SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
-      if (snap) ({x, y} = snap.point);
-    }
-
+  static endDrawingLine(state, x, y, snapping = true) {
     let layerID = state.getIn(['drawingSupport', 'layerID']);
     let layer = state.getIn(['scene','layers', layerID]);
 
     let lineID = state.getIn(['scene', 'layers', layerID, 'selected', 'lines']).first();
+
+    if (snapping) ({x, y} = constrainDrawingLine(state, layerID, lineID, x, y));
+
+    if (snapping && state.snapMask && !state.snapMask.isEmpty() && !state.snapMask.get(SnapUtils.SNAP_ORTHO)) {
+      let snap = SnapUtils.nearestSnap(state.snapElements, x, y, state.snapMask);
+      if (snap) ({x, y} = snap.point);
+    }
     let line = state.getIn(['scene', 'layers', layerID, 'lines', lineID]);
 
     let v0 = layer.vertices.get(line.vertices.get(0));
@@ -317,16 +476,290 @@ class Line{
 
     state = state.merge({
       mode: MODE_WAITING_DRAWING_LINE,
-      snapElements: new List(),
+      snapElements: new SnapUtils.SnapIndex(),
       activeSnapElement: null
     });
 
     return { updatedState: state };
   }
 
+  static selectToolDrawingRoom(state, sceneComponentType) {
+    let drawingSupport = state.mode === MODE_WAITING_DRAWING_ROOM ? state.drawingSupport : new Map({shape: ROOM_RECTANGLE, face: JUSTIFY_CENTER});
+
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_ROOM,
+      drawingSupport: drawingSupport.merge({
+        type: sceneComponentType,
+        thickness: state.catalog.getIn(['elements', sceneComponentType, 'properties', 'thickness', 'defaultValue', 'length']),
+        points: new List()
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static setDrawingRoomOptions(state, options) {
+    let drawingSupport = state.drawingSupport;
+
+    if (options.type && options.type !== drawingSupport.get('type') && !options.hasOwnProperty('thickness')) {
+      options = {...options, thickness: state.catalog.getIn(['elements', options.type, 'properties', 'thickness', 'defaultValue', 'length'])};
+    }
+
+    //the shape can't change while a room is being drawn
+    if (state.mode === MODE_DRAWING_ROOM) {
+      let {shape, ...rest} = options;
+      options = rest;
+    }
+
+    state = state.set('drawingSupport', drawingSupport.merge(options));
+
+    if (state.mode === MODE_DRAWING_ROOM) {
+      let {x, y} = state.getIn(['drawingSupport', 'cursor']).toObject();
+      state = this.updateDrawingRoom(state, x, y).updatedState;
+    }
+
+    return { updatedState: state };
+  }
+
+  static beginDrawingRoom(state, layerID, x, y) {
+    let sceneSnapIndex = SnapSceneUtils.buildSceneSnapIndex(state.scene, state.snapMask, state.sceneSnapIndex);
+    let snapElements = sceneSnapIndex.snapIndex;
+    state = state.set('sceneSnapIndex', sceneSnapIndex);
+
+    state = state.set('snapElements', snapElements);
+    ({x, y} = snapPoint(state, x, y));
+
+    if (state.snapMask && !state.snapMask.isEmpty()) {
+      let a, b, c;
+      ({a, b, c} = GeometryUtils.horizontalLine(y));
+      snapElements = SnapUtils.addLineSnap(snapElements, a, b, c, 10, 3, null);
+      ({a, b, c} = GeometryUtils.verticalLine(x));
+      snapElements = SnapUtils.addLineSnap(snapElements, a, b, c, 10, 3, null);
+    }
+
+    state = state.merge({
+      mode: MODE_DRAWING_ROOM,
+      snapElements,
+      drawingSupport: state.drawingSupport.merge({
+        layerID,
+        points: new List([new Map({x, y})])
+      })
+    });
+
+    return this.updateDrawingRoom(state, x, y);
+  }
+
+  static updateDrawingRoom(state, x, y) {
+    let snap;
+    ({x, y, snap} = snapPoint(state, x, y));
+
+    let drawingSupport = state.drawingSupport.set('cursor', new Map({x, y}));
+    let layerID = drawingSupport.get('layerID');
+    let points = drawingSupport.get('points').map(point => point.toObject()).toArray();
+    let isRectangle = drawingSupport.get('shape') === ROOM_RECTANGLE;
+    let corners = isRectangle ? rectangleCorners(points[0], {x, y}) : points.concat({x, y});
+    let properties = roomProperties(state, drawingSupport);
+    let justification = roomJustification(drawingSupport, corners);
+
+    //the preview is rebuilt each time on the scene the drawing began from
+    state = state.set('scene', state.sceneHistory.last);
+    state = Layer.unselectAll(state, layerID).updatedState;
+
+    let edgesCount = isRectangle ? corners.length : corners.length - 1;
+    for (let index = 0; index < edgesCount; index++) {
+      let start = corners[index];
+      let end = corners[(index + 1) % corners.length];
+      if (GeometryUtils.samePoints(start, end)) continue;
+
+      let { updatedState, line } = Line.create(state, layerID, drawingSupport.get('type'), start.x, start.y, end.x, end.y, properties);
+      state = Line.justifyAlong(updatedState, layerID, [line.id], justification, start, end).updatedState;
+      state = Line.select(state, layerID, line.id).updatedState;
+    }
+
+    state = state.merge({
+      drawingSupport,
+      activeSnapElement: snap ? snap.snap : null
+    });
+
+    return { updatedState: state };
+  }
+
+  static addDrawingRoomPoint(state, x, y) {
+    ({x, y} = snapPoint(state, x, y));
+
+    let points = state.drawingSupport.get('points');
+    let first = points.first().toObject();
+    let point = {x, y};
+
+    //a click on the first corner, without dragging, leaves the rectangle open for a second click
+    if (state.drawingSupport.get('shape') === ROOM_RECTANGLE) {
+      return GeometryUtils.samePoints(first, point) ?
+        this.updateDrawingRoom(state, x, y) :
+        this.endDrawingRoom(state.setIn(['drawingSupport', 'cursor'], new Map(point)));
+    }
+
+    if (points.size >= 3 && GeometryUtils.pointsDistance(first.x, first.y, x, y) <= ROOM_CLOSING_DISTANCE / (state.zoom || 1)) {
+      return this.endDrawingRoom(state);
+    }
+
+    if (!GeometryUtils.samePoints(points.last().toObject(), point)) {
+      state = state.setIn(['drawingSupport', 'points'], points.push(new Map(point)));
+    }
+
+    return this.updateDrawingRoom(state, x, y);
+  }
+
+  static endDrawingRoom(state) {
+    let drawingSupport = state.drawingSupport;
+    let layerID = drawingSupport.get('layerID');
+    let points = drawingSupport.get('points').map(point => point.toObject()).toArray();
+    let corners = drawingSupport.get('shape') === ROOM_RECTANGLE ?
+      rectangleCorners(points[0], drawingSupport.get('cursor').toObject()) :
+      points;
+    let properties = roomProperties(state, drawingSupport);
+
+    state = state.set('scene', state.sceneHistory.last);
+    state = Layer.unselectAll(state, layerID).updatedState;
+
+    //a rectangle dragged along one axis has no floor, and a polygon needs three corners
+    let isRoom = corners.length >= 3 && corners.every((corner, index) => !GeometryUtils.samePoints(corner, corners[(index + 1) % corners.length]));
+
+    if (isRoom) {
+      let justification = roomJustification(drawingSupport, corners);
+
+      corners.forEach((start, index) => {
+        let end = corners[(index + 1) % corners.length];
+        let { updatedState, lines } = Line.createAvoidingIntersections(state, layerID, drawingSupport.get('type'), start.x, start.y, end.x, end.y, properties);
+        state = Line.justifyAlong(updatedState, layerID, lines.map(line => line.id), justification, start, end).updatedState;
+      });
+      state = Layer.detectAndUpdateAreas(state, layerID).updatedState;
+    }
+
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_ROOM,
+      snapElements: new SnapUtils.SnapIndex(),
+      activeSnapElement: null,
+      drawingSupport: drawingSupport.set('points', new List()).delete('cursor').delete('layerID')
+    });
+
+    return { updatedState: state };
+  }
+
+  static selectToolDrawingArc(state, sceneComponentType) {
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_ARC,
+      drawingSupport: new Map({
+        type: sceneComponentType,
+        points: new List()
+      })
+    });
+
+    return { updatedState: state };
+  }
+
+  static beginDrawingArc(state, layerID, x, y) {
+    let sceneSnapIndex = SnapSceneUtils.buildSceneSnapIndex(state.scene, state.snapMask, state.sceneSnapIndex);
+    let snapElements = sceneSnapIndex.snapIndex;
+    state = state.set('sceneSnapIndex', sceneSnapIndex);
+
+    state = state.set('snapElements', snapElements);
+    ({x, y} = snapPoint(state, x, y));
+
+    if (state.snapMask && !state.snapMask.isEmpty()) {
+      let a, b, c;
+      ({a, b, c} = GeometryUtils.horizontalLine(y));
+      snapElements = SnapUtils.addLineSnap(snapElements, a, b, c, 10, 3, null);
+      ({a, b, c} = GeometryUtils.verticalLine(x));
+      snapElements = SnapUtils.addLineSnap(snapElements, a, b, c, 10, 3, null);
+    }
+
+    state = state.merge({
+      mode: MODE_DRAWING_ARC,
+      snapElements,
+      drawingSupport: state.drawingSupport.merge({
+        layerID,
+        points: new List([new Map({x, y})])
+      })
+    });
+
+    return this.updateDrawingArc(state, x, y);
+  }
+
+  static updateDrawingArc(state, x, y) {
+    let snap;
+    ({x, y, snap} = snapPoint(state, x, y));
+
+    let drawingSupport = state.drawingSupport.set('cursor', new Map({x, y}));
+    let layerID = drawingSupport.get('layerID');
+    let [ start, end ] = drawingSupport.get('points').map(point => point.toObject()).toArray();
+
+    //the wall follows the cursor up to its second point, then bends to go through it
+    let bulge = end ? WallUtils.bulgeThrough(start, end, {x, y}) : 0;
+    end = end || {x, y};
+
+    state = state.set('scene', state.sceneHistory.last);
+    state = Layer.unselectAll(state, layerID).updatedState;
+
+    if (!GeometryUtils.samePoints(start, end)) {
+      let { updatedState, line } = Line.create(state, layerID, drawingSupport.get('type'), start.x, start.y, end.x, end.y);
+      state = updatedState.setIn(['scene', 'layers', layerID, 'lines', line.id, 'bulge'], bulge);
+      state = Line.select(state, layerID, line.id).updatedState;
+    }
+
+    state = state.merge({
+      drawingSupport,
+      activeSnapElement: snap ? snap.snap : null
+    });
+
+    return { updatedState: state };
+  }
+
+  static addDrawingArcPoint(state, x, y) {
+    ({x, y} = snapPoint(state, x, y));
+
+    let points = state.drawingSupport.get('points');
+    let point = {x, y};
+
+    if (points.size === 2) return this.endDrawingArc(state, x, y);
+
+    if (!GeometryUtils.samePoints(points.last().toObject(), point)) {
+      state = state.setIn(['drawingSupport', 'points'], points.push(new Map(point)));
+    }
+
+    return this.updateDrawingArc(state, x, y);
+  }
+
+  static endDrawingArc(state, x, y) {
+    let drawingSupport = state.drawingSupport;
+    let layerID = drawingSupport.get('layerID');
+    let type = drawingSupport.get('type');
+    let [ start, end ] = drawingSupport.get('points').map(point => point.toObject()).toArray();
+    let bulge = WallUtils.bulgeThrough(start, end, {x, y});
+
+    state = state.set('scene', state.sceneHistory.last);
+    state = Layer.unselectAll(state, layerID).updatedState;
+
+    state = Line.createAvoidingIntersections(state, layerID, type, start.x, start.y, end.x, end.y, undefined, undefined, bulge).updatedState;
+
+    state = Layer.detectAndUpdateAreas(state, layerID).updatedState;
+
+    state = state.merge({
+      mode: MODE_WAITING_DRAWING_ARC,
+      snapElements: new SnapUtils.SnapIndex(),
+      activeSnapElement: null,
+      drawingSupport: drawingSupport.set('points', new List()).delete('cursor').delete('layerID')
+    });
+
+    return { updatedState: state };
+  }
+
   static beginDraggingLine(state, layerID, lineID, x, y) {
 
-    let snapElements = SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask);
+    if (LockUtils.isLocked(state.scene, layerID, 'lines', lineID)) return { updatedState: state };
+
+    let sceneSnapIndex = SnapSceneUtils.buildSceneSnapIndex(state.scene, state.snapMask, state.sceneSnapIndex);
+    let snapElements = sceneSnapIndex.snapIndex;
+    state = state.set('sceneSnapIndex', sceneSnapIndex);
 
     let layer = state.scene.layers.get(layerID);
     let line = layer.lines.get(lineID);
@@ -358,8 +791,15 @@ class Line{
 
     let layerID = draggingSupport.get('layerID');
     let lineID = draggingSupport.get('lineID');
-    let diffX = x - draggingSupport.get('startPointX');
-    let diffY = y - draggingSupport.get('startPointY');
+
+    //the vertices are shared with the walls joining this one, a locked one keeps them in place
+    if (LockUtils.isLocked(state.scene, layerID, 'lines', lineID)) return { updatedState: state };
+
+    let {x: diffX, y: diffY} = SnapUtils.constrainAngle(0, 0,
+      x - draggingSupport.get('startPointX'),
+      y - draggingSupport.get('startPointY'),
+      SnapUtils.angleSnapStep(state.snapMask)
+    );
     let newVertex0X = draggingSupport.get('startVertex0X') + diffX;
     let newVertex0Y = draggingSupport.get('startVertex0Y') + diffY;
     let newVertex1X = draggingSupport.get('startVertex1X') + diffX;
@@ -368,7 +808,7 @@ class Line{
 
     let activeSnapElement = null;
     let curSnap0 = null, curSnap1 = null;
-    if (state.snapMask && !state.snapMask.isEmpty()) {
+    if (state.snapMask && !state.snapMask.isEmpty() && !state.snapMask.get(SnapUtils.SNAP_ORTHO)) {
       curSnap0 = SnapUtils.nearestSnap(snapElements, newVertex0X, newVertex0Y, state.snapMask);
       curSnap1 = SnapUtils.nearestSnap(snapElements, newVertex1X, newVertex1Y, state.snapMask);
     }
@@ -436,7 +876,8 @@ class Line{
       let hole = layer.holes.get(holeID);
       let pointOnLine = lineLength * hole.offset;
 
-      let offsetPosition = {
+      //a hole of a curved line is along its arc
+      let offsetPosition = line.bulge ? WallUtils.wallPoint(layer, line, hole.offset) : {
         x: pointOnLine * Math.cos(alpha) + minV.x,
         y: pointOnLine * Math.sin(alpha) + minV.y
       };
@@ -444,14 +885,17 @@ class Line{
       holesWithOffsetPosition.push({hole, offsetPosition});
     });
 
-    let diffX = x - draggingSupport.get('startPointX');
-    let diffY = y - draggingSupport.get('startPointY');
+    let {x: diffX, y: diffY} = SnapUtils.constrainAngle(0, 0,
+      x - draggingSupport.get('startPointX'),
+      y - draggingSupport.get('startPointY'),
+      SnapUtils.angleSnapStep(state.snapMask)
+    );
     let newVertex0X = draggingSupport.get('startVertex0X') + diffX;
     let newVertex0Y = draggingSupport.get('startVertex0Y') + diffY;
     let newVertex1X = draggingSupport.get('startVertex1X') + diffX;
     let newVertex1Y = draggingSupport.get('startVertex1Y') + diffY;
 
-    if (state.snapMask && !state.snapMask.isEmpty()) {
+    if (state.snapMask && !state.snapMask.isEmpty() && !state.snapMask.get(SnapUtils.SNAP_ORTHO)) {
 
       let curSnap0 = SnapUtils.nearestSnap(state.snapElements, newVertex0X, newVertex0Y, state.snapMask);
       let curSnap1 = SnapUtils.nearestSnap(state.snapElements, newVertex1X, newVertex1Y, state.snapMask);
@@ -504,10 +948,12 @@ class Line{
         newVertex1X,
         newVertex1Y,
         line.properties,
-        holesWithOffsetPosition
+        holesWithOffsetPosition,
+        line.bulge
       );
 
       state = ret.updatedState;
+      state = Line.justifyAlong( state, layerID, ret.lines.map(addedLine => addedLine.id), line.justification, vertex0, vertex1 ).updatedState;
 
       //re-add to old line's groups if present
       ret.lines.forEach( addedLine => {
@@ -523,7 +969,7 @@ class Line{
       mode: MODE_IDLE,
       draggingSupport: null,
       activeSnapElement: null,
-      snapElements: new List()
+      snapElements: new SnapUtils.SnapIndex()
     });
 
     return { updatedState: state };
@@ -554,15 +1000,19 @@ class Line{
 
   static setAttributes( state, layerID, lineID, lineAttributes ) {
 
-    let lAttr = lineAttributes.toJS();
+    //a locked line keeps its vertices, length and shape, and so does a line sharing a vertex with a locked one
+    let lAttr = LockUtils.editableAttributes( state.scene, layerID, 'lines', lineID, lineAttributes ).toJS();
     let {vertexOne, vertexTwo, lineLength} = lAttr;
 
     delete lAttr['vertexOne'];
     delete lAttr['vertexTwo'];
     delete lAttr['lineLength'];
 
+    state = state.mergeIn(['scene', 'layers', layerID, 'lines', lineID], fromJS(lAttr));
+
+    if (!vertexOne || !vertexTwo) return { updatedState: state };
+
     state = state
-      .mergeIn(['scene', 'layers', layerID, 'lines', lineID], fromJS(lAttr))
       .mergeIn(['scene', 'layers', layerID, 'vertices', vertexOne.id], {x: vertexOne.x, y: vertexOne.y})
       .mergeIn(['scene', 'layers', layerID, 'vertices', vertexTwo.id], {x: vertexTwo.x, y: vertexTwo.y})
       .mergeIn(['scene', 'layers', layerID, 'lines', lineID, 'misc'], new Map({'_unitLength': lineLength._unit}));
@@ -2,16 +2,23 @@ import { Map, List } from 'immutable';
 import {
   MODE_VIEWING_CATALOG,
   MODE_CONFIGURING_PROJECT,
-  MODE_IDLE
+  MODE_VIEWING_ROOM_SCHEDULE,
+  MODE_VIEWING_BILL_OF_MATERIALS,
+  MODE_IDLE,
+  MODE_ARRAYING,
+  ARRAY_GRID,
+  PASTE_OFFSET
 } from '../constants';
-import { State, Catalog } from '../models';
-import { history } from '../utils/export';
+import { State, Scene, Catalog } from '../models';
+import { history, SceneMigrations, SceneValidator, LockUtils, ClipboardUtils, ArrayPattern, SnapUtils } from '../utils/export';
 import {
   Layer,
   Group,
   Line,
   Hole,
   Item,
+  Dimension,
+  Annotation,
   HorizontalGuide,
   VerticalGuide
 } from '../class/export';
@@ -29,25 +36,60 @@ class Project{
   }
 
   static newProject(state) {
-    state = new State({'viewer2D': state.get('viewer2D')});
+    state = new State({
+      'viewer2D': state.get('viewer2D'),
+      historyMaxDepth: state.getIn(['sceneHistory', 'maxDepth'])
+    });
 
     return { updatedState: state };
   }
 
-  static loadProject(state, sceneJSON) {
-    state = new State({ scene: sceneJSON, catalog: state.catalog.toJS() });
+  static loadProject(state, sceneJSON, options = {}) {
+    try {
+      sceneJSON = SceneMigrations.migrateScene(sceneJSON);
+    }
+    catch (error) {
+      return this.throwError(state, error.message);
+    }
+
+    let scene = new Scene(sceneJSON);
+    let report = SceneValidator.validateScene(scene, state.catalog);
+
+    if (!report.valid) {
+      let problems = report.errors.map(error => error.message).join('; ');
+
+      if (!options.repair) {
+        return this.throwError(state, `Project not loaded, ${report.errors.length} problems found: ${problems}`, { report });
+      }
+
+      sceneJSON = SceneValidator.repairScene(scene, state.catalog).toJS();
+    }
+
+    state = new State({
+      scene: sceneJSON,
+      catalog: state.catalog.toJS(),
+      historyMaxDepth: state.getIn(['sceneHistory', 'maxDepth'])
+    });
+
+    if (!report.valid) {
+      //the areas bounded by the dropped lines go with them, the repaired scene is where the history starts
+      state.scene.layers.forEach(layer => { state = Layer.detectAndUpdateAreas(state, layer.id).updatedState; });
+      state = state.setIn(['sceneHistory', 'last'], state.scene);
+
+      state = this.throwWarning(state, `Project repaired, ${report.errors.length} problems fixed`, { report }).updatedState;
+    }
 
     return { updatedState: state };
   }
 
-  static setProperties(state, layerID, properties) {
-    state = Layer.setPropertiesOnSelected( state, layerID, properties ).updatedState;
+  static setProperties(state, properties) {
+    state.getIn(['scene', 'layers']).forEach( layer => { state = Layer.setPropertiesOnSelected( state, layer.id, properties ).updatedState; } );
 
     return { updatedState: state };
   }
 
-  static updateProperties(state, layerID, properties) {
-    state = Layer.updatePropertiesOnSelected( state, layerID, properties ).updatedState;
+  static updateProperties(state, properties) {
+    state.getIn(['scene', 'layers']).forEach( layer => { state = Layer.updatePropertiesOnSelected( state, layer.id, properties ).updatedState; } );
 
     return { updatedState: state };
   }
@@ -73,6 +115,18 @@ class Project{
     return { updatedState: state };
   }
 
+  static setAreasAttributes(state, attributes) {
+    state.getIn(['scene', 'layers']).forEach( layer => { state = Layer.setAttributesOnSelected( state, layer.id, attributes ).updatedState; } );
+
+    return { updatedState: state };
+  }
+
+  static setAnnotationsAttributes(state, attributes) {
+    state.getIn(['scene', 'layers']).forEach( layer => { state = Layer.setAttributesOnSelected( state, layer.id, attributes ).updatedState; } );
+
+    return { updatedState: state };
+  }
+
   static unselectAll(state) {
     state.getIn(['scene', 'layers']).forEach( ({ id: layerID }) => { state = Layer.unselectAll( state, layerID ).updatedState; });
     state.getIn(['scene', 'groups']).forEach( group => { state = Group.unselect( state, group.get('id') ).updatedState; });
@@ -81,20 +135,50 @@ class Project{
   }
 
   static remove(state) {
-    let selectedLayer = state.getIn(['scene', 'selectedLayer']);
-    let {
-      lines: selectedLines,
-      holes: selectedHoles,
-      items: selectedItems
-    } = state.getIn(['scene', 'layers', selectedLayer, 'selected']);
-
-    state = Layer.unselectAll( state, selectedLayer ).updatedState;
-
-    selectedLines.forEach(lineID => { state = Line.remove( state, selectedLayer, lineID ).updatedState; });
-    selectedHoles.forEach(holeID => { state = Hole.remove( state, selectedLayer, holeID ).updatedState; });
-    selectedItems.forEach(itemID => { state = Item.remove( state, selectedLayer, itemID ).updatedState; });
-
-    state = Layer.detectAndUpdateAreas( state, selectedLayer ).updatedState;
+    let scene = state.scene;
+
+    scene.layers.forEach( ({ id: layerID, selected }) => {
+      let unlocked = prototype => selected.get(prototype).filterNot( elementID => LockUtils.isLocked( scene, layerID, prototype, elementID ) );
+
+      let selectedLines = unlocked('lines');
+      let selectedHoles = unlocked('holes');
+      let selectedItems = unlocked('items');
+      let selectedDimensions = unlocked('dimensions');
+      let selectedAnnotations = unlocked('annotations');
+
+      if( !selectedLines.size && !selectedHoles.size && !selectedItems.size && !selectedDimensions.size && !selectedAnnotations.size ) return;
+
+      let measuresLine = ( layer, dimension ) => {
+        let [ vertex0, vertex1 ] = dimension.vertices.map(vertexID => layer.vertices.get(vertexID)).toArray();
+        return !!vertex0 && !!vertex1 && vertex0.lines.some(lineID => vertex1.lines.includes(lineID));
+      };
+      let lineDimensionIDs = state.getIn(['scene', 'layers', layerID, 'dimensions'])
+        .filter(dimension => measuresLine( state.getIn(['scene', 'layers', layerID]), dimension ))
+        .keySeq()
+        .toSet();
+
+      state = Layer.unselectAll( state, layerID ).updatedState;
+
+      selectedLines.forEach(lineID => { state = Line.remove( state, layerID, lineID ).updatedState; });
+      //holes of the removed lines are already gone
+      selectedHoles
+        .filter(holeID => state.hasIn(['scene', 'layers', layerID, 'holes', holeID]))
+        .forEach(holeID => { state = Hole.remove( state, layerID, holeID ).updatedState; });
+      selectedItems.forEach(itemID => { state = Item.remove( state, layerID, itemID ).updatedState; });
+      selectedDimensions.forEach(dimensionID => { state = Dimension.remove( state, layerID, dimensionID ).updatedState; });
+      selectedAnnotations.forEach(annotationID => { state = Annotation.remove( state, layerID, annotationID ).updatedState; });
+
+      //dimensions measuring the walls removed go with them, like those left on vertices without walls
+      let layer = state.getIn(['scene', 'layers', layerID]);
+      layer.dimensions
+        .filter(dimension =>
+          ( lineDimensionIDs.has(dimension.id) && !measuresLine( layer, dimension ) ) ||
+          dimension.vertices.some(vertexID => !layer.vertices.has(vertexID) || layer.vertices.get(vertexID).lines.isEmpty())
+        )
+        .forEach(dimension => { state = Dimension.remove( state, layerID, dimension.id ).updatedState; });
+
+      state = Layer.detectAndUpdateAreas( state, layerID ).updatedState;
+    });
 
     return { updatedState: state };
   }
@@ -105,10 +189,56 @@ class Project{
       sceneHistory = history.historyPop(sceneHistory);
     }
 
+    let scene = sceneHistory.last;
+
     state = state.merge({
       mode: MODE_IDLE,
-      scene: sceneHistory.last,
-      sceneHistory: history.historyPop(sceneHistory)
+      scene,
+      sceneHistory: history.historyPushRedo(history.historyPop(sceneHistory), scene, state.scene)
+    });
+
+    return { updatedState: state };
+  }
+
+  static redo(state) {
+    let sceneHistory = state.sceneHistory;
+
+    if (sceneHistory.redoList.isEmpty()) {
+      return { updatedState: state };
+    }
+
+    //pushing the current scene would clear the forward stack, so keep what is left of it
+    let redoList = history.historyPopRedo(sceneHistory).redoList;
+
+    state = state.merge({
+      mode: MODE_IDLE,
+      scene: history.historyRedo(sceneHistory, state.scene),
+      sceneHistory: history.historyPush(sceneHistory, state.scene).set('redoList', redoList)
+    });
+
+    return { updatedState: state };
+  }
+
+  static addHistoryCheckpoint(state, name) {
+    state = state.set('sceneHistory', history.historyCheckpoint(state.sceneHistory, state.scene, name));
+
+    return { updatedState: state };
+  }
+
+  static removeHistoryCheckpoint(state, index) {
+    state = state.set('sceneHistory', history.historyRemoveCheckpoint(state.sceneHistory, index));
+
+    return { updatedState: state };
+  }
+
+  static jumpToHistoryEntry(state, index) {
+    let scene = history.historySceneAt(state.sceneHistory, index);
+
+    //the current scene is pushed first, so the jump can be undone as any other change
+    state = state.merge({
+      mode: MODE_IDLE,
+      scene,
+      sceneHistory: history.historyPush(state.sceneHistory, state.scene)
     });
 
     return { updatedState: state };
@@ -127,7 +257,7 @@ class Project{
       mode: MODE_IDLE,
       scene: sceneHistory.last,
       sceneHistory: history.historyPush(sceneHistory, sceneHistory.last),
-      snapElements: new List(),
+      snapElements: new SnapUtils.SnapIndex(),
       activeSnapElement: null,
       drawingSupport: new Map(),
       draggingSupport: new Map(),
@@ -155,6 +285,22 @@ class Project{
     return { updatedState: state };
   }
 
+  static openRoomSchedule(state) {
+    state = state.merge({
+      mode: MODE_VIEWING_ROOM_SCHEDULE,
+    });
+
+    return { updatedState: state };
+  }
+
+  static openBillOfMaterials(state) {
+    state = state.merge({
+      mode: MODE_VIEWING_BILL_OF_MATERIALS,
+    });
+
+    return { updatedState: state };
+  }
+
   static initCatalog(state, catalog) {
     state = state.set('catalog', new Catalog(catalog));
 
@@ -178,8 +324,10 @@ class Project{
     return { updatedState: state };
   }
 
-  static throwError(state, error) {
+  //details, like the report of a scene validation, are kept in the entry next to the message
+  static throwError(state, error, details = {}) {
     state = state.set('errors', state.get('errors').push({
+      ...details,
       date: Date.now(),
       error
     }));
@@ -187,8 +335,9 @@ class Project{
     return { updatedState: state };
   }
 
-  static throwWarning(state, warning) {
+  static throwWarning(state, warning, details = {}) {
     state = state.set('warnings', state.get('warnings').push({
+      ...details,
       date: Date.now(),
       warning
     }));
@@ -203,7 +352,115 @@ class Project{
   }
 
   static pasteProperties(state) {
-    state = this.updateProperties(state, state.getIn(['scene', 'selectedLayer']), state.get('clipboardProperties')).updatedState;
+    state = this.updateProperties(state, state.get('clipboardProperties')).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static copyElements(state) {
+    let clipboard = ClipboardUtils.copySelectedElements(state.scene);
+    if (clipboard.size) state = state.set('clipboardElements', clipboard);
+
+    return { updatedState: state };
+  }
+
+  static cutElements(state) {
+    state = this.copyElements(state).updatedState;
+    state = this.remove(state).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static pasteElements(state, x, y) {
+    let clipboard = state.clipboardElements;
+    if (!clipboard.size) return { updatedState: state };
+
+    //without a position, e.g. from the 3D view, copies are shifted from the originals
+    if (x === undefined || y === undefined) {
+      x = clipboard.get('x') + PASTE_OFFSET;
+      y = clipboard.get('y') + PASTE_OFFSET;
+    }
+
+    let layerID = state.scene.selectedLayer;
+    let { updatedState, ...pastedIDs } = Layer.pasteElements(state, layerID, clipboard, x, y);
+
+    state = this.unselectAll(updatedState).updatedState;
+    state = Layer.selectElements(state, layerID, pastedIDs).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static duplicateElements(state) {
+    let clipboard = ClipboardUtils.copySelectedElements(state.scene);
+    if (!clipboard.size) return { updatedState: state };
+
+    let layerID = state.scene.selectedLayer;
+    let { updatedState, ...pastedIDs } = Layer.pasteElements(state, layerID, clipboard, clipboard.get('x') + PASTE_OFFSET, clipboard.get('y') + PASTE_OFFSET);
+
+    state = this.unselectAll(updatedState).updatedState;
+    state = Layer.selectElements(state, layerID, pastedIDs).updatedState;
+
+    return { updatedState: state };
+  }
+
+  static beginArray(state, config) {
+    let clipboard = ClipboardUtils.copySelectedElements(state.scene);
+    if (!clipboard.size) return { updatedState: state };
+
+    let defaults = new Map({
+      type: ARRAY_GRID,
+      columns: 3,
+      rows: 2,
+      spacingX: 150,
+      spacingY: 150,
+      rotation: 0,
+      count: 6,
+      centerX: clipboard.get('x') + 200,
+      centerY: clipboard.get('y'),
+      angle: 360,
+      rotateCopies: true,
+      group: true
+    });
+
+    state = state.merge({
+      mode: MODE_ARRAYING,
+      drawingSupport: new Map({
+        layerID: state.scene.selectedLayer,
+        clipboard,
+        config: defaults.merge(config)
+      })
+    });
+
+    return this.updateArray(state);
+  }
+
+  //copies are real elements while previewing, each update rebuilds them from the scene saved by beginArray
+  static updateArray(state, config) {
+    if (config) state = state.mergeIn(['drawingSupport', 'config'], config);
+
+    let { drawingSupport } = state;
+    let layerID = drawingSupport.get('layerID');
+    let clipboard = drawingSupport.get('clipboard');
+
+    state = state.set('scene', state.sceneHistory.last);
+
+    ArrayPattern.arrayPlacements(clipboard.get('x'), clipboard.get('y'), drawingSupport.get('config')).forEach(({ x, y, rotation }) => {
+      let { updatedState, ...pastedIDs } = Layer.pasteElements(state, layerID, clipboard, x, y, rotation);
+      state = Layer.selectElements(updatedState, layerID, pastedIDs).updatedState;
+    });
+
+    return { updatedState: state };
+  }
+
+  static endArray(state) {
+    let group = state.getIn(['drawingSupport', 'config', 'group']);
+
+    if (group && state.scene !== state.sceneHistory.last) state = Group.createFromSelectedElements(state).updatedState;
+
+    state = state.merge({
+      mode: MODE_IDLE,
+      drawingSupport: new Map()
+    });
 
     return { updatedState: state };
   }
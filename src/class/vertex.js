@@ -4,7 +4,9 @@ import {
   IDBroker,
   GeometryUtils,
   SnapSceneUtils,
-  SnapUtils
+  SnapUtils,
+  LockUtils,
+  WallUtils
 } from '../utils/export';
 import {
   MODE_DRAGGING_VERTEX,
@@ -78,7 +80,7 @@ class Vertex{
         return related.delete(index);
       });
 
-      let inUse = vertex.areas.size || vertex.lines.size;
+      let inUse = vertex.areas.size || vertex.lines.size || vertex.dimensions.size;
 
       if( inUse && !forceRemove ) {
         state = state.setIn(['scene', 'layers', layerID, 'vertices', vertexID], vertex);
@@ -93,7 +95,20 @@ class Vertex{
 
   static beginDraggingVertex(state, layerID, vertexID, x, y) {
 
-    let snapElements = SnapSceneUtils.sceneSnapElements(state.scene, new List(), state.snapMask);
+    if (LockUtils.isLocked(state.scene, layerID, 'vertices', vertexID)) return { updatedState: state };
+
+    let sceneSnapIndex = SnapSceneUtils.buildSceneSnapIndex(state.scene, state.snapMask, state.sceneSnapIndex);
+    let snapElements = sceneSnapIndex.snapIndex;
+    state = state.set('sceneSnapIndex', sceneSnapIndex);
+
+    //a wall end turns around the other end of the wall, a junction moves along the constrained directions
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    let vertex = layer.vertices.get(vertexID);
+    let anchor = vertex;
+    if (vertex.lines.size === 1) {
+      let lineVertices = layer.getIn(['lines', vertex.lines.get(0), 'vertices']);
+      anchor = layer.vertices.get(lineVertices.find(id => id !== vertexID)) || vertex;
+    }
 
     state = state.merge({
       mode: MODE_DRAGGING_VERTEX,
@@ -101,6 +116,8 @@ class Vertex{
       draggingSupport: Map({
         layerID,
         vertexID,
+        anchorX: anchor.x,
+        anchorY: anchor.y,
         previousMode: state.get('mode')
       })
     });
@@ -111,8 +128,10 @@ class Vertex{
   static updateDraggingVertex(state, x, y) {
     let { draggingSupport, snapElements, scene } = state;
 
+    ({ x, y } = SnapUtils.constrainAngle(draggingSupport.get('anchorX'), draggingSupport.get('anchorY'), x, y, SnapUtils.angleSnapStep(state.snapMask)));
+
     let snap = null;
-    if (state.snapMask && !state.snapMask.isEmpty()) {
+    if (state.snapMask && !state.snapMask.isEmpty() && !state.snapMask.get(SnapUtils.SNAP_ORTHO)) {
       snap = SnapUtils.nearestSnap(snapElements, x, y, state.snapMask);
       if (snap) ({ x, y } = snap.point);
     }
@@ -156,12 +175,19 @@ class Vertex{
               let hole = reducedState.getIn(['scene', 'layers', layerID, 'holes', holeID]);
               let oldLineLength = GeometryUtils.pointsDistance(oldVertex.x, oldVertex.y, vertex.x, vertex.y);
               let offset = GeometryUtils.samePoints( orderedVertices[1], reducedState.getIn(['scene', 'layers', layerID, 'lines', lineID, 'vertices', 1]) ) ? ( 1 - hole.offset ) : hole.offset;
-              let offsetPosition = GeometryUtils.extendLine( oldVertex.x, oldVertex.y, vertex.x, vertex.y, oldLineLength * offset );
+              let line = reducedState.getIn(['scene', 'layers', layerID, 'lines', lineID]);
+
+              //a hole of a curved line is along its arc
+              let offsetPosition = line.bulge ?
+                WallUtils.wallPoint( reducedState.getIn(['scene', 'layers', layerID]), line, hole.offset ) :
+                GeometryUtils.extendLine( oldVertex.x, oldVertex.y, vertex.x, vertex.y, oldLineLength * offset );
 
               oldHoles.push({hole, offsetPosition});
             });
 
           let lineType = reducedState.getIn(['scene', 'layers', layerID, 'lines', lineID, 'type']);
+          let lineJustification = reducedState.getIn(['scene', 'layers', layerID, 'lines', lineID, 'justification']);
+          let lineBulge = reducedState.getIn(['scene', 'layers', layerID, 'lines', lineID, 'bulge']);
           let lineProps = reducedState.getIn(['scene', 'layers', layerID, 'lines', lineID, 'properties']);
           let lineGroups = reducedState   //get groups membership if present
             .getIn(['scene', 'groups'])
@@ -175,19 +201,22 @@ class Vertex{
           reducedState = Line.remove( reducedState, layerID, lineID ).updatedState;
 
           if (!GeometryUtils.samePoints(oldVertex, vertex)) {
+            let [ from, to ] = v_id0 === vertexID ? [ vertex, oldVertex ] : [ oldVertex, vertex ];
             let ret = Line.createAvoidingIntersections(
               reducedState,
               layerID,
               lineType,
-              oldVertex.x,
-              oldVertex.y,
-              vertex.x,
-              vertex.y,
+              from.x,
+              from.y,
+              to.x,
+              to.y,
               lineProps,
-              oldHoles
+              oldHoles,
+              lineBulge
             );
 
             reducedState = ret.updatedState;
+            reducedState = Line.justifyAlong( reducedState, layerID, ret.lines.map(addedLine => addedLine.id), lineJustification, from, to ).updatedState;
 
             //re-add to old line's groups if present
             ret.lines.forEach( addedLine => {
@@ -209,7 +238,7 @@ class Vertex{
       mode: draggingSupport.get('previousMode'),
       draggingSupport: null,
       activeSnapElement: null,
-      snapElements: new List()
+      snapElements: new SnapUtils.SnapIndex()
     });
 
     return { updatedState: state };
@@ -0,0 +1,106 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  ContentTitle,
+  ContentContainer,
+  FormSubmitButton,
+  CancelButton
+} from '../style/export';
+import * as SharedStyle from '../../shared-style';
+import { billOfMaterials, billToCSV, billToJSON, priceUnitLabel, PRICE_EACH } from '../../utils/bill-of-materials';
+import { formatLength, formatArea } from '../../utils/units';
+import { browserDownload } from '../../utils/browser';
+
+const tableStyle = {width: '100%', borderCollapse: 'collapse', marginBottom: '1em'};
+const cellStyle = {padding: '4px 8px', borderBottom: `1px solid ${SharedStyle.MATERIAL_COLORS[500].blue_grey}`, textAlign: 'left'};
+const numberCellStyle = {...cellStyle, textAlign: 'right'};
+const headerStyle = {...cellStyle, fontWeight: 'bold'};
+const totalStyle = {fontWeight: 'bold', backgroundColor: SharedStyle.PRIMARY_COLOR.alt, color: SharedStyle.PRIMARY_COLOR.text_alt};
+const actionsStyle = {display: 'flex', justifyContent: 'flex-end', marginBottom: '1em'};
+const actionStyle = {marginLeft: '0.5em'};
+
+const CATEGORIES = {lines: 'Walls', holes: 'Doors and windows', items: 'Items'};
+
+export default function BillOfMaterials({width, height, state}, {projectActions, translator}) {
+  let {scene, catalog} = state;
+  let {unit, inchFraction} = scene;
+  let bill = billOfMaterials(scene, catalog);
+
+  let price = value => value === null ? '' : value.toFixed(2);
+  let per = priceUnit => priceUnit === PRICE_EACH ? translator.t('each') : priceUnitLabel(priceUnit, unit);
+
+  return (
+    <ContentContainer width={width} height={height}>
+      <ContentTitle>{translator.t('Bill of materials')}</ContentTitle>
+
+      <div style={actionsStyle}>
+        <div style={actionStyle}>
+          <FormSubmitButton type="button" onClick={e => browserDownload(billToCSV(bill, unit), 'csv')}>
+            {translator.t('Export CSV')}
+          </FormSubmitButton>
+        </div>
+        <div style={actionStyle}>
+          <FormSubmitButton type="button" onClick={e => browserDownload(billToJSON(bill, unit))}>
+            {translator.t('Export JSON')}
+          </FormSubmitButton>
+        </div>
+        <div style={actionStyle}>
+          <CancelButton onClick={e => projectActions.rollback()}>{translator.t('Close')}</CancelButton>
+        </div>
+      </div>
+
+      <table style={tableStyle}>
+        <thead>
+        <tr>
+          <th style={headerStyle}>{translator.t('Category')}</th>
+          <th style={headerStyle}>{translator.t('Type')}</th>
+          <th style={headerStyle}>{translator.t('Properties')}</th>
+          <th style={{...headerStyle, textAlign: 'right'}}>{translator.t('Count')}</th>
+          <th style={{...headerStyle, textAlign: 'right'}}>{translator.t('Length')}</th>
+          <th style={{...headerStyle, textAlign: 'right'}}>{translator.t('Surface')}</th>
+          <th style={{...headerStyle, textAlign: 'right'}}>{translator.t('Unit price')}</th>
+          <th style={{...headerStyle, textAlign: 'right'}}>{translator.t('Price')}</th>
+        </tr>
+        </thead>
+        <tbody>
+        {
+          bill.rows.map(row => {
+            let isWall = row.prototype === 'lines';
+
+            return (
+              <tr key={[row.type, ...row.properties.map(({value}) => value)].join('|')}>
+                <td style={cellStyle}>{translator.t(CATEGORIES[row.prototype])}</td>
+                <td style={cellStyle}>{row.title}</td>
+                <td style={cellStyle}>{row.properties.map(({label, value}) => `${label}: ${value}`).join(', ')}</td>
+                <td style={numberCellStyle}>{row.count}</td>
+                <td style={numberCellStyle}>{isWall ? formatLength(row.length, unit, 2, inchFraction) : ''}</td>
+                <td style={numberCellStyle}>{isWall ? formatArea(row.surface, unit) : ''}</td>
+                <td style={numberCellStyle}>
+                  {row.unitPrice === null ? '' : `${price(row.unitPrice)} / ${per(row.priceUnit)}`}
+                </td>
+                <td style={numberCellStyle}>{price(row.price)}</td>
+              </tr>
+            );
+          })
+        }
+        <tr style={totalStyle}>
+          <td style={cellStyle}>{translator.t('Total')}</td>
+          <td style={cellStyle} colSpan="6"></td>
+          <td style={numberCellStyle}>{price(bill.total)}</td>
+        </tr>
+        </tbody>
+      </table>
+    </ContentContainer>
+  );
+}
+
+BillOfMaterials.propTypes = {
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  state: PropTypes.object.isRequired,
+};
+
+BillOfMaterials.contextTypes = {
+  projectActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired,
+};
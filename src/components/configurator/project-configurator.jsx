@@ -6,9 +6,11 @@ import {
   FormLabel,
   FormBlock,
   FormNumberInput,
+  FormSelect,
   FormSubmitButton,
   CancelButton
 } from '../style/export';
+import {UNITS_SCENE, UNIT_FEET_INCHES, INCH_FRACTIONS} from '../../constants';
 
 export default class ProjectConfigurator extends Component {
 
@@ -20,6 +22,9 @@ export default class ProjectConfigurator extends Component {
     this.state = {
       dataWidth: scene.width,
       dataHeight: scene.height,
+      dataUnit: scene.unit,
+      dataInchFraction: scene.inchFraction,
+      dataAutoDimension: scene.autoDimension,
     };
   }
 
@@ -28,20 +33,26 @@ export default class ProjectConfigurator extends Component {
 
     let {projectActions} = this.context;
 
-    let {dataWidth, dataHeight} = this.state;
+    let {dataWidth, dataHeight, dataUnit, dataInchFraction, dataAutoDimension} = this.state;
     dataWidth = parseInt(dataWidth);
     dataHeight = parseInt(dataHeight);
     if (dataWidth <= 100 || dataHeight <= 100) {
       alert('Scene size too small');
     } else {
-      projectActions.setProjectProperties({width: dataWidth, height: dataHeight});
+      projectActions.setProjectProperties({
+        width: dataWidth,
+        height: dataHeight,
+        unit: dataUnit,
+        inchFraction: parseInt(dataInchFraction),
+        autoDimension: dataAutoDimension
+      });
     }
   }
 
 
   render() {
     let {width, height} = this.props;
-    let {dataWidth, dataHeight} = this.state;
+    let {dataWidth, dataHeight, dataUnit, dataInchFraction, dataAutoDimension} = this.state;
     let {projectActions, translator} = this.context;
 
     return (
@@ -69,6 +80,41 @@ export default class ProjectConfigurator extends Component {
             />
           </FormBlock>
 
+          <FormBlock>
+            <FormLabel htmlFor='unit'>{translator.t('Unit')}</FormLabel>
+            <FormSelect
+              id='unit'
+              value={dataUnit}
+              onChange={e => this.setState({dataUnit: e.target.value})}
+            >
+              {UNITS_SCENE.map(unit => <option key={unit} value={unit}>{unit}</option>)}
+            </FormSelect>
+          </FormBlock>
+
+          {
+            dataUnit === UNIT_FEET_INCHES ?
+              <FormBlock>
+                <FormLabel htmlFor='inchFraction'>{translator.t('Inch precision')}</FormLabel>
+                <FormSelect
+                  id='inchFraction'
+                  value={dataInchFraction}
+                  onChange={e => this.setState({dataInchFraction: e.target.value})}
+                >
+                  {INCH_FRACTIONS.map(fraction => <option key={fraction} value={fraction}>{`1/${fraction}"`}</option>)}
+                </FormSelect>
+              </FormBlock> : null
+          }
+
+          <FormBlock>
+            <FormLabel htmlFor='autoDimension'>{translator.t('Dimension the walls of the rooms')}</FormLabel>
+            <input
+              id='autoDimension'
+              type='checkbox'
+              checked={dataAutoDimension}
+              onChange={e => this.setState({dataAutoDimension: e.target.checked})}
+            />
+          </FormBlock>
+
           <table style={{float: 'right'}}>
             <tbody>
             <tr>
@@ -5,6 +5,8 @@ import Viewer3D from './viewer3d/viewer3d';
 import Viewer3DFirstPerson from './viewer3d/viewer3d-first-person';
 import CatalogList from './catalog-view/catalog-list';
 import ProjectConfigurator from './configurator/project-configurator';
+import RoomSchedule from './room-schedule/room-schedule';
+import BillOfMaterials from './bill-of-materials/bill-of-materials';
 
 import * as constants from '../constants';
 
@@ -34,11 +36,22 @@ export default function Content({width, height, state, customContents}) {
     case constants.MODE_DRAWING_ITEM:
     case constants.MODE_DRAGGING_HOLE:
     case constants.MODE_ROTATING_ITEM:
+    case constants.MODE_ARRAYING:
+    case constants.MODE_WAITING_DRAWING_ROOM:
+    case constants.MODE_DRAWING_ROOM:
+    case constants.MODE_WAITING_DRAWING_ARC:
+    case constants.MODE_DRAWING_ARC:
       return <Viewer2D state={state} width={width} height={height}/>;
 
     case constants.MODE_CONFIGURING_PROJECT:
       return <ProjectConfigurator width={width} height={height} state={state}/>;
 
+    case constants.MODE_VIEWING_ROOM_SCHEDULE:
+      return <RoomSchedule width={width} height={height} state={state}/>;
+
+    case constants.MODE_VIEWING_BILL_OF_MATERIALS:
+      return <BillOfMaterials width={width} height={height} state={state}/>;
+
     default:
       if (customContents.hasOwnProperty(mode)) {
         let CustomContent = customContents[mode];
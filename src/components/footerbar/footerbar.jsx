@@ -3,8 +3,9 @@ import PropTypes from 'prop-types';
 import If from '../../utils/react-if';
 import FooterToggleButton from './footer-toggle-button';
 import FooterContentButton from './footer-content-button';
-import { SNAP_POINT, SNAP_LINE, SNAP_SEGMENT, SNAP_GRID, SNAP_GUIDE } from '../../utils/snap';
+import { SNAP_POINT, SNAP_LINE, SNAP_SEGMENT, SNAP_GRID, SNAP_GUIDE, SNAP_ANGLE, SNAP_ANGLE_STEP, SNAP_ITEM, ANGLE_SNAP_STEPS } from '../../utils/snap';
 import { MODE_SNAPPING } from '../../constants';
+import { formatLength } from '../../utils/units';
 import * as SharedStyle from '../../shared-style';
 import { MdAddCircle, MdWarning } from 'react-icons/md';
 import { VERSION } from '../../version';
@@ -42,11 +43,20 @@ export const rightTextStyle = {
 
 const coordStyle = {
   display: 'inline-block',
-  width: '6em',
+  width: '8em',
   margin: 0,
   padding: 0
 };
 
+const angleStepStyle = {
+  fontSize: '11px',
+  color: SharedStyle.COLORS.white,
+  backgroundColor: SharedStyle.SECONDARY_COLOR.alt,
+  border: '1px solid #CCC',
+  borderRadius: '2px',
+  outline: 'none'
+};
+
 const appMessageStyle = { borderBottom: '1px solid #555', lineHeight: '1.5em' };
 
 export default class FooterBar extends Component {
@@ -59,6 +69,7 @@ export default class FooterBar extends Component {
     let { state: globalState, width, height } = this.props;
     let { translator, projectActions } = this.context;
     let { x, y } = globalState.get('mouse').toJS();
+    let { unit, inchFraction } = globalState.scene;
     let zoom = globalState.get('zoom');
     let mode = globalState.get('mode');
 
@@ -83,8 +94,8 @@ export default class FooterBar extends Component {
 
         <If condition={MODE_SNAPPING.includes(mode)}>
           <div style={leftTextStyle}>
-            <div title={translator.t('Mouse X Coordinate')} style={coordStyle}>X : {x.toFixed(3)}</div>
-            <div title={translator.t('Mouse Y Coordinate')} style={coordStyle}>Y : {y.toFixed(3)}</div>
+            <div title={translator.t('Mouse X Coordinate')} style={coordStyle}>X : {formatLength(x, unit, 3, inchFraction)}</div>
+            <div title={translator.t('Mouse Y Coordinate')} style={coordStyle}>Y : {formatLength(y, unit, 3, inchFraction)}</div>
           </div>
 
           <div style={leftTextStyle} title={translator.t('Scene Zoom Level')}>Zoom: {zoom.toFixed(3)}X</div>
@@ -130,6 +141,30 @@ export default class FooterBar extends Component {
               toggleState={globalState.snapMask.get(SNAP_GUIDE)}
               title={translator.t('Snap to Guide')}
             />
+            <FooterToggleButton
+              state={this.state}
+              toggleOn={() => { updateSnapMask({ SNAP_ITEM: true }); }}
+              toggleOff={() => { updateSnapMask({ SNAP_ITEM: false }); }}
+              text="Snap ITM"
+              toggleState={globalState.snapMask.get(SNAP_ITEM)}
+              title={translator.t('Snap items to walls and to each other, holes to round distances from the wall ends')}
+            />
+            <FooterToggleButton
+              state={this.state}
+              toggleOn={() => { updateSnapMask({ SNAP_ANGLE: true }); }}
+              toggleOff={() => { updateSnapMask({ SNAP_ANGLE: false }); }}
+              text="Snap ANG"
+              toggleState={globalState.snapMask.get(SNAP_ANGLE)}
+              title={translator.t('Snap to Angle, hold Shift for horizontal and vertical only')}
+            />
+            <select
+              style={angleStepStyle}
+              value={globalState.snapMask.get(SNAP_ANGLE_STEP)}
+              onChange={e => updateSnapMask({ SNAP_ANGLE_STEP: parseInt(e.target.value), SNAP_ANGLE: true })}
+              title={translator.t('Angle snap step')}
+            >
+              {ANGLE_SNAP_STEPS.map(step => <option key={step} value={step}>{step}&deg;</option>)}
+            </select>
           </div>
         </If>
 
@@ -0,0 +1,102 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  ContentTitle,
+  ContentContainer,
+  FormSubmitButton,
+  CancelButton
+} from '../style/export';
+import * as SharedStyle from '../../shared-style';
+import { roomSchedule, scheduleToCSV, scheduleToJSON } from '../../utils/room-schedule';
+import { formatArea, formatLength } from '../../utils/units';
+import { browserDownload } from '../../utils/browser';
+
+const tableStyle = {width: '100%', borderCollapse: 'collapse', marginBottom: '1em'};
+const cellStyle = {padding: '4px 8px', borderBottom: `1px solid ${SharedStyle.MATERIAL_COLORS[500].blue_grey}`, textAlign: 'left'};
+const numberCellStyle = {...cellStyle, textAlign: 'right'};
+const headerStyle = {...cellStyle, fontWeight: 'bold'};
+const totalStyle = {fontWeight: 'bold', backgroundColor: SharedStyle.PRIMARY_COLOR.alt, color: SharedStyle.PRIMARY_COLOR.text_alt};
+const actionsStyle = {display: 'flex', justifyContent: 'flex-end', marginBottom: '1em'};
+const actionStyle = {marginLeft: '0.5em'};
+
+export default function RoomSchedule({width, height, state}, {projectActions, translator}) {
+  let {scene, catalog} = state;
+  let {unit, inchFraction} = scene;
+  let schedule = roomSchedule(scene, catalog);
+
+  let area = value => formatArea(value, unit);
+  let length = value => formatLength(value, unit, 2, inchFraction);
+
+  return (
+    <ContentContainer width={width} height={height}>
+      <ContentTitle>{translator.t('Room schedule')}</ContentTitle>
+
+      <div style={actionsStyle}>
+        <div style={actionStyle}>
+          <FormSubmitButton type="button" onClick={e => browserDownload(scheduleToCSV(schedule, unit), 'csv')}>
+            {translator.t('Export CSV')}
+          </FormSubmitButton>
+        </div>
+        <div style={actionStyle}>
+          <FormSubmitButton type="button" onClick={e => browserDownload(scheduleToJSON(schedule, unit))}>
+            {translator.t('Export JSON')}
+          </FormSubmitButton>
+        </div>
+        <div style={actionStyle}>
+          <CancelButton onClick={e => projectActions.rollback()}>{translator.t('Close')}</CancelButton>
+        </div>
+      </div>
+
+      <table style={tableStyle}>
+        <thead>
+        <tr>
+          <th style={headerStyle}>{translator.t('Layer')}</th>
+          <th style={headerStyle}>{translator.t('Name')}</th>
+          <th style={headerStyle}>{translator.t('Type')}</th>
+          <th style={{...headerStyle, textAlign: 'right'}}>{translator.t('Floor area')}</th>
+          <th style={{...headerStyle, textAlign: 'right'}}>{translator.t('Perimeter')}</th>
+          <th style={{...headerStyle, textAlign: 'right'}}>{translator.t('Walls')}</th>
+          <th style={headerStyle}>{translator.t('Doors and windows')}</th>
+        </tr>
+        </thead>
+        <tbody>
+        {
+          schedule.layers.map(layer => [
+            ...schedule.rooms.filter(room => room.layerID === layer.id).map(room =>
+              <tr key={room.id}>
+                <td style={cellStyle}>{room.layer}</td>
+                <td style={cellStyle}>{room.name}</td>
+                <td style={cellStyle}>{room.usage}</td>
+                <td style={numberCellStyle}>{area(room.area)}</td>
+                <td style={numberCellStyle}>{length(room.perimeter)}</td>
+                <td style={numberCellStyle}>{room.walls}</td>
+                <td style={cellStyle}>{room.holes.map(hole => hole.name).join(', ')}</td>
+              </tr>
+            ),
+            <tr key={`total-${layer.id}`} style={totalStyle}>
+              <td style={cellStyle}>{layer.name}</td>
+              <td style={cellStyle}>{translator.t('Total')}</td>
+              <td style={cellStyle}>{translator.t('{0} rooms', layer.rooms)}</td>
+              <td style={numberCellStyle}>{area(layer.area)}</td>
+              <td style={numberCellStyle}>{length(layer.perimeter)}</td>
+              <td style={numberCellStyle}>{layer.walls}</td>
+              <td style={cellStyle}>{layer.holes}</td>
+            </tr>
+          ])
+        }
+        </tbody>
+      </table>
+    </ContentContainer>
+  );
+}
+
+RoomSchedule.propTypes = {
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  state: PropTypes.object.isRequired,
+};
+
+RoomSchedule.contextTypes = {
+  projectActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired,
+};
@@ -3,13 +3,15 @@ import Panel from './panel';
 import PanelLayers from './panel-layers';
 import PanelLayerElement from './panel-layer-elements';
 import PanelGuides from './panel-guides';
+import PanelHistory from './panel-history';
 
 export {
   Sidebar,
   Panel,
   PanelLayers,
   PanelLayerElement,
-  PanelGuides
+  PanelGuides,
+  PanelHistory
 };
 
 export default {
@@ -17,5 +19,6 @@ export default {
   Panel,
   PanelLayers,
   PanelLayerElement,
-  PanelGuides
+  PanelGuides,
+  PanelHistory
 };
@@ -0,0 +1,147 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import Panel from './panel';
+import {
+  FormNumberInput,
+  FormLengthInput,
+  FormSelect,
+  FormSubmitButton,
+  CancelButton,
+  Button
+} from '../style/export';
+import {
+  MODE_IDLE,
+  MODE_ARRAYING,
+  ARRAY_GRID,
+  ARRAY_POLAR
+} from '../../constants';
+
+const contentStyle = {padding: '5px 15px'};
+const tableStyle = {width: '100%'};
+const firstTdStyle = {width: '8em'};
+const checkboxStyle = {margin: 0};
+const buttonsStyle = {display: 'flex', marginTop: '0.5em'};
+const buttonStyle = {flex: 1, margin: '0 0.2em'};
+
+export default class PanelArray extends Component {
+
+  renderRow(label, input) {
+    return (
+      <tr key={label}>
+        <td style={firstTdStyle}>{this.context.translator.t(label)}</td>
+        <td>{input}</td>
+      </tr>
+    );
+  }
+
+  renderLengthRow(label, name, config, scene) {
+    return this.renderRow(label,
+      <FormLengthInput
+        value={config.get(name)}
+        unit={scene.unit}
+        inchFraction={scene.inchFraction}
+        onChange={e => this.context.projectActions.updateArray({[name]: e.target.value})}
+      />
+    );
+  }
+
+  renderNumberRow(label, name, config, min) {
+    return this.renderRow(label,
+      <FormNumberInput
+        value={config.get(name)}
+        min={min}
+        precision={min === 1 ? 0 : 2}
+        onChange={e => this.context.projectActions.updateArray({[name]: e.target.value})}
+      />
+    );
+  }
+
+  renderCheckboxRow(label, name, config) {
+    return this.renderRow(label,
+      <input
+        style={checkboxStyle}
+        type="checkbox"
+        checked={config.get(name)}
+        onChange={e => this.context.projectActions.updateArray({[name]: !config.get(name)})}
+      />
+    );
+  }
+
+  render() {
+    let {state} = this.props;
+    let {projectActions, translator} = this.context;
+
+    if (state.mode === MODE_IDLE) {
+      let hasSelection = state.scene.layers.some(({selected}) =>
+        selected.lines.size || selected.holes.size || selected.items.size || selected.areas.size
+      );
+      if (!hasSelection) return null;
+
+      return (
+        <Panel key="idle" name={translator.t('Array')}>
+          <div style={contentStyle}>
+            <Button size="small" onClick={e => projectActions.beginArray({})}>{translator.t('Create array')}</Button>
+          </div>
+        </Panel>
+      );
+    }
+
+    if (state.mode !== MODE_ARRAYING) return null;
+
+    let {scene} = state;
+    let config = state.getIn(['drawingSupport', 'config']);
+    let isGrid = config.get('type') === ARRAY_GRID;
+
+    let rows = isGrid ? [
+      this.renderNumberRow('Columns', 'columns', config, 1),
+      this.renderNumberRow('Rows', 'rows', config, 1),
+      this.renderLengthRow('Spacing X', 'spacingX', config, scene),
+      this.renderLengthRow('Spacing Y', 'spacingY', config, scene),
+      this.renderNumberRow('Rotation', 'rotation', config)
+    ] : [
+      this.renderNumberRow('Copies', 'count', config, 1),
+      this.renderLengthRow('Center X', 'centerX', config, scene),
+      this.renderLengthRow('Center Y', 'centerY', config, scene),
+      this.renderNumberRow('Angle', 'angle', config),
+      this.renderCheckboxRow('Rotate copies', 'rotateCopies', config)
+    ];
+
+    return (
+      <Panel key="arraying" name={translator.t('Array')} opened={true}>
+        <div style={contentStyle}>
+          <table style={tableStyle}>
+            <tbody>
+            {
+              this.renderRow('Pattern',
+                <FormSelect value={config.get('type')} onChange={e => projectActions.updateArray({type: e.target.value})}>
+                  <option value={ARRAY_GRID}>{translator.t('Grid')}</option>
+                  <option value={ARRAY_POLAR}>{translator.t('Polar')}</option>
+                </FormSelect>
+              )
+            }
+            {rows}
+            {this.renderCheckboxRow('Group copies', 'group', config)}
+            </tbody>
+          </table>
+          <div style={buttonsStyle}>
+            <div style={buttonStyle}>
+              <CancelButton size="small" onClick={e => projectActions.rollback()}>{translator.t('Cancel')}</CancelButton>
+            </div>
+            <div style={buttonStyle}>
+              <FormSubmitButton size="small" onClick={e => projectActions.endArray()}>{translator.t('Apply')}</FormSubmitButton>
+            </div>
+          </div>
+        </div>
+      </Panel>
+    );
+  }
+}
+
+PanelArray.propTypes = {
+  state: PropTypes.object.isRequired
+};
+
+PanelArray.contextTypes = {
+  projectActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
@@ -0,0 +1,71 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import PropertyString from '../../../../catalog/properties/property-string';
+import PropertyNumber from '../../../../catalog/properties/property-number';
+import PropertyColor from '../../../../catalog/properties/property-color';
+import { ANNOTATION_TEXT, ANNOTATION_ARROW } from '../../../../constants';
+
+export default function AnnotationAttributesEditor({element, onUpdate, attributeFormData, state, ...rest}, {translator}) {
+  let value = attribute => attributeFormData.has(attribute) ? attributeFormData.get(attribute) : element.get(attribute);
+
+  //only texts and arrows show a text
+  let hasText = [ANNOTATION_TEXT, ANNOTATION_ARROW].includes(element.type);
+
+  return <div>
+    <PropertyString
+      value={value('name')}
+      onUpdate={mapped => onUpdate('name', mapped)}
+      configs={{label: translator.t('Name')}}
+      state={state}
+      {...rest}
+    />
+    {
+      hasText ?
+        <PropertyString
+          value={value('text')}
+          onUpdate={mapped => onUpdate('text', mapped)}
+          configs={{label: translator.t('Text')}}
+          state={state}
+          {...rest}
+        /> : null
+    }
+    {
+      hasText ?
+        <PropertyNumber
+          value={value('fontSize')}
+          onUpdate={mapped => onUpdate('fontSize', mapped)}
+          configs={{label: translator.t('Font size'), min: 1}}
+          state={state}
+          {...rest}
+        /> : null
+    }
+    {
+      hasText ?
+        <PropertyNumber
+          value={value('rotation')}
+          onUpdate={mapped => onUpdate('rotation', mapped)}
+          configs={{label: translator.t('Rotation')}}
+          state={state}
+          {...rest}
+        /> : null
+    }
+    <PropertyColor
+      value={value('color')}
+      onUpdate={mapped => onUpdate('color', mapped)}
+      configs={{label: translator.t('Color')}}
+      state={state}
+      {...rest}
+    />
+  </div>;
+}
+
+AnnotationAttributesEditor.propTypes = {
+  element: PropTypes.object.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  attributeFormData: PropTypes.object.isRequired,
+  state: PropTypes.object.isRequired
+};
+
+AnnotationAttributesEditor.contextTypes = {
+  translator: PropTypes.object.isRequired,
+};
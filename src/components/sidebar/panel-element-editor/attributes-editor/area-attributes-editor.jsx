@@ -0,0 +1,44 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import PropertyString from '../../../../catalog/properties/property-string';
+import PropertyReadOnly from '../../../../catalog/properties/property-read-only';
+import { formatArea, formatLength } from '../../../../utils/units';
+
+export default function AreaAttributesEditor({element, onUpdate, attributeFormData, state, ...rest}, {translator}) {
+  let name = attributeFormData.has('name') ? attributeFormData.get('name') : element.name;
+  let { unit, inchFraction } = state.scene;
+
+  //floor area and perimeter follow the walls, they can't be edited
+  return <div>
+    <PropertyString
+      value={name}
+      onUpdate={mapped => onUpdate('name', mapped)}
+      configs={{label: translator.t('Name')}}
+      state={state}
+      {...rest}
+    />
+    <PropertyReadOnly
+      value={formatArea(attributeFormData.get('area'), unit)}
+      onUpdate={() => {}}
+      configs={{label: translator.t('Floor area')}}
+      state={state}
+    />
+    <PropertyReadOnly
+      value={formatLength(attributeFormData.get('perimeter'), unit, 2, inchFraction)}
+      onUpdate={() => {}}
+      configs={{label: translator.t('Perimeter')}}
+      state={state}
+    />
+  </div>;
+}
+
+AreaAttributesEditor.propTypes = {
+  element: PropTypes.object.isRequired,
+  onUpdate: PropTypes.func.isRequired,
+  attributeFormData: PropTypes.object.isRequired,
+  state: PropTypes.object.isRequired
+};
+
+AreaAttributesEditor.contextTypes = {
+  translator: PropTypes.object.isRequired,
+};
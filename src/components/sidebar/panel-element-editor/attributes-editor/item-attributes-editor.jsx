@@ -2,6 +2,7 @@ import React, {Component} from 'react';
 import PropTypes from 'prop-types';
 import FormNumberInput from '../../../style/form-number-input';
 import FormTextInput from '../../../style/form-text-input';
+import FormLengthInput from '../../../style/form-length-input';
 
 const tableStyle = { width: '100%' };
 const firstTdStyle = { width: '6em' };
@@ -12,6 +13,7 @@ export default function ItemAttributesEditor({element, onUpdate, attributeFormDa
   let renderedX = attributeFormData.has('x') ? attributeFormData.get('x') : element.x;
   let renderedY = attributeFormData.has('y') ? attributeFormData.get('y') : element.y;
   let renderedR = attributeFormData.has('rotation') ? attributeFormData.get('rotation') : element.rotation;
+  let { unit, inchFraction } = state.scene;
 
   return (
     <table style={tableStyle}>
@@ -29,8 +31,10 @@ export default function ItemAttributesEditor({element, onUpdate, attributeFormDa
         <tr>
           <td style={firstTdStyle}>X</td>
           <td>
-            <FormNumberInput
+            <FormLengthInput
               value={renderedX}
+              unit={unit}
+              inchFraction={inchFraction}
               onChange={event => onUpdate('x', event.target.value)}
               style={inputStyle}
               state={state}
@@ -42,8 +46,10 @@ export default function ItemAttributesEditor({element, onUpdate, attributeFormDa
         <tr>
           <td style={firstTdStyle}>Y</td>
           <td>
-            <FormNumberInput
+            <FormLengthInput
               value={renderedY}
+              unit={unit}
+              inchFraction={inchFraction}
               onChange={event => onUpdate('y', event.target.value)}
               style={inputStyle}
               state={state}
@@ -1,7 +1,8 @@
 import React, {Component} from 'react';
 import PropTypes from 'prop-types';
-import { FormNumberInput, FormTextInput } from '../../../style/export';
+import { FormLengthInput, FormTextInput, FormSelect } from '../../../style/export';
 import { PropertyLengthMeasure } from '../../../../catalog/properties/export';
+import { JUSTIFY_CENTER, JUSTIFY_LEFT, JUSTIFY_RIGHT } from '../../../../constants';
 
 const tableStyle = { width: '100%' };
 const firstTdStyle = { width: '6em' };
@@ -13,6 +14,9 @@ export default function LineAttributesEditor({element, onUpdate, attributeFormDa
   let vertexOne = attributeFormData.has('vertexOne') ? attributeFormData.get('vertexOne') : null;
   let vertexTwo = attributeFormData.has('vertexTwo') ? attributeFormData.get('vertexTwo') : null;
   let lineLength = attributeFormData.has('lineLength') ? attributeFormData.get('lineLength') : null;
+  let justification = attributeFormData.has('justification') ? attributeFormData.get('justification') : element.justification;
+  let bulge = attributeFormData.has('bulge') ? attributeFormData.get('bulge') : element.bulge;
+  let { unit, inchFraction } = state.scene;
 
   return (
     <div>
@@ -31,8 +35,10 @@ export default function LineAttributesEditor({element, onUpdate, attributeFormDa
           <tr>
             <td style={firstTdStyle}>X1</td>
             <td>
-              <FormNumberInput
+              <FormLengthInput
                 value={vertexOne.get('x')}
+                unit={unit}
+                inchFraction={inchFraction}
                 onChange={event => onUpdate('vertexOne', {'x': event.target.value})}
                 style={inputStyle}
                 state={state}
@@ -44,8 +50,10 @@ export default function LineAttributesEditor({element, onUpdate, attributeFormDa
           <tr>
             <td style={firstTdStyle}>Y1</td>
             <td>
-              <FormNumberInput
+              <FormLengthInput
                 value={vertexOne.get('y')}
+                unit={unit}
+                inchFraction={inchFraction}
                 onChange={event => onUpdate('vertexOne', {'y': event.target.value})}
                 style={inputStyle}
                 state={state}
@@ -57,8 +65,10 @@ export default function LineAttributesEditor({element, onUpdate, attributeFormDa
           <tr>
             <td style={firstTdStyle}>X2</td>
             <td>
-              <FormNumberInput
+              <FormLengthInput
                 value={vertexTwo.get('x')}
+                unit={unit}
+                inchFraction={inchFraction}
                 onChange={event => onUpdate('vertexTwo', {'x': event.target.value})}
                 style={inputStyle}
                 state={state}
@@ -70,8 +80,10 @@ export default function LineAttributesEditor({element, onUpdate, attributeFormDa
           <tr>
             <td style={firstTdStyle}>Y2</td>
             <td>
-              <FormNumberInput
+              <FormLengthInput
                 value={vertexTwo.get('y')}
+                unit={unit}
+                inchFraction={inchFraction}
                 onChange={event => onUpdate('vertexTwo', {'y': event.target.value})}
                 style={inputStyle}
                 state={state}
@@ -80,6 +92,31 @@ export default function LineAttributesEditor({element, onUpdate, attributeFormDa
               />
             </td>
           </tr>
+          <tr>
+            <td style={firstTdStyle}>{translator.t('Justification')}</td>
+            <td>
+              <FormSelect value={justification} onChange={event => onUpdate('justification', event.target.value)}>
+                <option value={JUSTIFY_CENTER}>{translator.t('Center')}</option>
+                <option value={JUSTIFY_LEFT}>{translator.t('Left')}</option>
+                <option value={JUSTIFY_RIGHT}>{translator.t('Right')}</option>
+              </FormSelect>
+            </td>
+          </tr>
+          <tr>
+            <td style={firstTdStyle}>{translator.t('Bulge')}</td>
+            <td>
+              <FormLengthInput
+                value={bulge}
+                unit={unit}
+                inchFraction={inchFraction}
+                onChange={event => onUpdate('bulge', event.target.value)}
+                style={inputStyle}
+                state={state}
+                precision={2}
+                {...rest}
+              />
+            </td>
+          </tr>
         </tbody>
       </table>
       <PropertyLengthMeasure
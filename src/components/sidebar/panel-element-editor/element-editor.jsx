@@ -2,10 +2,9 @@ import React, {Component} from 'react';
 import PropTypes from 'prop-types';
 import {Map, fromJS} from 'immutable';
 import AttributesEditor from './attributes-editor/attributes-editor';
-import { GeometryUtils, MathUtils } from '../../../utils/export';
+import { GeometryUtils, MathUtils, UnitUtils, WallUtils, LockUtils } from '../../../utils/export';
 import * as SharedStyle from '../../../shared-style';
-import convert from 'convert-units';
-import {MdContentCopy, MdContentPaste} from 'react-icons/md';
+import {MdContentCopy, MdContentPaste, MdLock, MdLockOpen} from 'react-icons/md';
 
 const PRECISION = 2;
 
@@ -38,7 +37,8 @@ export default class ElementEditor extends Component {
 
     this.state = {
       attributesFormData: this.initAttrData(this.props.element, this.props.layer, this.props.state),
-      propertiesFormData: this.initPropData(this.props.element, this.props.layer, this.props.state)
+      propertiesFormData: this.initPropData(this.props.element, this.props.layer, this.props.state),
+      attributesResets: 0
     };
 
     this.updateAttribute = this.updateAttribute.bind(this);
@@ -48,6 +48,7 @@ export default class ElementEditor extends Component {
     if(
       this.state.attributesFormData.hashCode() !== nextState.attributesFormData.hashCode() ||
       this.state.propertiesFormData.hashCode() !== nextState.propertiesFormData.hashCode() ||
+      this.state.attributesResets !== nextState.attributesResets ||
       this.props.state.clipboardProperties.hashCode() !== nextProps.state.clipboardProperties.hashCode()
     ) return true;
 
@@ -55,12 +56,8 @@ export default class ElementEditor extends Component {
   }
 
   componentWillReceiveProps({ element, layer, state }) {
-    let { prototype, id } = element;
-    let scene = this.props.state.get('scene');
-    let selectedLayer = scene.getIn(['layers', scene.get('selectedLayer')]);
-    let selected = selectedLayer.getIn([prototype, id]);
-
-    if( selectedLayer.hashCode() !== layer.hashCode() ) this.setState({
+    //the edited element may belong to any layer of a multi-layer selection, compare with its own layer
+    if( this.props.layer.hashCode() !== layer.hashCode() ) this.setState({
       attributesFormData: this.initAttrData(element, layer, state),
       propertiesFormData: this.initPropData(element, layer, state)
     });
@@ -79,28 +76,28 @@ export default class ElementEditor extends Component {
         let v_b = layer.vertices.get(element.vertices.get(1));
 
         let distance = GeometryUtils.pointsDistance(v_a.x, v_a.y, v_b.x, v_b.y);
-        let _unit = element.misc.get('_unitLength') || this.context.catalog.unit;
-        let _length = convert(distance).from(this.context.catalog.unit).to(_unit);
+        let _unit = element.misc.get('_unitLength') || state.scene.unit;
+        let _length = UnitUtils.fromStorageUnit(distance, _unit, this.context.catalog.unit);
 
         return new Map({
           vertexOne: v_a,
           vertexTwo: v_b,
           lineLength: new Map({length: distance, _length, _unit}),
+          justification: element.justification,
+          bulge: element.bulge
         });
       }
       case 'holes': {
         let line = layer.lines.get(element.line);
-        let {x: x0, y: y0} = layer.vertices.get(line.vertices.get(0));
-        let {x: x1, y: y1} = layer.vertices.get(line.vertices.get(1));
-        let lineLength = GeometryUtils.pointsDistance(x0, y0, x1, y1);
+        let lineLength = WallUtils.wallLength(layer, line);
         let startAt = lineLength * element.offset - element.properties.get('width').get('length') / 2;
 
-        let _unitA = element.misc.get('_unitA') || this.context.catalog.unit;
-        let _lengthA = convert(startAt).from(this.context.catalog.unit).to(_unitA);
+        let _unitA = element.misc.get('_unitA') || state.scene.unit;
+        let _lengthA = UnitUtils.fromStorageUnit(startAt, _unitA, this.context.catalog.unit);
 
         let endAt = lineLength - lineLength * element.offset - element.properties.get('width').get('length') / 2;
-        let _unitB = element.misc.get('_unitB') || this.context.catalog.unit;
-        let _lengthB = convert(endAt).from(this.context.catalog.unit).to(_unitB);
+        let _unitB = element.misc.get('_unitB') || state.scene.unit;
+        let _lengthB = UnitUtils.fromStorageUnit(endAt, _unitB, this.context.catalog.unit);
 
         return new Map({
           offset: element.offset,
@@ -117,7 +114,22 @@ export default class ElementEditor extends Component {
         });
       }
       case 'areas': {
-        return new Map({});
+        let {area, perimeter} = WallUtils.areaFloor(layer, element);
+
+        return new Map({
+          name: element.name,
+          area,
+          perimeter
+        });
+      }
+      case 'annotations': {
+        return new Map({
+          name: element.name,
+          text: element.text,
+          fontSize: element.fontSize,
+          rotation: element.rotation,
+          color: element.color
+        });
       }
       default:
         return null;
@@ -127,6 +139,9 @@ export default class ElementEditor extends Component {
   }
 
   initPropData(element, layer, state) {
+    //annotations are not catalog elements, they have no properties
+    if (element.prototype === 'annotations') return new Map();
+
     let {catalog} = this.context;
     let catalogElement = catalog.getElement(element.type);
 
@@ -143,6 +158,14 @@ export default class ElementEditor extends Component {
 
   updateAttribute(attributeName, value) {
 
+    let {element, layer, state} = this.props;
+
+    //the classes ignore the geometry of a locked element, remounting the inputs shows its values back
+    if( LockUtils.isGeometryAttribute(element.prototype, attributeName) && LockUtils.isLocked(state.scene, layer.id, element.prototype, element.id) ) {
+      this.setState({attributesResets: this.state.attributesResets + 1});
+      return;
+    }
+
     let {attributesFormData} = this.state;
 
     switch (this.props.element.prototype) {
@@ -178,7 +201,7 @@ export default class ElementEditor extends Component {
 
               attr.mergeIn(['lineLength'], attr.get('lineLength').merge({
                 'length': newDistance,
-                '_length': convert(newDistance).from(this.context.catalog.unit).to(attr.get('lineLength').get('_unit'))
+                '_length': UnitUtils.fromStorageUnit(newDistance, attr.get('lineLength').get('_unit'), this.context.catalog.unit)
               }));
             });
             break;
@@ -197,16 +220,7 @@ export default class ElementEditor extends Component {
           case 'offsetA':
           {
             let line = this.props.layer.lines.get(this.props.element.line);
-
-            let orderedVertices = GeometryUtils.orderVertices([
-              this.props.layer.vertices.get(line.vertices.get(0)),
-              this.props.layer.vertices.get(line.vertices.get(1))
-            ]);
-
-            let [ {x: x0, y: y0}, {x: x1, y: y1} ] = orderedVertices;
-
-            let alpha = GeometryUtils.angleBetweenTwoPoints(x0, y0, x1, y1);
-            let lineLength = GeometryUtils.pointsDistance(x0, y0, x1, y1);
+            let lineLength = WallUtils.wallLength(this.props.layer, line);
             let widthLength = this.props.element.properties.get('width').get('length');
             let halfWidthLength = widthLength / 2;
 
@@ -214,17 +228,14 @@ export default class ElementEditor extends Component {
             lengthValue = Math.max(lengthValue, 0);
             lengthValue = Math.min(lengthValue, lineLength - widthLength);
 
-            let xp = (lengthValue + halfWidthLength) * Math.cos(alpha) + x0;
-            let yp = (lengthValue + halfWidthLength) * Math.sin(alpha) + y0;
-
-            let offset = GeometryUtils.pointPositionOnLineSegment(x0, y0, x1, y1, xp, yp);
+            let offset = (lengthValue + halfWidthLength) / lineLength;
 
             let endAt = MathUtils.toFixedFloat(lineLength - (lineLength * offset) - halfWidthLength, PRECISION);
             let offsetUnit = attributesFormData.getIn(['offsetB', '_unit']);
 
             let offsetB = new Map({
               length: endAt,
-              _length: convert(endAt).from(this.context.catalog.unit).to(offsetUnit),
+              _length: UnitUtils.fromStorageUnit(endAt, offsetUnit, this.context.catalog.unit),
               _unit: offsetUnit
             });
 
@@ -233,7 +244,7 @@ export default class ElementEditor extends Component {
             let offsetAttribute = new Map({
               length: MathUtils.toFixedFloat(lengthValue, PRECISION),
               _unit: value.get('_unit'),
-              _length: MathUtils.toFixedFloat(convert(lengthValue).from(this.context.catalog.unit).to(value.get('_unit')), PRECISION)
+              _length: MathUtils.toFixedFloat(UnitUtils.fromStorageUnit(lengthValue, value.get('_unit'), this.context.catalog.unit), PRECISION)
             });
 
             attributesFormData = attributesFormData.set(attributeName, offsetAttribute);
@@ -243,16 +254,7 @@ export default class ElementEditor extends Component {
           case 'offsetB':
           {
             let line = this.props.layer.lines.get(this.props.element.line);
-
-            let orderedVertices = GeometryUtils.orderVertices([
-              this.props.layer.vertices.get(line.vertices.get(0)),
-              this.props.layer.vertices.get(line.vertices.get(1))
-            ]);
-
-            let [ {x: x0, y: y0}, {x: x1, y: y1} ] = orderedVertices;
-
-            let alpha = GeometryUtils.angleBetweenTwoPoints(x0, y0, x1, y1);
-            let lineLength = GeometryUtils.pointsDistance(x0, y0, x1, y1);
+            let lineLength = WallUtils.wallLength(this.props.layer, line);
             let widthLength = this.props.element.properties.get('width').get('length');
             let halfWidthLength = widthLength / 2;
 
@@ -260,17 +262,14 @@ export default class ElementEditor extends Component {
             lengthValue = Math.max(lengthValue, 0);
             lengthValue = Math.min(lengthValue, lineLength - widthLength);
 
-            let xp = x1 - (lengthValue + halfWidthLength) * Math.cos(alpha);
-            let yp = y1 - (lengthValue + halfWidthLength) * Math.sin(alpha);
-
-            let offset = GeometryUtils.pointPositionOnLineSegment(x0, y0, x1, y1, xp, yp);
+            let offset = 1 - (lengthValue + halfWidthLength) / lineLength;
 
             let startAt = MathUtils.toFixedFloat((lineLength * offset) - halfWidthLength, PRECISION);
             let offsetUnit = attributesFormData.getIn(['offsetA', '_unit']);
 
             let offsetA = new Map({
               length: startAt,
-              _length: convert(startAt).from(this.context.catalog.unit).to(offsetUnit),
+              _length: UnitUtils.fromStorageUnit(startAt, offsetUnit, this.context.catalog.unit),
               _unit: offsetUnit
             });
 
@@ -279,7 +278,7 @@ export default class ElementEditor extends Component {
             let offsetAttribute = new Map({
               length: MathUtils.toFixedFloat(lengthValue, PRECISION),
               _unit: value.get('_unit'),
-              _length: MathUtils.toFixedFloat(convert(lengthValue).from(this.context.catalog.unit).to(value.get('_unit')), PRECISION)
+              _length: MathUtils.toFixedFloat(UnitUtils.fromStorageUnit(lengthValue, value.get('_unit'), this.context.catalog.unit), PRECISION)
             });
 
             attributesFormData = attributesFormData.set(attributeName, offsetAttribute);
@@ -294,6 +293,11 @@ export default class ElementEditor extends Component {
         };
         break;
       }
+      case 'areas':
+      case 'annotations': {
+        attributesFormData = attributesFormData.set(attributeName, value);
+        break;
+      }
       default:
         break;
     }
@@ -337,6 +341,14 @@ export default class ElementEditor extends Component {
           this.context.projectActions.setHolesAttributes(attributesFormData);
           break;
         }
+        case 'areas': {
+          this.context.projectActions.setAreasAttributes(attributesFormData);
+          break;
+        }
+        case 'annotations': {
+          this.context.projectActions.setAnnotationsAttributes(attributesFormData);
+          break;
+        }
       }
     }
   }
@@ -349,6 +361,11 @@ export default class ElementEditor extends Component {
     this.context.projectActions.pasteProperties();
   }
 
+  toggleLock() {
+    let { layer, element } = this.props;
+    this.context.sceneActions.setElementLocked( layer.id, element.prototype, element.id, !element.locked );
+  }
+
   render() {
     let {
       state: {propertiesFormData, attributesFormData},
@@ -356,10 +373,13 @@ export default class ElementEditor extends Component {
       props: {state: appState, element},
     } = this;
 
+    let LockIcon = element.locked ? MdLock : MdLockOpen;
+
     return (
       <div>
 
         <AttributesEditor
+          key={this.state.attributesResets}
           element={element}
           onUpdate={this.updateAttribute}
           attributeFormData={attributesFormData}
@@ -368,6 +388,7 @@ export default class ElementEditor extends Component {
 
         <div style={attrPorpSeparatorStyle}>
           <div style={headActionStyle}>
+            <div title={translator.t(element.locked ? 'Unlock' : 'Lock')} style={iconHeadStyle} onClick={ e => this.toggleLock() }><LockIcon /></div>
             <div title={translator.t('Copy')} style={iconHeadStyle} onClick={ e => this.copyProperties(element.properties) }><MdContentCopy /></div>
             {
               appState.get('clipboardProperties') && appState.get('clipboardProperties').size ?
@@ -409,6 +430,7 @@ ElementEditor.propTypes = {
 
 ElementEditor.contextTypes = {
   projectActions: PropTypes.object.isRequired,
+  sceneActions: PropTypes.object.isRequired,
   catalog: PropTypes.object.isRequired,
   translator: PropTypes.object.isRequired,
 };
@@ -6,7 +6,7 @@ import {
   MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN, MODE_3D_VIEW, MODE_3D_FIRST_PERSON,
   MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE, MODE_DRAWING_ITEM, MODE_DRAGGING_LINE,
   MODE_DRAGGING_VERTEX, MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE, MODE_FITTING_IMAGE, MODE_UPLOADING_IMAGE,
-  MODE_ROTATING_ITEM
+  MODE_ROTATING_ITEM, MODE_DRAGGING_ANNOTATION
 } from '../../../constants';
 import ElementEditor from './element-editor';
 
@@ -18,7 +18,7 @@ export default function PanelElementEditor({state}, {projectActions, translator}
       MODE_3D_VIEW, MODE_3D_FIRST_PERSON,
       MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE, MODE_DRAWING_ITEM,
       MODE_DRAGGING_LINE, MODE_DRAGGING_VERTEX, MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE,
-      MODE_ROTATING_ITEM, MODE_UPLOADING_IMAGE, MODE_FITTING_IMAGE].includes(mode)) return null;
+      MODE_ROTATING_ITEM, MODE_UPLOADING_IMAGE, MODE_FITTING_IMAGE, MODE_DRAGGING_ANNOTATION].includes(mode)) return null;
 
   let componentRenderer = (element, layer) =>
     <Panel key={element.id} name={translator.t('Properties: [{0}] {1}', element.type, element.id)} opened={true}>
@@ -28,7 +28,7 @@ export default function PanelElementEditor({state}, {projectActions, translator}
     </Panel>;
 
   let layerRenderer = layer => Seq()
-    .concat(layer.lines, layer.holes, layer.areas, layer.items)
+    .concat(layer.lines, layer.holes, layer.areas, layer.items, layer.annotations)
     .filter(element => element.selected)
     .map(element => componentRenderer(element, layer))
     .valueSeq();
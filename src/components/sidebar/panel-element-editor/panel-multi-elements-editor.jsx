@@ -1,21 +1,24 @@
 import React, {Component} from 'react';
 import PropTypes from 'prop-types';
 import Panel from '../panel';
-import {Seq} from 'immutable';
+import {Map, Seq, fromJS} from 'immutable';
 import {
   MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN, MODE_3D_VIEW, MODE_3D_FIRST_PERSON,
   MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE, MODE_DRAWING_ITEM, MODE_DRAGGING_LINE,
   MODE_DRAGGING_VERTEX, MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE, MODE_FITTING_IMAGE, MODE_UPLOADING_IMAGE,
-  MODE_ROTATING_ITEM
+  MODE_ROTATING_ITEM, MODE_DRAGGING_ANNOTATION
 } from '../../../constants';
 import { FormSelect } from '../../../components/style/export';
-import { Group } from '../../../class/export';
 
 const tableStyle = { width: '100%' };
 const firstTdStyle = { width: '6em' };
+const addStyle = { cursor: 'pointer', padding: '0.5em 0', textAlign: 'center' };
+
+//catalog elements, annotations have no properties and do not belong to groups
+const PROTOTYPES = ['lines', 'holes', 'areas', 'items'];
 
 export default class PanelMultiElementsEditor extends Component {
-//export default function PanelMultiElementsEditor({state}, {projectActions, translator}) {
+
   constructor(props, context) {
     super(props, context);
 
@@ -24,41 +27,67 @@ export default class PanelMultiElementsEditor extends Component {
     };
   }
 
-  addSelectToGroup( state, groupID, layerID, selecteds ) {
-    if( !groupID || groupID === '' || !selecteds || !selecteds.size ) return;
-
-    console.log('need to be added to group', groupID, 'elements', selecteds );
+  //the elements selected in every layer
+  selectedElements() {
+    return this.props.state.getIn(['scene', 'layers']).valueSeq().flatMap(layer =>
+      Seq(PROTOTYPES).flatMap(prototype =>
+        layer.selected.get(prototype).map(elementID => ({ layerID: layer.id, element: layer.getIn([prototype, elementID]) }))
+      )
+    ).filter(({ element }) => element).toList();
+  }
 
-    /*let selectedJs = selecteds.toJS();
+  //the properties every selected element has, with the same type, valued as in the first element
+  sharedProperties(elements) {
+    let { catalog } = this.context;
+
+    let [ first, ...others ] = elements.map(({ element }) => element).toArray();
+    let firstProperties = catalog.getElement(first.type).properties;
+
+    return Seq(firstProperties)
+      .filter((configs, propertyName) => others.every(element => {
+        let otherConfigs = catalog.getElement(element.type).properties[propertyName];
+        return otherConfigs && otherConfigs.type === configs.type;
+      }))
+      .map((configs, propertyName) => new Map({
+        currentValue: first.properties.has(propertyName) ? first.properties.get(propertyName) : fromJS(configs.defaultValue),
+        configs
+      }));
+  }
 
-    for( let lineID in selectedJs.lines ) Group.addElement( state, groupID, layerID, 'lines', lineID );*/
+  addToGroup(elements) {
+    let { selectedGroupID } = this.state;
+    if( !selectedGroupID ) return;
 
+    elements.forEach(({ layerID, element }) =>
+      this.context.groupsActions.addToGroup( selectedGroupID, layerID, element.prototype, element.id )
+    );
   }
 
   render() {
 
-    let { mode } = this.props.state;
+    let { state: appState } = this.props;
+    let { projectActions, catalog, translator } = this.context;
 
     if (![MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN,
       MODE_3D_VIEW, MODE_3D_FIRST_PERSON,
       MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE, MODE_DRAWING_ITEM,
       MODE_DRAGGING_LINE, MODE_DRAGGING_VERTEX, MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE,
-      MODE_ROTATING_ITEM, MODE_UPLOADING_IMAGE, MODE_FITTING_IMAGE].includes(mode)) return null;
+      MODE_ROTATING_ITEM, MODE_UPLOADING_IMAGE, MODE_FITTING_IMAGE, MODE_DRAGGING_ANNOTATION].includes(appState.mode)) return null;
 
-    let groups = this.props.state.getIn(['scene', 'groups']);
+    let elements = this.selectedElements();
+    if (!elements.size) return null;
 
-    //TODO change in multi-layer check
-    let selectedLayer = this.props.state.getIn(['scene', 'selectedLayer']);
-    let selecteds = this.props.state.getIn(['scene', 'layers', selectedLayer, 'selected']);
+    let groups = appState.getIn(['scene', 'groups']);
+    let layersCount = elements.map(({ layerID }) => layerID).toSet().size;
 
     return (
-      <Panel name={'Multiselected'} opened={true}>
+      <Panel name={translator.t('Multiselected')} opened={true}>
         <div style={{padding: '5px 15px'}}>
-          <p>Multiselection tab</p>
+          <p>{translator.t('{0} elements selected in {1} layers', elements.size, layersCount)}</p>
           <table style={tableStyle}>
             <tbody>
               <tr>
-                <td style={firstTdStyle}>Add to Group</td>
+                <td style={firstTdStyle}>{translator.t('Add to Group')}</td>
                 <td>
                   <FormSelect value={this.state.selectedGroupID} onChange={ e => this.setState({'selectedGroupID': e.target.value}) }>
                     <option key={0} value={''}></option>
@@ -67,18 +96,31 @@ export default class PanelMultiElementsEditor extends Component {
                     }
                   </FormSelect>
                 </td>
-                <td style={{cursor:'pointer', padding:'0.5em 0', textAlign:'center'}} onClick={ e => {
-                  if( !this.state.selectedGroupID || this.state.selectedGroupID === '' || !selecteds || !selecteds.size ) return;
-
-                  let selectedJs = selecteds.toJS();
-
-                  for( let x = 0; x < selectedJs.lines.length; x++ )
-                    this.context.groupsActions.addToGroup( this.state.selectedGroupID, selectedLayer, 'lines', selectedJs.lines[x] );
-
-                }}>+</td>
+                <td style={addStyle} onClick={ e => this.addToGroup(elements) }>+</td>
               </tr>
             </tbody>
           </table>
+
+          {this.sharedProperties(elements).entrySeq()
+            .map(([propertyName, data]) => {
+
+              let currentValue = data.get('currentValue'), configs = data.get('configs');
+
+              let {Editor} = catalog.getPropertyType(configs.type);
+
+              //applied to the selected elements of every layer
+              return <Editor
+                key={propertyName}
+                propertyName={propertyName}
+                value={currentValue}
+                configs={configs}
+                onUpdate={value => projectActions.setProperties(new Map({[propertyName]: value}))}
+                state={appState}
+                sourceElement={elements.first().element}
+                internalState={this.state}
+              />
+            })
+          }
         </div>
       </Panel>
     );
@@ -93,5 +135,6 @@ PanelMultiElementsEditor.propTypes = {
 PanelMultiElementsEditor.contextTypes = {
   projectActions: PropTypes.object.isRequired,
   groupsActions: PropTypes.object.isRequired,
+  catalog: PropTypes.object.isRequired,
   translator: PropTypes.object.isRequired
 };
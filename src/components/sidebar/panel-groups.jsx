@@ -3,7 +3,7 @@ import PropTypes from 'prop-types';
 import Panel from './panel';
 import * as SharedStyle from '../../shared-style';
 import {TiPlus, TiDelete} from 'react-icons/ti';
-import {FaTrash, FaEye, FaLink, FaUnlink} from 'react-icons/fa';
+import {FaTrash, FaEye, FaLink, FaUnlink, FaLock, FaLockOpen} from 'react-icons/fa';
 import { Map } from 'immutable';
 
 import {
@@ -75,7 +75,7 @@ export default class PanelGroups extends Component {
         { groups.size ? <table style={tablegroupStyle}>
           <thead>
             <tr>
-              <th colSpan="4"></th>
+              <th colSpan="5"></th>
               <th>{this.context.translator.t('Elements')}</th>
               <th>{this.context.translator.t('Name')}</th>
             </tr>
@@ -91,6 +91,11 @@ export default class PanelGroups extends Component {
                   this.context.groupsActions.setGroupProperties(groupID, new Map({visible: !group.get('visible')}));
                 };
 
+                let swapLock = e => {
+                  e.stopPropagation();
+                  this.context.groupsActions.setGroupAttributes(groupID, new Map({locked: !group.get('locked')}));
+                };
+
                 let chainToGroup = e => {
                   layers.forEach((layer) => {
 
@@ -117,6 +122,7 @@ export default class PanelGroups extends Component {
                 let isCurrentgroup = group.get('selected');
                 let shouldHighlight = isCurrentgroup;
                 let rowStyle = !shouldHighlight ? null : styleHoverColor;
+                let LockIcon = group.get('locked') ? FaLock : FaLockOpen;
 
                 let dimension = group.get('elements').reduce( ( sum, layer ) => {
                   return sum + layer.reduce( ( lSum, elProt ) => lSum + elProt.size, 0 );
@@ -133,6 +139,12 @@ export default class PanelGroups extends Component {
                         style={!group.get('visible') ? styleEyeHidden : styleEyeVisible}
                       />
                     </td>
+                    <td style={iconColStyle} title={this.context.translator.t('Toggle Group Lock')}>
+                      <LockIcon
+                        onClick={swapLock}
+                        style={!shouldHighlight && !group.get('locked') ? styleEditButton : styleEditButtonHover}
+                      />
+                    </td>
                     <td style={iconColStyle} title={this.context.translator.t('Chain selected Elements to Group')}>
                       <FaLink
                         onClick={chainToGroup}
@@ -0,0 +1,175 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import Panel from './panel';
+import * as SharedStyle from '../../shared-style';
+import {TiPlus} from 'react-icons/ti';
+import {FaHistory, FaBookmark, FaTimes} from 'react-icons/fa';
+import {FormTextInput, FormSubmitButton} from '../style/export';
+
+import {
+  MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN, MODE_3D_VIEW, MODE_3D_FIRST_PERSON
+} from '../../constants';
+
+const VISIBILITY_MODE = {
+  MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN, MODE_3D_VIEW, MODE_3D_FIRST_PERSON
+};
+
+const styleEditButton = {
+  marginLeft: '5px',
+  border: '0px',
+  background: 'none',
+  color: SharedStyle.COLORS.white,
+  fontSize: '14px',
+  outline: '0px',
+  cursor: 'pointer'
+};
+
+const tableHistoryStyle = {
+  width: '100%',
+  overflowY: 'auto',
+  maxHeight: '20em',
+  display: 'block',
+  padding: '0 1em',
+  marginLeft: '1px'
+};
+
+const iconColStyle = {width: '2em', textAlign: 'center'};
+const timeColStyle = {width: '6em', textAlign: 'center'};
+const styleHoverColor = {color: SharedStyle.SECONDARY_COLOR.main};
+const styleAddLabel = {fontSize: '10px', marginLeft: '5px'};
+const newCheckpointLableStyle = {margin: '0.5em 0', fontSize: '1.3em', cursor: 'pointer', textAlign: 'center'};
+const newCheckpointLableHoverStyle = {...newCheckpointLableStyle, ...styleHoverColor};
+const checkpointInputTableStyle = {width: '100%', borderSpacing: '2px 0', padding: '5px 15px'};
+
+export default class PanelHistory extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+
+    this.state = {
+      headHovered: false,
+      checkpointAddUIVisible: false,
+      checkpointName: ''
+    };
+  }
+
+  shouldComponentUpdate(nextProps, nextState) {
+    return (
+      this.props.sceneHistory.list !== nextProps.sceneHistory.list ||
+      this.props.mode !== nextProps.mode ||
+      this.state.headHovered !== nextState.headHovered ||
+      this.state.checkpointAddUIVisible !== nextState.checkpointAddUIVisible ||
+      this.state.checkpointName !== nextState.checkpointName
+    );
+  }
+
+  addCheckpoint(e) {
+    e.stopPropagation();
+    let name = this.state.checkpointName.trim();
+
+    if (name) this.context.projectActions.addHistoryCheckpoint(name);
+    this.setState({checkpointAddUIVisible: false, checkpointName: ''});
+  }
+
+  render() {
+    let {mode, sceneHistory} = this.props;
+    let {projectActions, translator} = this.context;
+
+    if (!VISIBILITY_MODE[mode]) return null;
+
+    return (
+      <Panel name={translator.t('History')}>
+        {sceneHistory.list.size ?
+          <table style={tableHistoryStyle}>
+            <thead>
+              <tr>
+                <th colSpan="2"></th>
+                <th>{translator.t('Time')}</th>
+                <th>{translator.t('Name')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {
+                sceneHistory.list.entrySeq().reverse().map(([index, entry]) => {
+                  let name = entry.get('name');
+
+                  return (
+                    <tr key={index} style={name ? styleHoverColor : null}>
+                      <td style={iconColStyle} title={translator.t('Jump to this point')}>
+                        <FaHistory
+                          onClick={e => projectActions.jumpToHistoryEntry(index)}
+                          style={styleEditButton}
+                        />
+                      </td>
+                      <td style={iconColStyle}>
+                        {
+                          name ?
+                            <FaTimes
+                              onClick={e => projectActions.removeHistoryCheckpoint(index)}
+                              style={styleEditButton}
+                              title={translator.t('Remove checkpoint')}
+                            />
+                            : null
+                        }
+                      </td>
+                      <td style={timeColStyle}>
+                        {new Date(entry.get('time')).toLocaleTimeString()}
+                      </td>
+                      <td>
+                        {name ? <span><FaBookmark /> <b>{name}</b></span> : null}
+                      </td>
+                    </tr>
+                  );
+                })
+              }
+            </tbody>
+          </table> : null
+        }
+
+        <p
+          style={!this.state.headHovered ? newCheckpointLableStyle : newCheckpointLableHoverStyle}
+          onMouseOver={() => this.setState({headHovered: true})}
+          onMouseOut={() => this.setState({headHovered: false})}
+          onClick={() => this.setState({checkpointAddUIVisible: !this.state.checkpointAddUIVisible})}
+        >
+          <TiPlus />
+          <b style={styleAddLabel}>{translator.t('New checkpoint')}</b>
+        </p>
+
+        {
+          this.state.checkpointAddUIVisible ?
+            <table style={checkpointInputTableStyle}>
+              <tbody>
+                <tr>
+                  <td>
+                    <FormTextInput
+                      value={this.state.checkpointName}
+                      onChange={e => this.setState({checkpointName: e.target.value})}
+                    />
+                  </td>
+                  <td style={{width: '5em'}}>
+                    <FormSubmitButton size="small" onClick={e => this.addCheckpoint(e)}>
+                      {translator.t('Save')}
+                    </FormSubmitButton>
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+            : null
+        }
+
+      </Panel>
+    )
+  }
+
+}
+
+PanelHistory.propTypes = {
+  mode: PropTypes.string.isRequired,
+  sceneHistory: PropTypes.object.isRequired
+};
+
+PanelHistory.contextTypes = {
+  translator: PropTypes.object.isRequired,
+  projectActions: PropTypes.object.isRequired
+};
@@ -8,7 +8,7 @@ import {
   MODE_ROTATING_ITEM
 } from '../../constants';
 import * as SharedStyle from '../../shared-style';
-import {MdSearch} from 'react-icons/md';
+import {MdSearch, MdLock, MdLockOpen} from 'react-icons/md';
 
 const VISIBILITY_MODE = {
   MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN, MODE_3D_VIEW, MODE_3D_FIRST_PERSON,
@@ -44,6 +44,17 @@ const elementSelectedStyle = {
   borderColor: SharedStyle.SECONDARY_COLOR.main,
 };
 
+const lockIconStyle = {
+  marginLeft: '0.3em',
+  verticalAlign: 'middle',
+  color: '#AAA'
+};
+
+const lockedIconStyle = {
+  ...lockIconStyle,
+  color: SharedStyle.SECONDARY_COLOR.main
+};
+
 const categoryDividerStyle = {
   paddingBottom: '0.5em',
   borderBottom: '1px solid #888',
@@ -63,6 +74,7 @@ export default class PanelLayerElement extends Component {
       lines: layer.lines,
       holes: layer.holes,
       items: layer.items,
+      annotations: layer.annotations,
     };
 
     this.state = {
@@ -81,7 +93,8 @@ export default class PanelLayerElement extends Component {
     if(
       oldElements.lines.hashCode() !== newElements.lines.hashCode() ||
       oldElements.holes.hashCode() !== newElements.holes.hashCode() ||
-      oldElements.items.hashCode() !== newElements.items.hashCode()
+      oldElements.items.hashCode() !== newElements.items.hashCode() ||
+      oldElements.annotations.hashCode() !== newElements.annotations.hashCode()
     ) return true;
 
     return false;
@@ -96,6 +109,7 @@ export default class PanelLayerElement extends Component {
       lines: layer.lines,
       holes: layer.holes,
       items: layer.items,
+      annotations: layer.annotations,
     };
 
     if (this.state.matchString !== '') {
@@ -107,7 +121,8 @@ export default class PanelLayerElement extends Component {
           elements,
           lines: elements.lines.filter(filterCb),
           holes: elements.holes.filter(filterCb),
-          items: elements.items.filter(filterCb)
+          items: elements.items.filter(filterCb),
+          annotations: elements.annotations.filter(filterCb)
         }
       });
     } else {
@@ -132,11 +147,29 @@ export default class PanelLayerElement extends Component {
       matchedElements: {
         lines: this.state.elements.lines.filter(filterCb),
         holes: this.state.elements.holes.filter(filterCb),
-        items: this.state.elements.items.filter(filterCb)
+        items: this.state.elements.items.filter(filterCb),
+        annotations: this.state.elements.annotations.filter(filterCb)
       }
     });
   }
 
+  renderLockToggle(layerID, elementPrototype, element) {
+    let LockIcon = element.locked ? MdLock : MdLockOpen;
+
+    let swapLock = e => {
+      e.stopPropagation();
+      this.context.sceneActions.setElementLocked(layerID, elementPrototype, element.id, !element.locked);
+    };
+
+    return (
+      <LockIcon
+        onClick={swapLock}
+        style={element.locked ? lockedIconStyle : lockIconStyle}
+        title={this.context.translator.t(element.locked ? 'Unlock' : 'Lock')}
+      />
+    );
+  }
+
   render() {
     if (!VISIBILITY_MODE[this.props.mode]) return null;
 
@@ -170,6 +203,7 @@ export default class PanelLayerElement extends Component {
                         style={line.selected ? elementSelectedStyle : elementStyle}
                       >
                         {line.name}
+                        {this.renderLockToggle(layer.id, 'lines', line)}
                       </div>
                     )
                   })
@@ -191,6 +225,7 @@ export default class PanelLayerElement extends Component {
                         style={hole.selected ? elementSelectedStyle : elementStyle}
                       >
                         {hole.name}
+                        {this.renderLockToggle(layer.id, 'holes', hole)}
                       </div>
                     )
                   })
@@ -212,6 +247,29 @@ export default class PanelLayerElement extends Component {
                         style={item.selected ? elementSelectedStyle : elementStyle}
                       >
                         {item.name}
+                        {this.renderLockToggle(layer.id, 'items', item)}
+                      </div>
+                    )
+                  })
+                }
+              </div>
+              : null
+          }
+
+          {
+            this.state.matchedElements.annotations.count() ?
+              <div>
+                <p style={categoryDividerStyle}>{this.context.translator.t('Annotations')}</p>
+                {
+                  this.state.matchedElements.annotations.entrySeq().map(([annotationID, annotation]) => {
+                    return (
+                      <div
+                        key={annotationID}
+                        onClick={e => this.context.annotationsActions.selectAnnotation(layer.id, annotation.id)}
+                        style={annotation.selected ? elementSelectedStyle : elementStyle}
+                      >
+                        {annotation.name}
+                        {this.renderLockToggle(layer.id, 'annotations', annotation)}
                       </div>
                     )
                   })
@@ -238,5 +296,7 @@ PanelLayerElement.contextTypes = {
   itemsActions: PropTypes.object.isRequired,
   linesActions: PropTypes.object.isRequired,
   holesActions: PropTypes.object.isRequired,
-  projectActions: PropTypes.object.isRequired
+  annotationsActions: PropTypes.object.isRequired,
+  projectActions: PropTypes.object.isRequired,
+  sceneActions: PropTypes.object.isRequired
 };
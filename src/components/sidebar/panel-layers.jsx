@@ -3,7 +3,7 @@ import PropTypes from 'prop-types';
 import { Map } from 'immutable';
 import Panel from './panel';
 import {TiPlus, TiDelete} from 'react-icons/ti';
-import {FaPencilAlt, FaTrash, FaEye} from 'react-icons/fa';
+import {FaPencilAlt, FaTrash, FaEye, FaLock, FaLockOpen} from 'react-icons/fa';
 import {
   FormTextInput,
   FormNumberInput,
@@ -16,7 +16,7 @@ import {
   MODE_IDLE, MODE_2D_ZOOM_IN, MODE_2D_ZOOM_OUT, MODE_2D_PAN, MODE_3D_VIEW, MODE_3D_FIRST_PERSON,
   MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE, MODE_DRAWING_ITEM, MODE_DRAGGING_LINE,
   MODE_DRAGGING_VERTEX, MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE, MODE_FITTING_IMAGE, MODE_UPLOADING_IMAGE,
-  MODE_ROTATING_ITEM
+  MODE_ROTATING_ITEM, MODE_WAITING_DRAWING_ROOM, MODE_DRAWING_ROOM, MODE_WAITING_DRAWING_ARC, MODE_DRAWING_ARC
 } from '../../constants';
 import * as SharedStyle from '../../shared-style';
 
@@ -25,7 +25,8 @@ const VISIBILITY_MODE = {
   MODE_3D_VIEW, MODE_3D_FIRST_PERSON,
   MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE, MODE_DRAWING_ITEM,
   MODE_DRAGGING_LINE, MODE_DRAGGING_VERTEX, MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE,
-  MODE_ROTATING_ITEM, MODE_UPLOADING_IMAGE, MODE_FITTING_IMAGE
+  MODE_ROTATING_ITEM, MODE_UPLOADING_IMAGE, MODE_FITTING_IMAGE,
+  MODE_WAITING_DRAWING_ROOM, MODE_DRAWING_ROOM, MODE_WAITING_DRAWING_ARC, MODE_DRAWING_ARC
 };
 
 const styleEditButton = {
@@ -123,7 +124,7 @@ export default class PanelLayers extends Component {
         <table style={tableLayerStyle}>
           <thead>
             <tr>
-              <th colSpan='3'></th>
+              <th colSpan='4'></th>
               <th>{this.context.translator.t('Altitude')}</th>
               <th>{this.context.translator.t('Name')}</th>
             </tr>
@@ -140,7 +141,13 @@ export default class PanelLayers extends Component {
                   this.context.sceneActions.setLayerProperties(layerID, {visible: !layer.visible});
                 };
 
+                let swapLock = e => {
+                  e.stopPropagation();
+                  this.context.sceneActions.setLayerProperties(layerID, {locked: !layer.locked});
+                };
+
                 let isCurrentLayer = layerID === scene.selectedLayer;
+                let LockIcon = layer.locked ? FaLock : FaLockOpen;
 
                 return (
                   <tr
@@ -159,6 +166,13 @@ export default class PanelLayers extends Component {
                           : null
                       }
                     </td>
+                    <td style={iconColStyle}>
+                      <LockIcon
+                        onClick={swapLock}
+                        style={!isCurrentLayer && !layer.locked ? styleEditButton : styleEditButtonHover}
+                        title={this.context.translator.t(layer.locked ? 'Unlock layer' : 'Lock layer')}
+                      />
+                    </td>
                     <td style={iconColStyle}>
                       <FaPencilAlt
                         onClick={configureClick}
@@ -0,0 +1,112 @@
+import React, {Component} from 'react';
+import PropTypes from 'prop-types';
+import Panel from './panel';
+import {
+  FormLengthInput,
+  FormSelect
+} from '../style/export';
+import {
+  MODE_WAITING_DRAWING_ROOM,
+  MODE_DRAWING_ROOM,
+  ROOM_RECTANGLE,
+  ROOM_POLYGON,
+  ROOM_INNER_FACE,
+  ROOM_OUTER_FACE,
+  JUSTIFY_CENTER
+} from '../../constants';
+
+const contentStyle = {padding: '5px 15px'};
+const tableStyle = {width: '100%'};
+const firstTdStyle = {width: '8em'};
+const hintStyle = {marginTop: '0.5em', fontSize: '0.9em', opacity: 0.8};
+
+export default class PanelRoom extends Component {
+
+  renderRow(label, input) {
+    return (
+      <tr key={label}>
+        <td style={firstTdStyle}>{this.context.translator.t(label)}</td>
+        <td>{input}</td>
+      </tr>
+    );
+  }
+
+  render() {
+    let {state} = this.props;
+    let {linesActions, translator} = this.context;
+
+    if (![MODE_WAITING_DRAWING_ROOM, MODE_DRAWING_ROOM].includes(state.mode)) return null;
+
+    let {scene, catalog} = state;
+    let drawingSupport = state.drawingSupport;
+    let shape = drawingSupport.get('shape');
+    let type = drawingSupport.get('type');
+    let hasThickness = catalog.hasIn(['elements', type, 'properties', 'thickness']);
+    let walls = catalog.elements.filter(element => element.prototype === 'lines');
+
+    return (
+      <Panel name={translator.t('Room')} opened={true}>
+        <div style={contentStyle}>
+          <table style={tableStyle}>
+            <tbody>
+            {
+              this.renderRow('Shape',
+                <FormSelect
+                  value={shape}
+                  disabled={state.mode === MODE_DRAWING_ROOM}
+                  onChange={e => linesActions.setDrawingRoomOptions({shape: e.target.value})}>
+                  <option value={ROOM_RECTANGLE}>{translator.t('Rectangle')}</option>
+                  <option value={ROOM_POLYGON}>{translator.t('Polygon')}</option>
+                </FormSelect>
+              )
+            }
+            {
+              this.renderRow('Wall',
+                <FormSelect value={type} onChange={e => linesActions.setDrawingRoomOptions({type: e.target.value})}>
+                  {walls.toList().map(element =>
+                    <option key={element.name} value={element.name}>{element.info.title}</option>
+                  )}
+                </FormSelect>
+              )
+            }
+            {
+              this.renderRow('Draw by',
+                <FormSelect value={drawingSupport.get('face')} onChange={e => linesActions.setDrawingRoomOptions({face: e.target.value})}>
+                  <option value={JUSTIFY_CENTER}>{translator.t('Centerline')}</option>
+                  <option value={ROOM_INNER_FACE}>{translator.t('Inner face')}</option>
+                  <option value={ROOM_OUTER_FACE}>{translator.t('Outer face')}</option>
+                </FormSelect>
+              )
+            }
+            {
+              hasThickness ? this.renderRow('Thickness',
+                <FormLengthInput
+                  value={drawingSupport.get('thickness')}
+                  unit={scene.unit}
+                  inchFraction={scene.inchFraction}
+                  onChange={e => linesActions.setDrawingRoomOptions({thickness: e.target.value})}
+                />
+              ) : null
+            }
+            </tbody>
+          </table>
+          <div style={hintStyle}>
+            {translator.t(shape === ROOM_RECTANGLE ?
+              'Drag from corner to corner, or click both corners' :
+              'Click the corners, then the first one again or press Enter to close the room'
+            )}
+          </div>
+        </div>
+      </Panel>
+    );
+  }
+}
+
+PanelRoom.propTypes = {
+  state: PropTypes.object.isRequired
+};
+
+PanelRoom.contextTypes = {
+  linesActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
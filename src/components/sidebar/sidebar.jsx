@@ -7,6 +7,9 @@ import PanelLayers from './panel-layers';
 import PanelGuides from './panel-guides';
 import PanelGroups from './panel-groups';
 import PanelLayerElements from './panel-layer-elements';
+import PanelHistory from './panel-history';
+import PanelArray from './panel-array';
+import PanelRoom from './panel-room';
 import * as SharedStyle from '../../shared-style';
 import If from '../../utils/react-if';
 
@@ -34,17 +37,11 @@ const mapButtonsCb = (el, ind) => <If key={ind} condition={el.condition} style={
 
 export default function Sidebar({ state, width, height, sidebarComponents }) {
 
-  let selectedLayer = state.getIn(['scene', 'selectedLayer']);
-
-  //TODO change in multi-layer check
-  let selected = state.getIn(['scene', 'layers', selectedLayer, 'selected']);
+  let selectedCount = state.getIn(['scene', 'layers']).reduce( ( count, { selected } ) =>
+    count + selected.lines.size + selected.items.size + selected.holes.size + selected.areas.size, 0
+  );
 
-  let multiselected =
-    selected.lines.size > 1 ||
-    selected.items.size > 1 ||
-    selected.holes.size > 1 ||
-    selected.areas.size > 1 ||
-    selected.lines.size + selected.items.size + selected.holes.size + selected.areas.size > 1;
+  let multiselected = selectedCount > 1;
 
   let selectedGroup = state.getIn(['scene', 'groups']).findEntry( g => g.get('selected') );
 
@@ -54,8 +51,11 @@ export default function Sidebar({ state, width, height, sidebarComponents }) {
     { index: 2, condition: true, dom: <PanelLayerElements mode={state.mode} layers={state.scene.layers} selectedLayer={state.scene.selectedLayer} /> },
     { index: 3, condition: true, dom: <PanelGroups mode={state.mode} groups={state.scene.groups} layers={state.scene.layers} /> },
     { index: 4, condition: !multiselected, dom: <PanelElementEditor state={state} /> },
-    //{ index: 5, condition: multiselected, dom: <PanelMultiElementsEditor state={state} /> },
-    { index: 6, condition: !!selectedGroup, dom: <PanelGroupEditor state={state} groupID={selectedGroup ? selectedGroup[0] : null} /> }
+    { index: 5, condition: multiselected, dom: <PanelMultiElementsEditor state={state} /> },
+    { index: 6, condition: !!selectedGroup, dom: <PanelGroupEditor state={state} groupID={selectedGroup ? selectedGroup[0] : null} /> },
+    { index: 7, condition: true, dom: <PanelArray state={state} /> },
+    { index: 8, condition: true, dom: <PanelRoom state={state} /> },
+    { index: 9, condition: true, dom: <PanelHistory mode={state.mode} sceneHistory={state.sceneHistory} /> }
   ];
 
   sorter = sorter.concat(sidebarComponents.map((Component, key) => {
@@ -5,7 +5,9 @@ import ContentTitle from './content-title';
 import DeleteButton from './delete-button';
 import FormBlock from './form-block';
 import FormColorInput from './form-color-input';
+import FormFeetInchesInput from './form-feet-inches-input';
 import FormLabel from './form-label';
+import FormLengthInput from './form-length-input';
 import FormNumberInput from './form-number-input';
 import FormSelect from './form-select';
 import FormSlider from './form-slider';
@@ -20,7 +22,9 @@ export {
   DeleteButton,
   FormBlock,
   FormColorInput,
+  FormFeetInchesInput,
   FormLabel,
+  FormLengthInput,
   FormNumberInput,
   FormSelect,
   FormSlider,
@@ -36,7 +40,9 @@ export default {
   DeleteButton,
   FormBlock,
   FormColorInput,
+  FormFeetInchesInput,
   FormLabel,
+  FormLengthInput,
   FormNumberInput,
   FormSelect,
   FormSlider,
@@ -0,0 +1,130 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import * as SharedStyle from '../../shared-style';
+import { MdUpdate } from 'react-icons/md';
+import { KEYBOARD_BUTTON_CODE, DEFAULT_INCH_FRACTION } from '../../constants';
+import { formatFeetInches, parseFeetInches } from '../../utils/units';
+
+const STYLE_INPUT = {
+  display: 'block',
+  width: '100%',
+  padding: '0 2px',
+  fontSize: '13px',
+  lineHeight: '1.25',
+  color: SharedStyle.PRIMARY_COLOR.input,
+  backgroundColor: SharedStyle.COLORS.white,
+  backgroundImage: 'none',
+  border: '1px solid rgba(0,0,0,.15)',
+  outline: 'none',
+  height: '30px',
+};
+
+const confirmStyle = {
+  position: 'absolute',
+  cursor: 'pointer',
+  width: '2em',
+  height: '2em',
+  right: '0.35em',
+  top: '0.35em',
+  backgroundColor: SharedStyle.SECONDARY_COLOR.main,
+  color: '#FFF',
+  transition: 'all 0.1s linear'
+};
+
+export default class FormFeetInchesInput extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+    this.state = {
+      focus: false,
+      showedValue: formatFeetInches(props.value, props.inchFraction)
+    };
+  }
+
+  componentWillReceiveProps( nextProps ) {
+    if( this.props.value !== nextProps.value || this.props.inchFraction !== nextProps.inchFraction ) {
+      this.setState({ showedValue: formatFeetInches(nextProps.value, nextProps.inchFraction) });
+    }
+  }
+
+  render() {
+
+    let { value, min, max, inchFraction, onChange, onValid, onInvalid, style, placeholder } = this.props;
+    let numericInputStyle = { ...STYLE_INPUT, ...style };
+
+    let parsedValue = parseFeetInches(this.state.showedValue);
+    let valid = !isNaN(parsedValue) && parsedValue >= min && parsedValue <= max;
+
+    if (this.state.focus) numericInputStyle.border = `1px solid ${SharedStyle.SECONDARY_COLOR.main}`;
+    if (!valid) numericInputStyle.border = `1px solid ${SharedStyle.MATERIAL_COLORS[500].red}`;
+
+    let different = valid && formatFeetInches(parsedValue, inchFraction) !== formatFeetInches(value, inchFraction);
+
+    let saveFn = (e) => {
+      e.stopPropagation();
+
+      this.setState({ showedValue: formatFeetInches(parsedValue, inchFraction) });
+      onChange({ target: { value: parsedValue } });
+    };
+
+    return (
+      <div style={{ position: 'relative' }}>
+        <input
+          type="text"
+          value={this.state.showedValue}
+          style={numericInputStyle}
+          onChange={(evt) => {
+            let showedValue = evt.nativeEvent.target.value;
+
+            this.setState({ showedValue });
+
+            if (isNaN(parseFeetInches(showedValue))) {
+              if (onInvalid) onInvalid(evt.nativeEvent);
+            }
+            else if (onValid) onValid(evt.nativeEvent);
+          }}
+          onFocus={e => this.setState({ focus: true })}
+          onBlur={e => this.setState({ focus: false })}
+          onKeyDown={e => {
+            var keyCode = e.keyCode || e.which;
+            if ((keyCode == KEYBOARD_BUTTON_CODE.ENTER || keyCode == KEYBOARD_BUTTON_CODE.TAB) && different) {
+              saveFn(e);
+            }
+          }}
+          placeholder={placeholder}
+        />
+        <div
+          onClick={e => { if (different) saveFn(e); }}
+          title={this.context.translator.t('Confirm')}
+          style={{ ...confirmStyle, visibility: different ? 'visible' : 'hidden', opacity: different ? '1' : '0' }}
+        >
+          <MdUpdate style={{ width: '100%', height: '100%', padding: '0.2em', color: '#FFF' }} />
+        </div>
+      </div>
+    );
+  }
+}
+
+FormFeetInchesInput.propTypes = {
+  value: PropTypes.number,
+  style: PropTypes.object,
+  onChange: PropTypes.func.isRequired,
+  onValid: PropTypes.func,
+  onInvalid: PropTypes.func,
+  min: PropTypes.number,
+  max: PropTypes.number,
+  inchFraction: PropTypes.number,
+  placeholder: PropTypes.string
+};
+
+FormFeetInchesInput.contextTypes = {
+  translator: PropTypes.object.isRequired
+};
+
+FormFeetInchesInput.defaultProps = {
+  value: 0,
+  style: {},
+  min: Number.MIN_SAFE_INTEGER,
+  max: Number.MAX_SAFE_INTEGER,
+  inchFraction: DEFAULT_INCH_FRACTION
+};
@@ -0,0 +1,34 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import FormNumberInput from './form-number-input';
+import FormFeetInchesInput from './form-feet-inches-input';
+import { UNIT_CENTIMETER, UNIT_FEET_INCHES, DEFAULT_INCH_FRACTION } from '../../constants';
+import { fromStorageUnit, toStorageUnit } from '../../utils/units';
+
+export default function FormLengthInput({value, unit, inchFraction, onChange, ...rest}) {
+
+  if (unit === UNIT_FEET_INCHES) {
+    return <FormFeetInchesInput value={value} inchFraction={inchFraction} onChange={onChange} {...rest} />;
+  }
+
+  return (
+    <FormNumberInput
+      value={fromStorageUnit(value, unit)}
+      onChange={event => onChange({ target: { value: toStorageUnit(event.target.value, unit) } })}
+      {...rest}
+    />
+  );
+}
+
+FormLengthInput.propTypes = {
+  value: PropTypes.number,
+  unit: PropTypes.string,
+  inchFraction: PropTypes.number,
+  onChange: PropTypes.func.isRequired
+};
+
+FormLengthInput.defaultProps = {
+  value: 0,
+  unit: UNIT_CENTIMETER,
+  inchFraction: DEFAULT_INCH_FRACTION
+};
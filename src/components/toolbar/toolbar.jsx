@@ -1,7 +1,7 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
-import { MdSettings, MdUndo, MdDirectionsRun } from 'react-icons/md';
-import { FaFile, FaMousePointer, FaPlus } from 'react-icons/fa';
+import { MdSettings, MdUndo, MdRedo, MdDirectionsRun, MdAssignment, MdShoppingCart, MdRateReview } from 'react-icons/md';
+import { FaFile, FaMousePointer, FaPlus, FaVectorSquare, FaDraftingCompass, FaRulerCombined } from 'react-icons/fa';
 import ToolbarButton from './toolbar-button';
 import ToolbarSaveButton from './toolbar-save-button';
 import ToolbarLoadButton from './toolbar-load-button';
@@ -11,7 +11,19 @@ import {
   MODE_3D_VIEW,
   MODE_3D_FIRST_PERSON,
   MODE_VIEWING_CATALOG,
-  MODE_CONFIGURING_PROJECT
+  MODE_CONFIGURING_PROJECT,
+  MODE_VIEWING_ROOM_SCHEDULE,
+  MODE_VIEWING_BILL_OF_MATERIALS,
+  MODE_WAITING_DRAWING_ROOM,
+  MODE_DRAWING_ROOM,
+  MODE_WAITING_DRAWING_ARC,
+  MODE_DRAWING_ARC,
+  MODE_WAITING_DRAWING_DIMENSION,
+  MODE_DRAWING_DIMENSION,
+  MODE_WAITING_DRAWING_ANNOTATION,
+  MODE_DRAWING_ANNOTATION,
+  DIMENSION_ALIGNED,
+  ANNOTATION_TEXT
 } from '../../constants';
 import * as SharedStyle from '../../shared-style';
 
@@ -73,13 +85,17 @@ export default class Toolbar extends Component {
 
     let {
       props: { state, width, height, toolbarButtons, allowProjectFileSupport },
-      context: { projectActions, viewer3DActions, translator }
+      context: { projectActions, viewer3DActions, linesActions, dimensionsActions, annotationsActions, translator }
     } = this;
 
     let mode = state.get('mode');
     let alterate = state.get('alterate');
     let alterateColor = alterate ? SharedStyle.MATERIAL_COLORS[500].orange : '';
 
+    //rooms and arc walls are drawn with the last wall type picked from the catalog, or the first one it has
+    let wallElement = state.selectedElementsHistory.find(element => element.prototype === 'lines') ||
+      state.catalog.elements.find(element => element.prototype === 'lines');
+
     let sorter = [
       {
         index: 0, condition: allowProjectFileSupport, dom: <ToolbarButton
@@ -107,7 +123,23 @@ export default class Toolbar extends Component {
         </ToolbarButton>
       },
       {
-        index: 4, condition: true, dom: <ToolbarButton
+        index: 4, condition: !!wallElement, dom: <ToolbarButton
+          active={[MODE_WAITING_DRAWING_ROOM, MODE_DRAWING_ROOM].includes(mode)}
+          tooltip={translator.t('Draw room')}
+          onClick={event => linesActions.selectToolDrawingRoom(wallElement.name)}>
+          <FaVectorSquare />
+        </ToolbarButton>
+      },
+      {
+        index: 5, condition: !!wallElement, dom: <ToolbarButton
+          active={[MODE_WAITING_DRAWING_ARC, MODE_DRAWING_ARC].includes(mode)}
+          tooltip={translator.t('Draw arc wall')}
+          onClick={event => linesActions.selectToolDrawingArc(wallElement.name)}>
+          <FaDraftingCompass />
+        </ToolbarButton>
+      },
+      {
+        index: 6, condition: true, dom: <ToolbarButton
           active={[MODE_3D_VIEW].includes(mode)}
           tooltip={translator.t('3D View')}
           onClick={event => viewer3DActions.selectTool3DView()}>
@@ -115,7 +147,7 @@ export default class Toolbar extends Component {
         </ToolbarButton>
       },
       {
-        index: 5, condition: true, dom: <ToolbarButton
+        index: 7, condition: true, dom: <ToolbarButton
           active={[MODE_IDLE].includes(mode)}
           tooltip={translator.t('2D View')}
           onClick={event => projectActions.setMode( MODE_IDLE )}>
@@ -123,7 +155,7 @@ export default class Toolbar extends Component {
         </ToolbarButton>
       },
       {
-        index: 6, condition: true, dom: <ToolbarButton
+        index: 8, condition: true, dom: <ToolbarButton
           active={[MODE_3D_FIRST_PERSON].includes(mode)}
           tooltip={translator.t('3D First Person')}
           onClick={event => viewer3DActions.selectTool3DFirstPerson()}>
@@ -131,7 +163,7 @@ export default class Toolbar extends Component {
         </ToolbarButton>
       },
       {
-        index: 7, condition: true, dom: <ToolbarButton
+        index: 9, condition: true, dom: <ToolbarButton
           active={false}
           tooltip={translator.t('Undo (CTRL-Z)')}
           onClick={event => projectActions.undo()}>
@@ -139,12 +171,52 @@ export default class Toolbar extends Component {
         </ToolbarButton>
       },
       {
-        index: 8, condition: true, dom: <ToolbarButton
+        index: 10, condition: true, dom: <ToolbarButton
+          active={false}
+          tooltip={translator.t('Redo (CTRL-SHIFT-Z)')}
+          onClick={event => projectActions.redo()}>
+          <MdRedo />
+        </ToolbarButton>
+      },
+      {
+        index: 11, condition: true, dom: <ToolbarButton
           active={[MODE_CONFIGURING_PROJECT].includes(mode)}
           tooltip={translator.t('Configure project')}
           onClick={event => projectActions.openProjectConfigurator()}>
           <MdSettings />
         </ToolbarButton>
+      },
+      {
+        index: 12, condition: true, dom: <ToolbarButton
+          active={[MODE_VIEWING_ROOM_SCHEDULE].includes(mode)}
+          tooltip={translator.t('Room schedule')}
+          onClick={event => projectActions.openRoomSchedule()}>
+          <MdAssignment />
+        </ToolbarButton>
+      },
+      {
+        index: 13, condition: true, dom: <ToolbarButton
+          active={[MODE_VIEWING_BILL_OF_MATERIALS].includes(mode)}
+          tooltip={translator.t('Bill of materials')}
+          onClick={event => projectActions.openBillOfMaterials()}>
+          <MdShoppingCart />
+        </ToolbarButton>
+      },
+      {
+        index: 14, condition: true, dom: <ToolbarButton
+          active={[MODE_WAITING_DRAWING_DIMENSION, MODE_DRAWING_DIMENSION].includes(mode)}
+          tooltip={translator.t('Dimension')}
+          onClick={event => dimensionsActions.selectToolDrawingDimension(DIMENSION_ALIGNED)}>
+          <FaRulerCombined />
+        </ToolbarButton>
+      },
+      {
+        index: 15, condition: true, dom: <ToolbarButton
+          active={[MODE_WAITING_DRAWING_ANNOTATION, MODE_DRAWING_ANNOTATION].includes(mode)}
+          tooltip={translator.t('Annotate')}
+          onClick={event => annotationsActions.selectToolDrawingAnnotation(ANNOTATION_TEXT)}>
+          <MdRateReview />
+        </ToolbarButton>
       }
     ];
 
@@ -184,5 +256,7 @@ Toolbar.contextTypes = {
   linesActions: PropTypes.object.isRequired,
   holesActions: PropTypes.object.isRequired,
   itemsActions: PropTypes.object.isRequired,
+  dimensionsActions: PropTypes.object.isRequired,
+  annotationsActions: PropTypes.object.isRequired,
   translator: PropTypes.object.isRequired,
 };
@@ -0,0 +1,154 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import * as SharedStyle from '../../shared-style';
+import {
+  ANNOTATION_TEXT,
+  ANNOTATION_ARROW,
+  ANNOTATION_CLOUD
+} from '../../constants';
+
+//a wider invisible stroke along the annotation, easier to click than its lines
+const STYLE_HIT = {stroke: 'transparent', strokeWidth: '10px', fill: 'none'};
+
+const STYLE_SELECTION = {
+  stroke: SharedStyle.LINE_MESH_COLOR.selected,
+  strokeWidth: '1px',
+  strokeDasharray: '4 4',
+  fill: 'none'
+};
+
+const STYLE_TEXT = {
+  fontFamily: '"Courier New", Courier, monospace',
+  userSelect: 'none'
+};
+
+//length of the head of an arrow and of the bumps of a cloud, in scene units
+const ARROW_HEAD = 15;
+const CLOUD_BUMP = 30;
+
+//width of a character of the monospace font, relative to the font size
+const CHAR_WIDTH = 0.6;
+
+const polylinePath = points => points.map(({x, y}, index) => `${index ? 'L' : 'M'}${x} ${y}`).join(' ');
+
+//arcs bulging outwards along every side of the outline, whatever its winding
+function cloudPath(points) {
+  let signedArea = points.reduce((sum, {x, y}, index) => {
+    let next = points[(index + 1) % points.length];
+    return sum + x * next.y - next.x * y;
+  }, 0);
+  let sweep = signedArea > 0 ? 1 : 0;
+
+  let path = `M${points[0].x} ${points[0].y}`;
+  points.forEach((from, index) => {
+    let to = points[(index + 1) % points.length];
+    let length = Math.hypot(to.x - from.x, to.y - from.y);
+    let bumps = Math.max(1, Math.round(length / CLOUD_BUMP));
+    let radius = length / bumps / 2;
+
+    for (let bump = 1; bump <= bumps; bump++) {
+      let x = from.x + (to.x - from.x) * bump / bumps;
+      let y = from.y + (to.y - from.y) * bump / bumps;
+      path += ` A${radius} ${radius} 0 0 ${sweep} ${x} ${y}`;
+    }
+  });
+
+  return path;
+}
+
+function arrowHeadPath([ head, next ]) {
+  let angle = Math.atan2(next.y - head.y, next.x - head.x);
+  let side = angle => `${head.x + ARROW_HEAD * Math.cos(angle)} ${head.y + ARROW_HEAD * Math.sin(angle)}`;
+  return `M${side(angle - Math.PI / 8)} L${head.x} ${head.y} L${side(angle + Math.PI / 8)} Z`;
+}
+
+function Label({ annotation, point, anchor, selected }) {
+  let { text, fontSize, rotation, color } = annotation;
+  let width = text.length * fontSize * CHAR_WIDTH;
+  let left = anchor === 'start' ? 0 : anchor === 'end' ? -width : -width / 2;
+
+  return (
+    <g transform={`translate(${point.x} ${point.y}) rotate(${rotation}) scale(1, -1)`}>
+      {
+        selected ?
+          <rect x={left - 2} y={-fontSize / 2 - 2} width={width + 4} height={fontSize + 4} style={STYLE_SELECTION} /> :
+          null
+      }
+      <text dy="0.35em" style={{...STYLE_TEXT, fontSize, fill: color, textAnchor: anchor}}>{text}</text>
+    </g>
+  );
+}
+
+export default function Annotation({ layer, annotation }) {
+
+  let { type, color, selected } = annotation;
+  let points = annotation.points.map(point => point.toObject()).toArray();
+  if (!points.length) return null;
+
+  let style = {stroke: selected ? SharedStyle.LINE_MESH_COLOR.selected : color, strokeWidth: '2px', fill: 'none'};
+  let shape;
+
+  switch (type) {
+    case ANNOTATION_TEXT:
+      shape = <Label annotation={annotation} point={points[0]} anchor="middle" selected={selected} />;
+      break;
+
+    case ANNOTATION_ARROW: {
+      let path = polylinePath(points);
+      let last = points[points.length - 1];
+      let beforeLast = points[points.length - 2] || last;
+      //the text reads away from the leader
+      let anchor = last.x >= beforeLast.x ? 'start' : 'end';
+      let gap = anchor === 'start' ? ARROW_HEAD / 3 : -ARROW_HEAD / 3;
+
+      shape = (
+        <g>
+          <path d={path} style={STYLE_HIT} />
+          <path d={path} style={style} />
+          {points.length > 1 ? <path d={arrowHeadPath(points)} style={{...style, fill: style.stroke}} /> : null}
+          {annotation.text ? <Label annotation={annotation} point={{x: last.x + gap, y: last.y}} anchor={anchor} selected={false} /> : null}
+        </g>
+      );
+      break;
+    }
+
+    case ANNOTATION_CLOUD: {
+      let path = points.length > 2 ? cloudPath(points) : polylinePath(points);
+      shape = (
+        <g>
+          <path d={path} style={STYLE_HIT} />
+          <path d={path} style={style} />
+        </g>
+      );
+      break;
+    }
+
+    default: {
+      let path = polylinePath(points);
+      shape = (
+        <g>
+          <path d={path} style={STYLE_HIT} />
+          <path d={path} style={style} />
+        </g>
+      );
+    }
+  }
+
+  return (
+    <g
+      data-element-root
+      data-prototype={annotation.prototype}
+      data-id={annotation.id}
+      data-selected={selected}
+      data-layer={layer.id}
+    >
+      {shape}
+    </g>
+  );
+
+}
+
+Annotation.propTypes = {
+  annotation: PropTypes.object.isRequired,
+  layer: PropTypes.object.isRequired
+};
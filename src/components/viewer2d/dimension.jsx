@@ -0,0 +1,128 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import * as SharedStyle from '../../shared-style';
+import { DimensionUtils } from '../../utils/export';
+import { formatLength } from '../../utils/units';
+import { toFixedFloat } from '../../utils/math';
+import { DIMENSION_ANGULAR } from '../../constants';
+
+const STYLE = {
+  stroke: SharedStyle.COLORS.black,
+  strokeWidth: '1px',
+  fill: 'none'
+};
+
+const STYLE_SELECTED = {...STYLE, stroke: SharedStyle.LINE_MESH_COLOR.selected};
+
+const STYLE_AUTO = {...STYLE, stroke: SharedStyle.MATERIAL_COLORS[500].blue_grey};
+
+//a wider invisible stroke along the dimension line, easier to click than the line itself
+const STYLE_HIT = {stroke: 'transparent', strokeWidth: '10px', fill: 'none'};
+
+const STYLE_TEXT = {
+  textAnchor: 'middle',
+  fontSize: '12px',
+  fontFamily: '"Courier New", Courier, monospace',
+  pointerEvents: 'none',
+  userSelect: 'none'
+};
+
+//half the length of the oblique ticks closing dimension lines
+const TICK = 4;
+
+const linePath = ([ from, to ]) => `M${from.x} ${from.y} L${to.x} ${to.y}`;
+
+function arcPath({ center, radius, startAngle, sweep }) {
+  let point = angle => `${center.x + radius * Math.cos(angle)} ${center.y + radius * Math.sin(angle)}`;
+  return `M${point(startAngle)} A${radius} ${radius} 0 0 ${sweep > 0 ? 1 : 0} ${point(startAngle + sweep)}`;
+}
+
+function tick({ x, y }, angle) {
+  let dx = TICK * Math.cos(angle + Math.PI / 4), dy = TICK * Math.sin(angle + Math.PI / 4);
+  return `M${x - dx} ${y - dy} L${x + dx} ${y + dy}`;
+}
+
+/** @description Lines and text of a dimension's geometry, as built by DimensionUtils
+ *  @param {object} geometry Dimension's geometry
+ *  @param {Scene} scene Scene model, for the unit lengths are shown in
+ *  @param {object} style Style of the lines
+ */
+export function DimensionShape({ geometry, scene, style }) {
+  let { type, extensions, label, value } = geometry;
+  let path, hit;
+
+  if (type === DIMENSION_ANGULAR) {
+    let { center, radius, startAngle, sweep } = geometry;
+    let end = startAngle + sweep;
+    path = arcPath(geometry) +
+      tick({ x: center.x + radius * Math.cos(startAngle), y: center.y + radius * Math.sin(startAngle) }, startAngle + Math.PI / 2) +
+      tick({ x: center.x + radius * Math.cos(end), y: center.y + radius * Math.sin(end) }, end + Math.PI / 2);
+    hit = arcPath(geometry);
+  } else {
+    let [ from, to ] = geometry.points;
+    let angle = Math.atan2(to.y - from.y, to.x - from.x);
+    path = linePath(geometry.points) + tick(from, angle) + tick(to, angle);
+    hit = linePath(geometry.points);
+  }
+
+  let text = type === DIMENSION_ANGULAR ?
+    `${toFixedFloat(value, 1)}°` :
+    formatLength(value, scene.unit, 2, scene.inchFraction);
+
+  return (
+    <g>
+      <path d={hit} style={STYLE_HIT} />
+      <path d={path + extensions.map(linePath).join('')} style={style} />
+      <text transform={`translate(${label.x} ${label.y}) rotate(${label.angle}) scale(1, -1)`} dy="0.35em" style={STYLE_TEXT}>
+        {text}
+      </text>
+    </g>
+  );
+}
+
+DimensionShape.propTypes = {
+  geometry: PropTypes.object.isRequired,
+  scene: PropTypes.object.isRequired,
+  style: PropTypes.object.isRequired
+};
+
+export default function Dimension({ layer, dimension, scene }) {
+
+  let geometry = DimensionUtils.dimensionGeometry(layer, dimension);
+  if (!geometry) return null;
+
+  return (
+    <g
+      data-element-root
+      data-prototype={dimension.prototype}
+      data-id={dimension.id}
+      data-selected={dimension.selected}
+      data-layer={layer.id}
+    >
+      <DimensionShape geometry={geometry} scene={scene} style={dimension.selected ? STYLE_SELECTED : STYLE} />
+    </g>
+  );
+
+}
+
+Dimension.propTypes = {
+  dimension: PropTypes.object.isRequired,
+  layer: PropTypes.object.isRequired,
+  scene: PropTypes.object.isRequired
+};
+
+export function AutoDimensions({ layer, scene }) {
+  return (
+    <g style={{pointerEvents: 'none'}}>
+      {
+        DimensionUtils.autoDimensions(layer).map(geometry =>
+          <DimensionShape key={geometry.id} geometry={geometry} scene={scene} style={STYLE_AUTO} />)
+      }
+    </g>
+  );
+}
+
+AutoDimensions.propTypes = {
+  layer: PropTypes.object.isRequired,
+  scene: PropTypes.object.isRequired
+};
@@ -0,0 +1,79 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import * as SharedStyle from '../../shared-style';
+import {
+  ANNOTATION_TYPES,
+  ANNOTATION_TEXT,
+  ANNOTATION_ARROW,
+  ANNOTATION_CLOUD,
+  ANNOTATION_POLYLINE,
+  MODE_DRAWING_ANNOTATION
+} from '../../constants';
+
+const boxStyle = {
+  position: 'absolute',
+  zIndex: 10,
+  display: 'flex',
+  alignItems: 'center',
+  padding: '3px',
+  backgroundColor: SharedStyle.PRIMARY_COLOR.main,
+  color: SharedStyle.PRIMARY_COLOR.text_alt,
+  fontSize: '11px',
+  userSelect: 'none'
+};
+
+const typeStyle = {
+  margin: '0 5px',
+  cursor: 'pointer'
+};
+
+const activeTypeStyle = {...typeStyle, fontWeight: 'bold', textDecoration: 'underline'};
+
+const hintStyle = {margin: '0 5px', fontStyle: 'italic'};
+
+//distance in pixels of the box from the corner of the drawing
+const CORNER_GAP = 10;
+
+const TYPE_LABELS = {
+  [ANNOTATION_TEXT]: 'Text',
+  [ANNOTATION_ARROW]: 'Arrow',
+  [ANNOTATION_CLOUD]: 'Cloud',
+  [ANNOTATION_POLYLINE]: 'Polyline'
+};
+
+export default function DrawingAnnotationInput({state, offset}, {annotationsActions, translator}) {
+  let type = state.drawingSupport.get('type');
+
+  let hint;
+  if (type === ANNOTATION_TEXT) hint = 'Click to place the text';
+  else if (state.mode !== MODE_DRAWING_ANNOTATION) hint = 'Click to start drawing';
+  else if (type === ANNOTATION_CLOUD) hint = 'Click the first point to close the cloud';
+  else hint = 'Click the last point again to finish';
+
+  return (
+    <div style={{...boxStyle, left: offset + CORNER_GAP, top: offset + CORNER_GAP}}>
+      {
+        ANNOTATION_TYPES.map(annotationType =>
+          <span
+            key={annotationType}
+            style={annotationType === type ? activeTypeStyle : typeStyle}
+            onClick={event => annotationsActions.selectToolDrawingAnnotation(annotationType)}
+          >
+            {translator.t(TYPE_LABELS[annotationType])}
+          </span>
+        )
+      }
+      <span style={hintStyle}>{translator.t(hint)}</span>
+    </div>
+  );
+}
+
+DrawingAnnotationInput.propTypes = {
+  state: PropTypes.object.isRequired,
+  offset: PropTypes.number.isRequired
+};
+
+DrawingAnnotationInput.contextTypes = {
+  annotationsActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
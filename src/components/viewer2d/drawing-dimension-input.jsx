@@ -0,0 +1,79 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import * as SharedStyle from '../../shared-style';
+import {
+  DIMENSION_TYPES,
+  DIMENSION_ALIGNED,
+  DIMENSION_HORIZONTAL,
+  DIMENSION_VERTICAL,
+  DIMENSION_ANGULAR
+} from '../../constants';
+
+const boxStyle = {
+  position: 'absolute',
+  zIndex: 10,
+  display: 'flex',
+  alignItems: 'center',
+  padding: '3px',
+  backgroundColor: SharedStyle.PRIMARY_COLOR.main,
+  color: SharedStyle.PRIMARY_COLOR.text_alt,
+  fontSize: '11px',
+  userSelect: 'none'
+};
+
+const typeStyle = {
+  margin: '0 5px',
+  cursor: 'pointer'
+};
+
+const activeTypeStyle = {...typeStyle, fontWeight: 'bold', textDecoration: 'underline'};
+
+const hintStyle = {margin: '0 5px', fontStyle: 'italic'};
+
+//distance in pixels of the box from the corner of the drawing
+const CORNER_GAP = 10;
+
+const TYPE_LABELS = {
+  [DIMENSION_ALIGNED]: 'Aligned',
+  [DIMENSION_HORIZONTAL]: 'Horizontal',
+  [DIMENSION_VERTICAL]: 'Vertical',
+  [DIMENSION_ANGULAR]: 'Angle'
+};
+
+export default function DrawingDimensionInput({state, offset}, {dimensionsActions, translator}) {
+  let {drawingSupport} = state;
+  let type = drawingSupport.get('type');
+  let picked = drawingSupport.get('vertices').size;
+
+  let hint;
+  if (drawingSupport.get('dimensionID')) hint = 'Click to place the dimension';
+  else if (type === DIMENSION_ANGULAR) hint = ['Pick the end of the first side', 'Pick the corner', 'Pick the end of the second side'][picked];
+  else hint = picked ? 'Pick the second vertex' : 'Pick the first vertex';
+
+  return (
+    <div style={{...boxStyle, left: offset + CORNER_GAP, top: offset + CORNER_GAP}}>
+      {
+        DIMENSION_TYPES.map(dimensionType =>
+          <span
+            key={dimensionType}
+            style={dimensionType === type ? activeTypeStyle : typeStyle}
+            onClick={event => dimensionsActions.selectToolDrawingDimension(dimensionType)}
+          >
+            {translator.t(TYPE_LABELS[dimensionType])}
+          </span>
+        )
+      }
+      <span style={hintStyle}>{translator.t(hint)}</span>
+    </div>
+  );
+}
+
+DrawingDimensionInput.propTypes = {
+  state: PropTypes.object.isRequired,
+  offset: PropTypes.number.isRequired
+};
+
+DrawingDimensionInput.contextTypes = {
+  dimensionsActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
@@ -0,0 +1,169 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import * as SharedStyle from '../../shared-style';
+import { fromStorageUnit, toStorageUnit, formatFeetInches, parseFeetInches } from '../../utils/units';
+import { toFixedFloat } from '../../utils/math';
+import { UNIT_FEET_INCHES, KEYBOARD_BUTTON_CODE } from '../../constants';
+
+const boxStyle = {
+  position: 'absolute',
+  zIndex: 10,
+  display: 'flex',
+  alignItems: 'center',
+  padding: '3px',
+  backgroundColor: SharedStyle.PRIMARY_COLOR.main,
+  color: SharedStyle.PRIMARY_COLOR.text_alt,
+  fontSize: '11px',
+  userSelect: 'none'
+};
+
+const labelStyle = {margin: '0 3px 0 5px'};
+
+const inputStyle = {
+  width: '5em',
+  padding: '0 2px',
+  fontSize: '12px',
+  color: SharedStyle.PRIMARY_COLOR.input,
+  border: '1px solid rgba(0,0,0,.15)',
+  outline: 'none'
+};
+
+const invalidInputStyle = {...inputStyle, border: `1px solid ${SharedStyle.MATERIAL_COLORS[500].red}`};
+
+const switchStyle = {
+  marginLeft: '5px',
+  cursor: 'pointer',
+  textDecoration: 'underline'
+};
+
+//distance in pixels between the end of the segment and the box
+const CURSOR_GAP = 15;
+
+export default class DrawingLineInput extends Component {
+
+  constructor(props, context) {
+    super(props, context);
+    this.state = {relative: false, first: '', second: '', invalid: false};
+  }
+
+  componentDidMount() {
+    this.firstInput.focus();
+  }
+
+  componentDidUpdate(prevProps) {
+    //every segment starts with empty fields, ready for typing
+    if (this.segment(prevProps.state).lineID !== this.segment(this.props.state).lineID) {
+      this.setState({first: '', second: '', invalid: false});
+      this.firstInput.focus();
+    }
+  }
+
+  segment(state) {
+    let layerID = state.getIn(['drawingSupport', 'layerID']);
+    let layer = state.getIn(['scene', 'layers', layerID]);
+    let lineID = layer.selected.lines.first();
+    let line = layer.lines.get(lineID);
+    let [start, end] = line.vertices.map(vertexID => layer.vertices.get(vertexID)).toArray();
+
+    return {lineID, start, end};
+  }
+
+  parseLength(text) {
+    let {unit} = this.props.state.scene;
+    return unit === UNIT_FEET_INCHES ? parseFeetInches(text) : toStorageUnit(Number(text), unit);
+  }
+
+  showLength(length) {
+    let {unit, inchFraction} = this.props.state.scene;
+    return unit === UNIT_FEET_INCHES ? formatFeetInches(length, inchFraction) : String(toFixedFloat(fromStorageUnit(length, unit), 2));
+  }
+
+  //fields left empty keep what the mouse is pointing at
+  commit() {
+    let {relative, first, second} = this.state;
+    let {start, end} = this.segment(this.props.state);
+    let dx = end.x - start.x;
+    let dy = end.y - start.y;
+    let x, y;
+
+    if (relative) {
+      let typedX = first.trim() ? this.parseLength(first) : dx;
+      let typedY = second.trim() ? this.parseLength(second) : dy;
+      if (!isFinite(typedX) || !isFinite(typedY) || (!typedX && !typedY)) return this.setState({invalid: true});
+
+      x = start.x + typedX;
+      y = start.y + typedY;
+    } else {
+      let length = first.trim() ? this.parseLength(first) : Math.hypot(dx, dy);
+      let angle = second.trim() ? Number(second) * Math.PI / 180 : Math.atan2(dy, dx);
+      if (!isFinite(length) || !isFinite(angle) || length <= 0) return this.setState({invalid: true});
+
+      x = start.x + length * Math.cos(angle);
+      y = start.y + length * Math.sin(angle);
+    }
+
+    this.context.linesActions.enterDrawingLinePoint(x, y);
+  }
+
+  onKeyDown(event) {
+    if (event.keyCode === KEYBOARD_BUTTON_CODE.ENTER) {
+      event.preventDefault();
+      this.commit();
+    }
+  }
+
+  render() {
+    let {state, offset} = this.props;
+    let {translator} = this.context;
+    let {relative, first, second, invalid} = this.state;
+    let {start, end} = this.segment(state);
+
+    let {a: zoom, e, f} = state.viewer2D.toObject();
+    let dx = end.x - start.x;
+    let dy = end.y - start.y;
+    let angle = Math.atan2(dy, dx) * 180 / Math.PI;
+
+    let style = {
+      ...boxStyle,
+      left: offset + (e || 0) + end.x * (zoom || 1) + CURSOR_GAP,
+      top: offset + (f || 0) + (state.scene.height - end.y) * (zoom || 1) + CURSOR_GAP
+    };
+
+    let field = (value, placeholder, key, ref) => (
+      <input
+        type="text"
+        ref={ref}
+        value={value}
+        placeholder={placeholder}
+        style={invalid ? invalidInputStyle : inputStyle}
+        onChange={event => this.setState({[key]: event.target.value, invalid: false})}
+        onKeyDown={event => this.onKeyDown(event)}
+      />
+    );
+
+    return (
+      <div style={style}>
+        <span style={labelStyle}>{relative ? 'dX' : translator.t('Length')}</span>
+        {field(first, this.showLength(relative ? dx : Math.hypot(dx, dy)), 'first', input => this.firstInput = input)}
+        <span style={labelStyle}>{relative ? 'dY' : translator.t('Angle')}</span>
+        {field(second, relative ? this.showLength(dy) : String(toFixedFloat(angle < 0 ? angle + 360 : angle, 1)), 'second')}
+        <span
+          style={switchStyle}
+          onClick={event => { this.setState({relative: !relative, first: '', second: '', invalid: false}); this.firstInput.focus(); }}
+        >
+          {translator.t(relative ? 'Length and angle' : 'Relative')}
+        </span>
+      </div>
+    );
+  }
+}
+
+DrawingLineInput.propTypes = {
+  state: PropTypes.object.isRequired,
+  offset: PropTypes.number.isRequired
+};
+
+DrawingLineInput.contextTypes = {
+  linesActions: PropTypes.object.isRequired,
+  translator: PropTypes.object.isRequired
+};
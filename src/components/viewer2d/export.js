@@ -12,6 +12,11 @@ import Grids from './grids/grids';
 import Group from './group';
 import RulerX from './rulerX';
 import RulerY from './rulerY';
+import DrawingLineInput from './drawing-line-input';
+import Dimension from './dimension';
+import DrawingDimensionInput from './drawing-dimension-input';
+import Annotation from './annotation';
+import DrawingAnnotationInput from './drawing-annotation-input';
 
 export {
   Viewer2D,
@@ -27,7 +32,12 @@ export {
   Grids,
   Group,
   RulerX,
-  RulerY
+  RulerY,
+  DrawingLineInput,
+  Dimension,
+  DrawingDimensionInput,
+  Annotation,
+  DrawingAnnotationInput
 };
 
 export default {
@@ -44,5 +54,10 @@ export default {
   Grids,
   Group,
   RulerX,
-  RulerY
+  RulerY,
+  DrawingLineInput,
+  Dimension,
+  DrawingDimensionInput,
+  Annotation,
+  DrawingAnnotationInput
 };
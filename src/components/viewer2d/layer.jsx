@@ -5,19 +5,21 @@ import {
   Area,
   Vertex,
   Item,
-  Group
+  Group,
+  Annotation
 } from './export';
+import Dimension, { AutoDimensions } from './dimension';
 
 export default function Layer({ layer, scene, catalog }) {
 
-  let { unit, groups } = scene;
-  let { lines, areas, vertices, holes, id: layerID, items, opacity } = layer;
+  let { groups } = scene;
+  let { lines, areas, vertices, holes, id: layerID, items, dimensions, annotations, opacity } = layer;
 
   return (
     <g opacity={opacity}>
       {
         areas.valueSeq().map(area =>
-          <Area key={area.id} layer={layer} area={area} unit={unit} catalog={catalog} />)
+          <Area key={area.id} layer={layer} area={area} scene={scene} catalog={catalog} />)
       }
       {
         lines.valueSeq().map(line =>
@@ -27,6 +29,17 @@ export default function Layer({ layer, scene, catalog }) {
         items.valueSeq().map(item =>
           <Item key={item.id} layer={layer} item={item} scene={scene} catalog={catalog} />)
       }
+      {
+        scene.autoDimension ? <AutoDimensions layer={layer} scene={scene} /> : null
+      }
+      {
+        dimensions.valueSeq().map(dimension =>
+          <Dimension key={dimension.id} layer={layer} dimension={dimension} scene={scene} />)
+      }
+      {
+        annotations.valueSeq().map(annotation =>
+          <Annotation key={annotation.id} layer={layer} annotation={annotation} />)
+      }
       {
         vertices
           .valueSeq()
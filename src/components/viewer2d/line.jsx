@@ -1,6 +1,6 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import {GeometryUtils} from '../../utils/export';
+import {GeometryUtils, WallUtils} from '../../utils/export';
 import Ruler from './ruler';
 
 export default function Line({line, layer, scene, catalog}) {
@@ -13,7 +13,8 @@ export default function Line({line, layer, scene, catalog}) {
   let {x: x1, y: y1} = vertex0;
   let {x: x2, y: y2} = vertex1;
 
-  if (x1 > x2) {
+  let inverted = x1 > x2;
+  if (inverted) {
     ({x: x1, y: y1} = vertex1);
     ({x: x2, y: y2} = vertex0);
   }
@@ -21,15 +22,22 @@ export default function Line({line, layer, scene, catalog}) {
   let length = GeometryUtils.pointsDistance(x1, y1, x2, y2);
   let angle = GeometryUtils.angleBetweenTwoPointsAndOrigin(x1, y1, x2, y2);
 
+  let thickness = line.getIn(['properties', 'thickness', 'length']);
+  let half_thickness = thickness / 2;
+
+  //the wall is drawn beside its line when justified, +y being the left of the drawing direction
+  let wallOffset = WallUtils.wallCenterOffset(line) * (inverted ? -1 : 1);
+
+  //holes follow the arc of a curved wall, turned along it
   let renderedHoles = line.holes.map(holeID => {
     let hole = layer.holes.get(holeID);
-    let startAt = length * hole.offset;
+    let {x, y, angle: holeAngle} = WallUtils.wallFramePoint(layer, line, hole.offset);
     let renderedHole = catalog.getElement(hole.type).render2D(hole, layer, scene);
 
     return (
       <g
         key={holeID}
-        transform={`translate(${startAt}, 0)`}
+        transform={`translate(${x}, ${y}) rotate(${holeAngle * 180 / Math.PI}) translate(0, ${wallOffset})`}
         data-element-root
         data-prototype={hole.prototype}
         data-id={hole.id}
@@ -41,12 +49,11 @@ export default function Line({line, layer, scene, catalog}) {
     );
   });
 
-  let thickness = line.getIn(['properties', 'thickness', 'length']);
-  let half_thickness = thickness / 2;
-
   let renderedLine = catalog.getElement(line.type).render2D(line, layer);
+  //a curved wall bulging on the ruler's side keeps it beyond its arc
+  let bulge = Math.max(0, inverted ? -line.bulge : line.bulge);
   let renderedRuler = line.selected ?
-    <Ruler unit={scene.unit} length={length} transform={`translate(0, ${half_thickness + 10} )`}/> : null;
+    <Ruler unit={scene.unit} inchFraction={scene.inchFraction} length={length} transform={`translate(0, ${wallOffset + half_thickness + bulge + 10} )`}/> : null;
 
   return (
     <g
@@ -59,7 +66,9 @@ export default function Line({line, layer, scene, catalog}) {
       style={line.selected ? {cursor: 'move'} : {}}
     >
       {renderedRuler}
-      {renderedLine}
+      <g transform={`translate(0, ${wallOffset})`}>
+        {renderedLine}
+      </g>
       {renderedHoles}
     </g>
   );
@@ -1,5 +1,6 @@
 import React from 'react';
 import PropTypes from 'prop-types';
+import { formatLength } from '../../utils/units';
 
 const STYLE = {
   stroke: "#0096fd",
@@ -22,9 +23,9 @@ const STYLE_TEXT = {
 };
 
 
-export default function Ruler({length, unit, transform}) {
+export default function Ruler({length, unit, inchFraction, transform}) {
 
-  let distanceText = `${length.toFixed(2)} ${unit}`;
+  let distanceText = formatLength(length, unit, 2, inchFraction);
 
   return (
     <g transform={transform}>
@@ -40,5 +41,6 @@ export default function Ruler({length, unit, transform}) {
 Ruler.propTypes = {
   length: PropTypes.number.isRequired,
   unit: PropTypes.string.isRequired,
+  inchFraction: PropTypes.number,
   transform: PropTypes.string.isRequired
 };
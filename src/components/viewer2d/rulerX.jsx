@@ -1,6 +1,9 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import * as SharedStyle from '../../shared-style';
+import { fromStorageUnit, formatFeetInches } from '../../utils/units';
+import { toFixedFloat } from '../../utils/math';
+import { UNIT_CENTIMETER, UNIT_FEET_INCHES } from '../../constants';
 
 export default class RulerX extends Component {
 
@@ -10,6 +13,9 @@ export default class RulerX extends Component {
 
   render() {
 
+    let label = value => this.props.unit === UNIT_FEET_INCHES ?
+      formatFeetInches(value, 1) :
+      toFixedFloat(fromStorageUnit(value, this.props.unit), 2);
     let elementW = this.props.unitPixelSize * this.props.zoom;
 
     let elementStyle = {
@@ -78,7 +84,7 @@ export default class RulerX extends Component {
       for (let x = 0; x < this.props.positiveUnitsNumber; x++) {
         positiveDomElements.push(
           <div key={x} style={{ ...elementStyle, gridColumn: (x + 1), gridRow: 1 }}>
-            {elementW > 30 ? (x * 100) : ''}
+            {elementW > 30 ? label(x * 100) : ''}
           </div>
         );
       }
@@ -88,11 +94,11 @@ export default class RulerX extends Component {
         let val = x * 100;
         positiveDomElements.push(
           <div key={x} style={{ ...elementStyle, gridColumn: (x + 1), gridRow: 1 }}>
-            <div style={insideElementsStyle}>{val}</div>
-            <div style={insideElementsStyle}>{val + (1 * 20)}</div>
-            <div style={insideElementsStyle}>{val + (2 * 20)}</div>
-            <div style={insideElementsStyle}>{val + (3 * 20)}</div>
-            <div style={insideElementsStyle}>{val + (4 * 20)}</div>
+            <div style={insideElementsStyle}>{label(val)}</div>
+            <div style={insideElementsStyle}>{label(val + (1 * 20))}</div>
+            <div style={insideElementsStyle}>{label(val + (2 * 20))}</div>
+            <div style={insideElementsStyle}>{label(val + (3 * 20))}</div>
+            <div style={insideElementsStyle}>{label(val + (4 * 20))}</div>
           </div>
         );
       }
@@ -112,6 +118,7 @@ RulerX.propTypes = {
   positiveUnitsNumber: PropTypes.number,
   negativeUnitsNumber: PropTypes.number,
   zoom: PropTypes.number.isRequired,
+  unit: PropTypes.string,
   mouseX: PropTypes.number.isRequired,
   width: PropTypes.number.isRequired,
   zeroLeftPosition: PropTypes.number.isRequired,
@@ -121,6 +128,7 @@ RulerX.propTypes = {
 };
 
 RulerX.defaultProps = {
+  unit: UNIT_CENTIMETER,
   positiveUnitsNumber: 50,
   negativeUnitsNumber: 50,
   backgroundColor: SharedStyle.PRIMARY_COLOR.main,
@@ -1,6 +1,9 @@
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import * as SharedStyle from '../../shared-style';
+import { fromStorageUnit, formatFeetInches } from '../../utils/units';
+import { toFixedFloat } from '../../utils/math';
+import { UNIT_CENTIMETER, UNIT_FEET_INCHES } from '../../constants';
 
 export default class RulerY extends Component {
 
@@ -10,6 +13,9 @@ export default class RulerY extends Component {
 
   render() {
 
+    let label = value => this.props.unit === UNIT_FEET_INCHES ?
+      formatFeetInches(value, 1) :
+      toFixedFloat(fromStorageUnit(value, this.props.unit), 2);
     let elementH = this.props.unitPixelSize * this.props.zoom;
 
     let elementStyle = {
@@ -82,7 +88,7 @@ export default class RulerY extends Component {
       for (let x = 1; x <= this.props.positiveUnitsNumber; x++) {
         positiveDomElements.push(
           <div key={x} style={{ ...elementStyle, gridColumn: 1, gridRow: x }}>
-            {elementH > 30 ? ((this.props.positiveUnitsNumber - x) * 100) : ''}
+            {elementH > 30 ? label((this.props.positiveUnitsNumber - x) * 100) : ''}
           </div>
         );
       }
@@ -92,11 +98,11 @@ export default class RulerY extends Component {
         let val = (this.props.positiveUnitsNumber - x) * 100;
         positiveDomElements.push(
           <div key={x} style={{ ...elementStyle, gridColumn: 1, gridRow: x }}>
-            <div style={insideElementsStyle}>{val + (4 * 20)}</div>
-            <div style={insideElementsStyle}>{val + (3 * 20)}</div>
-            <div style={insideElementsStyle}>{val + (2 * 20)}</div>
-            <div style={insideElementsStyle}>{val + (1 * 20)}</div>
-            <div style={insideElementsStyle}>{val}</div>
+            <div style={insideElementsStyle}>{label(val + (4 * 20))}</div>
+            <div style={insideElementsStyle}>{label(val + (3 * 20))}</div>
+            <div style={insideElementsStyle}>{label(val + (2 * 20))}</div>
+            <div style={insideElementsStyle}>{label(val + (1 * 20))}</div>
+            <div style={insideElementsStyle}>{label(val)}</div>
           </div>
         );
       }
@@ -114,6 +120,7 @@ export default class RulerY extends Component {
 RulerY.propTypes = {
   unitPixelSize: PropTypes.number.isRequired,
   zoom: PropTypes.number.isRequired,
+  unit: PropTypes.string,
   mouseY: PropTypes.number.isRequired,
   height: PropTypes.number.isRequired,
   zeroTopPosition: PropTypes.number.isRequired,
@@ -123,6 +130,7 @@ RulerY.propTypes = {
 };
 
 RulerY.defaultProps = {
+  unit: UNIT_CENTIMETER,
   positiveUnitsNumber: 50,
   negativeUnitsNumber: 50,
   backgroundColor: SharedStyle.PRIMARY_COLOR.main,
@@ -5,7 +5,7 @@ import { ReactSVGPanZoom, TOOL_NONE, TOOL_PAN, TOOL_ZOOM_IN, TOOL_ZOOM_OUT, TOOL
 import * as constants from '../../constants';
 import State from './state';
 import * as SharedStyle from '../../shared-style';
-import { RulerX, RulerY } from './export';
+import { RulerX, RulerY, DrawingLineInput, DrawingDimensionInput, DrawingAnnotationInput } from './export';
 
 function mode2Tool(mode) {
   switch (mode) {
@@ -16,6 +16,7 @@ function mode2Tool(mode) {
     case constants.MODE_2D_ZOOM_OUT:
       return TOOL_ZOOM_OUT;
     case constants.MODE_IDLE:
+    case constants.MODE_ARRAYING:
       return TOOL_AUTO;
     default:
       return TOOL_NONE;
@@ -25,10 +26,15 @@ function mode2Tool(mode) {
 function mode2PointerEvents(mode) {
   switch (mode) {
     case constants.MODE_DRAWING_LINE:
+    case constants.MODE_DRAWING_ROOM:
+    case constants.MODE_DRAWING_ARC:
+    case constants.MODE_DRAWING_DIMENSION:
+    case constants.MODE_DRAWING_ANNOTATION:
     case constants.MODE_DRAWING_HOLE:
     case constants.MODE_DRAWING_ITEM:
     case constants.MODE_DRAGGING_HOLE:
     case constants.MODE_DRAGGING_ITEM:
+    case constants.MODE_DRAGGING_ANNOTATION:
     case constants.MODE_DRAGGING_LINE:
     case constants.MODE_DRAGGING_VERTEX:
       return { pointerEvents: 'none' };
@@ -44,6 +50,7 @@ function mode2Cursor(mode) {
     case constants.MODE_DRAGGING_LINE:
     case constants.MODE_DRAGGING_VERTEX:
     case constants.MODE_DRAGGING_ITEM:
+    case constants.MODE_DRAGGING_ANNOTATION:
       return { cursor: 'move' };
 
     case constants.MODE_ROTATING_ITEM:
@@ -51,6 +58,14 @@ function mode2Cursor(mode) {
 
     case constants.MODE_WAITING_DRAWING_LINE:
     case constants.MODE_DRAWING_LINE:
+    case constants.MODE_WAITING_DRAWING_ROOM:
+    case constants.MODE_DRAWING_ROOM:
+    case constants.MODE_WAITING_DRAWING_ARC:
+    case constants.MODE_DRAWING_ARC:
+    case constants.MODE_WAITING_DRAWING_DIMENSION:
+    case constants.MODE_DRAWING_DIMENSION:
+    case constants.MODE_WAITING_DRAWING_ANNOTATION:
+    case constants.MODE_DRAWING_ANNOTATION:
       return { cursor: 'crosshair' };
     default:
       return { cursor: 'default' };
@@ -60,10 +75,15 @@ function mode2Cursor(mode) {
 function mode2DetectAutopan(mode) {
   switch (mode) {
     case constants.MODE_DRAWING_LINE:
+    case constants.MODE_DRAWING_ROOM:
+    case constants.MODE_DRAWING_ARC:
+    case constants.MODE_DRAWING_DIMENSION:
+    case constants.MODE_DRAWING_ANNOTATION:
     case constants.MODE_DRAGGING_LINE:
     case constants.MODE_DRAGGING_VERTEX:
     case constants.MODE_DRAGGING_HOLE:
     case constants.MODE_DRAGGING_ITEM:
+    case constants.MODE_DRAGGING_ANNOTATION:
     case constants.MODE_DRAWING_HOLE:
     case constants.MODE_DRAWING_ITEM:
       return true;
@@ -90,7 +110,7 @@ function extractElementData(node) {
 
 export default function Viewer2D(
   { state, width, height },
-  { viewer2DActions, linesActions, holesActions, verticesActions, itemsActions, areaActions, projectActions, catalog }) {
+  { viewer2DActions, linesActions, holesActions, verticesActions, itemsActions, areaActions, dimensionsActions, annotationsActions, projectActions, catalog }) {
 
 
   let { viewer2D, mode, scene } = state;
@@ -117,6 +137,22 @@ export default function Viewer2D(
         linesActions.updateDrawingLine(x, y, state.snapMask);
         break;
 
+      case constants.MODE_DRAWING_ROOM:
+        linesActions.updateDrawingRoom(x, y, state.snapMask);
+        break;
+
+      case constants.MODE_DRAWING_ARC:
+        linesActions.updateDrawingArc(x, y, state.snapMask);
+        break;
+
+      case constants.MODE_DRAWING_DIMENSION:
+        dimensionsActions.updateDrawingDimension(x, y);
+        break;
+
+      case constants.MODE_DRAWING_ANNOTATION:
+        annotationsActions.updateDrawingAnnotation(x, y);
+        break;
+
       case constants.MODE_DRAWING_HOLE:
         holesActions.updateDrawingHole(layerID, x, y);
         break;
@@ -144,6 +180,10 @@ export default function Viewer2D(
       case constants.MODE_ROTATING_ITEM:
         itemsActions.updateRotatingItem(x, y);
         break;
+
+      case constants.MODE_DRAGGING_ANNOTATION:
+        annotationsActions.updateDraggingAnnotation(x, y);
+        break;
     }
 
     viewerEvent.originalEvent.stopPropagation();
@@ -183,9 +223,19 @@ export default function Viewer2D(
           holesActions.beginDraggingHole(elementData.layer, elementData.id, x, y);
           break;
 
+        case 'annotations':
+          annotationsActions.beginDraggingAnnotation(elementData.layer, elementData.id, x, y);
+          break;
+
         default: break;
       }
     }
+    else if (mode === constants.MODE_WAITING_DRAWING_ROOM) {
+      linesActions.beginDrawingRoom(layerID, x, y, state.snapMask);
+    }
+    else if (mode === constants.MODE_WAITING_DRAWING_ARC) {
+      linesActions.beginDrawingArc(layerID, x, y, state.snapMask);
+    }
     event.stopPropagation();
   };
 
@@ -222,6 +272,14 @@ export default function Viewer2D(
             itemsActions.selectItem(elementData.layer, elementData.id);
             break;
 
+          case 'dimensions':
+            dimensionsActions.selectDimension(elementData.layer, elementData.id);
+            break;
+
+          case 'annotations':
+            annotationsActions.selectAnnotation(elementData.layer, elementData.id);
+            break;
+
           case 'none':
             projectActions.unselectAll();
             break;
@@ -237,6 +295,24 @@ export default function Viewer2D(
         linesActions.beginDrawingLine(layerID, x, y, state.snapMask);
         break;
 
+      case constants.MODE_DRAWING_ROOM:
+        linesActions.addDrawingRoomPoint(x, y, state.snapMask);
+        break;
+
+      case constants.MODE_DRAWING_ARC:
+        linesActions.addDrawingArcPoint(x, y, state.snapMask);
+        break;
+
+      case constants.MODE_WAITING_DRAWING_DIMENSION:
+      case constants.MODE_DRAWING_DIMENSION:
+        dimensionsActions.addDrawingDimensionPoint(layerID, x, y);
+        break;
+
+      case constants.MODE_WAITING_DRAWING_ANNOTATION:
+      case constants.MODE_DRAWING_ANNOTATION:
+        annotationsActions.addDrawingAnnotationPoint(layerID, x, y);
+        break;
+
       case constants.MODE_DRAWING_HOLE:
         holesActions.endDrawingHole(layerID, x, y);
         break;
@@ -264,6 +340,10 @@ export default function Viewer2D(
       case constants.MODE_ROTATING_ITEM:
         itemsActions.endRotatingItem(x, y);
         break;
+
+      case constants.MODE_DRAGGING_ANNOTATION:
+        annotationsActions.endDraggingAnnotation(x, y);
+        break;
     }
 
     event.stopPropagation();
@@ -318,11 +398,14 @@ export default function Viewer2D(
       gridTemplateRows: `${rulerSize}px ${height - rulerSize}px`,
       position: 'relative'
     }}>
-      <div style={{ gridColumn: 1, gridRow: 1, backgroundColor: rulerBgColor }}></div>
+      <div style={{ gridColumn: 1, gridRow: 1, backgroundColor: rulerBgColor, color: rulerFnColor, fontSize: '8px', lineHeight: `${rulerSize}px`, textAlign: 'center' }}>
+        {state.scene.unit}
+      </div>
       <div style={{ gridRow: 1, gridColumn: 2, position: 'relative', overflow: 'hidden' }} id="rulerX">
       { sceneWidth ? <RulerX
           unitPixelSize={rulerUnitPixelSize}
           zoom={sceneZoom}
+          unit={state.scene.unit}
           mouseX={state.mouse.get('x')}
           width={width - rulerSize}
           zeroLeftPosition={e || 0}
@@ -337,6 +420,7 @@ export default function Viewer2D(
         { sceneHeight ? <RulerY
           unitPixelSize={rulerUnitPixelSize}
           zoom={sceneZoom}
+          unit={state.scene.unit}
           mouseY={state.mouse.get('y')}
           height={height - rulerSize}
           zeroTopPosition={((sceneHeight * sceneZoom) + f) || 0}
@@ -376,6 +460,15 @@ export default function Viewer2D(
         </svg>
 
       </ReactSVGPanZoom>
+      { mode === constants.MODE_DRAWING_LINE ? <DrawingLineInput state={state} offset={rulerSize} /> : null }
+      {
+        [constants.MODE_WAITING_DRAWING_DIMENSION, constants.MODE_DRAWING_DIMENSION].includes(mode) ?
+          <DrawingDimensionInput state={state} offset={rulerSize} /> : null
+      }
+      {
+        [constants.MODE_WAITING_DRAWING_ANNOTATION, constants.MODE_DRAWING_ANNOTATION].includes(mode) ?
+          <DrawingAnnotationInput state={state} offset={rulerSize} /> : null
+      }
     </div>
   );
 }
@@ -394,6 +487,8 @@ Viewer2D.contextTypes = {
   verticesActions: PropTypes.object.isRequired,
   itemsActions: PropTypes.object.isRequired,
   areaActions: PropTypes.object.isRequired,
+  dimensionsActions: PropTypes.object.isRequired,
+  annotationsActions: PropTypes.object.isRequired,
   projectActions: PropTypes.object.isRequired,
   catalog: PropTypes.object.isRequired,
 };
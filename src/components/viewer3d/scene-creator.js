@@ -1,6 +1,7 @@
 import * as Three from 'three';
 import createGrid from './grid-creator';
 import { disposeObject } from './three-memory-cleaner';
+import { WallUtils } from '../../utils/export';
 
 export function parseData(sceneData, actions, catalog) {
 
@@ -155,6 +156,14 @@ function replaceObject(modifiedPath, layer, planData, actions, sceneData, oldSce
             return replaceObject([0, 0, 0, 'lines', lineID], layer, planData, actions, sceneData, oldSceneData, catalog);
           });
           vertex.areas.forEach(areaID => replaceObject([0, 0, 0, 'areas', areaID], layer, planData, actions, sceneData, oldSceneData, catalog));
+
+          // The walls joined at the far ends of the moved ones meet them at another angle
+          let farVertices = vertex.lines.flatMap(lineID => layer.getIn(['lines', lineID, 'vertices']));
+          replaceJoinedLines(farVertices, vertex.lines, layer, planData, actions, sceneData, oldSceneData, catalog);
+        }
+
+        if (modifiedPath[5] === 'lines') {
+          replaceJoinedLines([vertex.id], [], layer, planData, actions, sceneData, oldSceneData, catalog);
         }
 
         if (modifiedPath[5] === 'areas') {
@@ -204,6 +213,15 @@ function replaceObject(modifiedPath, layer, planData, actions, sceneData, oldSce
     case 'lines':
       let line = layer.getIn(['lines', modifiedPath[4]]);
 
+      // Holes and floors follow the faces of a wall, which move with its justification, bulge and thickness
+      if (modifiedPath[5] === 'justification' || modifiedPath[5] === 'bulge' || (modifiedPath[5] === 'properties' && modifiedPath[6] === 'thickness')) {
+        line.holes.forEach(holeID => replaceObject([0, 0, 0, 'holes', holeID, 'selected'], layer, planData, actions, sceneData, oldSceneData, catalog));
+        line.vertices.forEach(vertexID => layer.getIn(['vertices', vertexID, 'areas']).forEach(areaID =>
+          replaceObject([0, 0, 0, 'areas', areaID], layer, planData, actions, sceneData, oldSceneData, catalog)
+        ));
+        replaceJoinedLines(line.vertices, [line.id], layer, planData, actions, sceneData, oldSceneData, catalog);
+      }
+
       if (catalog.getElement(line.type).updateRender3D) {
         promises.push(
           updateLine(
@@ -305,6 +323,28 @@ function replaceObject(modifiedPath, layer, planData, actions, sceneData, oldSce
   Promise.all(promises).then(values => updateBoundingBox(planData));
 }
 
+/**
+ * Rebuilds the walls meeting at some vertices, whose joins change with the walls they meet
+ * @param vertexIDs the vertices
+ * @param skippedLineIDs the lines already being rebuilt
+ */
+function replaceJoinedLines(vertexIDs, skippedLineIDs, layer, planData, actions, sceneData, oldSceneData, catalog) {
+  let lineIDs = new Set();
+
+  vertexIDs.forEach(vertexID => {
+    let vertex = layer.vertices.get(vertexID);
+    if (vertex) vertex.lines.forEach(lineID => lineIDs.add(lineID));
+  });
+  skippedLineIDs.forEach(lineID => lineIDs.delete(lineID));
+
+  // Lines being added are built with their joins already
+  lineIDs.forEach(lineID => {
+    if (layer.lines.has(lineID) && planData.sceneGraph.layers[layer.id].lines[lineID]) {
+      replaceObject([0, 0, 0, 'lines', lineID], layer, planData, actions, sceneData, oldSceneData, catalog);
+    }
+  });
+}
+
 function removeObject(modifiedPath, layer, planData, actions, sceneData, oldSceneData, catalog) {
 
   let promises = [];
@@ -324,6 +364,11 @@ function removeObject(modifiedPath, layer, planData, actions, sceneData, oldScen
         });
       }
       break;
+    case 'vertices':
+      if (modifiedPath[5] === 'lines') {
+        replaceJoinedLines([modifiedPath[4]], [], layer, planData, actions, sceneData, oldSceneData, catalog);
+      }
+      break;
     case 'areas':
       if (modifiedPath.length === 5) {
         // I am removing an entire area
@@ -458,6 +503,9 @@ function addObject(modifiedPath, layer, planData, actions, sceneData, oldSceneDa
 
     if( addPromise ) addPromise( sceneData, planData, layer, modifiedPath[4], catalog, addAction ).then(() => updateBoundingBox(planData));
   }
+  else if (modifiedPath[3] === 'vertices' && modifiedPath[5] === 'lines') {
+    replaceJoinedLines([modifiedPath[4]], [], layer, planData, actions, sceneData, oldSceneData, catalog);
+  }
 }
 
 function addHole(sceneData, planData, layer, holeID, catalog, holesActions) {
@@ -479,18 +527,24 @@ function addHole(sceneData, planData, layer, holeID, catalog, holesActions) {
     // First of all I need to find the vertices of this line
     let vertex0 = layer.vertices.get(line.vertices.get(0));
     let vertex1 = layer.vertices.get(line.vertices.get(1));
-    let offset = holeData.offset;
+    let centerOffset = WallUtils.wallCenterOffset(line);
 
     if (vertex0.x > vertex1.x) {
       let tmp = vertex0;
       vertex0 = vertex1;
       vertex1 = tmp;
-      offset = 1 - offset;
+      centerOffset = -centerOffset;
     }
 
     let distance = Math.sqrt(Math.pow(vertex0.x - vertex1.x, 2) + Math.pow(vertex0.y - vertex1.y, 2));
     let alpha = Math.asin((vertex1.y - vertex0.y) / distance);
 
+    // The hole stands across the middle of its wall, turned along it when the wall is curved
+    let {x: along, y: across, angle} = WallUtils.wallFramePoint(layer, line, holeData.offset);
+    along -= centerOffset * Math.sin(angle);
+    across += centerOffset * Math.cos(angle);
+    let holeAlpha = alpha + angle;
+
     let boundingBox = new Three.Box3().setFromObject(pivot);
     let center = [
       (boundingBox.max.x - boundingBox.min.x) / 2 + boundingBox.min.x,
@@ -500,10 +554,10 @@ function addHole(sceneData, planData, layer, holeID, catalog, holesActions) {
     let holeAltitude = holeData.properties.getIn(['altitude', 'length']);
     let holeHeight = holeData.properties.getIn(['height', 'length']);
 
-    pivot.rotation.y = alpha;
-    pivot.position.x = vertex0.x + distance * offset * Math.cos(alpha) - center[2] * Math.sin(alpha);
+    pivot.rotation.y = holeAlpha;
+    pivot.position.x = vertex0.x + along * Math.cos(alpha) - across * Math.sin(alpha) - center[2] * Math.sin(holeAlpha);
     pivot.position.y = holeAltitude + holeHeight / 2 - center[1] + layer.altitude;
-    pivot.position.z = -vertex0.y - distance * offset * Math.sin(alpha) - center[2] * Math.cos(alpha);
+    pivot.position.z = -vertex0.y - along * Math.sin(alpha) - across * Math.cos(alpha) - center[2] * Math.cos(holeAlpha);
 
     planData.plan.add(pivot);
     planData.sceneGraph.layers[layer.id].holes[holeData.id] = pivot;
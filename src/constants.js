@@ -9,11 +9,19 @@ export const SET_PROPERTIES = 'SET_PROPERTIES';
 export const SET_ITEMS_ATTRIBUTES = 'SET_ITEMS_ATTRIBUTES';
 export const SET_LINES_ATTRIBUTES = 'SET_LINES_ATTRIBUTES';
 export const SET_HOLES_ATTRIBUTES = 'SET_HOLES_ATTRIBUTES';
+export const SET_AREAS_ATTRIBUTES = 'SET_AREAS_ATTRIBUTES';
+export const SET_ANNOTATIONS_ATTRIBUTES = 'SET_ANNOTATIONS_ATTRIBUTES';
 export const REMOVE = 'REMOVE';
 export const UNDO = 'UNDO';
+export const REDO = 'REDO';
+export const ADD_HISTORY_CHECKPOINT = 'ADD_HISTORY_CHECKPOINT';
+export const REMOVE_HISTORY_CHECKPOINT = 'REMOVE_HISTORY_CHECKPOINT';
+export const JUMP_TO_HISTORY_ENTRY = 'JUMP_TO_HISTORY_ENTRY';
 export const ROLLBACK = 'ROLLBACK';
 export const SET_PROJECT_PROPERTIES = 'SET_PROJECT_PROPERTIES';
 export const OPEN_PROJECT_CONFIGURATOR = 'OPEN_PROJECT_CONFIGURATOR';
+export const OPEN_ROOM_SCHEDULE = 'OPEN_ROOM_SCHEDULE';
+export const OPEN_BILL_OF_MATERIALS = 'OPEN_BILL_OF_MATERIALS';
 export const INIT_CATALOG = 'INIT_CATALOG';
 export const UPDATE_MOUSE_COORDS = 'UPDATE_MOUSE_COORDS';
 export const UPDATE_ZOOM_SCALE = 'UPDATE_ZOOM_SCALE';
@@ -24,6 +32,13 @@ export const THROW_ERROR = 'THROW_ERROR';
 export const THROW_WARNING = 'THROW_WARNING';
 export const COPY_PROPERTIES = 'COPY_PROPERTIES';
 export const PASTE_PROPERTIES = 'PASTE_PROPERTIES';
+export const COPY_ELEMENTS = 'COPY_ELEMENTS';
+export const CUT_ELEMENTS = 'CUT_ELEMENTS';
+export const PASTE_ELEMENTS = 'PASTE_ELEMENTS';
+export const DUPLICATE_ELEMENTS = 'DUPLICATE_ELEMENTS';
+export const BEGIN_ARRAY = 'BEGIN_ARRAY';
+export const UPDATE_ARRAY = 'UPDATE_ARRAY';
+export const END_ARRAY = 'END_ARRAY';
 export const PUSH_LAST_SELECTED_CATALOG_ELEMENT_TO_HISTORY = 'PUSH_LAST_SELECTED_CATALOG_ELEMENT_TO_HISTORY';
 export const ALTERATE_STATE = 'ALTERATE_STATE';
 export const SET_MODE = 'SET_MODE';
@@ -79,9 +94,31 @@ export const SELECT_TOOL_DRAWING_LINE = 'SELECT_TOOL_DRAWING_LINE';
 export const BEGIN_DRAWING_LINE = 'BEGIN_DRAWING_LINE';
 export const UPDATE_DRAWING_LINE = 'UPDATE_DRAWING_LINE';
 export const END_DRAWING_LINE = 'END_DRAWING_LINE';
+export const ENTER_DRAWING_LINE_POINT = 'ENTER_DRAWING_LINE_POINT';
+export const SELECT_TOOL_DRAWING_ROOM = 'SELECT_TOOL_DRAWING_ROOM';
+export const SET_DRAWING_ROOM_OPTIONS = 'SET_DRAWING_ROOM_OPTIONS';
+export const BEGIN_DRAWING_ROOM = 'BEGIN_DRAWING_ROOM';
+export const UPDATE_DRAWING_ROOM = 'UPDATE_DRAWING_ROOM';
+export const ADD_DRAWING_ROOM_POINT = 'ADD_DRAWING_ROOM_POINT';
+export const END_DRAWING_ROOM = 'END_DRAWING_ROOM';
+export const SELECT_TOOL_DRAWING_ARC = 'SELECT_TOOL_DRAWING_ARC';
+export const BEGIN_DRAWING_ARC = 'BEGIN_DRAWING_ARC';
+export const UPDATE_DRAWING_ARC = 'UPDATE_DRAWING_ARC';
+export const ADD_DRAWING_ARC_POINT = 'ADD_DRAWING_ARC_POINT';
 export const SELECT_TOOL_DRAWING_HOLE = 'SELECT_TOOL_DRAWING_HOLE';
 export const UPDATE_DRAWING_HOLE = 'UPDATE_DRAWING_HOLE'; //SHOULD BE SLPITTED IN BEGIN_DRAWING_HOLE AND UPDATE_DRAWING_HOLE
 export const END_DRAWING_HOLE = 'END_DRAWING_HOLE';
+export const SELECT_DIMENSION = 'SELECT_DIMENSION';
+export const SELECT_TOOL_DRAWING_DIMENSION = 'SELECT_TOOL_DRAWING_DIMENSION';
+export const UPDATE_DRAWING_DIMENSION = 'UPDATE_DRAWING_DIMENSION';
+export const ADD_DRAWING_DIMENSION_POINT = 'ADD_DRAWING_DIMENSION_POINT';
+export const SELECT_ANNOTATION = 'SELECT_ANNOTATION';
+export const SELECT_TOOL_DRAWING_ANNOTATION = 'SELECT_TOOL_DRAWING_ANNOTATION';
+export const UPDATE_DRAWING_ANNOTATION = 'UPDATE_DRAWING_ANNOTATION';
+export const ADD_DRAWING_ANNOTATION_POINT = 'ADD_DRAWING_ANNOTATION_POINT';
+export const BEGIN_DRAGGING_ANNOTATION = 'BEGIN_DRAGGING_ANNOTATION';
+export const UPDATE_DRAGGING_ANNOTATION = 'UPDATE_DRAGGING_ANNOTATION';
+export const END_DRAGGING_ANNOTATION = 'END_DRAGGING_ANNOTATION';
 export const BEGIN_DRAGGING_LINE = 'BEGIN_DRAGGING_LINE';
 export const UPDATE_DRAGGING_LINE = 'UPDATE_DRAGGING_LINE';
 export const END_DRAGGING_LINE = 'END_DRAGGING_LINE';
@@ -104,6 +141,7 @@ export const SET_LAYER_PROPERTIES = 'SET_LAYER_PROPERTIES';
 export const ADD_LAYER = 'ADD_LAYER';
 export const SELECT_LAYER = 'SELECT_LAYER';
 export const REMOVE_LAYER = 'REMOVE_LAYER';
+export const SET_ELEMENT_LOCKED = 'SET_ELEMENT_LOCKED';
 
 //GROUPING ACTIONS
 export const PROJECT_ACTIONS = {
@@ -117,11 +155,19 @@ export const PROJECT_ACTIONS = {
   SET_ITEMS_ATTRIBUTES,
   SET_LINES_ATTRIBUTES,
   SET_HOLES_ATTRIBUTES,
+  SET_AREAS_ATTRIBUTES,
+  SET_ANNOTATIONS_ATTRIBUTES,
   REMOVE,
   UNDO,
+  REDO,
+  ADD_HISTORY_CHECKPOINT,
+  REMOVE_HISTORY_CHECKPOINT,
+  JUMP_TO_HISTORY_ENTRY,
   ROLLBACK,
   SET_PROJECT_PROPERTIES,
   OPEN_PROJECT_CONFIGURATOR,
+  OPEN_ROOM_SCHEDULE,
+  OPEN_BILL_OF_MATERIALS,
   INIT_CATALOG,
   UPDATE_MOUSE_COORDS,
   UPDATE_ZOOM_SCALE,
@@ -132,6 +178,13 @@ export const PROJECT_ACTIONS = {
   THROW_WARNING,
   COPY_PROPERTIES,
   PASTE_PROPERTIES,
+  COPY_ELEMENTS,
+  CUT_ELEMENTS,
+  PASTE_ELEMENTS,
+  DUPLICATE_ELEMENTS,
+  BEGIN_ARRAY,
+  UPDATE_ARRAY,
+  END_ARRAY,
   PUSH_LAST_SELECTED_CATALOG_ELEMENT_TO_HISTORY,
   ALTERATE_STATE,
   SET_MODE,
@@ -184,6 +237,17 @@ export const LINE_ACTIONS = {
   BEGIN_DRAWING_LINE,
   UPDATE_DRAWING_LINE,
   END_DRAWING_LINE,
+  ENTER_DRAWING_LINE_POINT,
+  SELECT_TOOL_DRAWING_ROOM,
+  SET_DRAWING_ROOM_OPTIONS,
+  BEGIN_DRAWING_ROOM,
+  UPDATE_DRAWING_ROOM,
+  ADD_DRAWING_ROOM_POINT,
+  END_DRAWING_ROOM,
+  SELECT_TOOL_DRAWING_ARC,
+  BEGIN_DRAWING_ARC,
+  UPDATE_DRAWING_ARC,
+  ADD_DRAWING_ARC_POINT,
   BEGIN_DRAGGING_LINE,
   UPDATE_DRAGGING_LINE,
   END_DRAGGING_LINE
@@ -193,6 +257,23 @@ export const AREA_ACTIONS = {
   SELECT_AREA
 };
 
+export const DIMENSION_ACTIONS = {
+  SELECT_DIMENSION,
+  SELECT_TOOL_DRAWING_DIMENSION,
+  UPDATE_DRAWING_DIMENSION,
+  ADD_DRAWING_DIMENSION_POINT
+};
+
+export const ANNOTATION_ACTIONS = {
+  SELECT_ANNOTATION,
+  SELECT_TOOL_DRAWING_ANNOTATION,
+  UPDATE_DRAWING_ANNOTATION,
+  ADD_DRAWING_ANNOTATION_POINT,
+  BEGIN_DRAGGING_ANNOTATION,
+  UPDATE_DRAGGING_ANNOTATION,
+  END_DRAGGING_ANNOTATION
+};
+
 export const GROUP_ACTIONS = {
   ADD_GROUP,
   ADD_GROUP_FROM_SELECTED,
@@ -213,7 +294,8 @@ export const SCENE_ACTIONS = {
   ADD_LAYER,
   SET_LAYER_PROPERTIES,
   SELECT_LAYER,
-  REMOVE_LAYER
+  REMOVE_LAYER,
+  SET_ELEMENT_LOCKED
 };
 
 export const VERTEX_ACTIONS = {
@@ -242,6 +324,18 @@ export const MODE_UPLOADING_IMAGE = 'MODE_UPLOADING_IMAGE';
 export const MODE_FITTING_IMAGE = 'MODE_FITTING_IMAGE';
 export const MODE_VIEWING_CATALOG = 'MODE_VIEWING_CATALOG';
 export const MODE_CONFIGURING_PROJECT = 'MODE_CONFIGURING_PROJECT';
+export const MODE_VIEWING_ROOM_SCHEDULE = 'MODE_VIEWING_ROOM_SCHEDULE';
+export const MODE_VIEWING_BILL_OF_MATERIALS = 'MODE_VIEWING_BILL_OF_MATERIALS';
+export const MODE_ARRAYING = 'MODE_ARRAYING';
+export const MODE_WAITING_DRAWING_ROOM = 'MODE_WAITING_DRAWING_ROOM';
+export const MODE_DRAWING_ROOM = 'MODE_DRAWING_ROOM';
+export const MODE_WAITING_DRAWING_ARC = 'MODE_WAITING_DRAWING_ARC';
+export const MODE_DRAWING_ARC = 'MODE_DRAWING_ARC';
+export const MODE_WAITING_DRAWING_DIMENSION = 'MODE_WAITING_DRAWING_DIMENSION';
+export const MODE_DRAWING_DIMENSION = 'MODE_DRAWING_DIMENSION';
+export const MODE_WAITING_DRAWING_ANNOTATION = 'MODE_WAITING_DRAWING_ANNOTATION';
+export const MODE_DRAWING_ANNOTATION = 'MODE_DRAWING_ANNOTATION';
+export const MODE_DRAGGING_ANNOTATION = 'MODE_DRAGGING_ANNOTATION';
 
 //Thinking about it...
 //https://developer.mozilla.org/it/docs/Web/JavaScript/Reference/Global_Objects/Proxy
@@ -276,7 +370,9 @@ export const MODE_SNAPPING = [
   MODE_WAITING_DRAWING_LINE, MODE_DRAWING_LINE, MODE_DRAWING_HOLE,
   MODE_DRAWING_ITEM, MODE_DRAGGING_LINE, MODE_DRAGGING_VERTEX,
   MODE_DRAGGING_ITEM, MODE_DRAGGING_HOLE, MODE_FITTING_IMAGE,
-  MODE_UPLOADING_IMAGE, MODE_ROTATING_ITEM
+  MODE_UPLOADING_IMAGE, MODE_ROTATING_ITEM, MODE_WAITING_DRAWING_ROOM,
+  MODE_DRAWING_ROOM, MODE_WAITING_DRAWING_ARC, MODE_DRAWING_ARC,
+  MODE_WAITING_DRAWING_DIMENSION, MODE_DRAWING_DIMENSION
 ];
 
 //UNITS
@@ -286,6 +382,7 @@ export const UNIT_METER = 'm';
 export const UNIT_INCH = 'in';
 export const UNIT_FOOT = 'ft';
 export const UNIT_MILE = 'mi';
+export const UNIT_FEET_INCHES = 'ft-in';
 
 export const UNITS_LENGTH = [
   UNIT_MILLIMETER,
@@ -293,20 +390,87 @@ export const UNITS_LENGTH = [
   UNIT_METER,
   UNIT_INCH,
   UNIT_FOOT,
+  UNIT_FEET_INCHES,
   UNIT_MILE
 ];
 
+export const UNITS_SCENE = [
+  UNIT_MILLIMETER,
+  UNIT_CENTIMETER,
+  UNIT_METER,
+  UNIT_INCH,
+  UNIT_FOOT,
+  UNIT_FEET_INCHES
+];
+
+//denominators of the inch fractions feet-inches lengths can be rounded to
+export const INCH_FRACTIONS = [2, 4, 8, 16, 32, 64];
+export const DEFAULT_INCH_FRACTION = 16;
+
 export const EPSILON = 1e-6;
 
+export const HISTORY_MAX_DEPTH = 200;
+
+//patterns of the array tool
+export const ARRAY_GRID = 'grid';
+export const ARRAY_POLAR = 'polar';
+
+//shift in centimeters of duplicated elements, and of pasted ones when there is no cursor position
+export const PASTE_OFFSET = 50;
+
+//side of its line a wall stands on, seen from the line's first vertex
+export const JUSTIFY_CENTER = 'center';
+export const JUSTIFY_LEFT = 'left';
+export const JUSTIFY_RIGHT = 'right';
+
+//shapes of the room tool
+export const ROOM_RECTANGLE = 'rectangle';
+export const ROOM_POLYGON = 'polygon';
+
+//faces, besides the centerline, the room tool can draw walls by
+export const ROOM_INNER_FACE = 'inner';
+export const ROOM_OUTER_FACE = 'outer';
+
+//distance in pixels from the first corner that closes a polygon room
+export const ROOM_CLOSING_DISTANCE = 10;
+
+//what a dimension measures: the distance between two vertices, along the line joining them or along an axis,
+//or the angle at a vertex between two others
+export const DIMENSION_ALIGNED = 'aligned';
+export const DIMENSION_HORIZONTAL = 'horizontal';
+export const DIMENSION_VERTICAL = 'vertical';
+export const DIMENSION_ANGULAR = 'angular';
+export const DIMENSION_TYPES = [DIMENSION_ALIGNED, DIMENSION_HORIZONTAL, DIMENSION_VERTICAL, DIMENSION_ANGULAR];
+
+//distance in pixels within which the dimension tool picks a vertex
+export const DIMENSION_PICK_DISTANCE = 15;
+
+//2D markup drawn over the plan: a text, a leader arrow pointing at something from an optional text, a revision cloud
+//around a region, or a plain polyline
+export const ANNOTATION_TEXT = 'text';
+export const ANNOTATION_ARROW = 'arrow';
+export const ANNOTATION_CLOUD = 'cloud';
+export const ANNOTATION_POLYLINE = 'polyline';
+export const ANNOTATION_TYPES = [ANNOTATION_TEXT, ANNOTATION_ARROW, ANNOTATION_CLOUD, ANNOTATION_POLYLINE];
+
+//distance in pixels from the first point that closes a cloud, or from the last one that ends an arrow or a polyline
+export const ANNOTATION_CLOSING_DISTANCE = 10;
+
+export const SCENE_SCHEMA_VERSION = 1;
+
 export const KEYBOARD_BUTTON_CODE = {
   DELETE: 46,
   BACKSPACE: 8,
   ESC: 27,
+  Y: 89,
   Z: 90,
   ALT: 18,
   C: 67,
+  D: 68,
   V: 86,
+  X: 88,
   CTRL: 17,
   ENTER: 13,
-  TAB: 9
+  TAB: 9,
+  SHIFT: 16
 };
\ No newline at end of file
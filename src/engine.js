@@ -0,0 +1,10 @@
+import Catalog from './catalog/catalog';
+import * as Models from './models';
+import PlannerEngine from './planner-engine';
+
+//entry point for Node: unlike index, it does not load the viewers or the translator
+export {
+  Catalog,
+  Models,
+  PlannerEngine
+};
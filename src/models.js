@@ -1,6 +1,6 @@
 import {Record, List, Map, fromJS} from 'immutable';
-import {MODE_IDLE} from './constants';
-import {SNAP_MASK} from './utils/snap';
+import {MODE_IDLE, HISTORY_MAX_DEPTH, SCENE_SCHEMA_VERSION, DEFAULT_INCH_FRACTION, JUSTIFY_CENTER, DIMENSION_ALIGNED, ANNOTATION_TEXT} from './constants';
+import {SNAP_MASK, SnapIndex} from './utils/snap';
 
 let safeLoadMapList = (mapList, Model, defaultMap) => {
   return mapList
@@ -48,6 +48,8 @@ export class ElementsSet extends Record({
   holes: new List(),
   areas: new List(),
   items: new List(),
+  dimensions: new List(),
+  annotations: new List(),
 }, 'ElementsSet') {
   constructor(json = {}) {
     super({
@@ -55,7 +57,9 @@ export class ElementsSet extends Record({
       lines: new List(json.lines || []),
       holes: new List(json.holes || []),
       areas: new List(json.areas || []),
-      items: new List(json.items || [])
+      items: new List(json.items || []),
+      dimensions: new List(json.dimensions || []),
+      annotations: new List(json.annotations || [])
     });
   }
 }
@@ -69,7 +73,8 @@ const sharedAttributes =
   misc: new Map(),
   selected: false,
   properties: new Map(),
-  visible: true
+  visible: true,
+  locked: false
 };
 
 export class Vertex extends Record({
@@ -78,13 +83,15 @@ export class Vertex extends Record({
   y: -1,
   prototype: 'vertices',
   lines: new List(),
-  areas: new List()
+  areas: new List(),
+  dimensions: new List()
 }, 'Vertex') {
   constructor(json = {}) {
     super({
       ...json,
       lines: new List(json.lines || []),
-      areas: new List(json.areas || [])
+      areas: new List(json.areas || []),
+      dimensions: new List(json.dimensions || [])
     });
   }
 }
@@ -93,7 +100,9 @@ export class Line extends Record({
   ...sharedAttributes,
   prototype: 'lines',
   vertices: new List(),
-  holes: new List()
+  holes: new List(),
+  justification: JUSTIFY_CENTER,
+  bulge: 0
 }, 'Line') {
   constructor(json = {}) {
     super({
@@ -123,13 +132,15 @@ export class Area extends Record({
   ...sharedAttributes,
   prototype: 'areas',
   vertices: new List(),
+  lines: new List(),
   holes: new List()
 }, 'Area') {
   constructor(json = {}) {
     super({
       ...json,
       properties: fromJS(json.properties || {}),
-      vertices: new List(json.vertices || [])
+      vertices: new List(json.vertices || []),
+      lines: new List(json.lines || [])
     });
   }
 }
@@ -149,6 +160,44 @@ export class Item extends Record({
   }
 }
 
+//type is what the dimension measures, vertices are the two measured ones, or the ends of an angle's sides with its corner
+//in between. Offset places the dimension line: on the left of the first vertex looking at the second one for aligned
+//dimensions, above or on the right of the first vertex for horizontal or vertical ones. It is the radius of an angle's arc
+export class Dimension extends Record({
+  ...sharedAttributes,
+  prototype: 'dimensions',
+  type: DIMENSION_ALIGNED,
+  vertices: new List(),
+  offset: 0
+}, 'Dimension') {
+  constructor(json = {}) {
+    super({
+      ...json,
+      vertices: new List(json.vertices || [])
+    });
+  }
+}
+
+//points are where a text is anchored, the leader of an arrow from its head to its text, the corners of a cloud or the
+//vertices of a polyline. Font size is in scene units so texts scale with the plan, rotation is in degrees
+export class Annotation extends Record({
+  ...sharedAttributes,
+  prototype: 'annotations',
+  type: ANNOTATION_TEXT,
+  points: new List(),
+  text: '',
+  fontSize: 20,
+  rotation: 0,
+  color: '#d32f2f'
+}, 'Annotation') {
+  constructor(json = {}) {
+    super({
+      ...json,
+      points: fromJS(json.points || [])
+    });
+  }
+}
+
 export class Layer extends Record({
   id: '',
   altitude: 0,
@@ -156,11 +205,14 @@ export class Layer extends Record({
   opacity: 1,
   name: '',
   visible: true,
+  locked: false,
   vertices: new Map(),
   lines: new Map(),
   holes: new Map(),
   areas: new Map(),
   items: new Map(),
+  dimensions: new Map(),
+  annotations: new Map(),
   selected: new ElementsSet(),
 }, 'Layer') {
   constructor(json = {}) {
@@ -171,6 +223,8 @@ export class Layer extends Record({
       holes: safeLoadMapList(json.holes, Hole),
       areas: safeLoadMapList(json.areas, Area),
       items: safeLoadMapList(json.items, Item),
+      dimensions: safeLoadMapList(json.dimensions, Dimension),
+      annotations: safeLoadMapList(json.annotations, Annotation),
       selected: new ElementsSet(json.selected)
     });
   }
@@ -200,7 +254,9 @@ export const DefaultLayers = new Map({
 
 
 export class Scene extends Record({
+  schemaVersion: SCENE_SCHEMA_VERSION,
   unit: 'cm',
+  inchFraction: DEFAULT_INCH_FRACTION,
   layers: new Map(),
   grids: new Map(),
   selectedLayer: null,
@@ -208,7 +264,8 @@ export class Scene extends Record({
   width: 3000,
   height: 2000,
   meta: new Map(),   //additional info
-  guides: new Map()
+  guides: new Map(),
+  autoDimension: false
 }, 'Scene') {
   constructor(json = {}) {
     let layers = safeLoadMapList(json.layers, Layer, DefaultLayers);
@@ -283,14 +340,16 @@ export class Catalog extends Record({
 
 export class HistoryStructure extends Record({
   list: new List(),
-  first: null,
-  last: null
+  redoList: new List(),
+  last: null,
+  maxDepth: HISTORY_MAX_DEPTH
 }, 'HistoryStructure' ){
   constructor( json = {} ){
     super({
       list: fromJS( json.list || [] ),
-      first: new Scene( json.scene ),
-      last: new Scene( json.last || json.scene )
+      redoList: fromJS( json.redoList || [] ),
+      last: new Scene( json.last || json.scene ),
+      maxDepth: json.historyMaxDepth || HISTORY_MAX_DEPTH
     });
   }
 }
@@ -304,7 +363,8 @@ export class State extends Record({
   mouse: new Map({x: 0, y: 0}),
   zoom: 0,
   snapMask: SNAP_MASK,
-  snapElements: new List(),
+  snapElements: new SnapIndex(),
+  sceneSnapIndex: null,   //snaps of the scene as last built, updated by the next build
   activeSnapElement: null,
   drawingSupport: new Map(),
   draggingSupport: new Map(),
@@ -312,6 +372,7 @@ export class State extends Record({
   errors: new List(),
   warnings: new List(),
   clipboardProperties: new Map(),
+  clipboardElements: new Map(),
   selectedElementsHistory: new List(),
   misc: new Map(),   //additional info
   alterate: false
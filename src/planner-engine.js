@@ -0,0 +1,151 @@
+import { Map, fromJS } from 'immutable';
+import { State } from './models';
+import { Project, Layer, Line, Hole, Item, Vertex } from './class/export';
+import { LockUtils } from './utils/export';
+import { JUSTIFY_CENTER } from './constants';
+
+const DEFAULT_ITEM_WIDTH = 200;
+const DEFAULT_ITEM_HEIGHT = 100;
+
+export default class PlannerEngine {
+
+  /** @description Create an engine editing a scene without any React component or DOM
+   *  @param {object} catalog Catalog instance, or any object with an elements map, used to build the elements
+   *  @param {?object} sceneJSON Scene to start from, an empty scene if missing
+   *  @param {object} [options] repair, to fix the problems found in the scene instead of throwing
+   */
+  constructor(catalog, sceneJSON, { repair = false } = {}) {
+    let state = Project.initCatalog(new State(), catalog).updatedState;
+
+    //the scene is migrated and validated like a project loaded in the planner
+    if (sceneJSON) {
+      state = Project.loadProject(state, sceneJSON, { repair }).updatedState;
+
+      if (!state.errors.isEmpty()) {
+        let { error, report } = state.errors.last();
+        throw Object.assign(new Error(error), { report });
+      }
+    }
+
+    //coordinates given to the engine are exact, snapping would move them
+    this.state = state.set('snapMask', new Map());
+  }
+
+  /** @description Resolve the layer to edit, defaulting to the selected one
+   *  @param {?string} layerID Layer's id
+   *  @return {string} Layer's id
+   */
+  getLayerID(layerID) {
+    layerID = layerID || this.state.scene.selectedLayer;
+    if (!this.state.scene.layers.has(layerID)) throw new Error(`Layer ${layerID} does not exist in scene`);
+    return layerID;
+  }
+
+  /** @description Check the catalog has an element of the type, built on the prototype the engine needs
+   *  @param {string} type Element type in the catalog
+   *  @param {string} prototype Prototype expected, 'lines', 'holes' or 'items'
+   */
+  checkType(type, prototype) {
+    let element = this.state.catalog.elements.get(type);
+    if (!element) throw new Error(`Element ${type} does not exist in catalog`);
+    if (element.prototype !== prototype) throw new Error(`Element ${type} is not one of the catalog ${prototype} but ${element.prototype}`);
+  }
+
+  /** @description Add a wall, splitting the walls it crosses and updating the areas
+   *  @param {string} type Line type in the catalog
+   *  @param {number} x0 Start x
+   *  @param {number} y0 Start y
+   *  @param {number} x1 End x
+   *  @param {number} y1 End y
+   *  @param {object} [options] layerID, properties and justification of the wall, along the direction it is added in
+   *  @return {array} Ids of the lines created
+   */
+  addWall(type, x0, y0, x1, y1, { layerID, properties, justification = JUSTIFY_CENTER } = {}) {
+    layerID = this.getLayerID(layerID);
+    this.checkType(type, 'lines');
+
+    let { updatedState, lines } = Line.createAvoidingIntersections(this.state, layerID, type, x0, y0, x1, y1, properties && fromJS(properties));
+    updatedState = Line.justifyAlong(updatedState, layerID, lines.map(line => line.id), justification, {x: x0, y: y0}, {x: x1, y: y1}).updatedState;
+    this.state = Layer.detectAndUpdateAreas(updatedState, layerID).updatedState;
+
+    return lines.map(line => line.id).toArray();
+  }
+
+  /** @description Add the walls of a closed polygon, letting area detection create its floor
+   *  @param {string} type Line type in the catalog
+   *  @param {array} points Polygon's points as {x, y}
+   *  @param {object} [options] layerID, properties and justification of the walls
+   *  @return {array} Ids of the lines created
+   */
+  addRoom(type, points, options = {}) {
+    if (points.length < 3) throw new Error('A room needs at least 3 points');
+
+    return points.reduce((lineIDs, { x, y }, index) => {
+      let next = points[(index + 1) % points.length];
+      return lineIDs.concat(this.addWall(type, x, y, next.x, next.y, options));
+    }, []);
+  }
+
+  /** @description Place an item
+   *  @param {string} type Item type in the catalog
+   *  @param {number} x Item's x
+   *  @param {number} y Item's y
+   *  @param {object} [options] layerID, rotation in degrees and properties of the item
+   *  @return {string} Id of the item created
+   */
+  placeItem(type, x, y, { layerID, rotation = 0, properties } = {}) {
+    layerID = this.getLayerID(layerID);
+    this.checkType(type, 'items');
+
+    let { updatedState, item } = Item.create(this.state, layerID, type, x, y, DEFAULT_ITEM_WIDTH, DEFAULT_ITEM_HEIGHT, rotation);
+    if (properties) updatedState = Item.setJsProperties(updatedState, layerID, item.id, properties).updatedState;
+    this.state = updatedState;
+
+    return item.id;
+  }
+
+  /** @description Place a hole on a wall
+   *  @param {string} type Hole type in the catalog
+   *  @param {string} lineID Id of the wall hosting the hole
+   *  @param {number} offset Position of the hole along the wall, from 0 to 1
+   *  @param {object} [options] layerID and properties of the hole
+   *  @return {string} Id of the hole created
+   */
+  placeHole(type, lineID, offset, { layerID, properties } = {}) {
+    layerID = this.getLayerID(layerID);
+    this.checkType(type, 'holes');
+
+    if (!this.state.scene.layers.get(layerID).lines.has(lineID)) throw new Error(`Line ${lineID} does not exist in layer ${layerID}`);
+    if (offset < 0 || offset > 1) throw new Error(`Hole offset ${offset} is not between 0 and 1`);
+
+    let { updatedState, hole } = Hole.create(this.state, layerID, type, lineID, offset, properties && fromJS(properties));
+    this.state = updatedState;
+
+    return hole.id;
+  }
+
+  /** @description Move a vertex the same way dragging it does, merging vertices and updating walls and areas
+   *  @param {string} vertexID Vertex's id
+   *  @param {number} x New x
+   *  @param {number} y New y
+   *  @param {object} [options] layerID of the vertex
+   */
+  moveVertex(vertexID, x, y, { layerID } = {}) {
+    layerID = this.getLayerID(layerID);
+
+    if (!this.state.scene.layers.get(layerID).vertices.has(vertexID)) throw new Error(`Vertex ${vertexID} does not exist in layer ${layerID}`);
+    if (LockUtils.isLocked(this.state.scene, layerID, 'vertices', vertexID)) throw new Error(`Vertex ${vertexID} of layer ${layerID} is locked`);
+
+    let state = Vertex.beginDraggingVertex(this.state, layerID, vertexID, x, y).updatedState;
+    state = Vertex.updateDraggingVertex(state, x, y).updatedState;
+    this.state = Vertex.endDraggingVertex(state, x, y).updatedState;
+  }
+
+  /** @description Serializable scene, loadable by the ReactPlanner component
+   *  @return {object} Scene JSON
+   */
+  toJSON() {
+    return this.state.scene.toJS();
+  }
+
+}
@@ -3,18 +3,29 @@ import {
   MODE_3D_FIRST_PERSON,
   MODE_3D_VIEW,
   MODE_SNAPPING,
+  MODE_DRAWING_ROOM,
   KEYBOARD_BUTTON_CODE
 } from '../constants';
 
 import {
   rollback,
   undo,
+  redo,
   remove,
   toggleSnap,
   copyProperties,
   pasteProperties,
+  copyElements,
+  cutElements,
+  pasteElements,
+  duplicateElements,
   setAlterateState
 } from '../actions/project-actions';
+import { endDrawingRoom } from '../actions/lines-actions';
+import { SNAP_ORTHO } from '../utils/snap';
+
+const isEditingText = event => ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName) || event.target.isContentEditable;
+const isCommand = event => event.getModifierState('Control') || event.getModifierState('Meta');
 
 export default function keyboard() {
 
@@ -41,7 +52,13 @@ export default function keyboard() {
         case KEYBOARD_BUTTON_CODE.Z:
         {
           if (event.getModifierState('Control') || event.getModifierState('Meta'))
-            store.dispatch(undo());
+            store.dispatch(event.getModifierState('Shift') ? redo() : undo());
+          break;
+        }
+        case KEYBOARD_BUTTON_CODE.Y:
+        {
+          if (event.getModifierState('Control') || event.getModifierState('Meta'))
+            store.dispatch(redo());
           break;
         }
         case KEYBOARD_BUTTON_CODE.ALT:
@@ -53,13 +70,26 @@ export default function keyboard() {
               SNAP_SEGMENT: false,
               SNAP_GRID : false,
               SNAP_GUIDE : false,
+              SNAP_ANGLE : false,
+              SNAP_ITEM : false,
               tempSnapConfiguartion: state.snapMask.toJS()
             })));
           break;
         }
         case KEYBOARD_BUTTON_CODE.C:
         {
+          if (isCommand(event)) {
+            if (!isEditingText(event) && [MODE_IDLE, MODE_3D_VIEW].includes(mode))
+              store.dispatch(copyElements());
+            break;
+          }
+
+          let hasSelection = layer => layer.selected.holes.size || layer.selected.areas.size || layer.selected.items.size || layer.selected.lines.size;
           let selectedLayer = state.getIn(['scene', 'selectedLayer']);
+          if( !hasSelection(state.getIn(['scene', 'layers', selectedLayer])) ) {
+            let layer = state.getIn(['scene', 'layers']).find(hasSelection);
+            if( layer ) selectedLayer = layer.id;
+          }
           let selected = state.getIn(['scene', 'layers', selectedLayer, 'selected']);
 
           if ( ( mode === MODE_IDLE || mode === MODE_3D_VIEW ) && (selected.holes.size || selected.areas.size || selected.items.size || selected.lines.size)) {
@@ -84,7 +114,41 @@ export default function keyboard() {
         }
         case KEYBOARD_BUTTON_CODE.V:
         {
-          store.dispatch(pasteProperties());
+          if (!isCommand(event)) {
+            store.dispatch(pasteProperties());
+          }
+          else if (!isEditingText(event)) {
+            //in 2D copies go under the cursor, the 3D view has no scene position for it
+            if (mode === MODE_IDLE) store.dispatch(pasteElements(state.mouse.get('x'), state.mouse.get('y')));
+            else if (mode === MODE_3D_VIEW) store.dispatch(pasteElements());
+          }
+          break;
+        }
+        case KEYBOARD_BUTTON_CODE.X:
+        {
+          if (isCommand(event) && !isEditingText(event) && [MODE_IDLE, MODE_3D_VIEW].includes(mode))
+            store.dispatch(cutElements());
+          break;
+        }
+        case KEYBOARD_BUTTON_CODE.D:
+        {
+          if (isCommand(event) && !isEditingText(event) && [MODE_IDLE, MODE_3D_VIEW].includes(mode)) {
+            event.preventDefault();
+            store.dispatch(duplicateElements());
+          }
+          break;
+        }
+        case KEYBOARD_BUTTON_CODE.ENTER:
+        {
+          if (mode === MODE_DRAWING_ROOM && !isEditingText(event))
+            store.dispatch(endDrawingRoom());
+          break;
+        }
+        case KEYBOARD_BUTTON_CODE.SHIFT:
+        {
+          //held down, constrains drawing and dragging to horizontal and vertical directions
+          if (MODE_SNAPPING.includes(mode) && !state.snapMask.get(SNAP_ORTHO))
+            store.dispatch(toggleSnap(state.snapMask.set(SNAP_ORTHO, true)));
           break;
         }
         case KEYBOARD_BUTTON_CODE.CTRL:
@@ -108,6 +172,12 @@ export default function keyboard() {
             store.dispatch(toggleSnap(state.snapMask.merge(state.snapMask.get('tempSnapConfiguartion'))));
           break;
         }
+        case KEYBOARD_BUTTON_CODE.SHIFT:
+        {
+          if (state.snapMask.get(SNAP_ORTHO))
+            store.dispatch(toggleSnap(state.snapMask.set(SNAP_ORTHO, false)));
+          break;
+        }
         case KEYBOARD_BUTTON_CODE.CTRL:
         {
           store.dispatch(setAlterateState());
@@ -0,0 +1,46 @@
+import { Annotation } from '../class/export';
+import { history } from '../utils/export';
+import {
+  SELECT_ANNOTATION,
+  SELECT_TOOL_DRAWING_ANNOTATION,
+  UPDATE_DRAWING_ANNOTATION,
+  ADD_DRAWING_ANNOTATION_POINT,
+  BEGIN_DRAGGING_ANNOTATION,
+  UPDATE_DRAGGING_ANNOTATION,
+  END_DRAGGING_ANNOTATION,
+  MODE_WAITING_DRAWING_ANNOTATION,
+  MODE_IDLE
+} from '../constants';
+
+export default function (state, action) {
+  switch (action.type) {
+    case SELECT_ANNOTATION:
+      return Annotation.select(state, action.layerID, action.annotationID).updatedState;
+
+    case SELECT_TOOL_DRAWING_ANNOTATION:
+      return Annotation.selectToolDrawingAnnotation(state, action.annotationType).updatedState;
+
+    case UPDATE_DRAWING_ANNOTATION:
+      return Annotation.updateDrawingAnnotation(state, action.x, action.y).updatedState;
+
+    case ADD_DRAWING_ANNOTATION_POINT:
+      if (state.mode === MODE_WAITING_DRAWING_ANNOTATION) state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      state = Annotation.addDrawingAnnotationPoint(state, action.layerID, action.x, action.y).updatedState;
+      if (state.mode !== MODE_IDLE) return state;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+
+    case BEGIN_DRAGGING_ANNOTATION:
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Annotation.beginDraggingAnnotation(state, action.layerID, action.annotationID, action.x, action.y).updatedState;
+
+    case UPDATE_DRAGGING_ANNOTATION:
+      return Annotation.updateDraggingAnnotation(state, action.x, action.y).updatedState;
+
+    case END_DRAGGING_ANNOTATION:
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Annotation.endDraggingAnnotation(state, action.x, action.y).updatedState;
+
+    default:
+      return state;
+  }
+}
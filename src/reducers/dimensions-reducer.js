@@ -0,0 +1,33 @@
+import { Dimension } from '../class/export';
+import { history } from '../utils/export';
+import {
+  SELECT_DIMENSION,
+  SELECT_TOOL_DRAWING_DIMENSION,
+  UPDATE_DRAWING_DIMENSION,
+  ADD_DRAWING_DIMENSION_POINT,
+  MODE_WAITING_DRAWING_DIMENSION
+} from '../constants';
+
+export default function (state, action) {
+  switch (action.type) {
+    case SELECT_DIMENSION:
+      return Dimension.select(state, action.layerID, action.dimensionID).updatedState;
+
+    case SELECT_TOOL_DRAWING_DIMENSION:
+      return Dimension.selectToolDrawingDimension(state, action.dimensionType).updatedState;
+
+    case UPDATE_DRAWING_DIMENSION:
+      return Dimension.updateDrawingDimension(state, action.x, action.y).updatedState;
+
+    case ADD_DRAWING_DIMENSION_POINT: {
+      let placed = state.getIn(['drawingSupport', 'dimensionID']);
+      if (state.mode === MODE_WAITING_DRAWING_DIMENSION) state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      state = Dimension.addDrawingDimensionPoint(state, action.layerID, action.x, action.y).updatedState;
+      if (!placed) return state;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+    }
+
+    default:
+      return state;
+  }
+}
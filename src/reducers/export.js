@@ -1,4 +1,6 @@
+import ReactPlannerAnnotationsReducer from './annotations-reducer';
 import ReactPlannerAreasReducer from './areas-reducer';
+import ReactPlannerDimensionsReducer from './dimensions-reducer';
 import ReactPlannerHolesReducer from './holes-reducer';
 import ReactPlannerItemsReducer from './items-reducer';
 import ReactPlannerLinesReducer from './lines-reducer';
@@ -10,7 +12,9 @@ import ReactPlannerViewer2dReducer from './viewer2d-reducer';
 import ReactPlannerViewer3dReducer from './viewer3d-reducer';
 
 export {
+  ReactPlannerAnnotationsReducer,
   ReactPlannerAreasReducer,
+  ReactPlannerDimensionsReducer,
   ReactPlannerHolesReducer,
   ReactPlannerItemsReducer,
   ReactPlannerLinesReducer,
@@ -23,7 +27,9 @@ export {
 };
 
 export default {
+  ReactPlannerAnnotationsReducer,
   ReactPlannerAreasReducer,
+  ReactPlannerDimensionsReducer,
   ReactPlannerHolesReducer,
   ReactPlannerItemsReducer,
   ReactPlannerLinesReducer,
@@ -5,10 +5,23 @@ import {
   BEGIN_DRAWING_LINE,
   UPDATE_DRAWING_LINE,
   END_DRAWING_LINE,
+  ENTER_DRAWING_LINE_POINT,
+  SELECT_TOOL_DRAWING_ROOM,
+  SET_DRAWING_ROOM_OPTIONS,
+  BEGIN_DRAWING_ROOM,
+  UPDATE_DRAWING_ROOM,
+  ADD_DRAWING_ROOM_POINT,
+  END_DRAWING_ROOM,
+  SELECT_TOOL_DRAWING_ARC,
+  BEGIN_DRAWING_ARC,
+  UPDATE_DRAWING_ARC,
+  ADD_DRAWING_ARC_POINT,
   BEGIN_DRAGGING_LINE,
   UPDATE_DRAGGING_LINE,
   END_DRAGGING_LINE,
-  SELECT_LINE
+  SELECT_LINE,
+  MODE_DRAWING_ROOM,
+  MODE_DRAWING_ARC
 } from '../constants';
 
 export default function (state, action) {
@@ -28,6 +41,52 @@ export default function (state, action) {
       state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Line.endDrawingLine(state, action.x, action.y).updatedState;
 
+    case ENTER_DRAWING_LINE_POINT: {
+      //a typed point ends the segment and starts the next one, like a click does
+      let layerID = state.getIn(['drawingSupport', 'layerID']);
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      state = Line.endDrawingLine(state, action.x, action.y, false).updatedState;
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Line.beginDrawingLine(state, layerID, action.x, action.y, false).updatedState;
+    }
+
+    case SELECT_TOOL_DRAWING_ROOM:
+      return Line.selectToolDrawingRoom(state, action.sceneComponentType).updatedState;
+
+    case SET_DRAWING_ROOM_OPTIONS:
+      return Line.setDrawingRoomOptions(state, action.options).updatedState;
+
+    case BEGIN_DRAWING_ROOM:
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Line.beginDrawingRoom(state, action.layerID, action.x, action.y).updatedState;
+
+    case UPDATE_DRAWING_ROOM:
+      return Line.updateDrawingRoom(state, action.x, action.y).updatedState;
+
+    case ADD_DRAWING_ROOM_POINT:
+      state = Line.addDrawingRoomPoint(state, action.x, action.y).updatedState;
+      if (state.mode === MODE_DRAWING_ROOM) return state;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+
+    case END_DRAWING_ROOM:
+      state = Line.endDrawingRoom(state).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+
+    case SELECT_TOOL_DRAWING_ARC:
+      return Line.selectToolDrawingArc(state, action.sceneComponentType).updatedState;
+
+    case BEGIN_DRAWING_ARC:
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Line.beginDrawingArc(state, action.layerID, action.x, action.y).updatedState;
+
+    case UPDATE_DRAWING_ARC:
+      return Line.updateDrawingArc(state, action.x, action.y).updatedState;
+
+    case ADD_DRAWING_ARC_POINT:
+      state = Line.addDrawingArcPoint(state, action.x, action.y).updatedState;
+      if (state.mode === MODE_DRAWING_ARC) return state;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+
     case BEGIN_DRAGGING_LINE:
       state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Line.beginDraggingLine(state, action.layerID, action.lineID, action.x, action.y).updatedState;
@@ -10,11 +10,19 @@ import {
   SET_ITEMS_ATTRIBUTES,
   SET_LINES_ATTRIBUTES,
   SET_HOLES_ATTRIBUTES,
+  SET_AREAS_ATTRIBUTES,
+  SET_ANNOTATIONS_ATTRIBUTES,
   REMOVE,
   UNDO,
+  REDO,
+  ADD_HISTORY_CHECKPOINT,
+  REMOVE_HISTORY_CHECKPOINT,
+  JUMP_TO_HISTORY_ENTRY,
   ROLLBACK,
   SET_PROJECT_PROPERTIES,
   OPEN_PROJECT_CONFIGURATOR,
+  OPEN_ROOM_SCHEDULE,
+  OPEN_BILL_OF_MATERIALS,
   INIT_CATALOG,
   UPDATE_MOUSE_COORDS,
   UPDATE_ZOOM_SCALE,
@@ -25,6 +33,13 @@ import {
   THROW_WARNING,
   COPY_PROPERTIES,
   PASTE_PROPERTIES,
+  COPY_ELEMENTS,
+  CUT_ELEMENTS,
+  PASTE_ELEMENTS,
+  DUPLICATE_ELEMENTS,
+  BEGIN_ARRAY,
+  UPDATE_ARRAY,
+  END_ARRAY,
   PUSH_LAST_SELECTED_CATALOG_ELEMENT_TO_HISTORY,
   ALTERATE_STATE,
   SET_MODE,
@@ -45,7 +60,7 @@ export default function (state, action) {
       return Project.newProject(state).updatedState;
 
     case LOAD_PROJECT:
-      return Project.loadProject(state, action.sceneJSON).updatedState;
+      return Project.loadProject(state, action.sceneJSON, action.options).updatedState;
 
     case OPEN_CATALOG:
       return Project.openCatalog(state).updatedState;
@@ -64,7 +79,7 @@ export default function (state, action) {
 
     case SET_PROPERTIES:
       state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
-      return Project.setProperties(state, state.getIn(['scene', 'selectedLayer']), action.properties).updatedState;
+      return Project.setProperties(state, action.properties).updatedState;
 
     case SET_ITEMS_ATTRIBUTES:
       state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
@@ -78,6 +93,14 @@ export default function (state, action) {
       state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Project.setHolesAttributes(state, action.holesAttributes).updatedState;
 
+    case SET_AREAS_ATTRIBUTES:
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Project.setAreasAttributes(state, action.areasAttributes).updatedState;
+
+    case SET_ANNOTATIONS_ATTRIBUTES:
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Project.setAnnotationsAttributes(state, action.annotationsAttributes).updatedState;
+
     case REMOVE:
       state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Project.remove(state).updatedState;
@@ -85,6 +108,18 @@ export default function (state, action) {
     case UNDO:
       return Project.undo(state).updatedState;
 
+    case REDO:
+      return Project.redo(state).updatedState;
+
+    case ADD_HISTORY_CHECKPOINT:
+      return Project.addHistoryCheckpoint(state, action.name).updatedState;
+
+    case REMOVE_HISTORY_CHECKPOINT:
+      return Project.removeHistoryCheckpoint(state, action.index).updatedState;
+
+    case JUMP_TO_HISTORY_ENTRY:
+      return Project.jumpToHistoryEntry(state, action.index).updatedState;
+
     case ROLLBACK:
       return Project.rollback(state).updatedState;
 
@@ -96,6 +131,14 @@ export default function (state, action) {
       state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Project.openProjectConfigurator(state).updatedState;
 
+    case OPEN_ROOM_SCHEDULE:
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Project.openRoomSchedule(state).updatedState;
+
+    case OPEN_BILL_OF_MATERIALS:
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Project.openBillOfMaterials(state).updatedState;
+
     case INIT_CATALOG:
       return Project.initCatalog(state, action.catalog).updatedState;
 
@@ -121,6 +164,32 @@ export default function (state, action) {
       state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
       return Project.pasteProperties(state).updatedState;
 
+    case COPY_ELEMENTS:
+      return Project.copyElements(state).updatedState;
+
+    case CUT_ELEMENTS:
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Project.cutElements(state).updatedState;
+
+    case PASTE_ELEMENTS:
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Project.pasteElements(state, action.x, action.y).updatedState;
+
+    case DUPLICATE_ELEMENTS:
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Project.duplicateElements(state).updatedState;
+
+    case BEGIN_ARRAY:
+      state = state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+      return Project.beginArray(state, action.config).updatedState;
+
+    case UPDATE_ARRAY:
+      return Project.updateArray(state, action.config).updatedState;
+
+    case END_ARRAY:
+      state = Project.endArray(state).updatedState;
+      return state.merge({ sceneHistory: history.historyPush(state.sceneHistory, state.scene) });
+
     case PUSH_LAST_SELECTED_CATALOG_ELEMENT_TO_HISTORY:
       return Project.pushLastSelectedCatalogElementToHistory(state, action.element).updatedState;
 
@@ -7,12 +7,16 @@ import {
   HOLE_ACTIONS,
   LINE_ACTIONS,
   AREA_ACTIONS,
+  DIMENSION_ACTIONS,
+  ANNOTATION_ACTIONS,
   SCENE_ACTIONS,
   VERTEX_ACTIONS
 } from '../constants';
 
 import {
+  ReactPlannerAnnotationsReducer,
   ReactPlannerAreasReducer,
+  ReactPlannerDimensionsReducer,
   ReactPlannerHolesReducer,
   ReactPlannerItemsReducer,
   ReactPlannerLinesReducer,
@@ -36,6 +40,8 @@ export default function appReducer(state, action) {
   if( HOLE_ACTIONS[action.type] ) return ReactPlannerHolesReducer(...arguments);
   if( LINE_ACTIONS[action.type] ) return ReactPlannerLinesReducer(...arguments);
   if( AREA_ACTIONS[action.type] ) return ReactPlannerAreasReducer(...arguments);
+  if( DIMENSION_ACTIONS[action.type] ) return ReactPlannerDimensionsReducer(...arguments);
+  if( ANNOTATION_ACTIONS[action.type] ) return ReactPlannerAnnotationsReducer(...arguments);
   if( GROUP_ACTIONS[action.type] ) return ReactPlannerGroupsReducer(...arguments);
   if( SCENE_ACTIONS[action.type] ) return ReactPlannerSceneReducer(...arguments);
   if( VERTEX_ACTIONS[action.type] ) return ReactPlannerVerticesReducer(...arguments);
@@ -4,7 +4,8 @@ import {
   ADD_LAYER,
   SELECT_LAYER,
   SET_LAYER_PROPERTIES,
-  REMOVE_LAYER
+  REMOVE_LAYER,
+  SET_ELEMENT_LOCKED
 } from '../constants';
 
 export default function (state, action) {
@@ -24,6 +25,9 @@ export default function (state, action) {
     case REMOVE_LAYER:
       return Layer.remove( state, action.layerID ).updatedState;
 
+    case SET_ELEMENT_LOCKED:
+      return Layer.setElementLocked( state, action.layerID, action.elementPrototype, action.elementID, action.locked ).updatedState;
+
     default:
       return state;
   }
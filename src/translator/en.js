@@ -4,76 +4,184 @@ export default {
   "2D View": "2D View",
   "3D First Person": "3D First Person",
   "3D View": "3D View",
+  "Add to Group": "Add to Group",
+  "Aligned": "Aligned",
   "altitude": "altitude",
   "Altitude": "Altitude",
+  "Angle": "Angle",
+  "Angle snap step": "Angle snap step",
+  "Annotate": "Annotate",
+  "Annotations": "Annotations",
+  "Apply": "Apply",
   "Areas":"Areas",
+  "Array": "Array",
+  "Arrow": "Arrow",
+  "bathroom": "bathroom",
+  "bedroom": "bedroom",
+  "Bill of materials": "Bill of materials",
+  "Bulge": "Bulge",
   "Cancel": "Cancel",
   "Catalog" : "Catalog",
+  "Category": "Category",
+  "Center": "Center",
+  "Center X": "Center X",
+  "Center Y": "Center Y",
+  "Centerline": "Centerline",
   "Chain selected Elements to Group":"Chain selected Elements to Group",
   "Circular":"Circular",
+  "Click the corners, then the first one again or press Enter to close the room": "Click the corners, then the first one again or press Enter to close the room",
+  "Click the first point to close the cloud": "Click the first point to close the cloud",
+  "Click the last point again to finish": "Click the last point again to finish",
+  "Click to place the dimension": "Click to place the dimension",
+  "Click to place the text": "Click to place the text",
+  "Click to start drawing": "Click to start drawing",
+  "Close": "Close",
+  "Cloud": "Cloud",
   "color":"color",
+  "Color": "Color",
+  "Columns": "Columns",
   "Configure layer": "Configure layer",
   "Configure project": "Configure project",
   "Confirm": "Confirm",
+  "Copies": "Copies",
   "Copy":"Copy",
+  "corridor": "corridor",
+  "Count": "Count",
+  "Create array": "Create array",
   "Delete group and all Elements":"Delete group and all Elements",
   "Delete layer": "Delete layer",
   "Delete": "Delete",
+  "Dimension": "Dimension",
+  "Dimension the walls of the rooms": "Dimension the walls of the rooms",
+  "dining": "dining room",
+  "Doors and windows": "Doors and windows",
+  "Drag from corner to corner, or click both corners": "Drag from corner to corner, or click both corners",
+  "Draw arc wall": "Draw arc wall",
+  "Draw by": "Draw by",
+  "Draw room": "Draw room",
+  "each": "each",
   "Elements on layer {0}": "Elements on layer {0}",
   "Elements":"Elements",
+  "Export CSV": "Export CSV",
+  "Export JSON": "Export JSON",
+  "Floor area": "Floor area",
+  "Font size": "Font size",
   "Get Screenshot" : "Get Screenshot",
+  "Grid": "Grid",
   "Group [{0}]":"Group [{0}]",
+  "Group copies": "Group copies",
   "Group's Barycenter":"Group's Barycenter",
   "Group's Elements":"Group's Elements",
   "Groups":"Groups",
   "Guides":"Guides",
   "height": "height",
+  "History": "History",
   "Holes":"Holes",
   "Horizontal":"Horizontal",
+  "Inch precision": "Inch precision",
+  "Inner face": "Inner face",
   "Items":"Items",
+  "Jump to this point": "Jump to this point",
+  "Justification": "Justification",
+  "kitchen": "kitchen",
   "Last Selected":"Last Selected",
   "Layer config": "Layer config",
   "Layer":"Layer",
   "Layers": "Layers",
+  "Left": "Left",
   "Length":"Length",
+  "Length and angle": "Length and angle",
   "Lines":"Lines",
+  "living": "living room",
   "Load project": "Load project",
+  "Lock": "Lock",
+  "Lock layer": "Lock layer",
   "Mouse X Coordinate":"Mouse X Coordinate",
   "Mouse Y Coordinate":"Mouse Y Coordinate",
+  "Multiselected": "Multiselected",
   "Name": "Name",
+  "New checkpoint": "New checkpoint",
   "New Empty Group":"New Empty Group",
   "New Group from selected":"New Group from selected",
   "New layer": "New layer",
   "New project": "New project",
+  "office": "office",
   "opacity": "opacity",
   "Open catalog": "Open catalog",
   "order": "order",
+  "outdoor": "outdoor",
+  "Outer face": "Outer face",
   "Pan": "Pan",
   "Paste":"Paste",
+  "Pattern": "Pattern",
+  "Perimeter": "Perimeter",
+  "Pick the corner": "Pick the corner",
+  "Pick the end of the first side": "Pick the end of the first side",
+  "Pick the end of the second side": "Pick the end of the second side",
+  "Pick the first vertex": "Pick the first vertex",
+  "Pick the second vertex": "Pick the second vertex",
+  "Polar": "Polar",
+  "Polygon": "Polygon",
+  "Polyline": "Polyline",
+  "Price": "Price",
   "Project config": "Project config",
+  "Properties": "Properties",
   "Properties: [{0}] {1}": "Properties: [{0}] {1}",
   "Prototype":"Prototype",
+  "Rectangle": "Rectangle",
+  "Redo (CTRL-SHIFT-Z)": "Redo (CTRL-SHIFT-Z)",
+  "Relative": "Relative",
+  "Remove checkpoint": "Remove checkpoint",
   "Reset": "Reset",
+  "Right": "Right",
+  "Room": "Room",
+  "Room schedule": "Room schedule",
+  "Rotate copies": "Rotate copies",
   "Rotation" : "Rotation",
+  "Rows": "Rows",
   "Save project": "Save project",
   "Save": "Save",
   "Scene Zoom Level":"Scene Zoom Level",
   "Search Element":"Search Element",
+  "Shape": "Shape",
+  "Snap items to walls and to each other, holes to round distances from the wall ends": "Snap items to walls and to each other, holes to round distances from the wall ends",
+  "Snap to Angle, hold Shift for horizontal and vertical only": "Snap to Angle, hold Shift for horizontal and vertical only",
   "Snap to Grid":"Snap to Grid",
   "Snap to Guide":"Snap to Guide",
   "Snap to Line":"Snap to Line",
   "Snap to Point":"Snap to Point",
   "Snap to Segment":"Snap to Segment",
+  "Spacing X": "Spacing X",
+  "Spacing Y": "Spacing Y",
+  "storage": "storage",
+  "Surface": "Surface",
+  "technical": "technical room",
+  "Text": "Text",
   "texture":"texture",
   "thickness":"thickness",
+  "Thickness": "Thickness",
+  "Time": "Time",
   "Toggle Group Visibility":"Toggle Group Visibility",
+  "Toggle Group Lock": "Toggle Group Lock",
+  "Total": "Total",
+  "Type": "Type",
   "Un-chain all Group\'s Elements and remove Group":"Un-chain all Group\'s Elements and remove Group",
   "Un-chain Element from Group":"Un-chain Element from Group",
+  "unassigned": "unassigned",
   "Undo (CTRL-Z)": "Undo (CTRL-Z)",
+  "Unit": "Unit",
+  "Unit price": "Unit price",
+  "Unlock": "Unlock",
+  "Unlock layer": "Unlock layer",
   "Unselect": "Unselect",
+  "usage": "usage",
   "Vertical":"Vertical",
+  "Wall": "Wall",
+  "Walls": "Walls",
   "width": "width",
   "Would you want to start a new Project?": "Would you want to start a new Project?",
   "Zoom in": "Zoom in",
-  "Zoom out": "Zoom out"
+  "Zoom out": "Zoom out",
+  "{0} elements selected in {1} layers": "{0} elements selected in {1} layers",
+  "{0} rooms": "{0} rooms",
 };
@@ -4,76 +4,184 @@ export default {
   "2D View": "Vista 2D",
   "3D First Person": "3D Prima persona",
   "3D View": "Vista 3D",
+  "Add to Group": "Aggiungi al gruppo",
+  "Aligned": "Allineata",
   "Altitude": "Quota",
   "altitude": "Quota",
+  "Angle": "Angolo",
+  "Angle snap step": "Passo dell'aggancio angolare",
+  "Annotate": "Annota",
+  "Annotations": "Annotazioni",
+  "Apply": "Applica",
   "Areas":"Aree",
+  "Array": "Serie",
+  "Arrow": "Freccia",
+  "bathroom": "bagno",
+  "bedroom": "camera da letto",
+  "Bill of materials": "Distinta materiali",
+  "Bulge": "Freccia",
   "Cancel": "Annulla",
   "Catalog" : "Catalogo",
+  "Category": "Categoria",
+  "Center": "Centro",
+  "Center X": "Centro X",
+  "Center Y": "Centro Y",
+  "Centerline": "Asse",
   "Chain selected Elements to Group":"Collega l'Elemento selzionato al Gruppo",
   "Circular":"Circolare",
+  "Click the corners, then the first one again or press Enter to close the room": "Clicca gli angoli, poi di nuovo il primo o premi Invio per chiudere la stanza",
+  "Click the first point to close the cloud": "Clicca il primo punto per chiudere la nuvola",
+  "Click the last point again to finish": "Clicca di nuovo l'ultimo punto per finire",
+  "Click to place the dimension": "Clicca per posizionare la quota",
+  "Click to place the text": "Clicca per posizionare il testo",
+  "Click to start drawing": "Clicca per iniziare a disegnare",
+  "Close": "Chiudi",
+  "Cloud": "Nuvola",
   "color":"colore",
+  "Color": "Colore",
+  "Columns": "Colonne",
   "Configure layer": "Configura livello",
   "Configure project": "Configura progetto",
   "Confirm": "Conferma",
+  "Copies": "Copie",
   "Copy":"Copia",
+  "corridor": "corridoio",
+  "Count": "Quantità",
+  "Create array": "Crea serie",
   "Delete group and all Elements":"Elimina Gruppo e tutti i suoi Elementi",
   "Delete layer": "Elimina livello",
   "Delete": "Elimina",
+  "Dimension": "Quota",
+  "Dimension the walls of the rooms": "Quota i muri delle stanze",
+  "dining": "sala da pranzo",
+  "Doors and windows": "Porte e finestre",
+  "Drag from corner to corner, or click both corners": "Trascina da un angolo all'altro, o clicca entrambi gli angoli",
+  "Draw arc wall": "Disegna muro curvo",
+  "Draw by": "Disegna da",
+  "Draw room": "Disegna stanza",
+  "each": "cad.",
   "Elements on layer {0}": "Elementi nel livello {0}",
   "Elements":"Elementi",
+  "Export CSV": "Esporta CSV",
+  "Export JSON": "Esporta JSON",
+  "Floor area": "Superficie",
+  "Font size": "Dimensione del carattere",
   "Get Screenshot" : "Cattura uno screenshot",
+  "Grid": "Griglia",
   "Group [{0}]":"Gruppo [{0}]",
+  "Group copies": "Raggruppa le copie",
   "Group's Barycenter":"Baricentro del Gruppo",
   "Group's Elements":"Elementi del Gruppo",
   "Groups":"Gruppi",
   "Guides":"Guide",
   "height": "Altezza",
+  "History": "Cronologia",
   "Holes":"Buchi",
   "Horizontal":"Orizzontale",
+  "Inch precision": "Precisione in pollici",
+  "Inner face": "Faccia interna",
   "Items":"Oggetti",
+  "Jump to this point": "Torna a questo punto",
+  "Justification": "Giustificazione",
+  "kitchen": "cucina",
   "Last Selected":"Ultimi Selezionati",
   "Layer config": "Configurazione livello",
   "Layer":"Livello",
   "Layers": "Livelli",
+  "Left": "Sinistra",
   "Length":"Lunghezza",
+  "Length and angle": "Lunghezza e angolo",
   "Lines":"Linee",
+  "living": "soggiorno",
   "Load project": "Carica progetto",
+  "Lock": "Blocca",
+  "Lock layer": "Blocca livello",
   "Mouse X Coordinate":"Coordinata X del Mouse",
   "Mouse Y Coordinate":"Coordinata Y del Mouse",
+  "Multiselected": "Selezione multipla",
   "Name" : "Nome",
+  "New checkpoint": "Nuovo checkpoint",
   "New Empty Group":"Crea Gruppo Vuoto",
   "New Group from selected":"Crea Gruppo dai selezionati",
   "New layer": "Nuovo livello",
   "New project": "Nuovo progetto",
+  "office": "ufficio",
   "opacity": "Opacità",
   "Open catalog": "Apri catalogo",
   "order":"Ordine",
+  "outdoor": "esterno",
+  "Outer face": "Faccia esterna",
   "Pan": "Muovi",
   "Paste":"Incolla",
+  "Pattern": "Disposizione",
+  "Perimeter": "Perimetro",
+  "Pick the corner": "Scegli il vertice dell'angolo",
+  "Pick the end of the first side": "Scegli l'estremo del primo lato",
+  "Pick the end of the second side": "Scegli l'estremo del secondo lato",
+  "Pick the first vertex": "Scegli il primo vertice",
+  "Pick the second vertex": "Scegli il secondo vertice",
+  "Polar": "Polare",
+  "Polygon": "Poligono",
+  "Polyline": "Polilinea",
+  "Price": "Prezzo",
   "Project config": "Configurazione progetto",
+  "Properties": "Proprietà",
   "Properties: [{0}] {1}": "Proprietà: [{0}] {1}",
   "Prototype":"Prototipo",
+  "Rectangle": "Rettangolo",
+  "Redo (CTRL-SHIFT-Z)": "Ripeti (CTRL-SHIFT-Z)",
+  "Relative": "Relativo",
+  "Remove checkpoint": "Rimuovi checkpoint",
   "Reset": "Annulla",
+  "Right": "Destra",
+  "Room": "Stanza",
+  "Room schedule": "Abaco dei locali",
+  "Rotate copies": "Ruota le copie",
   "Rotation" : "Rotazione",
+  "Rows": "Righe",
   "Save project": "Salva progetto",
   "Save" : "Salva",
   "Scene Zoom Level":"Livello di Zoom della Scena",
   "Search Element":"Cerca Elemento",
+  "Shape": "Forma",
+  "Snap items to walls and to each other, holes to round distances from the wall ends": "Aggancia gli oggetti ai muri e tra loro, i fori a distanze tonde dalle estremità dei muri",
+  "Snap to Angle, hold Shift for horizontal and vertical only": "Aggancia all'angolo, tieni premuto Shift per solo orizzontale e verticale",
   "Snap to Grid":"Snap alla Griglia",
   "Snap to Guide":"Snap alla Guida",
   "Snap to Line":"Snap alla Linea",
   "Snap to Point":"Snap al Punto",
   "Snap to Segment":"Snap al Segmento",
+  "Spacing X": "Distanza X",
+  "Spacing Y": "Distanza Y",
+  "storage": "ripostiglio",
+  "Surface": "Superficie",
+  "technical": "locale tecnico",
+  "Text": "Testo",
   "texture":"texture",
   "thickness":"spessore",
+  "Thickness": "Spessore",
+  "Time": "Ora",
   "Toggle Group Visibility":"Varia la visibilità del Gruppo",
+  "Toggle Group Lock": "Blocca o sblocca il Gruppo",
+  "Total": "Totale",
+  "Type": "Tipo",
   "Un-chain all Group\'s Elements and remove Group":"Elimina il Gruppo e scollega tutti gli Elementi appartenenti",
   "Un-chain Element from Group":"Scollega l'Elemento dal Gruppo",
+  "unassigned": "non assegnata",
   "Undo (CTRL-Z)": "Annulla (CTRL-Z)",
+  "Unit": "Unità di misura",
+  "Unit price": "Prezzo unitario",
+  "Unlock": "Sblocca",
+  "Unlock layer": "Sblocca livello",
   "Unselect": "Deseleziona",
+  "usage": "destinazione d'uso",
   "Vertical":"Verticale",
+  "Wall": "Muro",
+  "Walls": "Muri",
   "width": "Larghezza",
   "Would you want to start a new Project?": "Vuoi iniziare un nuovo progetto?",
   "Zoom in": "Ingrandisci",
-  "Zoom out": "Riduci"
+  "Zoom out": "Riduci",
+  "{0} elements selected in {1} layers": "{0} elementi selezionati in {1} livelli",
+  "{0} rooms": "{0} locali",
 };
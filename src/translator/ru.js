@@ -4,76 +4,184 @@ export default {
   "2D View": "Плоский вид",
   "3D First Person": "3D от первого лица",
   "3D View": "Объёмный вид",
+  "Add to Group": "Добавить в группу",
+  "Aligned": "Параллельный",
   "altitude": "высота",
   "Altitude": "Высота",
+  "Angle": "Угол",
+  "Angle snap step": "Шаг привязки к углу",
+  "Annotate": "Аннотировать",
+  "Annotations": "Аннотации",
+  "Apply": "Применить",
   "Areas": "Поверхности",
+  "Array": "Массив",
+  "Arrow": "Стрелка",
+  "bathroom": "ванная",
+  "bedroom": "спальня",
+  "Bill of materials": "Спецификация материалов",
+  "Bulge": "Прогиб",
   "Cancel": "Отмена",
   "Catalog": "Каталог",
+  "Category": "Категория",
+  "Center": "По центру",
+  "Center X": "Центр X",
+  "Center Y": "Центр Y",
+  "Centerline": "Осевая линия",
   "Chain selected Elements to Group":"Цепочка выбранных элементов в группу",
   "Circular":"круговой",
+  "Click the corners, then the first one again or press Enter to close the room": "Щёлкните углы, затем снова первый или нажмите Enter, чтобы замкнуть комнату",
+  "Click the first point to close the cloud": "Щёлкните первую точку, чтобы замкнуть облако",
+  "Click the last point again to finish": "Щёлкните последнюю точку ещё раз, чтобы закончить",
+  "Click to place the dimension": "Щёлкните, чтобы разместить размер",
+  "Click to place the text": "Щёлкните, чтобы разместить текст",
+  "Click to start drawing": "Щёлкните, чтобы начать рисовать",
+  "Close": "Закрыть",
+  "Cloud": "Облако",
   "color":"цвет",
+  "Color": "Цвет",
+  "Columns": "Столбцы",
   "Configure layer": "Настроить слой",
   "Configure project": "Настроить проект",
   "Confirm": "подтвердить",
+  "Copies": "Копии",
   "Copy": "Копировать",
+  "corridor": "коридор",
+  "Count": "Количество",
+  "Create array": "Создать массив",
   "Delete group and all Elements":"Удалить группу и все элементы",
   "Delete layer": "Удалить слой",
   "Delete": "Удалить",
+  "Dimension": "Размер",
+  "Dimension the walls of the rooms": "Проставлять размеры стен комнат",
+  "dining": "столовая",
+  "Doors and windows": "Двери и окна",
+  "Drag from corner to corner, or click both corners": "Протяните от угла до угла или щёлкните оба угла",
+  "Draw arc wall": "Нарисовать дугообразную стену",
+  "Draw by": "Рисовать по",
+  "Draw room": "Нарисовать комнату",
+  "each": "шт.",
   "Elements on layer {0}": "Элементов на слое {0}",
   "Elements":"элементы",
+  "Export CSV": "Экспорт CSV",
+  "Export JSON": "Экспорт JSON",
+  "Floor area": "Площадь пола",
+  "Font size": "Размер шрифта",
   "Get Screenshot": "Сделать снимок экрана",
+  "Grid": "Сетка",
   "Group [{0}]":"группа [{0}]",
+  "Group copies": "Сгруппировать копии",
   "Group's Barycenter":"Барицентр группы",
   "Group's Elements":"Элементы группы",
   "Groups":"группы",
   "Guides":"руководства",
   "height": "высота",
+  "History": "История",
   "Holes": "Проёмы",
   "Horizontal":"горизонтальный",
+  "Inch precision": "Точность в дюймах",
+  "Inner face": "Внутренняя грань",
   "Items": "Предметы",
+  "Jump to this point": "Перейти к этой точке",
+  "Justification": "Выравнивание",
+  "kitchen": "кухня",
   "Last Selected": "Последний выбраный",
   "Layer config": "Настройка слоя",
   "Layer":"Слой",
   "Layers": "Слои",
+  "Left": "Слева",
   "Length": "Длинна",
+  "Length and angle": "Длина и угол",
   "Lines": "Линии",
+  "living": "гостиная",
   "Load project": "Загрузить проект",
+  "Lock": "Заблокировать",
+  "Lock layer": "Заблокировать слой",
   "Mouse X Coordinate": "X-координата курсора",
   "Mouse Y Coordinate": "Y-координата курсора",
+  "Multiselected": "Множественный выбор",
   "Name": "Название",
+  "New checkpoint": "Новая контрольная точка",
   "New Empty Group":"Новая пустая группа",
   "New Group from selected":"Новая группа из выбранных",
   "New layer": "Новый слой",
   "New project": "Новый проект",
+  "office": "кабинет",
   "opacity": "непрозрачность",
   "Open catalog": "Открыть каталог",
   "order": "порядок",
+  "outdoor": "открытое пространство",
+  "Outer face": "Внешняя грань",
   "Pan": "Двигать",
   "Paste": "Вставить",
+  "Pattern": "Расположение",
+  "Perimeter": "Периметр",
+  "Pick the corner": "Выберите вершину угла",
+  "Pick the end of the first side": "Выберите конец первой стороны",
+  "Pick the end of the second side": "Выберите конец второй стороны",
+  "Pick the first vertex": "Выберите первую вершину",
+  "Pick the second vertex": "Выберите вторую вершину",
+  "Polar": "Круговой",
+  "Polygon": "Многоугольник",
+  "Polyline": "Полилиния",
+  "Price": "Цена",
   "Project config": "Настройка проекта",
+  "Properties": "Свойства",
   "Properties: [{0}] {1}": "Свойства: [{0}] {1}",
   "Prototype":"Опытный образец",
+  "Rectangle": "Прямоугольник",
+  "Redo (CTRL-SHIFT-Z)": "Повторить действие (CTRL-SHIFT-Z)",
+  "Relative": "Относительно",
+  "Remove checkpoint": "Удалить контрольную точку",
   "Reset": "Сброс",
+  "Right": "Справа",
+  "Room": "Комната",
+  "Room schedule": "Ведомость помещений",
+  "Rotate copies": "Поворачивать копии",
   "Rotation": "Вращение",
+  "Rows": "Строки",
   "Save project": "Сохранить проект",
   "Save": "Сохранить",
   "Scene Zoom Level": "Уровень приближениия сцены",
   "Search Element": "Поиск",
+  "Shape": "Форма",
+  "Snap items to walls and to each other, holes to round distances from the wall ends": "Привязывать предметы к стенам и друг к другу, проёмы — к круглым расстояниям от концов стен",
+  "Snap to Angle, hold Shift for horizontal and vertical only": "Привязка к углу, удерживайте Shift только для горизонтали и вертикали",
   "Snap to Grid": "Привязка к сетке",
   "Snap to Guide": "Привязать к руководству",
   "Snap to Line": "Привязка к линии",
   "Snap to Point": "Привязка к точке",
   "Snap to Segment": "Привязка к сегменту",
+  "Spacing X": "Шаг X",
+  "Spacing Y": "Шаг Y",
+  "storage": "кладовая",
+  "Surface": "Площадь поверхности",
+  "technical": "техническое помещение",
+  "Text": "Текст",
   "texture":"текстура",
   "thickness":"толщина",
+  "Thickness": "Толщина",
+  "Time": "Время",
   "Toggle Group Visibility":"Переключить видимость группы",
+  "Toggle Group Lock": "Переключить блокировку группы",
+  "Total": "Итого",
+  "Type": "Тип",
   "Un-chain all Group\'s Elements and remove Group":"Удалить цепочку элементов группы и удалить группу",
   "Un-chain Element from Group":"Unchain Element из группы",
+  "unassigned": "не задано",
   "Undo (CTRL-Z)": "Отменить действие (CTRL-Z)",
+  "Unit": "Единица измерения",
+  "Unit price": "Цена за единицу",
+  "Unlock": "Разблокировать",
+  "Unlock layer": "Разблокировать слой",
   "Unselect": "Снять выделене",
+  "usage": "назначение",
   "Vertical":"вертикальный",
+  "Wall": "Стена",
+  "Walls": "Стены",
   "width": "ширина",
   "Would you want to start a new Project?": "Начать новый проект?",
   "Zoom in": "Приблизить",
-  "Zoom out": "Отдалить"
+  "Zoom out": "Отдалить",
+  "{0} elements selected in {1} layers": "Выбрано элементов: {0}, слоёв: {1}",
+  "{0} rooms": "помещений: {0}",
 };
@@ -69,6 +69,9 @@ export default class Translator {
   }
 
   static getBrowserLanguages() {
+    //outside a browser, e.g. building a catalog in Node, the default locale is used
+    if (typeof navigator === 'undefined') return []
+
     return navigator.languages
       ? navigator.languages
       : [navigator.language || navigator.userLanguage]
@@ -0,0 +1,44 @@
+import { ARRAY_GRID, ARRAY_POLAR } from '../constants';
+import { rotatePointAroundPoint } from './geometry';
+
+/** @description Placements of the copies of an array, the original excluded
+ *  @param {number} x Original's x
+ *  @param {number} y Original's y
+ *  @param {Map} config Array configuration, grid (columns, rows, spacingX, spacingY, rotation of the grid)
+ *  or polar (count, centerX, centerY, angle filled by the copies, rotateCopies)
+ *  @return {Array} Copies as {x, y, rotation}, rotation in degrees
+ */
+export function arrayPlacements(x, y, config) {
+  let placements = [];
+
+  switch (config.get('type')) {
+    case ARRAY_GRID: {
+      let { columns, rows, spacingX, spacingY, rotation } = config.toObject();
+
+      for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+          if (!row && !column) continue;
+
+          let position = rotatePointAroundPoint(x + column * spacingX, y + row * spacingY, x, y, rotation);
+          placements.push({ x: position.x, y: position.y, rotation: 0 });
+        }
+      }
+      break;
+    }
+
+    case ARRAY_POLAR: {
+      let { count, centerX, centerY, angle, rotateCopies } = config.toObject();
+
+      //a full turn would put the last copy on the original
+      let step = Math.abs(angle) >= 360 ? angle / count : angle / Math.max(count - 1, 1);
+
+      for (let index = 1; index < count; index++) {
+        let position = rotatePointAroundPoint(x, y, centerX, centerY, step * index);
+        placements.push({ x: position.x, y: position.y, rotation: rotateCopies ? step * index : 0 });
+      }
+      break;
+    }
+  }
+
+  return placements;
+}
@@ -0,0 +1,145 @@
+import { wallLength } from './walls';
+import { fromStorageUnit, fromStorageArea, areaUnit, runUnit, formatLength } from './units';
+import { toFixedFloat } from './math';
+import { PRECISION, exportedArea, exportedLength, csvRow } from './table-export';
+
+export const PRICE_EACH = 'each';
+export const PRICE_LENGTH = 'length';
+export const PRICE_AREA = 'area';
+
+//the properties telling apart two elements of the same type: sizes, colors and choices, not free text
+const KEY_PROPERTY_TYPES = ['length-measure', 'color', 'enum', 'number', 'toggle', 'checkbox'];
+
+function keyProperties(element, catalogElement, unit, inchFraction) {
+  let properties = [];
+
+  catalogElement.properties.forEach((config, name) => {
+    if (!KEY_PROPERTY_TYPES.includes(config.get('type')) || !element.properties.has(name)) return;
+
+    let value = element.properties.get(name);
+    switch (config.get('type')) {
+      case 'length-measure':
+        value = formatLength(value.get('length'), unit, PRECISION, inchFraction);
+        break;
+      case 'enum':
+        value = config.getIn(['values', value]) || value;
+        break;
+    }
+
+    properties.push({ name, label: config.get('label') || name, value: String(value) });
+  });
+
+  return properties;
+}
+
+/** @description Elements of every layer counted by catalog type and key properties, walls with their length and surface,
+ *  priced with the `price` of their catalog element's info: for each element, or for each meter (foot) or square meter (square foot)
+ *  of wall when the info's `priceUnit` is `length` or `area`. Annotations are markup, not built, and are left out
+ *  @param {Scene} scene Scene model
+ *  @param {Catalog} catalog Catalog model
+ *  @return {{rows: Array, total: number}} Rows with prototype, type, title, key properties, count, length and surface
+ *  in the storage unit, unit price and price; the total price, of the rows with a price
+ */
+export function billOfMaterials(scene, catalog) {
+  let { unit, inchFraction } = scene;
+  let rows = {};
+
+  scene.layers.forEach(layer => ['lines', 'holes', 'items'].forEach(prototype => layer[prototype].forEach(element => {
+    let catalogElement = catalog.elements.get(element.type);
+    if (!catalogElement) return;
+
+    let properties = keyProperties(element, catalogElement, unit, inchFraction);
+    let key = [prototype, element.type, ...properties.map(({ name, value }) => `${name}=${value}`)].join('|');
+
+    let row = rows[key] || (rows[key] = {
+      prototype,
+      type: element.type,
+      title: catalogElement.getIn(['info', 'title']) || element.type,
+      properties,
+      count: 0,
+      length: 0,
+      surface: 0
+    });
+
+    row.count++;
+
+    if (prototype === 'lines') {
+      let length = wallLength(layer, element);
+      row.length += length;
+      row.surface += length * (element.getIn(['properties', 'height', 'length']) || 0);
+    }
+  })));
+
+  let total = 0;
+
+  rows = Object.keys(rows).sort().map(key => {
+    let row = rows[key];
+    let info = catalog.getIn(['elements', row.type, 'info']);
+    let unitPrice = info.get('price');
+    if (typeof unitPrice !== 'number') return { ...row, priceUnit: null, unitPrice: null, price: null };
+
+    let priceUnit = info.get('priceUnit') || PRICE_EACH;
+    let quantity = row.count;
+    if (priceUnit === PRICE_LENGTH) quantity = fromStorageUnit(row.length, runUnit(unit));
+    if (priceUnit === PRICE_AREA) quantity = fromStorageArea(row.surface, unit);
+
+    let price = toFixedFloat(unitPrice * quantity, PRECISION);
+    total += price;
+
+    return { ...row, priceUnit, unitPrice, price };
+  });
+
+  return { rows, total: toFixedFloat(total, PRECISION) };
+}
+
+//the unit a price is given for, as shown
+export function priceUnitLabel(priceUnit, unit) {
+  switch (priceUnit) {
+    case PRICE_LENGTH: return runUnit(unit);
+    case PRICE_AREA: return areaUnit(unit);
+    default: return priceUnit || '';
+  }
+}
+
+/** @description Bill of materials as a JSON document, lengths and surfaces of walls in meters and square meters, or feet and square feet
+ *  @param {{rows: Array, total: number}} bill As built by billOfMaterials
+ *  @param {string} unit Display unit
+ *  @return {object}
+ */
+export function billToJSON({ rows, total }, unit) {
+  return {
+    lengthUnit: runUnit(unit),
+    areaUnit: areaUnit(unit),
+    rows: rows.map(row => ({
+      ...row,
+      properties: row.properties.reduce((properties, { name, value }) => ({ ...properties, [name]: value }), {}),
+      length: row.prototype === 'lines' ? exportedLength(row.length, runUnit(unit)) : undefined,
+      surface: row.prototype === 'lines' ? exportedArea(row.surface, unit) : undefined,
+      priceUnit: priceUnitLabel(row.priceUnit, unit) || undefined
+    })),
+    total
+  };
+}
+
+/** @description Bill of materials as CSV: a row per type and key properties, then the total price
+ *  @param {{rows: Array, total: number}} bill As built by billOfMaterials
+ *  @param {string} unit Display unit
+ *  @return {string}
+ */
+export function billToCSV({ rows, total }, unit) {
+  let header = [ 'Category', 'Type', 'Properties', 'Count', `Length (${runUnit(unit)})`, `Surface (${areaUnit(unit)})`, 'Unit price', 'Price unit', 'Price' ];
+
+  return [
+    csvRow(header),
+    ...rows.map(row => {
+      let isWall = row.prototype === 'lines';
+
+      return csvRow([
+        row.prototype, row.title, row.properties.map(({ label, value }) => `${label}: ${value}`).join('; '), row.count,
+        isWall ? exportedLength(row.length, runUnit(unit)) : null, isWall ? exportedArea(row.surface, unit) : null,
+        row.unitPrice, priceUnitLabel(row.priceUnit, unit), row.price
+      ]);
+    }),
+    csvRow([ 'Total', '', '', '', '', '', '', '', total ])
+  ].join('\n') + '\n';
+}
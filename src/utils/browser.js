@@ -1,11 +1,12 @@
-export function browserDownload(json) {
+export function browserDownload(json, extension = 'json') {
   let fileOutputLink = document.createElement('a');
 
-  let filename = 'output' + Date.now() + '.json';
+  let filename = 'output' + Date.now() + '.' + extension;
   filename = window.prompt('Insert output filename', filename);
   if (!filename) return;
 
-  let output = JSON.stringify(json);
+  //text, as CSV, is saved as it is
+  let output = typeof json === 'string' ? json : JSON.stringify(json);
   let data = new Blob([output], {type: 'text/plain'});
   let url = window.URL.createObjectURL(data);
   fileOutputLink.setAttribute('download', filename);
@@ -0,0 +1,71 @@
+import { Map } from 'immutable';
+import { wallPoint, cycleLines } from './walls';
+
+/** @description Position of a hole in the scene
+ *  @param {Layer} layer Layer model holding the hole
+ *  @param {Hole} hole Hole model
+ *  @return {{x: number, y: number}}
+ */
+export function holePosition(layer, hole) {
+  let { x, y } = wallPoint(layer, layer.lines.get(hole.line), hole.offset);
+
+  return { x, y };
+}
+
+/** @description Copy the selected elements of every layer with everything needed to rebuild them:
+ *  the vertices of the lines, the holes on the lines and the lines bounding the areas.
+ *  Holes keep their position, so the ones copied without their line can be pasted back on the same wall
+ *  @param {Scene} scene Scene model
+ *  @return {Map} Clipboard with the elements and the center (x, y) of their bounding box
+ */
+export function copySelectedElements(scene) {
+  let vertices = new Map(), lines = new Map(), holes = new Map(), areas = new Map(), items = new Map();
+  let holesPosition = new Map();
+
+  scene.layers.forEach(layer => {
+    let { selected } = layer;
+    let lineIDs = selected.lines.toSet();
+
+    selected.areas.forEach(areaID => {
+      let area = layer.areas.get(areaID);
+      areas = areas.set(areaID, area);
+
+      cycleLines(layer, area.vertices, area.lines)
+        .filter(line => line)
+        .forEach(line => { lineIDs = lineIDs.add(line.id); });
+    });
+
+    lineIDs.forEach(lineID => {
+      let line = layer.lines.get(lineID);
+      lines = lines.set(lineID, line);
+      line.vertices.forEach(vertexID => { vertices = vertices.set(vertexID, layer.vertices.get(vertexID)); });
+      line.holes.forEach(holeID => {
+        holes = holes.set(holeID, layer.holes.get(holeID));
+        holesPosition = holesPosition.set(holeID, new Map(holePosition(layer, layer.holes.get(holeID))));
+      });
+    });
+
+    selected.holes.forEach(holeID => {
+      let hole = layer.holes.get(holeID);
+      holes = holes.set(holeID, hole);
+      holesPosition = holesPosition.set(holeID, new Map(holePosition(layer, hole)));
+    });
+
+    selected.items.forEach(itemID => { items = items.set(itemID, layer.items.get(itemID)); });
+  });
+
+  let points = vertices.toList()
+    .concat(items.toList())
+    .concat(holesPosition.toList().map(position => position.toObject()));
+
+  if (!points.size) return new Map();
+
+  let minX = points.minBy(point => point.x).x, maxX = points.maxBy(point => point.x).x;
+  let minY = points.minBy(point => point.y).y, maxY = points.maxBy(point => point.y).y;
+
+  return new Map({
+    x: (minX + maxX) / 2,
+    y: (minY + maxY) / 2,
+    vertices, lines, holes, areas, items, holesPosition
+  });
+}
@@ -0,0 +1,231 @@
+import { wallLength, wallCenterOffset, wallPath, cycleLines } from './walls';
+import {
+  DIMENSION_ALIGNED,
+  DIMENSION_HORIZONTAL,
+  DIMENSION_VERTICAL,
+  DIMENSION_ANGULAR
+} from '../constants';
+
+//gap between a measured point and its extension line, and how far extension lines go past the dimension line
+const EXTENSION_GAP = 5;
+const EXTENSION_OVERSHOOT = 5;
+
+//distance of a dimension's text from its dimension line or arc
+const LABEL_GAP = 8;
+
+//distance of the automatic dimensions from the face of their wall
+const AUTO_DIMENSION_DISTANCE = 30;
+
+//extension line from a measured point to the dimension line, starting a little away from the point and going a little past the line
+function extension(from, to) {
+  let length = Math.hypot(to.x - from.x, to.y - from.y);
+  if (length <= EXTENSION_GAP) return null;
+
+  let dx = (to.x - from.x) / length, dy = (to.y - from.y) / length;
+
+  return [
+    { x: from.x + dx * EXTENSION_GAP, y: from.y + dy * EXTENSION_GAP },
+    { x: to.x + dx * EXTENSION_OVERSHOOT, y: to.y + dy * EXTENSION_OVERSHOOT }
+  ];
+}
+
+/** @description Vertex of a layer closest to a point
+ *  @param {Layer} layer Layer model
+ *  @param {number} x
+ *  @param {number} y
+ *  @param {number} distance Farthest a vertex can be from the point
+ *  @return {Vertex|null}
+ */
+export function pickVertex(layer, x, y, distance) {
+  let picked = null;
+
+  layer.vertices.forEach(vertex => {
+    let vertexDistance = Math.hypot(vertex.x - x, vertex.y - y);
+    if (vertexDistance <= distance && (!picked || vertexDistance < picked.distance)) picked = { vertex, distance: vertexDistance };
+  });
+
+  return picked ? picked.vertex : null;
+}
+
+/** @description Offset of a dimension whose line or arc goes through a point
+ *  @param {string} type Dimension's type
+ *  @param {Array} points Measured points, in the order of the dimension's vertices
+ *  @param {number} x
+ *  @param {number} y
+ *  @return {number}
+ */
+export function dimensionOffsetAt(type, points, x, y) {
+  let [ start, end ] = points;
+
+  switch (type) {
+    case DIMENSION_HORIZONTAL:
+      return y - start.y;
+
+    case DIMENSION_VERTICAL:
+      return x - start.x;
+
+    case DIMENSION_ANGULAR: {
+      let corner = points[1];
+      return Math.hypot(x - corner.x, y - corner.y);
+    }
+
+    default: {
+      let length = Math.hypot(end.x - start.x, end.y - start.y);
+      return length ? ((y - start.y) * (end.x - start.x) - (x - start.x) * (end.y - start.y)) / length : 0;
+    }
+  }
+}
+
+/** @description Lines and text position of a dimension measuring the distance between two points
+ *  @param {{x: number, y: number}} start
+ *  @param {{x: number, y: number}} end
+ *  @param {string} type Aligned, horizontal or vertical
+ *  @param {number} offset Dimension's offset
+ *  @param {number} value Measure shown, the distance between the points along the dimension line when missing
+ *  @return {object} Type, the ends of the dimension line, the extension lines, the label's position and angle in degrees, and the value
+ */
+export function linearDimension(start, end, type, offset, value) {
+  let from, to;
+
+  switch (type) {
+    case DIMENSION_HORIZONTAL:
+      from = { x: start.x, y: start.y + offset };
+      to = { x: end.x, y: start.y + offset };
+      break;
+
+    case DIMENSION_VERTICAL:
+      from = { x: start.x + offset, y: start.y };
+      to = { x: start.x + offset, y: end.y };
+      break;
+
+    default: {
+      let length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+      let nx = -(end.y - start.y) / length, ny = (end.x - start.x) / length;
+      from = { x: start.x + nx * offset, y: start.y + ny * offset };
+      to = { x: end.x + nx * offset, y: end.y + ny * offset };
+    }
+  }
+
+  let length = Math.hypot(to.x - from.x, to.y - from.y);
+  let angle = Math.atan2(to.y - from.y, to.x - from.x) * 180 / Math.PI;
+  if (angle > 90) angle -= 180;
+  if (angle <= -90) angle += 180;
+
+  //the text stands on the side of the dimension line away from the measured points
+  let middle = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+  let nx = -Math.sin(angle * Math.PI / 180), ny = Math.cos(angle * Math.PI / 180);
+  let side = (middle.x - (start.x + end.x) / 2) * nx + (middle.y - (start.y + end.y) / 2) * ny < 0 ? -1 : 1;
+
+  return {
+    type,
+    points: [ from, to ],
+    extensions: [ extension(start, from), extension(end, to) ].filter(line => line),
+    label: { x: middle.x + side * nx * LABEL_GAP, y: middle.y + side * ny * LABEL_GAP, angle },
+    value: value === undefined ? length : value
+  };
+}
+
+/** @description Arc and text position of a dimension measuring the angle at a point between two others
+ *  @param {{x: number, y: number}} start End of the first side
+ *  @param {{x: number, y: number}} corner
+ *  @param {{x: number, y: number}} end End of the second side
+ *  @param {number} radius Radius of the arc
+ *  @return {object} Type, center, radius, startAngle and sweep in radians, counterclockwise when positive,
+ *  the extension lines, the label's position and the value in degrees, never more than 180
+ */
+export function angularDimension(start, corner, end, radius) {
+  let startAngle = Math.atan2(start.y - corner.y, start.x - corner.x);
+  let sweep = Math.atan2(end.y - corner.y, end.x - corner.x) - startAngle;
+  if (sweep > Math.PI) sweep -= 2 * Math.PI;
+  if (sweep <= -Math.PI) sweep += 2 * Math.PI;
+
+  let onArc = angle => ({ x: corner.x + radius * Math.cos(angle), y: corner.y + radius * Math.sin(angle) });
+
+  //sides shorter than the radius are extended up to the arc
+  let extensions = [ [ start, startAngle ], [ end, startAngle + sweep ] ]
+    .filter(([ point ]) => Math.hypot(point.x - corner.x, point.y - corner.y) < radius)
+    .map(([ point, angle ]) => extension(point, onArc(angle)))
+    .filter(line => line);
+
+  let middle = startAngle + sweep / 2;
+
+  return {
+    type: DIMENSION_ANGULAR,
+    center: { x: corner.x, y: corner.y },
+    radius,
+    startAngle,
+    sweep,
+    extensions,
+    label: {
+      x: corner.x + (radius + LABEL_GAP) * Math.cos(middle),
+      y: corner.y + (radius + LABEL_GAP) * Math.sin(middle),
+      angle: 0
+    },
+    value: Math.abs(sweep) * 180 / Math.PI
+  };
+}
+
+/** @description Geometry of a dimension of a layer, following its vertices where they are now
+ *  @param {Layer} layer Layer model
+ *  @param {Dimension} dimension Dimension model
+ *  @return {object|null} As returned by linearDimension or angularDimension, null when a vertex is missing
+ */
+export function dimensionGeometry(layer, dimension) {
+  let points = dimension.vertices.map(vertexID => layer.vertices.get(vertexID)).toArray();
+  if (!points.length || points.some(point => !point)) return null;
+
+  return dimension.type === DIMENSION_ANGULAR ?
+    angularDimension(points[0], points[1], points[2], dimension.offset) :
+    linearDimension(points[0], points[1], dimension.type, dimension.offset);
+}
+
+/** @description Dimensions of the length of every wall of the rooms of a layer, drawn beyond the wall face away from the room.
+ *  A wall between two rooms is dimensioned once, from the first of them
+ *  @param {Layer} layer Layer model
+ *  @return {Array} Geometries as returned by linearDimension, with the id of their wall
+ */
+export function autoDimensions(layer) {
+  let dimensioned = new Set();
+  let dimensions = [];
+
+  layer.areas.forEach(area => {
+    let polygon = area.vertices.map(vertexID => layer.vertices.get(vertexID)).toArray();
+    if (polygon.length < 2 || polygon.some(vertex => !vertex)) return;
+    let lines = cycleLines(layer, area.vertices, area.lines);
+
+    //the outside of a counterclockwise outline is on the right of its edges, curved walls followed along their arcs
+    let outline = [];
+    polygon.forEach((vertex, index) => {
+      let line = lines[index];
+      let path = line ? wallPath(layer, line) : [ vertex ];
+      if (line && line.vertices.get(0) !== vertex.id) path.reverse();
+      outline.push(...path.slice(0, Math.max(1, path.length - 1)));
+    });
+    let doubleArea = outline.reduce((sum, point, index) => {
+      let next = outline[(index + 1) % outline.length];
+      return sum + point.x * next.y - next.x * point.y;
+    }, 0);
+    let orientation = doubleArea < 0 ? -1 : 1;
+
+    polygon.forEach((vertex, index) => {
+      let line = lines[index];
+      if (!line || dimensioned.has(line.id)) return;
+      dimensioned.add(line.id);
+
+      let [ start, end ] = line.vertices.map(vertexID => layer.vertices.get(vertexID)).toArray();
+
+      //1 when the outside is on the left of the line, seen from its first vertex
+      let left = start.id === vertex.id ? -orientation : orientation;
+      let thickness = line.getIn(['properties', 'thickness', 'length']) || 0;
+      let face = thickness / 2 + left * wallCenterOffset(line);
+      let bulge = Math.max(0, left * line.bulge);
+
+      dimensions.push({
+        id: line.id,
+        ...linearDimension(start, end, DIMENSION_ALIGNED, left * (face + bulge + AUTO_DIMENSION_DISTANCE), wallLength(layer, line))
+      });
+    });
+  });
+
+  return dimensions;
+}
@@ -1,9 +1,20 @@
 import * as GeometryUtils from './geometry';
 import * as GraphInnerCycles from './graph-inner-cycles';
 import * as MathUtils from './math';
+import * as UnitUtils from './units';
 import * as SnapUtils from './snap';
 import * as SnapSceneUtils from './snap-scene';
+import * as SnapItemsUtils from './snap-items';
 import * as history from './history';
+import * as SceneMigrations from './scene-migrations';
+import * as SceneValidator from './scene-validator';
+import * as LockUtils from './locks';
+import * as ClipboardUtils from './clipboard';
+import * as ArrayPattern from './array-pattern';
+import * as WallUtils from './walls';
+import * as DimensionUtils from './dimensions';
+import * as RoomScheduleUtils from './room-schedule';
+import * as BillOfMaterialsUtils from './bill-of-materials';
 import * as ObjectUtils from './objects-utils';
 import IDBroker from './id-broker';
 import NameGenerator from './name-generator';
@@ -12,9 +23,20 @@ export {
   GeometryUtils,
   GraphInnerCycles,
   MathUtils,
+  UnitUtils,
   SnapUtils,
   SnapSceneUtils,
+  SnapItemsUtils,
   history,
+  SceneMigrations,
+  SceneValidator,
+  LockUtils,
+  ClipboardUtils,
+  ArrayPattern,
+  WallUtils,
+  DimensionUtils,
+  RoomScheduleUtils,
+  BillOfMaterialsUtils,
   IDBroker,
   NameGenerator,
   ObjectUtils
@@ -24,9 +46,20 @@ export default {
   GeometryUtils,
   GraphInnerCycles,
   MathUtils,
+  UnitUtils,
   SnapUtils,
   SnapSceneUtils,
+  SnapItemsUtils,
   history,
+  SceneMigrations,
+  SceneValidator,
+  LockUtils,
+  ClipboardUtils,
+  ArrayPattern,
+  WallUtils,
+  DimensionUtils,
+  RoomScheduleUtils,
+  BillOfMaterialsUtils,
   IDBroker,
   NameGenerator,
   ObjectUtils
@@ -1,18 +1,24 @@
-import { Map } from 'immutable';
+import { Map, List } from 'immutable';
 import diff from 'immutablediff';
 import patch from 'immutablepatch';
 
+/*
+ * Every entry of `list` stores the patch that turns `last` back into the scene
+ * pushed before it, so undoing costs as much as the change being undone.
+ * Only the latest `maxDepth` entries are kept.
+ */
 export const historyPush = (historyStructure, item) => {
   if (historyStructure.last) {
     if (historyStructure.last.hashCode() !== item.hashCode()) {
       let toPush = new Map({
         time: Date.now(),
-        diff: diff(historyStructure.last, item)
+        diff: diff(item, historyStructure.last)
       });
 
       historyStructure = historyStructure
         .set('last', item)
-        .set('list', historyStructure.list.push(toPush));
+        .set('list', historyStructure.list.push(toPush).takeLast(historyStructure.maxDepth))
+        .set('redoList', new List());
     }
   }
   else {
@@ -24,15 +30,65 @@ export const historyPush = (historyStructure, item) => {
 export const historyPop = (historyStructure) => {
   if (historyStructure.last) {
     if (historyStructure.list.size) {
-      let last = historyStructure.first;
-      for (let x = 0; x < historyStructure.list.size - 1; x++) {
-        last = patch(last, historyStructure.list.get(x).get('diff'));
-      }
-
       historyStructure = historyStructure
-        .set('last', last)
+        .set('last', patch(historyStructure.last, historyStructure.list.last().get('diff')))
         .set('list', historyStructure.list.pop());
     }
   }
   return historyStructure;
 };
+
+export const historyPushRedo = (historyStructure, restored, undone) => {
+  if (restored.hashCode() !== undone.hashCode()) {
+    let toPush = new Map({
+      time: Date.now(),
+      diff: diff(restored, undone)
+    });
+
+    historyStructure = historyStructure.set('redoList', historyStructure.redoList.push(toPush));
+  }
+  return historyStructure;
+};
+
+export const historyRedo = (historyStructure, item) => {
+  if (historyStructure.redoList.size) {
+    item = patch(item, historyStructure.redoList.last().get('diff'));
+  }
+  return item;
+};
+
+export const historyPopRedo = (historyStructure) => {
+  if (historyStructure.redoList.size) {
+    historyStructure = historyStructure.set('redoList', historyStructure.redoList.pop());
+  }
+  return historyStructure;
+};
+
+export const historyCheckpoint = (historyStructure, item, name) => {
+  historyStructure = historyPush(historyStructure, item);
+
+  //an unchanged scene still needs an entry to carry the name
+  if (historyStructure.list.isEmpty()) {
+    historyStructure = historyStructure.set('list', new List([new Map({
+      time: Date.now(),
+      diff: diff(item, item)
+    })]));
+  }
+
+  return historyStructure.setIn(['list', historyStructure.list.size - 1, 'name'], name);
+};
+
+export const historyRemoveCheckpoint = (historyStructure, index) => {
+  if (historyStructure.hasIn(['list', index, 'name'])) {
+    historyStructure = historyStructure.deleteIn(['list', index, 'name']);
+  }
+  return historyStructure;
+};
+
+export const historySceneAt = (historyStructure, index) => {
+  let scene = historyStructure.last;
+  for (let x = historyStructure.list.size - 1; x > index; x--) {
+    scene = patch(scene, historyStructure.list.get(x).get('diff'));
+  }
+  return scene;
+};
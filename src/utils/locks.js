@@ -0,0 +1,79 @@
+//attributes placing or shaping an element, that its lock keeps
+const GEOMETRY_ATTRIBUTES = {
+  items: ['x', 'y', 'rotation'],
+  lines: ['vertexOne', 'vertexTwo', 'lineLength', 'justification', 'bulge'],
+  holes: ['offset', 'offsetA', 'offsetB'],
+  annotations: ['rotation']
+};
+
+const isInLockedGroup = (scene, layerID, prototype, elementID) => scene.groups.some(group =>
+  group.locked && group.elements.hasIn([layerID, prototype]) && group.elements.getIn([layerID, prototype]).contains(elementID)
+);
+
+const isFlagged = (scene, layerID, prototype, elementID) => {
+  let element = scene.getIn(['layers', layerID, prototype, elementID]);
+  return !!element && (element.locked || isInLockedGroup(scene, layerID, prototype, elementID));
+};
+
+/** @description Tell whether an element can't be moved, rotated or deleted, because it, its layer or one of its groups is locked.
+ *  A vertex shares the lock of its lines and a line the lock of its vertices, so locked walls keep their shape
+ *  even when the walls joining them are moved
+ *  @param {Scene} scene Scene model
+ *  @param {string} layerID Layer's id
+ *  @param {string} prototype Element's prototype (vertices, lines, holes, areas, items or annotations)
+ *  @param {string} elementID Element's id
+ *  @return {boolean}
+ */
+export function isLocked(scene, layerID, prototype, elementID) {
+  let layer = scene.layers.get(layerID);
+  if (!layer || !layer.hasIn([prototype, elementID])) return false;
+  if (layer.locked || isFlagged(scene, layerID, prototype, elementID)) return true;
+
+  switch (prototype) {
+    case 'vertices':
+      return layer.vertices.get(elementID).lines.some(lineID => isFlagged(scene, layerID, 'lines', lineID));
+    case 'lines':
+      //a vertex shared with a locked line can't move, neither can the lines ending on it
+      return layer.lines.get(elementID).vertices.some(vertexID => isLocked(scene, layerID, 'vertices', vertexID));
+    default:
+      return false;
+  }
+}
+
+/** @description Tell whether an attribute moves, rotates or reshapes elements of a prototype
+ *  @param {string} prototype Element's prototype
+ *  @param {string} attributeName Attribute's name, as set by the element editor
+ *  @return {boolean}
+ */
+export function isGeometryAttribute(prototype, attributeName) {
+  return (GEOMETRY_ATTRIBUTES[prototype] || []).includes(attributeName);
+}
+
+/** @description Drop the geometry attributes from the ones to set on an element, if it is locked
+ *  @param {Scene} scene Scene model
+ *  @param {string} layerID Layer's id
+ *  @param {string} prototype Element's prototype
+ *  @param {string} elementID Element's id
+ *  @param {Map} attributes Attributes to set
+ *  @return {Map} Attributes the element accepts
+ */
+export function editableAttributes(scene, layerID, prototype, elementID, attributes) {
+  if (!isLocked(scene, layerID, prototype, elementID)) return attributes;
+
+  return attributes.filterNot((value, attributeName) => isGeometryAttribute(prototype, attributeName));
+}
+
+/** @description Tell whether a group can't be moved or rotated, because it or one of its elements is locked
+ *  @param {Scene} scene Scene model
+ *  @param {string} groupID Group's id
+ *  @return {boolean}
+ */
+export function isGroupLocked(scene, groupID) {
+  let group = scene.groups.get(groupID);
+
+  return group.locked || group.elements.some((groupLayerElements, layerID) =>
+    groupLayerElements.some((elementIDs, prototype) =>
+      elementIDs.some(elementID => isLocked(scene, layerID, prototype, elementID))
+    )
+  );
+}
@@ -0,0 +1,116 @@
+import { areaFloor, cycleLines } from './walls';
+import { areaUnit } from './units';
+import { exportedArea, exportedLength, csvRow } from './table-export';
+import { UNIT_FEET_INCHES, UNIT_INCH } from '../constants';
+
+//walls along the boundaries of an area: its own cycle and the cycles of the areas inside it
+function borderingLines(layer, area) {
+  let lineIDs = new Set();
+
+  [ area, ...area.holes.map(holeID => layer.areas.get(holeID)).filter(hole => hole).toArray() ].forEach(({ vertices, lines }) => {
+    cycleLines(layer, vertices, lines).forEach(line => {
+      if (line) lineIDs.add(line.id);
+    });
+  });
+
+  return [ ...lineIDs ].map(lineID => layer.lines.get(lineID));
+}
+
+/** @description Every area of every layer with its measures, and the totals of each layer
+ *  @param {Scene} scene Scene model
+ *  @param {Catalog} catalog Catalog model, for the names of the usages and of the hole types
+ *  @return {{rooms: Array, layers: Array}} Rooms with their layer, name, usage, net area and perimeter in the storage unit,
+ *  walls and the doors and windows in them. Layers with their number of rooms, total area and perimeter,
+ *  and how many walls and holes border their rooms
+ */
+export function roomSchedule(scene, catalog) {
+  let rooms = [];
+  let layers = [];
+
+  scene.layers.sortBy(layer => layer.altitude).forEach(layer => {
+    let layerRooms = layer.areas.valueSeq().map(area => {
+      let { area: size, perimeter } = areaFloor(layer, area);
+      let lines = borderingLines(layer, area);
+      let usage = area.properties.get('usage');
+
+      let holes = [];
+      lines.forEach(line => line.holes.forEach(holeID => {
+        let hole = layer.holes.get(holeID);
+        if (hole) holes.push({ id: hole.id, name: hole.name, type: catalog.getIn(['elements', hole.type, 'info', 'title']) || hole.type });
+      }));
+
+      return {
+        id: area.id,
+        lineIDs: lines.map(line => line.id),
+        layerID: layer.id,
+        layer: layer.name,
+        name: area.name,
+        usage: usage ? catalog.getIn(['elements', area.type, 'properties', 'usage', 'values', usage]) || usage : '',
+        area: size,
+        perimeter,
+        walls: lines.length,
+        holes
+      };
+    }).sortBy(room => room.name).toArray();
+
+    rooms.push(...layerRooms);
+    layers.push({
+      id: layer.id,
+      name: layer.name,
+      rooms: layerRooms.length,
+      area: layerRooms.reduce((total, room) => total + room.area, 0),
+      perimeter: layerRooms.reduce((total, room) => total + room.perimeter, 0),
+      //a wall between two rooms, and a door in it, are counted once
+      walls: new Set([].concat(...layerRooms.map(room => room.lineIDs))).size,
+      holes: new Set([].concat(...layerRooms.map(room => room.holes.map(hole => hole.id)))).size
+    });
+  });
+
+  return { rooms, layers };
+}
+
+//lengths are exported as plain numbers, feet-inches ones as inches
+const lengthUnit = unit => unit === UNIT_FEET_INCHES ? UNIT_INCH : unit;
+
+/** @description Room schedule as a JSON document, areas and lengths in the display units
+ *  @param {{rooms: Array, layers: Array}} schedule As built by roomSchedule
+ *  @param {string} unit Display unit
+ *  @return {object}
+ */
+export function scheduleToJSON({ rooms, layers }, unit) {
+  return {
+    areaUnit: areaUnit(unit),
+    lengthUnit: lengthUnit(unit),
+    rooms: rooms.map(({ lineIDs, ...room }) => ({
+      ...room,
+      area: exportedArea(room.area, unit),
+      perimeter: exportedLength(room.perimeter, lengthUnit(unit))
+    })),
+    layers: layers.map(layer => ({
+      ...layer,
+      area: exportedArea(layer.area, unit),
+      perimeter: exportedLength(layer.perimeter, lengthUnit(unit))
+    }))
+  };
+}
+
+/** @description Room schedule as CSV: a row per room, then a total row per layer
+ *  @param {{rooms: Array, layers: Array}} schedule As built by roomSchedule
+ *  @param {string} unit Display unit
+ *  @return {string}
+ */
+export function scheduleToCSV({ rooms, layers }, unit) {
+  let header = [ 'Layer', 'Name', 'Type', `Area (${areaUnit(unit)})`, `Perimeter (${lengthUnit(unit)})`, 'Walls', 'Doors and windows' ];
+
+  return [
+    csvRow(header),
+    ...rooms.map(room => csvRow([
+      room.layer, room.name, room.usage, exportedArea(room.area, unit), exportedLength(room.perimeter, lengthUnit(unit)),
+      room.walls, room.holes.map(hole => hole.name).join('; ')
+    ])),
+    ...layers.map(layer => csvRow([
+      layer.name, 'Total', `${layer.rooms} rooms`, exportedArea(layer.area, unit), exportedLength(layer.perimeter, lengthUnit(unit)),
+      layer.walls, layer.holes
+    ]))
+  ].join('\n') + '\n';
+}
@@ -0,0 +1,73 @@
+import { SCENE_SCHEMA_VERSION, UNIT_CENTIMETER } from '../constants';
+
+const ELEMENT_PROTOTYPES = ['lines', 'holes', 'areas', 'items'];
+
+const mapObject = (object, func) => {
+  let mapped = {};
+  for (let key in object) {
+    if (object.hasOwnProperty(key)) mapped[key] = func(object[key], key);
+  }
+  return mapped;
+};
+
+//length properties saved as plain centimeters, without the unit the user typed them in
+const addMissingUnits = properties => mapObject(properties, property =>
+  property && typeof property === 'object' && property.hasOwnProperty('length') && !property.hasOwnProperty('_unit') ?
+    { ...property, _length: property.length, _unit: UNIT_CENTIMETER } :
+    property
+);
+
+const migrations = {
+  0: scene => ({
+    ...scene,
+    guides: scene.guides ? {
+      horizontal: {},
+      vertical: {},
+      circular: {},
+      ...scene.guides
+    } : scene.guides,
+    layers: scene.layers ? mapObject(scene.layers, layer => {
+      let migratedLayer = { ...layer };
+
+      ELEMENT_PROTOTYPES.forEach(prototype => {
+        if (layer[prototype]) {
+          migratedLayer[prototype] = mapObject(layer[prototype], element => element.properties ?
+            { ...element, properties: addMissingUnits(element.properties) } :
+            element
+          );
+        }
+      });
+
+      return migratedLayer;
+    }) : scene.layers
+  })
+};
+
+/** @description Register the migration that upgrades a scene JSON from a schema version to the next one
+ *  @param {number} fromVersion Schema version the migration reads
+ *  @param {function} migration Function receiving the scene JSON and returning the upgraded one
+ */
+export function registerMigration(fromVersion, migration) {
+  migrations[fromVersion] = migration;
+}
+
+/** @description Upgrade a scene JSON to the current schema version, throwing if it cannot be done
+ *  @param {Object} sceneJSON Scene as saved, scenes without schemaVersion are treated as version 0
+ *  @return {Object} Scene JSON at SCENE_SCHEMA_VERSION
+ */
+export function migrateScene(sceneJSON) {
+  let version = sceneJSON.schemaVersion || 0;
+
+  if (version > SCENE_SCHEMA_VERSION) {
+    throw new Error(`Scene schema version ${version} is newer than the supported version ${SCENE_SCHEMA_VERSION}`);
+  }
+
+  for (; version < SCENE_SCHEMA_VERSION; version++) {
+    if (!migrations[version]) {
+      throw new Error(`No migration registered for scene schema version ${version}`);
+    }
+    sceneJSON = migrations[version](sceneJSON);
+  }
+
+  return { ...sceneJSON, schemaVersion: SCENE_SCHEMA_VERSION };
+}
@@ -0,0 +1,205 @@
+import { List } from 'immutable';
+
+export const MISSING_REFERENCE = 'MISSING_REFERENCE';
+export const MISSING_BACK_REFERENCE = 'MISSING_BACK_REFERENCE';
+export const UNKNOWN_TYPE = 'UNKNOWN_TYPE';
+export const MISSING_LAYER = 'MISSING_LAYER';
+
+const CATALOG_PROTOTYPES = ['lines', 'holes', 'areas', 'items'];
+const GROUP_PROTOTYPES = ['lines', 'holes', 'areas', 'items'];
+
+const toList = value => value ? new List(value) : new List();
+
+const checkReferences = (errors, layer, prototype, element, field, referencedPrototype) => {
+  toList(element.get(field)).forEach(referenceID => {
+    if (!layer.hasIn([referencedPrototype, referenceID])) {
+      errors.push({
+        code: MISSING_REFERENCE,
+        layerID: layer.id,
+        prototype,
+        elementID: element.id,
+        field,
+        reference: referenceID,
+        message: `${prototype} ${element.id} of layer ${layer.id} references missing ${referencedPrototype} ${referenceID} in ${field}`
+      });
+    }
+  });
+};
+
+/** @description Check referential integrity of a scene and, when the catalog is ready, the element types
+ *  @param {Scene} scene Scene model to check
+ *  @param {Catalog} catalog Catalog model the element types should belong to
+ *  @return {{valid: boolean, errors: Array}} Report with one entry for each problem found
+ */
+export function validateScene(scene, catalog) {
+  let errors = [];
+  let checkTypes = catalog && catalog.ready;
+
+  scene.layers.forEach(layer => {
+    layer.vertices.forEach(vertex => {
+      checkReferences(errors, layer, 'vertices', vertex, 'lines', 'lines');
+      checkReferences(errors, layer, 'vertices', vertex, 'areas', 'areas');
+      checkReferences(errors, layer, 'vertices', vertex, 'dimensions', 'dimensions');
+    });
+
+    layer.lines.forEach(line => {
+      checkReferences(errors, layer, 'lines', line, 'vertices', 'vertices');
+      checkReferences(errors, layer, 'lines', line, 'holes', 'holes');
+    });
+
+    layer.holes.forEach(hole => {
+      let line = layer.lines.get(hole.line);
+
+      if (!line) {
+        errors.push({
+          code: MISSING_REFERENCE,
+          layerID: layer.id,
+          prototype: 'holes',
+          elementID: hole.id,
+          field: 'line',
+          reference: hole.line,
+          message: `holes ${hole.id} of layer ${layer.id} references missing lines ${hole.line} in line`
+        });
+      }
+      else if (!line.holes.contains(hole.id)) {
+        errors.push({
+          code: MISSING_BACK_REFERENCE,
+          layerID: layer.id,
+          prototype: 'holes',
+          elementID: hole.id,
+          field: 'line',
+          reference: hole.line,
+          message: `holes ${hole.id} of layer ${layer.id} is not listed in the holes of lines ${hole.line}`
+        });
+      }
+    });
+
+    layer.areas.forEach(area => {
+      checkReferences(errors, layer, 'areas', area, 'vertices', 'vertices');
+      checkReferences(errors, layer, 'areas', area, 'holes', 'areas');
+    });
+
+    layer.dimensions.forEach(dimension => {
+      checkReferences(errors, layer, 'dimensions', dimension, 'vertices', 'vertices');
+    });
+
+    if (checkTypes) {
+      CATALOG_PROTOTYPES.forEach(prototype => {
+        layer.get(prototype).forEach(element => {
+          if (!catalog.elements.has(element.type)) {
+            errors.push({
+              code: UNKNOWN_TYPE,
+              layerID: layer.id,
+              prototype,
+              elementID: element.id,
+              type: element.type,
+              message: `${prototype} ${element.id} of layer ${layer.id} has type ${element.type} which is not in the catalog`
+            });
+          }
+        });
+      });
+    }
+  });
+
+  scene.groups.forEach(group => {
+    group.elements.forEach((groupLayerElements, layerID) => {
+      let layer = scene.layers.get(layerID);
+
+      if (!layer) {
+        errors.push({
+          code: MISSING_LAYER,
+          groupID: group.id,
+          layerID,
+          message: `group ${group.id} references missing layer ${layerID}`
+        });
+        return;
+      }
+
+      GROUP_PROTOTYPES.forEach(prototype => {
+        toList(groupLayerElements.get(prototype)).forEach(elementID => {
+          if (!layer.hasIn([prototype, elementID])) {
+            errors.push({
+              code: MISSING_REFERENCE,
+              groupID: group.id,
+              layerID,
+              prototype,
+              elementID,
+              message: `group ${group.id} references missing ${prototype} ${elementID} of layer ${layerID}`
+            });
+          }
+        });
+      });
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+const repairLayer = (layer, catalog) => layer.withMutations(layer => {
+  if (catalog && catalog.ready) {
+    CATALOG_PROTOTYPES.forEach(prototype => {
+      layer.set(prototype, layer.get(prototype).filter(element => catalog.elements.has(element.type)));
+    });
+  }
+
+  //lines need both vertices, holes need their line, areas need at least a triangle or two vertices joined by a curved wall
+  layer.set('lines', layer.lines.filter(line => line.vertices.size === 2 && line.vertices.every(vertexID => layer.vertices.has(vertexID))));
+  layer.set('holes', layer.holes.filter(hole => layer.lines.has(hole.line)));
+  layer.set('areas', layer.areas.filter(area => {
+    let verticesCount = area.vertices.filter(vertexID => layer.vertices.has(vertexID)).size;
+    return verticesCount >= 3 || verticesCount === 2 && area.lines.filter(lineID => layer.lines.has(lineID)).size === 2;
+  }));
+  layer.set('dimensions', layer.dimensions.filter(dimension => dimension.vertices.every(vertexID => layer.vertices.has(vertexID))));
+
+  layer.set('lines', layer.lines.map(line => {
+    let holes = line.holes.filter(holeID => layer.holes.has(holeID));
+    layer.holes.forEach(hole => {
+      if (hole.line === line.id && !holes.contains(hole.id)) holes = holes.push(hole.id);
+    });
+    return line.set('holes', holes);
+  }));
+
+  layer.set('areas', layer.areas.map(area => area.merge({
+    vertices: area.vertices.filter(vertexID => layer.vertices.has(vertexID)),
+    lines: area.lines.filter(lineID => layer.lines.has(lineID)),
+    holes: toList(area.holes).filter(areaID => layer.areas.has(areaID))
+  })));
+
+  layer.set('vertices', layer.vertices.map(vertex => vertex.merge({
+    lines: vertex.lines.filter(lineID => layer.lines.has(lineID)),
+    areas: vertex.areas.filter(areaID => layer.areas.has(areaID)),
+    dimensions: vertex.dimensions.filter(dimensionID => layer.dimensions.has(dimensionID))
+  })));
+
+  //vertices left without the lines, areas and dimensions resting on them go too
+  let usedVertexIDs = new Set();
+  ['lines', 'areas', 'dimensions'].forEach(prototype => {
+    layer.get(prototype).forEach(element => element.vertices.forEach(vertexID => usedVertexIDs.add(vertexID)));
+  });
+  layer.set('vertices', layer.vertices.filter(vertex => usedVertexIDs.has(vertex.id)));
+
+  layer.set('selected', layer.selected.withMutations(selected => {
+    ['vertices', 'lines', 'holes', 'areas', 'items', 'dimensions', 'annotations'].forEach(prototype => {
+      selected.set(prototype, selected.get(prototype).filter(elementID => layer.hasIn([prototype, elementID])));
+    });
+  }));
+});
+
+/** @description Drop the dangling references a validation would report, removing the elements that cannot stand without them
+ *  and the vertices nothing rests on anymore
+ *  @param {Scene} scene Scene model to repair
+ *  @param {Catalog} catalog Catalog model the element types should belong to
+ *  @return {Scene} Repaired scene
+ */
+export function repairScene(scene, catalog) {
+  let layers = scene.layers.map(layer => repairLayer(layer, catalog));
+
+  let groups = scene.groups.map(group => group.set('elements', group.elements
+    .filter((groupLayerElements, layerID) => layers.has(layerID))
+    .map((groupLayerElements, layerID) => groupLayerElements.map((elementIDs, prototype) =>
+      elementIDs.filter(elementID => layers.get(layerID).hasIn([prototype, elementID]))
+    ))
+  ));
+
+  return scene.merge({ layers, groups });
+}
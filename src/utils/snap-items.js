@@ -0,0 +1,211 @@
+import { SNAP_ITEM } from './snap';
+import { wallPath, wallPoint, wallLength, wallCenterOffset } from './walls';
+import { lengthStep } from './units';
+
+//distance within which an item is pulled against a wall or lined up with what is around it
+const ITEM_SNAP_RADIUS = 20;
+
+//walls, holes and items farther than this from an item are not lined up with it
+const NEIGHBORHOOD = 150;
+
+//directions closer than this, in radians, count as parallel
+const PARALLEL = Math.PI / 360;
+
+const EDGE = 'edge';
+const CENTER = 'center';
+
+/** @description Footprint of an item, from its width and depth properties
+ *  @param {Item} item Item model
+ *  @return {{width: number, depth: number}} Both 0 when the item has no such properties
+ */
+export function itemFootprint(item) {
+  return {
+    width: item.properties.getIn(['width', 'length']) || 0,
+    depth: item.properties.getIn(['depth', 'length']) || 0
+  };
+}
+
+//every straight stretch of the walls, with the distances of the wall faces from it, positive on its left
+function wallSegments(layer) {
+  let segments = [];
+
+  layer.lines.forEach(line => {
+    let thickness = line.getIn(['properties', 'thickness', 'length']) || 0;
+    let centerOffset = wallCenterOffset(line);
+    let path = wallPath(layer, line);
+
+    path.slice(1).forEach((end, index) => {
+      let start = path[index];
+      let length = Math.hypot(end.x - start.x, end.y - start.y);
+      if (!length) return;
+
+      segments.push({
+        start, length,
+        ux: (end.x - start.x) / length,
+        uy: (end.y - start.y) / length,
+        faces: [ centerOffset + thickness / 2, centerOffset - thickness / 2 ]
+      });
+    });
+  });
+
+  return segments;
+}
+
+function segmentDistance({ start, length, ux, uy }, x, y) {
+  let along = Math.min(length, Math.max(0, (x - start.x) * ux + (y - start.y) * uy));
+  return Math.hypot(x - start.x - ux * along, y - start.y - uy * along);
+}
+
+//half the size of a rotated rectangle seen along a direction
+function halfExtent(axis, width, depth, rotation) {
+  let angle = rotation * Math.PI / 180;
+  let cos = Math.cos(angle), sin = Math.sin(angle);
+
+  return (Math.abs(axis.x * cos + axis.y * sin) * width + Math.abs(axis.y * cos - axis.x * sin) * depth) / 2;
+}
+
+//the back of an item, its local -y side, against the closest wall face, its front facing away from the wall
+function flushAgainstWall(segments, x, y, depth) {
+  let best = null;
+
+  segments.forEach(({ start, length, ux, uy, faces }) => {
+    let along = (x - start.x) * ux + (y - start.y) * uy;
+    if (along < 0 || along > length) return;
+
+    let across = (y - start.y) * ux - (x - start.x) * uy;
+
+    faces.forEach((face, index) => {
+      let side = index ? -1 : 1;
+      let target = face + side * depth / 2;
+      let distance = Math.abs(across - target);
+
+      if (distance < ITEM_SNAP_RADIUS && (!best || distance < best.distance)) {
+        best = {
+          distance,
+          x: start.x + ux * along - uy * target,
+          y: start.y + uy * along + ux * target,
+          rotation: Math.atan2(side * ux, -side * uy) * 180 / Math.PI - 90
+        };
+      }
+    });
+  });
+
+  return best;
+}
+
+//positions along an axis that an item can line its edges and center up with: neighboring items, faces of walls across the axis, holes along it
+function alignmentTargets(layer, segments, item, x, y, axis, reach) {
+  let targets = [];
+  let position = (px, py) => px * axis.x + py * axis.y;
+  let parallel = (dx, dy) => Math.abs(dx * axis.y - dy * axis.x) < Math.sin(PARALLEL);
+
+  layer.items.forEach(other => {
+    if (other.id === item.id) return;
+
+    let turn = ((other.rotation - item.rotation) % 90 + 90) % 90;
+    if (Math.min(turn, 90 - turn) * Math.PI / 180 >= PARALLEL) return;
+
+    let { width, depth } = itemFootprint(other);
+    if (Math.hypot(other.x - x, other.y - y) > reach + Math.hypot(width, depth) / 2) return;
+
+    let center = position(other.x, other.y);
+    let extent = halfExtent(axis, width, depth, other.rotation);
+
+    targets.push({ value: center, kind: CENTER });
+    if (extent) targets.push({ value: center - extent, kind: EDGE }, { value: center + extent, kind: EDGE });
+  });
+
+  segments.forEach(segment => {
+    let { start, ux, uy, faces } = segment;
+    if (!parallel(-uy, ux) || segmentDistance(segment, x, y) > reach) return;
+
+    faces.forEach(face => targets.push({ value: position(start.x - uy * face, start.y + ux * face), kind: EDGE }));
+  });
+
+  layer.holes.forEach(hole => {
+    let line = layer.lines.get(hole.line);
+    if (!line) return;
+
+    let { x: hx, y: hy, angle } = wallPoint(layer, line, hole.offset);
+    let halfWidth = (hole.properties.getIn(['width', 'length']) || 0) / 2;
+    if (!parallel(Math.cos(angle), Math.sin(angle)) || Math.hypot(hx - x, hy - y) > reach + halfWidth) return;
+
+    let center = position(hx, hy);
+    targets.push({ value: center, kind: CENTER }, { value: center - halfWidth, kind: EDGE }, { value: center + halfWidth, kind: EDGE });
+  });
+
+  return targets;
+}
+
+//shortest move lining one of the positions up with a target of the same kind, 0 when none is close enough
+function lineUp(positions, targets) {
+  let best = 0;
+
+  positions.forEach(({ value, kind }) => targets.forEach(target => {
+    let shift = target.value - value;
+    if (target.kind === kind && Math.abs(shift) < ITEM_SNAP_RADIUS && (!best || Math.abs(shift) < Math.abs(best))) best = shift;
+  }));
+
+  return best;
+}
+
+/** @description Position of an item moved to a point once snapped: pulled flush against a close wall face and turned
+ *  to face away from it, then its edges and center lined up with the neighboring items, wall faces and hole jambs
+ *  @param {Layer} layer Layer model
+ *  @param {Item} item Item model
+ *  @param {number} x Position's x
+ *  @param {number} y Position's y
+ *  @param {number} rotation Rotation of the item when it is not against a wall, in degrees
+ *  @param {Map} snapMask Snap mask
+ *  @return {{x: number, y: number, rotation: number}}
+ */
+export function snapItem(layer, item, x, y, rotation, snapMask) {
+  if (!snapMask.get(SNAP_ITEM)) return { x, y, rotation };
+
+  let segments = wallSegments(layer);
+  let { width, depth } = itemFootprint(item);
+
+  let flush = width && depth ? flushAgainstWall(segments, x, y, depth) : null;
+  if (flush) ({ x, y, rotation } = flush);
+
+  let angle = rotation * Math.PI / 180;
+  let axes = [ { x: Math.cos(angle), y: Math.sin(angle) }, { x: -Math.sin(angle), y: Math.cos(angle) } ];
+  let reach = NEIGHBORHOOD + Math.hypot(width, depth) / 2;
+  let placed = item.set('rotation', rotation);
+
+  //once against a wall, the item only slides along it
+  (flush ? axes.slice(0, 1) : axes).forEach(axis => {
+    let center = x * axis.x + y * axis.y;
+    let extent = halfExtent(axis, width, depth, rotation);
+    let positions = extent ?
+      [ { value: center, kind: CENTER }, { value: center - extent, kind: EDGE }, { value: center + extent, kind: EDGE } ] :
+      [ { value: center, kind: CENTER } ];
+
+    let shift = lineUp(positions, alignmentTargets(layer, segments, placed, x, y, axis, reach));
+    x += axis.x * shift;
+    y += axis.y * shift;
+  });
+
+  return { x, y, rotation };
+}
+
+/** @description Hole offset with the jamb closest to an end of the wall at a round distance from it
+ *  @param {Layer} layer Layer model
+ *  @param {Line} line Line model of the wall the hole is in
+ *  @param {number} offset Hole offset, fraction of the wall's length from its vertex with the smallest x
+ *  @param {number} width Hole's width
+ *  @param {string} unit Display unit, whose round lengths the distance is a multiple of
+ *  @param {Map} snapMask Snap mask
+ *  @return {number} The snapped offset
+ */
+export function snapHoleOffset(layer, line, offset, width, unit, snapMask) {
+  let length = wallLength(layer, line);
+  if (!snapMask.get(SNAP_ITEM) || length <= width) return offset;
+
+  let step = lengthStep(unit);
+  let fromStart = offset * length - width / 2;
+  let fromEnd = (1 - offset) * length - width / 2;
+  let rounded = distance => Math.max(0, Math.round(distance / step) * step) + width / 2;
+
+  return fromStart <= fromEnd ? rounded(fromStart) / length : 1 - rounded(fromEnd) / length;
+}
@@ -4,88 +4,174 @@ import {
   SNAP_SEGMENT,
   SNAP_GRID,
   SNAP_GUIDE,
+  SnapIndex,
   addPointSnap,
   addLineSnap,
   addLineSegmentSnap,
-  addGridSnap
+  addGridSnap,
+  removeSnaps
 } from './snap';
 import { GeometryUtils } from './export';
-import { Map, List } from 'immutable';
+import { wallPath } from './walls';
+import { Map, Record } from 'immutable';
+
+const SCENE_SNAPS = [SNAP_POINT, SNAP_LINE, SNAP_SEGMENT, SNAP_GRID, SNAP_GUIDE];
+
+//the snaps of a scene with the parts of the scene they were built from, a later scene where only some vertices and walls changed updates them
+export class SceneSnapIndex extends Record({
+  snapIndex: new SnapIndex(),
+  snapMask: new Map(),
+  layers: new Map(),
+  width: 0,
+  height: 0,
+  guides: null
+}, 'SceneSnapIndex') {}
+
+function addGridAndGuideSnaps(snapIndex, scene, snapMask) {
+  let { width, height } = scene;
 
-export function sceneSnapElements(scene, snapElements = new List(), snapMask = new Map()) {
+  if (snapMask.get(SNAP_GRID)) {
+    let divider = 5;
+    let gridCellSize = 100 / divider;
+    let xCycle = width / gridCellSize;
+    let yCycle = height / gridCellSize;
 
-  let { width, height } = scene;
+    for (let x = 0; x < xCycle; x++) {
+      let xMul = x * gridCellSize;
 
-  let a, b, c;
-  return snapElements.withMutations(snapElements => {
-    scene.layers.forEach(layer => {
+      for (let y = 0; y < yCycle; y++) {
+        let yMul = y * gridCellSize;
 
-      let { lines, vertices } = layer;
+        let onXCross = !(x % divider) ? true : false;
+        let onYCross = !(y % divider) ? true : false;
 
-      vertices.forEach(({ id: vertexID, x, y }) => {
+        snapIndex = addGridSnap(snapIndex, xMul, yMul, 10, onXCross && onYCross ? 15 : 10, null);
+      }
+    }
+  }
+
+  if (snapMask.get(SNAP_GUIDE)) {
 
-        if (snapMask.get(SNAP_POINT)) {
-          addPointSnap(snapElements, x, y, 10, 10, vertexID);
-        }
+    let horizontal = scene.getIn(['guides', 'horizontal']);
+    let vertical = scene.getIn(['guides', 'vertical']);
 
-        if (snapMask.get(SNAP_LINE)) {
-          ({ a, b, c } = GeometryUtils.horizontalLine(y));
-          addLineSnap(snapElements, a, b, c, 10, 1, vertexID);
-          ({ a, b, c } = GeometryUtils.verticalLine(x));
-          addLineSnap(snapElements, a, b, c, 10, 1, vertexID);
-        }
+    let hValues = horizontal.valueSeq();
+    let vValues = vertical.valueSeq();
 
+    hValues.forEach(hVal => {
+      vValues.forEach(vVal => {
+        snapIndex = addPointSnap(snapIndex, vVal, hVal, 10, 10);
       });
+    });
 
-      if (snapMask.get(SNAP_SEGMENT)) {
-        lines.forEach(({ id: lineID, vertices: [v0, v1] }) => {
-          let { x: x1, y: y1 } = vertices.get(v0);
-          let { x: x2, y: y2 } = vertices.get(v1);
+    hValues.forEach(hVal => snapIndex = addLineSegmentSnap(snapIndex, 0, hVal, width, hVal, 20, 1));
+    vValues.forEach(vVal => snapIndex = addLineSegmentSnap(snapIndex, vVal, 0, vVal, height, 20, 1));
 
-          addLineSegmentSnap(snapElements, x1, y1, x2, y2, 20, 1, lineID);
-        });
-      }
+  }
 
-    });
+  return snapIndex;
+}
 
-    if (snapMask.get(SNAP_GRID)) {
-      let divider = 5;
-      let gridCellSize = 100 / divider;
-      let xCycle = width / gridCellSize;
-      let yCycle = height / gridCellSize;
+function addVertexSnaps(snapIndex, { id: vertexID, x, y }, snapMask) {
+  let a, b, c;
 
-      for (let x = 0; x < xCycle; x++) {
-        let xMul = x * gridCellSize;
+  if (snapMask.get(SNAP_POINT)) {
+    snapIndex = addPointSnap(snapIndex, x, y, 10, 10, vertexID);
+  }
 
-        for (let y = 0; y < yCycle; y++) {
-          let yMul = y * gridCellSize;
+  if (snapMask.get(SNAP_LINE)) {
+    ({ a, b, c } = GeometryUtils.horizontalLine(y));
+    snapIndex = addLineSnap(snapIndex, a, b, c, 10, 1, vertexID);
+    ({ a, b, c } = GeometryUtils.verticalLine(x));
+    snapIndex = addLineSnap(snapIndex, a, b, c, 10, 1, vertexID);
+  }
 
-          let onXCross = !(x % divider) ? true : false;
-          let onYCross = !(y % divider) ? true : false;
+  return snapIndex;
+}
 
-          addGridSnap(snapElements, xMul, yMul, 10, onXCross && onYCross ? 15 : 10, null);
-        }
-      }
-    }
+function addWallSnaps(snapIndex, layer, line, snapMask) {
+  if (!snapMask.get(SNAP_SEGMENT)) return snapIndex;
 
-    if (snapMask.get(SNAP_GUIDE)) {
+  //a curved wall is snapped to along the segments of its arc
+  let path = wallPath(layer, line);
 
-      let horizontal = scene.getIn(['guides', 'horizontal']);
-      let vertical = scene.getIn(['guides', 'vertical']);
+  path.slice(1).forEach(({ x: x2, y: y2 }, index) => {
+    let { x: x1, y: y1 } = path[index];
+    snapIndex = addLineSegmentSnap(snapIndex, x1, y1, x2, y2, 20, 1, line.id);
+  });
 
-      let hValues = horizontal.valueSeq();
-      let vValues = vertical.valueSeq();
+  return snapIndex;
+}
 
-      hValues.forEach(hVal => {
-        vValues.forEach(vVal => {
-          addPointSnap(snapElements, vVal, hVal, 10, 10);
-        });
-      });
+//replaces the snaps of the vertices and walls that differ between two versions of a layer
+function updateLayerSnaps(snapIndex, previousLayer, layer, snapMask) {
+  let previousVertices = previousLayer ? previousLayer.vertices : new Map();
+  let previousLines = previousLayer ? previousLayer.lines : new Map();
+  let vertices = layer ? layer.vertices : new Map();
+  let lines = layer ? layer.lines : new Map();
 
-      hValues.forEach(hVal => addLineSegmentSnap(snapElements, 0, hVal, width, hVal, 20, 1));
-      vValues.forEach(vVal => addLineSegmentSnap(snapElements, vVal, 0, vVal, height, 20, 1));
+  if (previousVertices === vertices && previousLines === lines) return snapIndex;
 
-    }
+  let changedVertices = new Set();
+  let changedLines = new Set();
+
+  previousVertices.forEach((vertex, vertexID) => { if (vertices.get(vertexID) !== vertex) changedVertices.add(vertexID); });
+  vertices.forEach((vertex, vertexID) => { if (!previousVertices.has(vertexID)) changedVertices.add(vertexID); });
+  previousLines.forEach((line, lineID) => { if (lines.get(lineID) !== line) changedLines.add(lineID); });
+  lines.forEach((line, lineID) => { if (!previousLines.has(lineID)) changedLines.add(lineID); });
+
+  //a wall follows its vertices
+  changedVertices.forEach(vertexID => [previousVertices.get(vertexID), vertices.get(vertexID)].forEach(vertex => {
+    if (vertex) vertex.lines.forEach(lineID => changedLines.add(lineID));
+  }));
+
+  changedVertices.forEach(vertexID => {
+    snapIndex = removeSnaps(snapIndex, vertexID);
+    if (vertices.has(vertexID)) snapIndex = addVertexSnaps(snapIndex, vertices.get(vertexID), snapMask);
+  });
+
+  changedLines.forEach(lineID => {
+    snapIndex = removeSnaps(snapIndex, lineID);
+    let line = lines.get(lineID);
+    if (line && line.vertices.every(vertexID => vertices.has(vertexID))) snapIndex = addWallSnaps(snapIndex, layer, line, snapMask);
+  });
+
+  return snapIndex;
+}
+
+/** @description Build the snaps of a scene, updating the ones built for a previous version of the scene when possible
+ *  @param {Scene} scene Scene model
+ *  @param {Map} snapMask Kinds of snap enabled
+ *  @param {?SceneSnapIndex} previous Snaps built before, e.g. kept in the planner state
+ *  @return {SceneSnapIndex} Snaps of the scene, to pass back for the next version of the scene
+ */
+export function buildSceneSnapIndex(scene, snapMask = new Map(), previous = null) {
+
+  let reusable = previous instanceof SceneSnapIndex &&
+    previous.width === scene.width &&
+    previous.height === scene.height &&
+    previous.guides === scene.guides &&
+    SCENE_SNAPS.every(snap => !previous.snapMask.get(snap) === !snapMask.get(snap));
+
+  let snapIndex = reusable ? previous.snapIndex : addGridAndGuideSnaps(new SnapIndex(), scene, snapMask);
+  let previousLayers = reusable ? previous.layers : new Map();
+
+  scene.layers.forEach((layer, layerID) => {
+    snapIndex = updateLayerSnaps(snapIndex, previousLayers.get(layerID), layer, snapMask);
+  });
+  previousLayers.forEach((layer, layerID) => {
+    if (!scene.layers.has(layerID)) snapIndex = updateLayerSnaps(snapIndex, layer, null, snapMask);
+  });
+
+  return new SceneSnapIndex({ snapIndex, snapMask, layers: scene.layers, width: scene.width, height: scene.height, guides: scene.guides });
+}
 
-  })
+/** @description Build the snaps of a scene from scratch
+ *  @param {Scene} scene Scene model
+ *  @param {*} snapElements Unused, the snaps are a SnapIndex built for the scene alone
+ *  @param {Map} snapMask Kinds of snap enabled
+ *  @return {SnapIndex}
+ */
+export function sceneSnapElements(scene, snapElements, snapMask = new Map()) {
+  return buildSceneSnapIndex(scene, snapMask).snapIndex;
 }
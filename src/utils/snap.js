@@ -6,13 +6,23 @@ export const SNAP_LINE = 'SNAP_LINE';
 export const SNAP_SEGMENT = 'SNAP_SEGMENT';
 export const SNAP_GRID = 'SNAP_GRID';
 export const SNAP_GUIDE = 'SNAP_GUIDE';
+export const SNAP_ANGLE = 'SNAP_ANGLE';
+export const SNAP_ANGLE_STEP = 'SNAP_ANGLE_STEP';
+export const SNAP_ORTHO = 'SNAP_ORTHO';
+export const SNAP_ITEM = 'SNAP_ITEM';
+
+export const ANGLE_SNAP_STEPS = [5, 15, 30, 45, 90];
 
 export const SNAP_MASK = new Map({
   SNAP_POINT : true,
   SNAP_LINE : true,
   SNAP_SEGMENT : true,
   SNAP_GRID : false,
-  SNAP_GUIDE : true
+  SNAP_GUIDE : true,
+  SNAP_ANGLE : false,
+  SNAP_ANGLE_STEP : 45,
+  SNAP_ORTHO : false,
+  SNAP_ITEM : true
 });
 
 class PointSnap extends Record({
@@ -77,7 +87,93 @@ class GridSnap extends Record({
   isNear(x,y,distance){ return ~(this.x - x) + 1 < distance && ~(this.y - y) + 1 < distance; }
 }
 
-export function nearestSnap(snapElements, x, y, snapMask) {
+//snaps are bucketed in square cells of this side, a lookup only reads the cell under the cursor
+const CELL_SIZE = 100;
+
+//snaps reaching more cells than this are kept aside and checked on every lookup
+const MAX_SNAP_CELLS = 256;
+
+//the crossing of two lines is a point snap, found at lookup among the lines near the cursor
+const LINES_CROSSING_RADIUS = 20;
+const LINES_CROSSING_PRIORITY = 40;
+
+export class SnapIndex extends Record({
+  cells: new Map(),     //cell key -> snaps reaching the cell
+  rows: new Map(),      //row of cells -> horizontal lines reaching the row
+  columns: new Map(),   //column of cells -> vertical lines reaching the column
+  wide: new List(),     //snaps reaching too many cells and oblique lines
+  owners: new Map()     //related element id -> snaps added for it, with where they are stored
+}, 'SnapIndex') {}
+
+const cellOf = value => Math.floor(value / CELL_SIZE);
+
+function cellsPaths(minX, minY, maxX, maxY) {
+  let [ column0, column1, row0, row1 ] = [ cellOf(minX), cellOf(maxX), cellOf(minY), cellOf(maxY) ];
+  if ((column1 - column0 + 1) * (row1 - row0 + 1) > MAX_SNAP_CELLS) return [ [ 'wide' ] ];
+
+  let paths = [];
+  for (let column = column0; column <= column1; column++) {
+    for (let row = row0; row <= row1; row++) {
+      paths.push([ 'cells', `${column},${row}` ]);
+    }
+  }
+  return paths;
+}
+
+function bandPaths(bucket, value, reach) {
+  let paths = [];
+  for (let band = cellOf(value - reach); band <= cellOf(value + reach); band++) {
+    paths.push([ bucket, band ]);
+  }
+  return paths;
+}
+
+function snapPaths(snap) {
+  let {radius} = snap;
+
+  switch (snap.type) {
+    case 'line': {
+      let reach = Math.max(radius, LINES_CROSSING_RADIUS);
+      if (!snap.a) return bandPaths('rows', -snap.c / snap.b, reach);
+      if (!snap.b) return bandPaths('columns', -snap.c / snap.a, reach);
+      return [ [ 'wide' ] ];
+    }
+
+    case 'line-segment':
+      return cellsPaths(
+        Math.min(snap.x1, snap.x2) - radius, Math.min(snap.y1, snap.y2) - radius,
+        Math.max(snap.x1, snap.x2) + radius, Math.max(snap.y1, snap.y2) + radius
+      );
+
+    default:
+      return cellsPaths(snap.x - radius, snap.y - radius, snap.x + radius, snap.y + radius);
+  }
+}
+
+function addSnap(snapIndex, snap) {
+  let paths = snapPaths(snap);
+  let owner = snap.related.get(0);
+
+  return snapIndex.withMutations(snapIndex => {
+    paths.forEach(path => snapIndex.updateIn(path, new List(), snaps => snaps.push(snap)));
+
+    if (owner !== undefined && owner !== null) {
+      snapIndex.updateIn([ 'owners', owner ], new List(), owned => owned.concat(paths.map(path => ({path, snap}))));
+    }
+  });
+}
+
+export function removeSnaps(snapIndex, related) {
+  let owned = snapIndex.owners.get(related);
+  if (!owned) return snapIndex;
+
+  return snapIndex.withMutations(snapIndex => {
+    owned.forEach(({path, snap}) => snapIndex.updateIn(path, snaps => snaps.filter(stored => stored !== snap)));
+    snapIndex.deleteIn([ 'owners', related ]);
+  });
+}
+
+export function nearestSnap(snapIndex, x, y, snapMask) {
 
   let filter = {
     'point': snapMask.get(SNAP_POINT),
@@ -86,8 +182,33 @@ export function nearestSnap(snapElements, x, y, snapMask) {
     'grid': snapMask.get(SNAP_GRID)
   };
 
-  return snapElements
-  .valueSeq()
+  let candidates = [];
+  [
+    snapIndex.cells.get(`${cellOf(x)},${cellOf(y)}`),
+    snapIndex.rows.get(cellOf(y)),
+    snapIndex.columns.get(cellOf(x)),
+    snapIndex.wide
+  ].forEach(snaps => snaps && snaps.forEach(snap => { candidates.push(snap); }));
+
+  if (filter.point) {
+    //two lines only cross near the cursor when both pass near it
+    let lines = {};
+    candidates.forEach(snap => {
+      if (snap.type === 'line' && snap.nearestPoint(x, y).distance < LINES_CROSSING_RADIUS) lines[`${snap.a},${snap.b},${snap.c}`] = snap;
+    });
+    lines = Object.values(lines);
+
+    lines.forEach((line, index) => lines.slice(index + 1).forEach(other => {
+      let crossing = Geometry.twoLinesIntersection(line.a, line.b, line.c, other.a, other.b, other.c);
+      if (crossing) candidates.push(new PointSnap({
+        x: crossing.x, y: crossing.y,
+        radius: LINES_CROSSING_RADIUS, priority: LINES_CROSSING_PRIORITY,
+        related: new List([undefined])
+      }));
+    }));
+  }
+
+  return new List(candidates)
   .filter( ( el ) => filter[el.type] && el.isNear(x,y, el.radius) )
   .map(snap => { return {snap, point: snap.nearestPoint(x, y)} })
   .filter(({snap: {radius}, point: {distance}}) => distance < radius)
@@ -99,40 +220,41 @@ export function nearestSnap(snapElements, x, y, snapMask) {
   );
 }
 
-export function addPointSnap(snapElements, x, y, radius, priority, related) {
+export function addPointSnap(snapIndex, x, y, radius, priority, related) {
   related = new List([related]);
-  return snapElements.push(new PointSnap({x, y, radius, priority, related}));
+  return addSnap(snapIndex, new PointSnap({x, y, radius, priority, related}));
 }
 
-export function addLineSnap(snapElements, a, b, c, radius, priority, related) {
+//crossings with the other lines are not stored, nearestSnap finds them among the lines near the cursor
+export function addLineSnap(snapIndex, a, b, c, radius, priority, related) {
   related = new List([related]);
-
-  return snapElements.withMutations(snapElements => {
-
-    let alreadyPresent = snapElements.some(lineSnap =>
-    lineSnap.type === 'line' &&
-    a === lineSnap.a &&
-    b === lineSnap.b &&
-    c === lineSnap.c);
-    if (alreadyPresent) return snapElements;
-
-    let intersections = snapElements
-      .valueSeq()
-      .filter(snap => snap.type === 'line')
-      .map(snap => Geometry.twoLinesIntersection(snap.a, snap.b, snap.c, a, b, c))
-      .filter(intersection => intersection !== undefined)
-      .forEach(({x, y}) => addPointSnap(snapElements, x, y, 20, 40));
-
-    snapElements.push(new LineSnap({a, b, c, radius, priority, related}));
-  })
+  return addSnap(snapIndex, new LineSnap({a, b, c, radius, priority, related}));
 }
 
-export function addLineSegmentSnap(snapElements, x1, y1, x2, y2, radius, priority, related) {
+export function addLineSegmentSnap(snapIndex, x1, y1, x2, y2, radius, priority, related) {
   related = new List([related]);
-  return snapElements.push(new LineSegmentSnap({x1, y1, x2, y2, radius, priority, related}));
+  return addSnap(snapIndex, new LineSegmentSnap({x1, y1, x2, y2, radius, priority, related}));
 }
 
-export function addGridSnap(snapElements, x, y, radius, priority, related) {
+export function addGridSnap(snapIndex, x, y, radius, priority, related) {
   related = new List([related]);
-  return snapElements.push(new GridSnap({x, y, radius, priority, related}));
+  return addSnap(snapIndex, new GridSnap({x, y, radius, priority, related}));
+}
+
+//directions are constrained to multiples of this angle in degrees, 0 when they are free
+export function angleSnapStep(snapMask) {
+  if (snapMask.get(SNAP_ORTHO)) return 90;
+  return snapMask.get(SNAP_ANGLE) ? snapMask.get(SNAP_ANGLE_STEP) : 0;
+}
+
+//moves x, y on the nearest constrained direction from x0, y0, keeping its projection on it
+export function constrainAngle(x0, y0, x, y, step) {
+  if (!step) return {x, y};
+
+  let stepRadians = step * Math.PI / 180;
+  let angle = Math.round(Math.atan2(y - y0, x - x0) / stepRadians) * stepRadians;
+  let cos = Math.cos(angle), sin = Math.sin(angle);
+  let length = (x - x0) * cos + (y - y0) * sin;
+
+  return {x: x0 + length * cos, y: y0 + length * sin};
 }
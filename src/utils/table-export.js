@@ -0,0 +1,33 @@
+import { fromStorageUnit, fromStorageArea } from './units';
+import { toFixedFloat } from './math';
+
+//decimals of the measures and prices written in the exported tables
+export const PRECISION = 2;
+
+/** @description Area in the storage unit, in the square unit of a display unit, rounded for an export
+ *  @param {number} area Area in the storage unit
+ *  @param {string} unit Display unit
+ *  @return {number}
+ */
+export function exportedArea(area, unit) {
+  return toFixedFloat(fromStorageArea(area, unit), PRECISION);
+}
+
+/** @description Length in the storage unit, in the unit of a column, rounded for an export
+ *  @param {number} length Length in the storage unit
+ *  @param {string} unit Unit of the column
+ *  @return {number}
+ */
+export function exportedLength(length, unit) {
+  return toFixedFloat(fromStorageUnit(length, unit), PRECISION);
+}
+
+const csvField = value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+
+/** @description Line of a CSV document, quoting the values holding commas, quotes or new lines. Missing values are left empty
+ *  @param {array} values Values of the line
+ *  @return {string}
+ */
+export function csvRow(values) {
+  return values.map(value => value === null || value === undefined ? '' : csvField(value)).join(',');
+}
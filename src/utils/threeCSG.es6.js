@@ -581,4 +581,4 @@ class Node {
     }
 }
 
-window.ThreeBSP = ThreeBSP;
+if (typeof window !== 'undefined') window.ThreeBSP = ThreeBSP;
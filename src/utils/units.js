@@ -0,0 +1,163 @@
+import {
+  UNIT_MILLIMETER,
+  UNIT_CENTIMETER,
+  UNIT_METER,
+  UNIT_INCH,
+  UNIT_FOOT,
+  UNIT_FEET_INCHES,
+  UNIT_MILE,
+  DEFAULT_INCH_FRACTION
+} from '../constants';
+import { toFixedFloat } from './math';
+
+//scene coordinates and length properties are stored in centimeters, Scene.unit only changes how they are shown
+const IMPERIAL_UNITS = [UNIT_INCH, UNIT_FOOT, UNIT_FEET_INCHES, UNIT_MILE];
+
+//exact factors, convert-units goes through a rounded meters to feet ratio and 12' would not be 365.76cm
+const CENTIMETERS_PER_UNIT = {
+  [UNIT_MILLIMETER]: 0.1,
+  [UNIT_CENTIMETER]: 1,
+  [UNIT_METER]: 100,
+  [UNIT_INCH]: 2.54,
+  [UNIT_FOOT]: 30.48,
+  [UNIT_FEET_INCHES]: 2.54, //as a plain number a feet-inches length is a count of inches
+  [UNIT_MILE]: 160934.4
+};
+
+/** @description Convert a stored length to the unit it is displayed in
+ *  @param {number} length Length in the storage unit
+ *  @param {string} unit Display unit
+ *  @param {string} storageUnit Unit the length is stored in, centimeters if not specified
+ *  @return {number}
+*/
+export function fromStorageUnit(length, unit, storageUnit = UNIT_CENTIMETER) {
+  return unit === storageUnit ? length : length * CENTIMETERS_PER_UNIT[storageUnit] / CENTIMETERS_PER_UNIT[unit];
+}
+
+/** @description Convert a displayed length back to the storage unit
+ *  @param {number} length Length in the display unit
+ *  @param {string} unit Display unit
+ *  @param {string} storageUnit Unit the length is stored in, centimeters if not specified
+ *  @return {number}
+*/
+export function toStorageUnit(length, unit, storageUnit = UNIT_CENTIMETER) {
+  return unit === storageUnit ? length : length * CENTIMETERS_PER_UNIT[unit] / CENTIMETERS_PER_UNIT[storageUnit];
+}
+
+const greatestCommonDivisor = (a, b) => b ? greatestCommonDivisor(b, a % b) : a;
+
+/** @description Format a stored length as feet, inches and a reduced inch fraction, e.g. 12' 6 1/2"
+ *  @param {number} length Length in centimeters
+ *  @param {number} inchFraction Denominator of the smallest fraction of inch shown, 16 if not specified
+ *  @return {string}
+*/
+export function formatFeetInches(length, inchFraction = DEFAULT_INCH_FRACTION) {
+  let sign = length < 0 ? '-' : '';
+  let fractions = Math.round(Math.abs(length) / CENTIMETERS_PER_UNIT[UNIT_INCH] * inchFraction);
+  let fractionsPerFoot = 12 * inchFraction;
+
+  let feet = Math.floor(fractions / fractionsPerFoot);
+  let inches = Math.floor((fractions % fractionsPerFoot) / inchFraction);
+  let numerator = fractions % inchFraction;
+
+  if (!numerator) return `${sign}${feet}' ${inches}"`;
+
+  let divisor = greatestCommonDivisor(numerator, inchFraction);
+  let fraction = `${numerator / divisor}/${inchFraction / divisor}`;
+
+  return `${sign}${feet}' ${inches ? `${inches} ` : ''}${fraction}"`;
+}
+
+const FEET_PART = /^(\d+(?:\.\d+)?|\.\d+)\s*(?:'|ft)\s*-?\s*/;
+const INCHES_PART = /^(?:(\d+(?:\.\d+)?|\.\d+)(?:\s+|-)?)?(?:(\d+)\s*\/\s*(\d+))?\s*(?:"|in)?$/;
+
+/** @description Parse a feet-inches length as typed by the user: 12' 6 1/2", 12'-6.5", 12ft, 6 1/2 or 150 (bare numbers are inches)
+ *  @param {string} text Typed length
+ *  @return {number} Length in centimeters, NaN if the text can't be parsed
+*/
+export function parseFeetInches(text) {
+  let rest = String(text).trim();
+  let sign = 1;
+
+  if (rest[0] === '-') {
+    sign = -1;
+    rest = rest.slice(1).trim();
+  }
+
+  let feet = 0;
+  let feetMatch = FEET_PART.exec(rest);
+  if (feetMatch) {
+    feet = parseFloat(feetMatch[1]);
+    rest = rest.slice(feetMatch[0].length);
+  }
+
+  let inches = 0;
+  if (rest) {
+    let inchesMatch = INCHES_PART.exec(rest);
+    if (!inchesMatch || (!inchesMatch[1] && !inchesMatch[2])) return NaN;
+
+    let [, whole, numerator, denominator] = inchesMatch;
+    if (numerator && !parseInt(denominator)) return NaN;
+
+    inches = (whole ? parseFloat(whole) : 0) + (numerator ? parseInt(numerator) / parseInt(denominator) : 0);
+  }
+  else if (!feetMatch) return NaN;
+
+  return sign * (feet * 12 + inches) * CENTIMETERS_PER_UNIT[UNIT_INCH];
+}
+
+/** @description Format a stored length in the display unit, e.g. "12.5 ft" or 12' 6 1/2"
+ *  @param {number} length Length in centimeters
+ *  @param {string} unit Display unit
+ *  @param {number} precision Decimal digits, 2 if not specified
+ *  @param {number} inchFraction Denominator of the smallest fraction of inch for feet-inches lengths
+ *  @return {string}
+*/
+export function formatLength(length, unit, precision = 2, inchFraction = DEFAULT_INCH_FRACTION) {
+  if (unit === UNIT_FEET_INCHES) return formatFeetInches(length, inchFraction);
+  return `${toFixedFloat(fromStorageUnit(length, unit), precision)} ${unit}`;
+}
+
+/** @description Format a stored surface in square meters, or square feet for imperial units
+ *  @param {number} area Surface in square centimeters
+ *  @param {string} unit Display unit
+ *  @param {number} precision Decimal digits, 2 if not specified
+ *  @return {string}
+*/
+export function formatArea(area, unit, precision = 2) {
+  return `${fromStorageArea(area, unit).toFixed(precision)} ${areaUnit(unit)}`;
+}
+
+/** @description Convert a stored area to the square unit it is displayed in: square feet for imperial units, square meters otherwise
+ *  @param {number} area Area in square centimeters
+ *  @param {string} unit Display unit of lengths
+ *  @return {number}
+*/
+export function fromStorageArea(area, unit) {
+  let side = CENTIMETERS_PER_UNIT[IMPERIAL_UNITS.includes(unit) ? UNIT_FOOT : UNIT_METER];
+  return area / (side * side);
+}
+
+/** @description Square unit areas are displayed in
+ *  @param {string} unit Display unit of lengths
+ *  @return {string} ft² or m²
+*/
+export function areaUnit(unit) {
+  return `${IMPERIAL_UNITS.includes(unit) ? 'ft' : 'm'}${String.fromCharCode(0xb2)}`;
+}
+
+/** @description Round length for moving things by steps in a unit: 5cm in metric units, 2" in imperial ones
+ *  @param {string} unit Display unit
+ *  @return {number} Step in centimeters
+*/
+export function lengthStep(unit) {
+  return IMPERIAL_UNITS.includes(unit) ? 2 * CENTIMETERS_PER_UNIT[UNIT_INCH] : 5;
+}
+
+/** @description Unit long lengths, like the run of a wall, are counted in: feet for imperial units, meters otherwise
+ *  @param {string} unit Display unit
+ *  @return {string}
+*/
+export function runUnit(unit) {
+  return IMPERIAL_UNITS.includes(unit) ? UNIT_FOOT : UNIT_METER;
+}
@@ -0,0 +1,581 @@
+import polylabel from 'polylabel';
+import areapolygon from 'area-polygon';
+import { JUSTIFY_LEFT, JUSTIFY_RIGHT, JUSTIFY_CENTER, EPSILON } from '../constants';
+import { twoLineSegmentsIntersection, samePoints } from './geometry';
+
+/** @description Distance of the middle of a wall from its line, positive when the wall stands on the left of the line.
+ *  Left and right are seen going from the line's first vertex to its second one
+ *  @param {Line} line Line model
+ *  @return {number}
+ */
+export function wallCenterOffset(line) {
+  let thickness = line.getIn(['properties', 'thickness', 'length']) || 0;
+
+  switch (line.justification) {
+    case JUSTIFY_LEFT: return thickness / 2;
+    case JUSTIFY_RIGHT: return -thickness / 2;
+    default: return 0;
+  }
+}
+
+/** @description Justification of a wall seen along another direction: left and right swap when the directions are opposite
+ *  @param {string} justification Justification along the direction from `from` to `to`
+ *  @param {{x: number, y: number}} from
+ *  @param {{x: number, y: number}} to
+ *  @param {{x: number, y: number}} start
+ *  @param {{x: number, y: number}} end
+ *  @return {string} Justification along the direction from `start` to `end`
+ */
+export function alignJustification(justification, from, to, start, end) {
+  let sameDirection = (to.x - from.x) * (end.x - start.x) + (to.y - from.y) * (end.y - start.y) >= 0;
+  if (sameDirection || justification === JUSTIFY_CENTER) return justification;
+
+  return justification === JUSTIFY_LEFT ? JUSTIFY_RIGHT : JUSTIFY_LEFT;
+}
+
+//largest angle of the segments a curved wall is drawn with
+const ARC_STEP = Math.PI / 36;
+
+/** @description Circle arc going from a point to another one
+ *  @param {{x: number, y: number}} start
+ *  @param {{x: number, y: number}} end
+ *  @param {number} bulge Distance of the middle of the arc from the chord, positive on the left going from `start` to `end`
+ *  @return {object|null} Center (x, y), radius, startAngle and sweep, counterclockwise when positive, both in radians.
+ *  Null when the bulge is too small for an arc
+ */
+export function wallArc(start, end, bulge) {
+  let chord = Math.hypot(end.x - start.x, end.y - start.y);
+  if (!chord || !bulge || Math.abs(bulge) <= EPSILON) return null;
+
+  let radius = (chord * chord / 4 + bulge * bulge) / (2 * Math.abs(bulge));
+
+  //the center is on the chord's axis, on the other side of the chord when the arc is less than half a circle
+  let centerDistance = bulge - Math.sign(bulge) * radius;
+  let x = (start.x + end.x) / 2 - (end.y - start.y) / chord * centerDistance;
+  let y = (start.y + end.y) / 2 + (end.x - start.x) / chord * centerDistance;
+
+  return {
+    x, y, radius,
+    startAngle: Math.atan2(start.y - y, start.x - x),
+    sweep: -Math.sign(bulge) * 4 * Math.atan(2 * Math.abs(bulge) / chord)
+  };
+}
+
+/** @description Bulge of the arc going from a point to another one through a third one
+ *  @param {{x: number, y: number}} start
+ *  @param {{x: number, y: number}} end
+ *  @param {{x: number, y: number}} point Any point of the arc
+ *  @return {number} The bulge, as taken by `wallArc`, 0 when the three points are aligned
+ */
+export function bulgeThrough(start, end, point) {
+  let chord = Math.hypot(end.x - start.x, end.y - start.y);
+  if (!chord) return 0;
+
+  let dx = (end.x - start.x) / chord, dy = (end.y - start.y) / chord;
+  let px = point.x - (start.x + end.x) / 2, py = point.y - (start.y + end.y) / 2;
+  let along = px * dx + py * dy;
+  let across = py * dx - px * dy;
+  if (Math.abs(across) <= EPSILON) return 0;
+
+  let centerDistance = (along * along + across * across - chord * chord / 4) / (2 * across);
+  return centerDistance + Math.sign(across) * Math.hypot(chord / 2, centerDistance);
+}
+
+//turn from the start of an arc to a point of its circle, in the arc's direction, between 0 and 2π
+function arcTurn(arc, x, y) {
+  let turn = (Math.atan2(y - arc.y, x - arc.x) - arc.startAngle) * Math.sign(arc.sweep);
+  return (turn % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+}
+
+//fraction of a wall, from its start, of its point closest to a position
+function alongWall(start, end, arc, x, y) {
+  if (arc) {
+    let sweep = Math.abs(arc.sweep);
+    let turn = arcTurn(arc, x, y);
+
+    //beyond the arc, the closest end is the one with the smallest turn away from it
+    return turn <= sweep ? turn / sweep : (turn - sweep < 2 * Math.PI - turn ? 1 : 0);
+  }
+
+  let dx = end.x - start.x, dy = end.y - start.y;
+  return Math.min(1, Math.max(0, ((x - start.x) * dx + (y - start.y) * dy) / (dx * dx + dy * dy)));
+}
+
+//point of a wall at a fraction of it from its start
+function pointAlongWall(start, end, arc, along) {
+  if (!arc) return { x: start.x + (end.x - start.x) * along, y: start.y + (end.y - start.y) * along };
+
+  let angle = arc.startAngle + arc.sweep * along;
+  return { x: arc.x + arc.radius * Math.cos(angle), y: arc.y + arc.radius * Math.sin(angle) };
+}
+
+/** @description Distance of a position from a wall
+ *  @param {{x: number, y: number}} start
+ *  @param {{x: number, y: number}} end
+ *  @param {number} bulge Bulge of the wall, as taken by `wallArc`
+ *  @param {{x: number, y: number}} position
+ *  @return {number}
+ */
+export function distanceFromWall(start, end, bulge, { x, y }) {
+  let arc = wallArc(start, end, bulge);
+  let point = pointAlongWall(start, end, arc, alongWall(start, end, arc, x, y));
+
+  return Math.hypot(point.x - x, point.y - y);
+}
+
+//points where a segment meets a circle
+function segmentCircleMeetings(start, end, circle) {
+  let dx = end.x - start.x, dy = end.y - start.y;
+  let fx = start.x - circle.x, fy = start.y - circle.y;
+  let a = dx * dx + dy * dy, b = 2 * (fx * dx + fy * dy), c = fx * fx + fy * fy - circle.radius * circle.radius;
+  let discriminant = b * b - 4 * a * c;
+  if (!a || discriminant < 0) return [];
+
+  let root = Math.sqrt(discriminant);
+  return [ (-b - root) / (2 * a), (-b + root) / (2 * a) ]
+    .filter(t => t >= -EPSILON && t <= 1 + EPSILON)
+    .map(t => ({ x: start.x + dx * t, y: start.y + dy * t }));
+}
+
+//points where two circles meet, none when they are the same circle
+function circlesMeetings(first, second) {
+  let dx = second.x - first.x, dy = second.y - first.y;
+  let distance = Math.hypot(dx, dy);
+  if (!distance || distance > first.radius + second.radius || distance < Math.abs(first.radius - second.radius)) return [];
+
+  let along = (distance * distance + first.radius * first.radius - second.radius * second.radius) / (2 * distance);
+  let across = Math.sqrt(Math.max(0, first.radius * first.radius - along * along));
+  let x = first.x + dx * along / distance, y = first.y + dy * along / distance;
+
+  return [
+    { x: x - dy * across / distance, y: y + dx * across / distance },
+    { x: x + dy * across / distance, y: y - dx * across / distance }
+  ];
+}
+
+//a point of an arc's circle is on the arc when its turn from the arc's start is within the sweep
+const onArc = (arc, { x, y }) => {
+  let turn = arcTurn(arc, x, y);
+  return turn <= Math.abs(arc.sweep) + EPSILON || turn >= 2 * Math.PI - EPSILON;
+};
+
+/** @description Points where two walls cross or touch, their ends included
+ *  @param {{start: {x: number, y: number}, end: {x: number, y: number}, bulge: number}} first
+ *  @param {{start: {x: number, y: number}, end: {x: number, y: number}, bulge: number}} second
+ *  @return {Array} Points as {x, y}, none for straight walls lying along each other
+ */
+export function wallsCrossings(first, second) {
+  let firstArc = wallArc(first.start, first.end, first.bulge);
+  let secondArc = wallArc(second.start, second.end, second.bulge);
+  let points;
+
+  if (firstArc && secondArc) {
+    points = circlesMeetings(firstArc, secondArc).filter(point => onArc(firstArc, point) && onArc(secondArc, point));
+  } else if (firstArc || secondArc) {
+    let [ wall, arc ] = firstArc ? [ second, firstArc ] : [ first, secondArc ];
+    points = segmentCircleMeetings(wall.start, wall.end, arc).filter(point => onArc(arc, point));
+  } else {
+    let intersection = twoLineSegmentsIntersection(first.start, first.end, second.start, second.end);
+    points = intersection.type === 'intersecting' ? [ intersection.point ] : [];
+  }
+
+  //a point at an end of a wall is that end exactly, not to leave a sliver of wall beside it
+  let ends = [ first.start, first.end, second.start, second.end ];
+  return points
+    .map(point => ends.find(end => samePoints(end, point)) || point)
+    .filter((point, index, points) => points.findIndex(other => samePoints(other, point)) === index)
+    .map(({ x, y }) => ({ x, y }));
+}
+
+/** @description Pieces of a wall cut at points along it
+ *  @param {{x: number, y: number}} start
+ *  @param {{x: number, y: number}} end
+ *  @param {number} bulge Bulge of the wall, as taken by `wallArc`
+ *  @param {Array} points Points of the wall, as {x, y} in any order. Those at its ends or already met are left out
+ *  @return {Array} Pieces as {start, end, bulge} from the wall's start to its end, the curved ones following the wall's arc
+ */
+export function cutWall(start, end, bulge, points) {
+  let arc = wallArc(start, end, bulge);
+  let cuts = points
+    .filter((point, index) => !samePoints(point, start) && !samePoints(point, end) &&
+      points.findIndex(other => samePoints(other, point)) === index)
+    .map(point => ({ point, along: alongWall(start, end, arc, point.x, point.y) }))
+    .sort((first, second) => first.along - second.along);
+
+  let ends = [ { point: start, along: 0 }, ...cuts, { point: end, along: 1 } ];
+
+  return ends.slice(1).map((to, index) => {
+    let from = ends[index];
+    let middle = pointAlongWall(start, end, arc, (from.along + to.along) / 2);
+
+    return { start: from.point, end: to.point, bulge: arc ? bulgeThrough(from.point, to.point, middle) : 0 };
+  });
+}
+
+const lineVertices = (layer, line) => line.vertices.map(vertexID => layer.vertices.get(vertexID)).toArray();
+
+/** @description Points a wall goes through from its first vertex to its second one: just its vertices when straight,
+ *  its arc split in short segments when curved
+ *  @param {Layer} layer Layer model
+ *  @param {Line} line Line model
+ *  @return {Array} Points as {x, y}
+ */
+export function wallPath(layer, line) {
+  let [ start, end ] = lineVertices(layer, line);
+  let arc = wallArc(start, end, line.bulge);
+  if (!arc) return [ { x: start.x, y: start.y }, { x: end.x, y: end.y } ];
+
+  let segments = Math.ceil(Math.abs(arc.sweep) / ARC_STEP);
+  let points = [ { x: start.x, y: start.y } ];
+
+  for (let index = 1; index < segments; index++) {
+    let angle = arc.startAngle + arc.sweep * index / segments;
+    points.push({ x: arc.x + arc.radius * Math.cos(angle), y: arc.y + arc.radius * Math.sin(angle) });
+  }
+
+  points.push({ x: end.x, y: end.y });
+  return points;
+}
+
+/** @description Length of a wall, along its arc when curved
+ *  @param {Layer} layer Layer model
+ *  @param {Line} line Line model
+ *  @return {number}
+ */
+export function wallLength(layer, line) {
+  let [ start, end ] = lineVertices(layer, line);
+  let arc = wallArc(start, end, line.bulge);
+
+  return arc ? arc.radius * Math.abs(arc.sweep) : Math.hypot(end.x - start.x, end.y - start.y);
+}
+
+/** @description Point of a wall at a hole offset
+ *  @param {Layer} layer Layer model
+ *  @param {Line} line Line model
+ *  @param {number} offset Fraction of the wall's length from its vertex with the smallest x
+ *  @return {{x: number, y: number, angle: number}} The point and the direction of the wall there, away from that vertex, in radians
+ */
+export function wallPoint(layer, line, offset) {
+  let [ start, end ] = lineVertices(layer, line);
+  let inverted = start.x > end.x;
+  let along = inverted ? 1 - offset : offset;
+  let arc = wallArc(start, end, line.bulge);
+
+  let point;
+  if (arc) {
+    let angle = arc.startAngle + arc.sweep * along;
+    point = {
+      x: arc.x + arc.radius * Math.cos(angle),
+      y: arc.y + arc.radius * Math.sin(angle),
+      angle: angle + Math.sign(arc.sweep) * Math.PI / 2
+    };
+  } else {
+    point = {
+      x: start.x + (end.x - start.x) * along,
+      y: start.y + (end.y - start.y) * along,
+      angle: Math.atan2(end.y - start.y, end.x - start.x)
+    };
+  }
+
+  if (inverted) point.angle += Math.PI;
+  return point;
+}
+
+/** @description Point of a wall at a hole offset in the frame the wall is drawn in:
+ *  x along the chord from the vertex with the smallest x, y towards the left of the chord
+ *  @param {Layer} layer Layer model
+ *  @param {Line} line Line model
+ *  @param {number} offset Fraction of the wall's length from its vertex with the smallest x
+ *  @return {{x: number, y: number, angle: number}} The point and the direction of the wall there relative to the chord, in radians
+ */
+export function wallFramePoint(layer, line, offset) {
+  let [ start, end ] = lineVertices(layer, line);
+  if (start.x > end.x) [ start, end ] = [ end, start ];
+
+  let chordAngle = Math.atan2(end.y - start.y, end.x - start.x);
+  let { x, y, angle } = wallPoint(layer, line, offset);
+  let cos = Math.cos(chordAngle), sin = Math.sin(chordAngle);
+
+  return {
+    x: (x - start.x) * cos + (y - start.y) * sin,
+    y: (y - start.y) * cos - (x - start.x) * sin,
+    angle: angle - chordAngle
+  };
+}
+
+/** @description Hole offset of the point of a wall closest to a position
+ *  @param {Layer} layer Layer model
+ *  @param {Line} line Line model
+ *  @param {number} x Position's x
+ *  @param {number} y Position's y
+ *  @return {number} Fraction of the wall's length from its vertex with the smallest x, between 0 and 1
+ */
+export function wallOffsetAt(layer, line, x, y) {
+  let [ start, end ] = lineVertices(layer, line);
+  let along = alongWall(start, end, wallArc(start, end, line.bulge), x, y);
+
+  return start.x > end.x ? 1 - along : along;
+}
+
+/** @description Distance of a position from a wall of a layer
+ *  @param {Layer} layer Layer model
+ *  @param {Line} line Line model
+ *  @param {number} x Position's x
+ *  @param {number} y Position's y
+ *  @return {number}
+ */
+export function wallDistance(layer, line, x, y) {
+  let [ start, end ] = lineVertices(layer, line);
+  return distanceFromWall(start, end, line.bulge, { x, y });
+}
+
+/** @description Lines joining each vertex of a cycle to the next one
+ *  @param {Layer} layer Layer model
+ *  @param {List} vertexIDs Vertices of the cycle
+ *  @param {List} [lineIDs] Lines of the cycle as areas record them, the first one joining the first vertex to the second one.
+ *  They tell a curved wall from a straight one between the same vertices, otherwise any line joining two vertices is taken
+ *  @return {Array} Line models, undefined where no line joins two vertices
+ */
+export function cycleLines(layer, vertexIDs, lineIDs) {
+  return vertexIDs.map((startID, index) => {
+    let endID = vertexIDs.get((index + 1) % vertexIDs.size);
+    let joins = line => line && line.vertices.includes(startID) && line.vertices.includes(endID);
+    let line = lineIDs && layer.lines.get(lineIDs.get(index));
+
+    return joins(line) ? line : layer.lines.find(joins);
+  }).toArray();
+}
+
+/** @description A cycle of vertices and lines run the other way
+ *  @param {List} vertexIDs Vertices of the cycle
+ *  @param {List} lineIDs Lines of the cycle, as taken by `cycleLines`, possibly empty
+ *  @return {{vertices: List, lines: List}}
+ */
+export function reverseCycle(vertexIDs, lineIDs) {
+  return {
+    vertices: vertexIDs.reverse(),
+    lines: lineIDs.isEmpty() ? lineIDs : lineIDs.butLast().reverse().push(lineIDs.last())
+  };
+}
+
+/** @description Polygon bounded by the faces of the walls along a cycle of vertices, on the left of the cycle.
+ *  For an area, whose vertices are counterclockwise, that is its floor from wall face to wall face
+ *  @param {Layer} layer Layer model
+ *  @param {List} vertexIDs Vertices of the cycle, each one joined to the next by a line
+ *  @param {List} [lineIDs] Lines of the cycle, as taken by `cycleLines`
+ *  @return {Array} Polygon points as {x, y}
+ */
+export function facesPolygon(layer, vertexIDs, lineIDs) {
+  let points = vertexIDs.map(vertexID => layer.vertices.get(vertexID)).toArray();
+  let lines = cycleLines(layer, vertexIDs, lineIDs);
+
+  //a curved wall is followed segment by segment
+  let edges = [];
+  points.forEach((start, index) => {
+    let end = points[(index + 1) % points.length];
+    let line = lines[index];
+    let path = [ start, end ];
+
+    //how far the face looking at the polygon is from the line
+    let inset = 0;
+    if (line) {
+      let centerOffset = wallCenterOffset(line) * (line.vertices.get(0) === start.id ? 1 : -1);
+      inset = centerOffset + (line.getIn(['properties', 'thickness', 'length']) || 0) / 2;
+      path = wallPath(layer, line);
+      if (line.vertices.get(0) !== start.id) path.reverse();
+    }
+
+    path.slice(1).forEach((to, step) => {
+      let from = path[step];
+      let length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+      let normal = { x: -(to.y - from.y) / length, y: (to.x - from.x) / length };
+
+      edges.push({
+        x: from.x + normal.x * inset,
+        y: from.y + normal.y * inset,
+        dx: (to.x - from.x) / length,
+        dy: (to.y - from.y) / length
+      });
+    });
+  });
+
+  return edges.map((edge, index) => {
+    let previous = edges[(index + edges.length - 1) % edges.length];
+    let cross = previous.dx * edge.dy - previous.dy * edge.dx;
+
+    //parallel faces meet where the shared vertex is
+    if (Math.abs(cross) <= EPSILON) return { x: edge.x, y: edge.y };
+
+    let t = ((edge.x - previous.x) * edge.dy - (edge.y - previous.y) * edge.dx) / cross;
+    return { x: previous.x + previous.dx * t, y: previous.y + previous.dy * t };
+  });
+}
+
+const ringLength = points => points.reduce((length, point, index) => {
+  let next = points[(index + 1) % points.length];
+  return length + Math.hypot(next.x - point.x, next.y - point.y);
+}, 0);
+
+/** @description Floor of an area, from wall face to wall face and around the areas inside it
+ *  @param {Layer} layer Layer model
+ *  @param {Area} area Area model
+ *  @return {{outline: Array, holes: Array, area: number, perimeter: number, center: {x: number, y: number}}}
+ *  The outline and the holes as polygons of {x, y}, the area net of the holes, the perimeter along the outline and the holes,
+ *  the center as the point of the floor farthest from its edges, where a label fits best
+ */
+export function areaFloor(layer, area) {
+  let outline = facesPolygon(layer, area.vertices, area.lines);
+  let holes = area.holes
+    .filter(holeID => layer.areas.has(holeID))
+    .map(holeID => {
+      let { vertices, lines } = reverseCycle(layer.areas.get(holeID).vertices, layer.areas.get(holeID).lines);
+      return facesPolygon(layer, vertices, lines);
+    })
+    .toArray();
+
+  let rings = [ outline, ...holes ].map(points => points.map(({ x, y }) => [ x, y ]));
+  let [ x, y ] = polylabel(rings, 1.0);
+
+  return {
+    outline,
+    holes,
+    area: rings.slice(1).reduce((size, ring) => size - areapolygon(ring, false), areapolygon(rings[0], false)),
+    perimeter: [ outline, ...holes ].reduce((length, points) => length + ringLength(points), 0),
+    center: { x, y }
+  };
+}
+
+//walls meeting at a sharp angle are not mitered farther than this many thicknesses from their vertex
+const MITER_LIMIT = 4;
+
+//a wall seen from one of its vertices: its direction and its faces, left and right, as distances from its line
+function wallFromVertex(layer, line, vertexID) {
+  let vertex = layer.vertices.get(vertexID);
+  let other = layer.vertices.get(line.vertices.get(line.vertices.get(0) === vertexID ? 1 : 0));
+  let length = Math.hypot(other.x - vertex.x, other.y - vertex.y);
+  let thickness = line.getIn(['properties', 'thickness', 'length']) || 0;
+  let centerOffset = wallCenterOffset(line) * (line.vertices.get(0) === vertexID ? 1 : -1);
+  let dx = length ? (other.x - vertex.x) / length : 1;
+  let dy = length ? (other.y - vertex.y) / length : 0;
+
+  //a curved wall leaves its vertex along the tangent of its arc
+  let [ start, end ] = lineVertices(layer, line);
+  let arc = wallArc(start, end, line.bulge);
+  if (arc) {
+    let atStart = start.id === vertexID;
+    let angle = arc.startAngle + (atStart ? 0 : arc.sweep);
+    let turn = Math.sign(arc.sweep) * (atStart ? 1 : -1);
+    dx = -Math.sin(angle) * turn;
+    dy = Math.cos(angle) * turn;
+  }
+
+  return {
+    length, thickness, dx, dy,
+    angle: Math.atan2(dy, dx),
+    left: centerOffset + thickness / 2,
+    right: centerOffset - thickness / 2
+  };
+}
+
+//distance from the vertex, along the first wall, of the point where a face of the first wall meets a face of the second one
+function facesMeeting(wall, wallFace, other, otherFace) {
+  let cross = wall.dx * other.dy - wall.dy * other.dx;
+  if (Math.abs(cross) <= EPSILON) return 0;
+
+  //from the face of the first wall to the face of the second one, both starting beside the vertex
+  let x = -other.dy * otherFace + wall.dy * wallFace;
+  let y = other.dx * otherFace - wall.dx * wallFace;
+  let t = (x * other.dy - y * other.dx) / cross;
+  let s = (x * wall.dy - y * wall.dx) / cross;
+
+  let limit = MITER_LIMIT * Math.max(wall.thickness, other.thickness);
+  if (t < -limit || t > wall.length || s < -limit || s > other.length) return 0;
+
+  return t;
+}
+
+//corners of a wall at one of its vertices, mitered or trimmed against the walls on both its sides
+function wallEnd(layer, line, vertexID) {
+  let vertex = layer.vertices.get(vertexID);
+  let wall = wallFromVertex(layer, line, vertexID);
+
+  let others = vertex.lines
+    .filter(lineID => lineID !== line.id && layer.lines.has(lineID))
+    .map(lineID => wallFromVertex(layer, layer.lines.get(lineID), vertexID))
+    .filter(other => other.length)
+    .map(other => ({ ...other, turn: (other.angle - wall.angle + 4 * Math.PI) % (2 * Math.PI) }))
+    .filter(other => other.turn > EPSILON && other.turn < 2 * Math.PI - EPSILON);
+
+  let corner = (face, t) => ({
+    x: vertex.x + wall.dx * t - wall.dy * face,
+    y: vertex.y + wall.dy * t + wall.dx * face
+  });
+
+  if (!others.size) {
+    return { left: corner(wall.left, 0), right: corner(wall.right, 0), joined: false, hub: null };
+  }
+
+  //the left face meets the first wall turning counterclockwise, the right face the first one turning clockwise
+  let next = others.minBy(other => other.turn);
+  let previous = others.maxBy(other => other.turn);
+
+  return {
+    left: corner(wall.left, facesMeeting(wall, wall.left, next, next.right)),
+    right: corner(wall.right, facesMeeting(wall, wall.right, previous, previous.left)),
+    joined: true,
+    //where three or more walls meet, each one reaches the vertex so that together they fill the junction
+    hub: others.size > 1 ? { x: vertex.x, y: vertex.y } : null
+  };
+}
+
+/** @description Outline of a wall with its ends joined to the walls sharing its vertices: mitered at corners,
+ *  trimmed against the wall they end on at T-junctions and filling the junction where more walls cross.
+ *  Points are in the frame the wall is drawn in: x along the line from its vertex with the smallest x,
+ *  y from the middle of the wall towards the left of that direction
+ *  @param {Layer} layer Layer model
+ *  @param {Line} line Line model
+ *  @return {{points: Array, borders: Array}} Outline points as {x, y} and the polylines outlining the wall,
+ *  its faces and its free ends
+ */
+export function wallOutline(layer, line) {
+  let start = layer.vertices.get(line.vertices.get(0));
+  let end = layer.vertices.get(line.vertices.get(1));
+  let inverted = start.x > end.x;
+  if (inverted) [ start, end ] = [ end, start ];
+
+  let length = Math.hypot(end.x - start.x, end.y - start.y);
+  let dx = length ? (end.x - start.x) / length : 1;
+  let dy = length ? (end.y - start.y) / length : 0;
+  let middle = wallCenterOffset(line) * (inverted ? -1 : 1);
+
+  let toFrame = point => ({
+    x: (point.x - start.x) * dx + (point.y - start.y) * dy,
+    y: (point.y - start.y) * dx - (point.x - start.x) * dy - middle
+  });
+
+  let startEnd = wallEnd(layer, line, start.id);
+  let endEnd = wallEnd(layer, line, end.id);
+
+  //between its ends a curved wall follows its arc, its faces away from it along the radius
+  let arc = wallArc(start, end, inverted ? -line.bulge : line.bulge);
+  let path = wallPath(layer, line);
+  if (inverted) path.reverse();
+
+  let face = distance => path.slice(1, -1).map(({ x, y }) => {
+    let toCenter = Math.sign(arc.sweep) * distance / arc.radius;
+    return { x: x + (arc.x - x) * toCenter, y: y + (arc.y - y) * toCenter };
+  });
+  let thickness = line.getIn(['properties', 'thickness', 'length']) || 0;
+  let leftFace = face(middle + thickness / 2);
+  let rightFace = face(middle - thickness / 2).reverse();
+
+  let points = [ startEnd.right, startEnd.hub, startEnd.left, ...leftFace, endEnd.right, endEnd.hub, endEnd.left, ...rightFace ]
+    .filter(point => point)
+    .map(toFrame);
+
+  let borders = [ [ startEnd.left, ...leftFace, endEnd.right ], [ endEnd.left, ...rightFace, startEnd.right ] ];
+  if (!startEnd.joined) borders.push([ startEnd.right, startEnd.left ]);
+  if (!endEnd.joined) borders.push([ endEnd.right, endEnd.left ]);
+
+  return { points, borders: borders.map(border => border.map(toFrame)) };
+}